@@ -0,0 +1,186 @@
+/**
+ * Benchmark similar-example retrieval
+ *
+ * Builds each vector index over synthetic clustered embeddings and reports
+ * build time, per-query latency (p50/p95) and recall@k against the exact
+ * result. The original approach (cosine() on every example, then a full
+ * sort) is included as a baseline.
+ *
+ * Usage: node scripts/benchmark-index.js [options]
+ *   --sizes <n,n,...>     Example counts (default: 1000,10000,100000)
+ *   --dimensions <n>      Embedding length (default: 1536)
+ *   --queries <n>         Queries per size (default: 50)
+ *   --k <n>               Results per query (default: 3)
+ *
+ * 100k examples at 1536 dimensions needs about 1.5 GB of memory.
+ */
+
+const { performance } = require('perf_hooks');
+const { cosine } = require('../src/utils/embeddings');
+const { createFlatIndex, createIvfIndex } = require('../src/vector');
+
+// Larger sizes skip the baseline: it allocates and sorts every example per query
+const BASELINE_MAX_SIZE = 10000;
+
+/**
+ * Parses --flag value pairs from argv
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} - { sizes, dimensions, queries, k }
+ */
+function parseArgs(argv) {
+  const options = { sizes: [1000, 10000, 100000], dimensions: 1536, queries: 50, k: 3 };
+
+  for (let i = 0; i < argv.length; i += 2) {
+    const flag = argv[i].replace(/^--/, '');
+    const value = argv[i + 1];
+
+    if (!(flag in options) || value === undefined) {
+      throw new Error(`Invalid argument: ${argv[i]}`);
+    }
+    const parsed = flag === 'sizes' ? value.split(',').map(n => parseInt(n, 10)) : [parseInt(value, 10)];
+    if (parsed.some(n => !Number.isInteger(n) || n < 1)) {
+      throw new Error(`Invalid --${flag}: ${value}`);
+    }
+    options[flag] = flag === 'sizes' ? parsed : parsed[0];
+  }
+
+  return options;
+}
+
+/**
+ * Seeded pseudo-random numbers (mulberry32), so runs are comparable
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generates random topic centers
+ * Real message embeddings cluster by topic; uniform noise would not.
+ * @returns {Float32Array[]} - Topic centers
+ */
+function generateTopics(count, dimensions, random) {
+  return Array.from({ length: count }, () => Float32Array.from({ length: dimensions }, () => random() - 0.5));
+}
+
+/**
+ * Generates vectors scattered around the topic centers
+ * @returns {Float32Array[]} - Rows backed by one buffer
+ */
+function generateVectors(count, topics, random) {
+  const dimensions = topics[0].length;
+  const buffer = new Float32Array(count * dimensions);
+
+  return Array.from({ length: count }, (_, row) => {
+    const center = topics[Math.floor(random() * topics.length)];
+    const vector = buffer.subarray(row * dimensions, (row + 1) * dimensions);
+    for (let i = 0; i < dimensions; i++) {
+      vector[i] = center[i] + (random() - 0.5) * 1.6;
+    }
+    return vector;
+  });
+}
+
+/**
+ * The original findSimilarExamples: score every example, then sort
+ */
+function baselineSearch(vectors, query, k) {
+  return vectors
+    .map((vector, index) => ({ index, similarity: cosine(vector, query) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, k);
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+/**
+ * Times a search function over every query
+ * @returns {Object} - { p50, p95, results }
+ */
+function timeQueries(queries, search) {
+  const timings = [];
+  const results = queries.map(query => {
+    const start = performance.now();
+    const result = search(query);
+    timings.push(performance.now() - start);
+    return result;
+  });
+  timings.sort((a, b) => a - b);
+  return { p50: percentile(timings, 0.5), p95: percentile(timings, 0.95), results };
+}
+
+/**
+ * Fraction of the exact top-k found by an approximate search
+ */
+function recall(exact, approximate) {
+  const found = exact.reduce((count, expected, i) => {
+    const ids = new Set(approximate[i].map(match => match.index));
+    return count + expected.filter(match => ids.has(match.index)).length;
+  }, 0);
+  const total = exact.reduce((count, expected) => count + expected.length, 0);
+  return total === 0 ? 1 : found / total;
+}
+
+function benchmarkSize(size, options) {
+  const random = createRandom(size);
+  const topics = generateTopics(Math.max(8, Math.round(Math.sqrt(size) / 2)), options.dimensions, random);
+  const vectors = generateVectors(size, topics, random);
+  const queries = generateVectors(options.queries, topics, random);
+  const rows = [];
+
+  if (size <= BASELINE_MAX_SIZE) {
+    const baseline = timeQueries(queries, query => baselineSearch(vectors, query, options.k));
+    rows.push({ index: 'baseline (cosine + sort)', build: 0, ...baseline, recall: 1 });
+  }
+
+  let start = performance.now();
+  const flat = createFlatIndex(vectors);
+  const flatBuild = performance.now() - start;
+  const exact = timeQueries(queries, query => flat.search(query, options.k));
+  rows.push({ index: 'flat', build: flatBuild, ...exact, recall: 1 });
+
+  start = performance.now();
+  const ivf = createIvfIndex(vectors);
+  const ivfBuild = performance.now() - start;
+  const approximate = timeQueries(queries, query => ivf.search(query, options.k));
+  rows.push({ index: `ivf (${ivf.lists} lists, ${ivf.probes} probes)`, build: ivfBuild, ...approximate, recall: recall(exact.results, approximate.results) });
+
+  return rows;
+}
+
+function run(options) {
+  console.log(`# Vector index benchmark\n`);
+  console.log(`${options.dimensions} dimensions, ${options.queries} queries, k=${options.k}\n`);
+  console.log('| Examples | Index | Build (ms) | p50 (ms) | p95 (ms) | Recall@k |');
+  console.log('|---------:|-------|-----------:|---------:|---------:|---------:|');
+
+  for (const size of options.sizes) {
+    for (const row of benchmarkSize(size, options)) {
+      console.log(`| ${size.toLocaleString()} | ${row.index} | ${row.build.toFixed(0)} | ${row.p50.toFixed(3)} | ${row.p95.toFixed(3)} | ${row.recall.toFixed(3)} |`);
+    }
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  run(options);
+}
+
+module.exports = { parseArgs, recall };
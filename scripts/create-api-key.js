@@ -0,0 +1,27 @@
+/**
+ * Create an API key for a tenant
+ *
+ * Prints a new key and the digest to put in the tenant's api_keys in the
+ * tenants file (TENANTS_FILE). The key itself is not stored anywhere: hand it
+ * to the tenant and keep only the digest.
+ *
+ * Usage: node scripts/create-api-key.js <tenant-id>
+ */
+
+const { generateApiKey, hashApiKey } = require('../src/tenants');
+
+function main() {
+  const tenantId = process.argv[2];
+  if (!tenantId) {
+    console.error('Usage: node scripts/create-api-key.js <tenant-id>');
+    process.exit(1);
+  }
+
+  const key = generateApiKey();
+  console.log(`\n🔑 API key for ${tenantId} (shown once):\n\n  ${key}\n`);
+  console.log('Add the digest to the tenant in your tenants file:\n');
+  console.log(JSON.stringify({ id: tenantId, api_keys: [hashApiKey(key)] }, null, 2));
+  console.log('');
+}
+
+main();
@@ -0,0 +1,158 @@
+/**
+ * Evaluate the classifier against a labeled dataset
+ *
+ * Runs the pipeline over every item and reports per-field accuracy,
+ * score MAE, a focus type confusion matrix and heuristic coverage.
+ * Reports contain no timings or timestamps, so they can be diffed
+ * between prompt or pattern changes.
+ *
+ * Usage: node scripts/evaluate.js [options]
+ *   --mode <heuristic|llm|hybrid>   Pipeline mode (default: hybrid)
+ *   --dataset <path>                Labeled dataset (default: test-messages.json)
+ *   --format <markdown|json>        Report format (default: markdown)
+ *   --output <path>                 Write report to a file instead of stdout
+ *   --concurrency <n>               Concurrent LLM calls (default: 1)
+ *   --threshold <0-1>               Heuristic confidence threshold (default: 0.6)
+ *   --reference-time <ISO>          "Now" for items without received_at (default: a fixed date)
+ *   --prompt-version <name>         Prompt version for LLM calls (default: CLASSIFICATION_PROMPT_VERSION or v1)
+ *   --outcomes <path>               Compare prompt versions on recorded live outcomes instead
+ *                                   (PROMPT_OUTCOMES_FILE); no dataset is evaluated
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createProvider } = require('../src/providers');
+const { getPromptVersion } = require('../src/prompts');
+const { getDefaultPromptVersion } = require('../src/experiments');
+const { readOutcomes, summarizeOutcomes, formatOutcomeReport } = require('../src/experiments/outcomes');
+const { EVAL_MODES, loadDataset, runEvaluation, formatMarkdownReport } = require('../src/evaluation');
+const { configureSelection } = require('../src/utils/embeddings');
+const { getSelectionOptions, describeSelection } = require('../src/utils/selection');
+
+const DEFAULT_DATASET = path.join(__dirname, '../test-messages.json');
+
+/**
+ * Parses --flag value pairs from argv
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} - Parsed options
+ */
+function parseArgs(argv) {
+  const options = {
+    mode: 'hybrid',
+    dataset: DEFAULT_DATASET,
+    format: 'markdown',
+    output: null,
+    concurrency: 1,
+    threshold: undefined,
+    'reference-time': undefined,
+    'prompt-version': undefined,
+    outcomes: null
+  };
+
+  for (let i = 0; i < argv.length; i += 2) {
+    const flag = argv[i].replace(/^--/, '');
+    const value = argv[i + 1];
+
+    if (!(flag in options) || value === undefined) {
+      throw new Error(`Invalid argument: ${argv[i]}`);
+    }
+    if (flag === 'concurrency') {
+      options[flag] = parseInt(value, 10);
+    } else if (flag === 'threshold') {
+      options[flag] = parseFloat(value);
+    } else if (flag === 'reference-time') {
+      if (Number.isNaN(new Date(value).getTime())) {
+        throw new Error(`Invalid --reference-time: ${value}`);
+      }
+      options[flag] = new Date(value).toISOString();
+    } else {
+      options[flag] = value;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Writes a report to --output or stdout
+ */
+function writeReport(output, options) {
+  if (options.output) {
+    fs.writeFileSync(options.output, output, 'utf8');
+    console.error(`✅ Report saved to: ${options.output}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+/**
+ * Compares prompt versions on a recorded outcome log
+ */
+function compareOutcomes(options) {
+  const summary = summarizeOutcomes(readOutcomes(options.outcomes));
+  const count = Object.keys(summary.versions).length;
+  console.error(`📊 Comparing ${count} prompt version${count === 1 ? '' : 's'} from ${options.outcomes}`);
+
+  writeReport(options.format === 'json'
+    ? JSON.stringify(summary, null, 2) + '\n'
+    : formatOutcomeReport(summary, options.outcomes), options);
+
+  return summary;
+}
+
+async function evaluate(options) {
+  if (options.outcomes) {
+    return compareOutcomes(options);
+  }
+  if (!EVAL_MODES.includes(options.mode)) {
+    throw new Error(`Unknown mode "${options.mode}". Expected one of: ${EVAL_MODES.join(', ')}`);
+  }
+
+  const promptVersion = options['prompt-version'] || getDefaultPromptVersion();
+  getPromptVersion(promptVersion);
+
+  const dataset = loadDataset(options.dataset);
+  const provider = options.mode === 'heuristic' ? null : createProvider();
+  // Evaluate the same few-shot selection the server would use
+  const selection = getSelectionOptions();
+  configureSelection(selection);
+
+  console.error(`📊 Evaluating ${dataset.length} items from ${options.dataset} (mode: ${options.mode}, prompt: ${promptVersion}, examples: ${describeSelection(selection)})`);
+
+  const report = await runEvaluation(dataset, {
+    mode: options.mode,
+    provider,
+    concurrency: options.concurrency,
+    confidenceThreshold: options.threshold,
+    referenceTime: options['reference-time'],
+    datasetName: path.relative(process.cwd(), options.dataset),
+    promptVersion
+  });
+
+  const output = options.format === 'json'
+    ? JSON.stringify(report, null, 2) + '\n'
+    : formatMarkdownReport(report);
+
+  writeReport(output, options);
+
+  return report;
+}
+
+// Run the script
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  evaluate(options).catch(error => {
+    console.error('\n❌ Fatal error:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { evaluate, parseArgs };
@@ -1,101 +1,359 @@
 /**
  * Generate embeddings for example messages
- * 
+ *
  * This script reads src/examples.json and generates embeddings for each message
- * using OpenAI's embeddings API. The results are saved to src/examples_with_embeddings.json
- * 
- * This only needs to run once (or when examples change)
- * 
- * Usage: node scripts/generate-embeddings.js
+ * using the configured provider (LLM_PROVIDER, default OpenAI).
+ * The results are saved to src/examples_with_embeddings.json
+ *
+ * Generation is incremental: every item carries a hash of its message and the
+ * embedding model, and vectors already in the store are reused. Only new or
+ * changed messages are embedded, in batched requests retried with backoff.
+ * Each finished batch is checkpointed, so a failed run resumes where it
+ * stopped instead of starting over.
+ *
+ * The output holds only the seed examples; its version is bumped when
+ * anything changed. Approved and pending feedback live in the example store's
+ * data file (EXAMPLE_STORE_FILE, default .cache/example-store.json) and are
+ * re-embedded there if the model changed. Feedback kept in older seed files is
+ * moved to the data file.
+ *
+ * Usage: node scripts/generate-embeddings.js [options]
+ *   --batch-size <n>   Messages per embeddings request (default: 100)
+ *   --force            Re-embed every message, ignoring stored vectors
  */
 
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
-const OpenAI = require('openai');
+const { createProvider } = require('../src/providers');
+const { buildExampleId, buildContentHash, DEFAULT_STORE_FILE } = require('../src/feedback/store');
+const { retryWithBackoff, isRetryableError } = require('../src/utils/retry');
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const DEFAULT_EXAMPLES_PATH = path.join(__dirname, '../src/examples.json');
+const DEFAULT_OUTPUT_PATH = path.join(__dirname, '../src/examples_with_embeddings.json');
+const DEFAULT_BATCH_SIZE = 100;
 
-// Use text-embedding-3-small for cost efficiency
-// Cost: $0.02 per 1M tokens (~$0.00002 per message)
-const EMBEDDING_MODEL = 'text-embedding-3-small';
+/**
+ * Parses command line flags
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} - { batchSize, force }
+ */
+function parseArgs(argv) {
+  const options = { batchSize: DEFAULT_BATCH_SIZE, force: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--force') {
+      options.force = true;
+    } else if (argv[i] === '--batch-size') {
+      options.batchSize = parseInt(argv[++i], 10);
+      if (!Number.isInteger(options.batchSize) || options.batchSize < 1) {
+        throw new Error(`Invalid --batch-size: ${argv[i]}`);
+      }
+    } else {
+      throw new Error(`Invalid argument: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Reads a JSON file, returning a fallback if it does not exist
+ * @param {string} filePath - File to read
+ * @param {*} fallback - Value for a missing file
+ * @returns {*} - Parsed JSON
+ */
+function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Gets the content hash a stored item was embedded under
+ * Items written before hashing existed use the store's model, if it is known.
+ * @param {Object} item - Stored example or pending item
+ * @param {string|null} storeModel - Model recorded in the store file
+ * @returns {string|null} - Content hash, or null if the vector can't be trusted
+ */
+function storedContentHash(item, storeModel) {
+  if (!item.embedding) {
+    return null;
+  }
+  if (item.content_hash) {
+    return item.content_hash;
+  }
+  return storeModel ? buildContentHash(item.message, storeModel) : null;
+}
+
+/**
+ * Compares the previous seed examples with the new ones
+ * @param {Array} previous - Seed examples in the existing store
+ * @param {Array} seeds - Seed examples built from examples.json
+ * @returns {Object} - { added, changed, removed, unchanged } example ids
+ */
+function diffSeeds(previous, seeds) {
+  const previousById = new Map(previous.map(example => [example.id, example]));
+  const seedIds = new Set(seeds.map(example => example.id));
+  const report = { added: [], changed: [], removed: [], unchanged: [] };
+
+  for (const seed of seeds) {
+    const before = previousById.get(seed.id);
+    if (!before) {
+      report.added.push(seed.id);
+    } else if (
+      before.content_hash !== seed.content_hash ||
+      JSON.stringify(before.classification) !== JSON.stringify(seed.classification)
+    ) {
+      report.changed.push(seed.id);
+    } else {
+      report.unchanged.push(seed.id);
+    }
+  }
+  report.removed = previous.filter(example => !seedIds.has(example.id)).map(example => example.id);
+
+  return report;
+}
+
+/**
+ * Generates the example store, embedding only new or changed messages
+ * @param {Object} provider - LLM provider (default: from the environment)
+ * @param {Object} options - { examplesPath, outputPath, storePath, batchSize, force, retries, baseDelayMs, sleep }
+ *   checkpointPath defaults to <outputPath>.checkpoint.json
+ *   storePath: example store data file (default: EXAMPLE_STORE_FILE or .cache/example-store.json)
+ * @returns {Promise<Object>} - Report: { version, written, store_written, added, changed, removed,
+ *   unchanged, embedded, reused, total_tokens }
+ * @throws {Error} with code 'embedding_failed' when a batch fails after its retries;
+ *   finished batches stay in the checkpoint for the next run
+ */
+async function generateEmbeddings(provider = createProvider(), options = {}) {
+  const examplesPath = options.examplesPath || DEFAULT_EXAMPLES_PATH;
+  const outputPath = options.outputPath || DEFAULT_OUTPUT_PATH;
+  const storePath = options.storePath || process.env.EXAMPLE_STORE_FILE || DEFAULT_STORE_FILE;
+  const checkpointPath = options.checkpointPath || `${outputPath}.checkpoint.json`;
+  const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+  const model = provider.embeddingModel;
 
-async function generateEmbeddings() {
   console.log('🚀 Starting embedding generation...\n');
 
-  // Read examples file
-  const examplesPath = path.join(__dirname, '../src/examples.json');
   const examples = JSON.parse(fs.readFileSync(examplesPath, 'utf8'));
-
   console.log(`📊 Found ${examples.examples.length} examples`);
-  console.log(`🤖 Using model: ${EMBEDDING_MODEL}\n`);
+  console.log(`🤖 Using model: ${model} (${provider.name})\n`);
 
-  const examplesWithEmbeddings = [];
-  let totalTokens = 0;
+  const existing = readJson(outputPath, {});
+  const existingExamples = existing.examples || [];
+  const previousVersion = existing.version || 1;
+  const version = previousVersion + 1;
 
-  // Generate embeddings for each example
-  for (let i = 0; i < examples.examples.length; i++) {
-    const example = examples.examples[i];
-    const message = example.message;
+  // Keep what the feedback endpoint added to the store's data file
+  // (older seed files held it too, and it moves there)
+  const legacyFeedback = existingExamples.filter(example => example.source === 'feedback');
+  const legacyPending = existing.pending || [];
+  const migrating = !fs.existsSync(storePath) && legacyFeedback.length + legacyPending.length > 0;
+  const storeData = migrating
+    ? {
+      version: previousVersion,
+      seed_version: previousVersion,
+      model: existing.model || null,
+      examples: legacyFeedback,
+      pending: legacyPending,
+      history: (existing.history || []).filter(entry => entry.action !== 'regenerate')
+    }
+    : readJson(storePath, null);
 
-    process.stdout.write(`Processing example ${i + 1}/${examples.examples.length}: "${message.substring(0, 50)}..."`);
+  // Vectors that can be reused, by content hash
+  const vectors = new Map();
+  const checkpoint = readJson(checkpointPath, null);
+  if (!options.force) {
+    const stored = [
+      ...existingExamples.map(item => [item, existing.model]),
+      ...legacyPending.map(item => [item, existing.model]),
+      ...(storeData ? [...storeData.examples, ...storeData.pending].map(item => [item, storeData.model]) : [])
+    ];
+    for (const [item, storeModel] of stored) {
+      const hash = storedContentHash(item, storeModel);
+      if (hash) {
+        vectors.set(hash, item.embedding);
+      }
+    }
+    if (checkpoint && checkpoint.model === model) {
+      Object.entries(checkpoint.vectors).forEach(([hash, embedding]) => vectors.set(hash, embedding));
+      console.log(`♻️  Resuming from checkpoint (${Object.keys(checkpoint.vectors).length} vectors)`);
+    }
+  }
 
-    try {
-      const response = await openai.embeddings.create({
-        model: EMBEDDING_MODEL,
-        input: message,
-      });
+  const previousSeeds = existingExamples
+    .filter(example => (example.source || 'seed') === 'seed')
+    .map(example => ({
+      ...example,
+      id: example.id || buildExampleId(example.message),
+      content_hash: storedContentHash(example, existing.model)
+    }));
+  const previousSeedVersions = new Map(previousSeeds.map(example => [example.id, example.version || 1]));
 
-      const embedding = response.data[0].embedding;
-      totalTokens += response.usage.total_tokens;
+  const seeds = examples.examples.map(example => {
+    const id = buildExampleId(example.message);
+    return {
+      id,
+      message: example.message,
+      classification: example.classification,
+      source: 'seed',
+      // New seeds belong to this version, so a rollback can remove them
+      version: previousSeedVersions.get(id) || (existingExamples.length > 0 ? version : 1),
+      content_hash: buildContentHash(example.message, model)
+    };
+  });
+  const feedbackExamples = (storeData ? storeData.examples : [])
+    .map(example => ({ ...example, content_hash: buildContentHash(example.message, model) }));
+  const pending = (storeData ? storeData.pending : [])
+    .map(item => ({ ...item, content_hash: buildContentHash(item.message, model) }));
+  const items = [...seeds, ...feedbackExamples, ...pending];
 
-      examplesWithEmbeddings.push({
-        message: example.message,
-        classification: example.classification,
-        embedding: embedding
-      });
+  // Embed each missing message once, in batches
+  const missing = [...new Map(
+    items.filter(item => !vectors.has(item.content_hash)).map(item => [item.content_hash, item.message])
+  )];
+  const batchCount = Math.ceil(missing.length / batchSize);
+  const checkpointVectors = checkpoint && checkpoint.model === model && !options.force ? { ...checkpoint.vectors } : {};
+  let totalTokens = 0;
+
+  console.log(`🔎 ${items.length - missing.length} vectors reused, ${missing.length} to embed`);
+
+  for (let i = 0; i < batchCount; i++) {
+    const batch = missing.slice(i * batchSize, (i + 1) * batchSize);
+    process.stdout.write(`Embedding batch ${i + 1}/${batchCount} (${batch.length} messages)`);
 
-      console.log(' ✓');
+    let response;
+    try {
+      response = await retryWithBackoff(() => provider.embed(batch.map(([, message]) => message)), {
+        retries: options.retries,
+        baseDelayMs: options.baseDelayMs,
+        sleep: options.sleep,
+        // Client errors other than rate limits will fail the same way again
+        shouldRetry: isRetryableError,
+        onRetry: (error, attempt, delayMs) => {
+          process.stdout.write(`\n⚠️  Attempt ${attempt} failed (${error.message}), retrying in ${delayMs}ms`);
+        }
+      });
     } catch (error) {
       console.log(' ✗');
-      console.error(`Error processing example ${i + 1}:`, error.message);
-      process.exit(1);
+      const failure = new Error(
+        `Embedding batch ${i + 1}/${batchCount} failed: ${error.message}. ` +
+        `${Object.keys(checkpointVectors).length} vectors are checkpointed in ${checkpointPath}; re-run to resume`
+      );
+      failure.code = 'embedding_failed';
+      failure.cause = error;
+      throw failure;
     }
+
+    batch.forEach(([hash], index) => {
+      vectors.set(hash, response.embeddings[index]);
+      checkpointVectors[hash] = response.embeddings[index];
+    });
+    totalTokens += response.usage.total_tokens;
+    fs.writeFileSync(checkpointPath, JSON.stringify({ model, vectors: checkpointVectors }), 'utf8');
+    console.log(' ✓');
   }
 
-  // Save results
-  const outputPath = path.join(__dirname, '../src/examples_with_embeddings.json');
-  fs.writeFileSync(
-    outputPath,
-    JSON.stringify({ examples: examplesWithEmbeddings }, null, 2),
-    'utf8'
-  );
+  const missingHashes = new Set(missing.map(([hash]) => hash));
+  const storeReembedded = [...feedbackExamples, ...pending].some(item => missingHashes.has(item.content_hash));
+  items.forEach(item => {
+    item.embedding = vectors.get(item.content_hash);
+  });
+
+  const diff = diffSeeds(previousSeeds, seeds);
+  const report = {
+    version: previousVersion,
+    written: false,
+    store_written: false,
+    added: diff.added,
+    changed: diff.changed,
+    removed: diff.removed,
+    unchanged: diff.unchanged.length,
+    embedded: missing.length,
+    reused: items.length - missing.length,
+    total_tokens: totalTokens
+  };
+
+  const upToDate = existing.version && existing.model === model && missing.length === 0 &&
+    diff.added.length + diff.changed.length + diff.removed.length === 0 &&
+    legacyFeedback.length + legacyPending.length === 0;
+
+  if (!upToDate) {
+    const history = [...(existing.history || []).filter(entry => entry.action === 'regenerate'), {
+      version,
+      action: 'regenerate',
+      added: diff.added,
+      changed: diff.changed,
+      removed: diff.removed,
+      at: new Date().toISOString()
+    }];
+    fs.writeFileSync(
+      outputPath,
+      JSON.stringify({ version, model, examples: seeds, history }, null, 2),
+      'utf8'
+    );
+    report.version = version;
+    report.written = true;
+  }
+  if (storeData && (migrating || storeReembedded)) {
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    fs.writeFileSync(storePath, JSON.stringify({ ...storeData, model, examples: feedbackExamples, pending }), 'utf8');
+    report.store_written = true;
+  }
+  fs.rmSync(checkpointPath, { force: true });
 
   // Calculate cost (text-embedding-3-small: $0.02 per 1M tokens)
   const cost = (totalTokens / 1_000_000) * 0.02;
 
-  console.log('\n✅ Embeddings generated successfully!');
-  console.log(`📁 Saved to: ${outputPath}`);
+  console.log(`\n📋 Seed examples: ${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed, ${diff.unchanged.length} unchanged`);
+  diff.added.forEach(id => console.log(`   + ${id}`));
+  diff.changed.forEach(id => console.log(`   ~ ${id}`));
+  diff.removed.forEach(id => console.log(`   - ${id}`));
+
+  if (report.written) {
+    console.log(`\n✅ Seed examples v${version} saved to: ${outputPath}`);
+  } else {
+    console.log(`\n✅ Seed examples v${previousVersion} are up to date`);
+  }
+  if (report.store_written) {
+    console.log(`✅ Feedback ${migrating ? 'moved' : 're-embedded'} in: ${storePath}`);
+  }
   console.log(`📊 Total tokens used: ${totalTokens.toLocaleString()}`);
   console.log(`💰 Estimated cost: $${cost.toFixed(6)}`);
-  console.log(`📏 Embedding dimension: ${examplesWithEmbeddings[0].embedding.length}`);
+  if (items.length > 0) {
+    console.log(`📏 Embedding dimension: ${items[0].embedding.length}`);
+  }
+
+  return report;
 }
 
 // Run the script
 if (require.main === module) {
-  if (!process.env.OPENAI_API_KEY) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const usesOpenAI = (process.env.LLM_PROVIDER || 'openai').toLowerCase() === 'openai';
+  if (usesOpenAI && !process.env.OPENAI_API_KEY) {
     console.error('❌ Error: OPENAI_API_KEY environment variable not set');
     console.error('Make sure you have a .env file with your OpenAI API key');
     process.exit(1);
   }
 
-  generateEmbeddings().catch(error => {
-    console.error('\n❌ Fatal error:', error);
+  generateEmbeddings(createProvider(), options).catch(error => {
+    console.error('\n❌ Fatal error:', error.message);
     process.exit(1);
   });
 }
 
-module.exports = { generateEmbeddings };
-
+module.exports = { generateEmbeddings, parseArgs };
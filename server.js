@@ -1,23 +1,278 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const OpenAI = require('openai');
-const { heuristicClassify, isHeuristicConclusive } = require('./src/heuristics/classifier');
-const { validateMessage } = require('./src/heuristics/validator');
-const { validateClassification } = require('./src/schema');
-const { CLASSIFICATION_PROMPT, buildHintsFromHeuristic, buildPromptWithExamples } = require('./src/prompts');
-const { getEmbedding, findSimilarExamples, areEmbeddingsAvailable } = require('./src/utils/embeddings');
+const { createProvider, createResilientProvider, getResilienceOptions } = require('./src/providers');
+const { createCache, buildCacheNamespace } = require('./src/cache');
+const { validateMessage, validateThread, validateTimestamp, validateTimezone, validateClientId } = require('./src/heuristics/validator');
+const { splitThread } = require('./src/heuristics/thread');
+const { DEFAULT_CONFIDENCE_THRESHOLD } = require('./src/heuristics/classifier');
+const { loadRules, watchRules, getRulesStatus } = require('./src/heuristics/rules');
+const { classifyMessage, classifyBatch, MAX_BATCH_SIZE, DEFAULT_BATCH_CONCURRENCY } = require('./src/pipeline');
+const { safeValidateClassification, PatternFocusTypes } = require('./src/schema');
+const { setExamples, configureIndex, getIndexStatus, configureSelection } = require('./src/utils/embeddings');
+const { getIndexOptions } = require('./src/vector');
+const { getSelectionOptions } = require('./src/utils/selection');
+const { createExampleStore } = require('./src/feedback/store');
+const { loadExperiment, getDefaultPromptVersion, hashMessage } = require('./src/experiments');
+const { createOutcomeLog, pickScores, DEFAULT_OUTCOMES_FILE } = require('./src/experiments/outcomes');
+const { getRepairOptions } = require('./src/repair');
+const { getInjectionOptions } = require('./src/heuristics/injection');
+const { getSpamOptions } = require('./src/heuristics/spam');
+const { getRedactionOptions, redactMessage } = require('./src/redaction');
+const { createEventStream } = require('./src/streaming');
+const { isCancelledError } = require('./src/utils/cancel');
+const { loadTenants, createTenantRegistry, extractApiKey } = require('./src/tenants');
+const { createRateLimiter, createUsageTracker, checkTenantLimits, DEFAULT_USAGE_FILE } = require('./src/tenants/limits');
+const { loadDraftProfiles, createProfileRegistry, getDraftSkipReason, generateDraft } = require('./src/drafts');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || DEFAULT_BATCH_CONCURRENCY;
+const CONFIDENCE_THRESHOLD = process.env.HEURISTIC_CONFIDENCE_THRESHOLD !== undefined
+  ? parseFloat(process.env.HEURISTIC_CONFIDENCE_THRESHOLD)
+  : DEFAULT_CONFIDENCE_THRESHOLD;
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
+// Initialize LLM provider (LLM_PROVIDER=openai|mock) with timeouts, retries and a circuit breaker;
+// the wrapper does the retrying, so the SDK's own retries are turned off
+const provider = createResilientProvider(createProvider(process.env, { maxRetries: 0 }), getResilienceOptions());
+
+// Initialize classification cache (CACHE_BACKEND=memory|file|none)
+const cache = createCache(buildCacheNamespace(provider));
+
+// Load heuristic rules from HEURISTIC_RULES_FILE and reload them when the file changes
+if (process.env.HEURISTIC_RULES_FILE) {
+  try {
+    loadRules(process.env.HEURISTIC_RULES_FILE);
+  } catch (error) {
+    console.error(`❌ ${error.message}: ${error.details}`);
+    console.error('   Using the bundled heuristic rules until the file is fixed');
+  }
+  watchRules(process.env.HEURISTIC_RULES_FILE, {
+    intervalMs: parseInt(process.env.HEURISTIC_RULES_POLL_MS, 10) || undefined
+  });
+}
+
+// Vector index for similar examples (VECTOR_INDEX=auto|flat|ivf)
+configureIndex(getIndexOptions());
+
+// Few-shot example selection (EXAMPLE_SELECTION=similarity|mmr, plus cap and minimum similarity)
+configureSelection(getSelectionOptions());
+
+// Repair of invalid LLM responses (LLM_REPAIR_RETRIES, LLM_DEGRADED_FALLBACK)
+const REPAIR_OPTIONS = getRepairOptions();
+
+// Prompt-injection policy (PROMPT_INJECTION_POLICY=harden|heuristic|quarantine, PROMPT_INJECTION_THRESHOLD)
+const INJECTION_OPTIONS = getInjectionOptions();
+
+// Spam, scam and bot-message filter (SPAM_DETECTION, SPAM_THRESHOLD); null when disabled
+const SPAM_OPTIONS = getSpamOptions();
+
+// PII redaction before anything is logged or sent to the provider
+// (PII_REDACTION, PII_REDACTION_TYPES, PII_RESTORE_ENTITIES); null when disabled
+const REDACTION_OPTIONS = getRedactionOptions();
+
+// Prompt version outside experiments (CLASSIFICATION_PROMPT_VERSION=v1|v2)
+const PROMPT_VERSION_DEFAULT = getDefaultPromptVersion();
+
+// Prompt A/B experiment from PROMPT_EXPERIMENT_FILE
+let experiment = null;
+if (process.env.PROMPT_EXPERIMENT_FILE) {
+  try {
+    experiment = loadExperiment(process.env.PROMPT_EXPERIMENT_FILE);
+  } catch (error) {
+    console.error(`❌ ${error.message}: ${error.details}`);
+    console.error(`   Using prompt ${PROMPT_VERSION_DEFAULT} for all traffic until the file is fixed`);
+  }
+}
+
+// Outcomes per prompt version, recorded whenever an experiment runs or PROMPT_OUTCOMES_FILE is set
+const outcomes = experiment || process.env.PROMPT_OUTCOMES_FILE
+  ? createOutcomeLog({ filePath: process.env.PROMPT_OUTCOMES_FILE || DEFAULT_OUTCOMES_FILE })
+  : null;
+
+// API keys mapped to tenants with rate limits and token budgets (TENANTS_FILE); without it the API is open.
+// An invalid file stops the server rather than leaving the API unprotected.
+let tenants = null;
+if (process.env.TENANTS_FILE) {
+  try {
+    tenants = createTenantRegistry(loadTenants(process.env.TENANTS_FILE));
+  } catch (error) {
+    console.error(`❌ ${error.message}: ${error.details}`);
+    process.exit(1);
+  }
+}
+const rateLimiter = createRateLimiter();
+const usage = tenants
+  ? createUsageTracker({ filePath: process.env.TENANT_USAGE_FILE || DEFAULT_USAGE_FILE })
+  : null;
+
+// Reply-draft profiles with each creator's tone and banned phrases (DRAFT_PROFILES_FILE);
+// without it drafts use the bundled neutral profile. An invalid file stops the server
+// rather than drafting with phrases a creator banned.
+let draftProfiles = createProfileRegistry();
+if (process.env.DRAFT_PROFILES_FILE) {
+  try {
+    draftProfiles = createProfileRegistry(loadDraftProfiles(process.env.DRAFT_PROFILES_FILE));
+  } catch (error) {
+    console.error(`❌ ${error.message}: ${error.details}`);
+    process.exit(1);
+  }
+}
+
+// Allowed browser origins (CORS_ORIGINS, comma-separated; default: any origin)
+const CORS_ORIGINS = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+  : null;
+
+// Few-shot example store; approved feedback is used for similarity search right away
+let exampleStore = createExampleStore({
+  filePath: process.env.EXAMPLE_STORE_FILE || undefined,
+  onChange: setExamples
 });
+try {
+  exampleStore.load();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  console.error('   Feedback is disabled until the example store is fixed');
+  exampleStore = null;
+}
+
+// HTTP status for example store errors
+const FEEDBACK_ERROR_STATUS = {
+  duplicate_example: 409,
+  embedding_model_mismatch: 409,
+  feedback_not_found: 404,
+  invalid_version: 400,
+  circuit_open: 503,
+  llm_unavailable: 503
+};
+
+/**
+ * Sends an example store error, or a 500 for anything unexpected
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the store or provider
+ * @param {string} action - What failed, for the 500 message
+ */
+function sendFeedbackError(res, error, action) {
+  const status = FEEDBACK_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({
+      error: error.message,
+      ...(error.duplicate_of && { duplicate_of: error.duplicate_of })
+    });
+  }
+
+  console.error(`❌ ${action} error:`, error.message);
+  res.status(500).json({
+    error: `${action} failed`,
+    message: error.message
+  });
+}
+
+// Error messages for tenants over their limits
+const LIMIT_ERRORS = {
+  rate_limit_exceeded: 'Rate limit exceeded',
+  token_budget_exceeded: 'Daily LLM token budget exhausted'
+};
+
+/**
+ * Requires a valid API key when tenants are configured, and sets req.tenant
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function authenticate(req, res, next) {
+  if (!tenants) {
+    return next();
+  }
+
+  const key = extractApiKey(req);
+  const tenant = tenants.authenticate(key);
+  if (!tenant) {
+    console.warn(`🔒 Rejected ${req.method} ${req.path}: ${key ? 'invalid' : 'missing'} API key`);
+    return res.status(401).json({
+      error: key ? 'Invalid API key' : 'Missing API key. Send "Authorization: Bearer <key>" or "X-API-Key: <key>"'
+    });
+  }
+  req.tenant = tenant;
+  next();
+}
+
+/**
+ * Applies the tenant's rate limit and daily token budget to a classification request
+ * Over a limit, the request gets a 429 or is served from the heuristics only
+ * (req.heuristicOnly), according to the tenant's over_limit policy.
+ * Sets req.tokenBudgetRemaining (null without a budget) for requests that
+ * spend tokens item by item, like batches.
+ * @param {Object} req - Express request (after authenticate)
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function enforceTenantLimits(req, res, next) {
+  if (!req.tenant) {
+    return next();
+  }
+
+  const decision = checkTenantLimits(req.tenant, { rateLimiter, usage });
+  if (decision.rate.limit !== null) {
+    res.set('X-RateLimit-Limit', String(decision.rate.limit));
+    res.set('X-RateLimit-Remaining', String(decision.rate.remaining));
+  }
+  if (decision.budget.limit !== null) {
+    res.set('X-Token-Budget-Limit', String(decision.budget.limit));
+    res.set('X-Token-Budget-Remaining', String(decision.budget.remaining));
+  }
+
+  if (decision.action === 'reject') {
+    const retryAfter = Math.ceil(decision.retry_after_ms / 1000);
+    console.warn(`🚦 Tenant ${req.tenant.id}: ${decision.reason}, rejected`);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      error: LIMIT_ERRORS[decision.reason],
+      code: decision.reason,
+      retry_after_seconds: retryAfter
+    });
+  }
+  if (decision.action === 'heuristic') {
+    console.warn(`🚦 Tenant ${req.tenant.id}: ${decision.reason}, serving heuristics only`);
+    req.heuristicOnly = decision.reason;
+  }
+  req.tokenBudgetRemaining = decision.budget.remaining;
+  next();
+}
+
+/**
+ * Requires a reviewer tenant when tenants are configured
+ * Approving, rejecting and rolling back examples changes every tenant's
+ * few-shot prompts, so tenants that can only submit feedback get a 403.
+ * @param {Object} req - Express request (after authenticate)
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireReviewer(req, res, next) {
+  if (req.tenant && !req.tenant.reviewer) {
+    console.warn(`🔒 Rejected ${req.method} ${req.path}: tenant ${req.tenant.id} is not a reviewer`);
+    return res.status(403).json({
+      error: 'Reviewer role required',
+      code: 'reviewer_required'
+    });
+  }
+  next();
+}
+
+/**
+ * Counts a classification request and its LLM tokens against the tenant
+ * @param {Object} req - Express request
+ * @param {number} tokens - LLM tokens used
+ */
+function recordUsage(req, tokens) {
+  if (req.tenant) {
+    usage.record(req.tenant.id, tokens);
+  }
+}
 
 // Middleware
-app.use(cors());
+app.use(cors(CORS_ORIGINS ? { origin: CORS_ORIGINS } : undefined));
 app.use(express.json());
 
 // Health check endpoint
@@ -27,151 +282,279 @@ app.get('/', (req, res) => {
     message: 'OpenAI Message Classifier API',
     endpoints: {
       classify: 'POST /classify - Classify a message',
+      batch: 'POST /classify/batch - Classify an array of messages',
+      stream: 'GET|POST /classify/stream - Classify a message, streaming progress as Server-Sent Events',
+      draft: 'POST /draft - Classify a message and draft a reply',
+      feedback: 'POST /feedback - Submit a corrected classification for review',
+      usage: 'GET /usage - Your tenant\'s usage and limits today',
       health: 'GET /health - Health check'
     }
   });
 });
 
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok' });
+  const llm = provider.getStatus();
+  res.json({
+    // degraded while the circuit breaker is not closed: LLM calls are refused or on trial
+    status: llm.circuit_breaker.state === 'closed' ? 'ok' : 'degraded',
+    provider: provider.name,
+    llm,
+    rules: getRulesStatus(),
+    examples: exampleStore ? exampleStore.getStatus() : null,
+    vector_index: getIndexStatus(),
+    prompts: {
+      default_version: PROMPT_VERSION_DEFAULT,
+      experiment,
+      outcomes_file: outcomes ? outcomes.filePath : null
+    },
+    auth: tenants
+      ? { enabled: true, tenants: tenants.size, usage_file: usage.filePath }
+      : { enabled: false },
+    prompt_injection: INJECTION_OPTIONS,
+    spam: SPAM_OPTIONS ? { enabled: true, threshold: SPAM_OPTIONS.threshold } : { enabled: false },
+    drafts: { profiles: draftProfiles.size, profiles_file: process.env.DRAFT_PROFILES_FILE || null },
+    pii_redaction: REDACTION_OPTIONS
+      ? { enabled: true, types: REDACTION_OPTIONS.types, restore_entities: REDACTION_OPTIONS.restoreEntities }
+      : { enabled: false },
+    cache: cache ? { backend: cache.backend, entries: cache.size() } : null
+  });
 });
 
-// Classification endpoint
-app.post('/classify', async (req, res) => {
-  try {
-    const { message } = req.body;
+// Everything below needs an API key when tenants are configured
+app.use(authenticate);
 
-    if (!message) {
-      return res.status(400).json({ 
-        error: 'Missing required field: message' 
-      });
+app.get('/usage', (req, res) => {
+  if (!req.tenant) {
+    return res.status(404).json({
+      error: 'Tenants are not configured (TENANTS_FILE)'
+    });
+  }
+
+  const today = usage.get(req.tenant.id);
+  const budget = req.tenant.daily_token_budget;
+  res.json({
+    success: true,
+    tenant: req.tenant.id,
+    ...today,
+    token_budget_remaining: budget ? Math.max(0, budget - today.tokens_used) : null,
+    limits: {
+      requests_per_minute: req.tenant.requests_per_minute,
+      daily_token_budget: budget,
+      over_limit: req.tenant.over_limit
     }
+  });
+});
+
+/**
+ * Validates the fields of a classification request (POST /classify body, or /classify/stream)
+ * @param {Object} input - { message, thread, received_at, timezone, multi_label, localize_reason, client_id }
+ * @returns {Object} - { error } or { message, options } with the sanitized message and classifyMessage options
+ */
+function parseClassifyRequest(input) {
+  const {
+    message,
+    thread,
+    received_at: receivedAt,
+    timezone,
+    multi_label: multiLabel,
+    localize_reason: localizeReason,
+    client_id: clientId
+  } = input;
+
+  if (!message && !thread) {
+    return { error: 'Missing required field: message' };
+  }
 
-    // Validate and sanitize message
+  // Validate and sanitize thread (optional conversation context)
+  let sanitizedThread = null;
+  if (thread !== undefined) {
+    const threadValidation = validateThread(thread);
+    if (!threadValidation.valid) {
+      return { error: threadValidation.error };
+    }
+    sanitizedThread = threadValidation.sanitized;
+  }
+
+  // Validate and sanitize message
+  let sanitizedMessage;
+  if (message) {
     const validation = validateMessage(message);
     if (!validation.valid) {
-      return res.status(400).json({
-        error: validation.error
-      });
+      return { error: validation.error };
     }
+    sanitizedMessage = validation.sanitized;
 
-    const sanitizedMessage = validation.sanitized;
+    // The message is the newest customer turn of the thread
+    if (sanitizedThread) {
+      sanitizedThread.push({ role: 'customer', text: sanitizedMessage });
+    }
+  } else {
+    const { latest } = splitThread(sanitizedThread);
+    if (!latest) {
+      return { error: 'Thread must contain at least one customer turn when message is omitted' };
+    }
+    sanitizedMessage = latest.text;
+  }
 
-    console.log(`\n📨 Classifying message: "${sanitizedMessage.substring(0, 100)}${sanitizedMessage.length > 100 ? '...' : ''}"`);
+  // Replace PII with placeholders before the message is logged or leaves the process
+  let redaction = null;
+  if (REDACTION_OPTIONS) {
+    const redacted = redactMessage(sanitizedMessage, { thread: sanitizedThread, types: REDACTION_OPTIONS.types });
+    sanitizedMessage = redacted.message;
+    sanitizedThread = redacted.thread;
+    redaction = { replacements: redacted.replacements, restoreEntities: REDACTION_OPTIONS.restoreEntities };
+  }
 
-    // Start timing
-    const startTime = Date.now();
+  // Relative dates ("tomorrow") resolve against when the message was received
+  const received = validateTimestamp(receivedAt, 'received_at');
+  if (!received.valid) {
+    return { error: received.error };
+  }
+  const zone = validateTimezone(timezone);
+  if (!zone.valid) {
+    return { error: zone.error };
+  }
+  const client = validateClientId(clientId);
+  if (!client.valid) {
+    return { error: client.error };
+  }
+  const latestTurn = sanitizedThread ? splitThread(sanitizedThread).latest : null;
+  const referenceTime = received.sanitized || (latestTurn && latestTurn.timestamp) || new Date().toISOString();
 
-    // Step 1: Run heuristic classification
-    const heuristic = heuristicClassify(sanitizedMessage);
-    const isConclusive = isHeuristicConclusive(heuristic);
+  return {
+    message: sanitizedMessage,
+    options: {
+      cache,
+      thread: sanitizedThread,
+      confidenceThreshold: CONFIDENCE_THRESHOLD,
+      multiLabel: multiLabel === true,
+      localizeReason: localizeReason === true,
+      referenceTime,
+      timezone: zone.sanitized,
+      promptVersion: PROMPT_VERSION_DEFAULT,
+      experiment,
+      clientId: client.sanitized,
+      outcomes,
+      repair: REPAIR_OPTIONS,
+      injection: INJECTION_OPTIONS,
+      spam: SPAM_OPTIONS,
+      redaction
+    }
+  };
+}
 
-    console.log('🔍 Heuristic results:', JSON.stringify(heuristic, null, 2));
+/**
+ * Validates the reply-draft fields of a request (POST /draft, or /classify with draft_reply)
+ * @param {Object} input - { creator, polish, category }
+ * @param {Object|null} tenant - Authenticated tenant, whose profile is the default
+ * @returns {Object} - { error } or { profile, polish, category }
+ */
+function parseDraftRequest(input, tenant) {
+  const { creator, polish, category } = input;
 
-    // Step 2: Check if heuristic is conclusive
-    if (isConclusive) {
-      // All values matched - use heuristic result, skip LLM
-      const classification = {
-        needs_reply: heuristic.needs_reply,
-        time_sensitive_score: heuristic.time_sensitive_score,
-        business_value_score: heuristic.business_value_score,
-        focus_summary_type: heuristic.focus_summary_type,
-        reason: `Pattern-matched as ${heuristic.focus_summary_type.toLowerCase()} with clear indicators`
-      };
+  if (creator !== undefined && (typeof creator !== 'string' || creator.trim() === '')) {
+    return { error: 'creator must be a non-empty string' };
+  }
+  const profile = draftProfiles.select(creator, tenant ? tenant.id : null);
+  if (!profile) {
+    return { error: `Unknown creator "${creator}"` };
+  }
+  if (category !== undefined && !PatternFocusTypes.includes(category)) {
+    return { error: `category must be one of: ${PatternFocusTypes.join(', ')}` };
+  }
+
+  return { profile, polish: polish === true, category };
+}
 
-      console.log('⚡ Using heuristic (skipped LLM)');
-      console.log('✅ Classification result:', JSON.stringify(classification, null, 2));
+/**
+ * Drafts a reply to a classified message (see src/drafts)
+ * Spam and quarantined messages get no draft. Polishing needs the LLM, so
+ * tenants over their limits get the template draft only. Usage is recorded
+ * by the caller, once per request, with the tokens of both.
+ * @param {Object} req - Express request
+ * @param {Object} draftRequest - From parseDraftRequest
+ * @param {Object} result - { classification, metadata } from classifyMessage
+ * @param {Object} options - { requireReply } skip messages that need no reply
+ * @returns {Promise<Object>} - { draft, metadata } with draft null when skipped
+ */
+async function draftReply(req, draftRequest, result, options = {}) {
+  const skipped = getDraftSkipReason(result.classification, result.metadata, options);
+  if (skipped) {
+    return { draft: null, metadata: { skipped, tokens_used: 0 } };
+  }
 
-      const executionTime = Date.now() - startTime;
-      console.log(`⏱️  Execution time: ${executionTime}ms`);
+  const polish = draftRequest.polish ? (req.heuristicOnly ? 'unavailable' : 'llm') : false;
+  try {
+    return await generateDraft(result.classification, {
+      profile: draftRequest.profile,
+      category: draftRequest.category,
+      polish,
+      provider
+    });
+  } catch (error) {
+    // The classification's tokens are spent either way
+    error.tokens_used = (error.tokens_used || 0) + result.metadata.tokens_used;
+    throw error;
+  }
+}
 
-      return res.json({
-        success: true,
-        classification,
-        metadata: {
-          method: 'heuristic',
-          execution_time_ms: executionTime,
-          timestamp: new Date().toISOString()
-        }
+// Classification endpoint
+app.post('/classify', enforceTenantLimits, async (req, res) => {
+  try {
+    const request = parseClassifyRequest(req.body);
+    if (request.error) {
+      return res.status(400).json({
+        error: request.error
+      });
+    }
+    const draftRequest = req.body.draft_reply === true ? parseDraftRequest(req.body, req.tenant) : null;
+    if (draftRequest && draftRequest.error) {
+      return res.status(400).json({
+        error: draftRequest.error
       });
     }
+    const sanitizedMessage = request.message;
 
-    // Step 3: Partial or no match - use LLM with embeddings and hints
-    console.log('🤖 Using LLM (heuristic inconclusive)');
+    console.log(`\n📨 Classifying message: "${sanitizedMessage.substring(0, 100)}${sanitizedMessage.length > 100 ? '...' : ''}"`);
 
-    // Get similar examples using embeddings
-    let similarExamples = [];
-    let usedEmbeddings = false;
-    
-    if (areEmbeddingsAvailable()) {
-      try {
-        console.log('🔍 Finding similar examples...');
-        const messageEmbedding = await getEmbedding(sanitizedMessage, openai);
-        similarExamples = findSimilarExamples(sanitizedMessage, messageEmbedding, 3);
-        usedEmbeddings = true;
-        console.log(`✓ Found ${similarExamples.length} similar examples (similarity: ${similarExamples.map(e => e.similarity.toFixed(3)).join(', ')})`);
-      } catch (error) {
-        console.warn('⚠️  Failed to get embeddings:', error.message);
-      }
-    }
-
-    // Build user prompt with examples and hints
-    const hints = buildHintsFromHeuristic(heuristic);
-    const userPrompt = usedEmbeddings 
-      ? buildPromptWithExamples(sanitizedMessage, similarExamples, hints)
-      : `Message: <<<${sanitizedMessage}>>>${hints.length > 0 ? `\n\nHints (you may override if context suggests otherwise):\n${hints.join('\n')}` : ''}`;
-
-    // Call OpenAI API
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        {
-          role: 'system',
-          content: CLASSIFICATION_PROMPT
-        },
-        {
-          role: 'user',
-          content: userPrompt
-        }
-      ],
-      response_format: { type: 'json_object' },
-      temperature: 0.3,
-    });
-
-    // Parse and validate the response with Zod
-    let classification;
-    try {
-      const rawResponse = JSON.parse(completion.choices[0].message.content);
-      classification = validateClassification(rawResponse);
-    } catch (validationError) {
-      console.error('❌ LLM response validation failed:', validationError.message);
-      return res.status(500).json({
-        error: 'Invalid classification response from LLM',
-        details: validationError.message
-      });
+    const { classification, metadata } = await classifyMessage(sanitizedMessage, provider, {
+      ...request.options,
+      heuristicOnly: req.heuristicOnly
+    });
+
+    // Suggested reply for messages that need one
+    const drafted = draftRequest
+      ? await draftReply(req, draftRequest, { classification, metadata }, { requireReply: true })
+      : null;
+    recordUsage(req, metadata.tokens_used + (drafted ? drafted.metadata.tokens_used : 0));
+    if (drafted) {
+      console.log(`✍️  Draft: ${drafted.draft ? `${drafted.draft.category} (${drafted.draft.profile}, polish ${drafted.metadata.polish})` : `skipped (${drafted.metadata.skipped})`}`);
     }
 
-    const executionTime = Date.now() - startTime;
-    console.log('✅ Classification result:', JSON.stringify(classification, null, 2));
-    console.log(`⏱️  Execution time: ${executionTime}ms`);
+    // Restored entities hold the original PII, so they stay out of the log
+    const logged = request.options.redaction && request.options.redaction.restoreEntities
+      ? { ...classification, entities: '(restored, not logged)' }
+      : classification;
+    console.log('✅ Classification result:', JSON.stringify(logged, null, 2));
+    console.log(`⏱️  Execution time: ${metadata.execution_time_ms}ms`);
 
     res.json({
       success: true,
       classification,
-      metadata: {
-        method: 'llm',
-        hints_provided: hints.length > 0,
-        similar_examples_used: usedEmbeddings,
-        similar_examples_count: similarExamples.length,
-        model: completion.model,
-        tokens_used: completion.usage.total_tokens,
-        execution_time_ms: executionTime,
-        timestamp: new Date().toISOString()
-      }
+      ...(drafted && { draft: drafted.draft }),
+      metadata: drafted ? { ...metadata, draft: drafted.metadata } : metadata
     });
 
   } catch (error) {
     console.error('❌ Classification error:', error.message);
+    recordUsage(req, error.tokens_used);
+
+    if (error.code === 'invalid_llm_response' || error.code === 'invalid_draft') {
+      return res.status(500).json({
+        error: error.message,
+        details: error.details
+      });
+    }
     
     if (error.code === 'invalid_api_key') {
       return res.status(401).json({ 
@@ -186,12 +569,401 @@ app.post('/classify', async (req, res) => {
   }
 });
 
+/**
+ * Classifies a message over Server-Sent Events (see src/streaming.js for the events)
+ * Closing the connection cancels the classification, including an LLM call in flight.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} input - Request fields (see parseClassifyRequest)
+ */
+async function streamClassification(req, res, input) {
+  const request = parseClassifyRequest(input);
+  if (request.error) {
+    return res.status(400).json({
+      error: request.error
+    });
+  }
+  const sanitizedMessage = request.message;
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      console.log('🔌 Stream client disconnected, cancelling classification');
+      controller.abort();
+    }
+  });
+
+  console.log(`\n📡 Streaming classification: "${sanitizedMessage.substring(0, 100)}${sanitizedMessage.length > 100 ? '...' : ''}"`);
+  const stream = createEventStream(res);
+
+  try {
+    const { classification, metadata } = await classifyMessage(sanitizedMessage, provider, {
+      ...request.options,
+      heuristicOnly: req.heuristicOnly,
+      signal: controller.signal,
+      onEvent: stream.send
+    });
+    recordUsage(req, metadata.tokens_used);
+
+    console.log(`✅ Streamed classification: ${classification.focus_summary_type} (${metadata.method}, ${metadata.execution_time_ms}ms)`);
+    stream.send('classification', {
+      success: true,
+      classification,
+      metadata
+    });
+  } catch (error) {
+    recordUsage(req, error.tokens_used);
+    if (!isCancelledError(error)) {
+      console.error('❌ Streaming classification error:', error.message);
+      stream.send('error', {
+        error: error.code === 'invalid_api_key' ? 'Invalid OpenAI API key. Check your .env file.' : 'Classification failed',
+        message: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
+  } finally {
+    stream.end();
+  }
+}
+
+// Streaming classification endpoints: POST takes the /classify body, GET takes query parameters
+app.post('/classify/stream', enforceTenantLimits, (req, res) => streamClassification(req, res, req.body));
+
+app.get('/classify/stream', enforceTenantLimits, (req, res) => streamClassification(req, res, {
+  message: req.query.message,
+  received_at: req.query.received_at,
+  timezone: req.query.timezone,
+  multi_label: req.query.multi_label === 'true',
+  localize_reason: req.query.localize_reason === 'true',
+  client_id: req.query.client_id
+}));
+
+// Reply draft endpoint: classifies the message, then drafts a reply even if none seems needed
+app.post('/draft', enforceTenantLimits, async (req, res) => {
+  try {
+    const request = parseClassifyRequest(req.body);
+    if (request.error) {
+      return res.status(400).json({
+        error: request.error
+      });
+    }
+    const draftRequest = parseDraftRequest(req.body, req.tenant);
+    if (draftRequest.error) {
+      return res.status(400).json({
+        error: draftRequest.error
+      });
+    }
+    const sanitizedMessage = request.message;
+
+    console.log(`\n✍️  Drafting reply to: "${sanitizedMessage.substring(0, 100)}${sanitizedMessage.length > 100 ? '...' : ''}"`);
+
+    const result = await classifyMessage(sanitizedMessage, provider, {
+      ...request.options,
+      heuristicOnly: req.heuristicOnly
+    });
+    const drafted = await draftReply(req, draftRequest, result);
+    recordUsage(req, result.metadata.tokens_used + drafted.metadata.tokens_used);
+
+    console.log(`✅ Draft: ${drafted.draft ? `${drafted.draft.category} (${drafted.draft.profile}, polish ${drafted.metadata.polish})` : `skipped (${drafted.metadata.skipped})`}`);
+
+    res.json({
+      success: true,
+      draft: drafted.draft,
+      classification: result.classification,
+      metadata: { ...result.metadata, draft: drafted.metadata }
+    });
+
+  } catch (error) {
+    console.error('❌ Draft error:', error.message);
+    recordUsage(req, error.tokens_used);
+
+    if (error.code === 'invalid_llm_response' || error.code === 'invalid_draft') {
+      return res.status(500).json({
+        error: error.message,
+        details: error.details
+      });
+    }
+
+    if (error.code === 'invalid_api_key') {
+      return res.status(401).json({
+        error: 'Invalid OpenAI API key. Check your .env file.'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Draft failed',
+      message: error.message
+    });
+  }
+});
+
+// Batch classification endpoint
+app.post('/classify/batch', enforceTenantLimits, async (req, res) => {
+  try {
+    const {
+      messages,
+      received_at: receivedAt,
+      timezone,
+      multi_label: multiLabel,
+      localize_reason: localizeReason,
+      client_id: clientId
+    } = req.body;
+
+    if (!Array.isArray(messages)) {
+      return res.status(400).json({
+        error: 'Missing required field: messages (array)'
+      });
+    }
+
+    if (messages.length === 0) {
+      return res.status(400).json({
+        error: 'messages cannot be empty'
+      });
+    }
+
+    if (messages.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        error: `Batch exceeds maximum size of ${MAX_BATCH_SIZE} messages`
+      });
+    }
+
+    const received = validateTimestamp(receivedAt, 'received_at');
+    if (!received.valid) {
+      return res.status(400).json({
+        error: received.error
+      });
+    }
+
+    const zone = validateTimezone(timezone);
+    if (!zone.valid) {
+      return res.status(400).json({
+        error: zone.error
+      });
+    }
+
+    const client = validateClientId(clientId);
+    if (!client.valid) {
+      return res.status(400).json({
+        error: client.error
+      });
+    }
+
+    const { results, metadata } = await classifyBatch(messages, provider, {
+      concurrency: BATCH_CONCURRENCY,
+      cache,
+      confidenceThreshold: CONFIDENCE_THRESHOLD,
+      multiLabel: multiLabel === true,
+      localizeReason: localizeReason === true,
+      referenceTime: received.sanitized || undefined,
+      timezone: zone.sanitized,
+      promptVersion: PROMPT_VERSION_DEFAULT,
+      experiment,
+      clientId: client.sanitized,
+      outcomes,
+      repair: REPAIR_OPTIONS,
+      injection: INJECTION_OPTIONS,
+      spam: SPAM_OPTIONS,
+      redaction: REDACTION_OPTIONS,
+      heuristicOnly: req.heuristicOnly,
+      // A batch can hold many LLM items, so the budget is checked before each one
+      tokenBudget: req.tenant && req.tokenBudgetRemaining !== null
+        ? { remaining: req.tokenBudgetRemaining, overLimit: req.tenant.over_limit }
+        : null
+    });
+    recordUsage(req, metadata.tokens_used);
+
+    console.log(`✅ Batch complete: ${metadata.succeeded} succeeded, ${metadata.failed} failed (${metadata.heuristic_count} heuristic, ${metadata.llm_count} LLM, ${metadata.degraded_count} degraded, ${metadata.flagged_count} flagged as injections, ${metadata.spam_count} spam)`);
+    console.log(`⏱️  Execution time: ${metadata.execution_time_ms}ms`);
+
+    res.json({
+      success: true,
+      results,
+      metadata
+    });
+
+  } catch (error) {
+    console.error('❌ Batch classification error:', error.message);
+    recordUsage(req, error.tokens_used);
+
+    res.status(500).json({
+      error: 'Batch classification failed',
+      message: error.message
+    });
+  }
+});
+
+// Feedback endpoints: corrections are queued, then approved into the example store
+app.use(['/feedback', '/examples'], (req, res, next) => {
+  if (!exampleStore) {
+    return res.status(503).json({ error: 'Example store is unavailable' });
+  }
+  next();
+});
+
+// Embedding the message is a paid call, so feedback counts against the tenant's limits
+app.post('/feedback', enforceTenantLimits, async (req, res) => {
+  try {
+    const { message, classification, note } = req.body;
+
+    const validation = validateMessage(message);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: validation.error
+      });
+    }
+
+    const parsed = safeValidateClassification(classification);
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: 'Invalid classification',
+        details: parsed.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; ')
+      });
+    }
+
+    if (note !== undefined && typeof note !== 'string') {
+      return res.status(400).json({
+        error: 'note must be a string'
+      });
+    }
+
+    // Feedback can't be served from the heuristics: over a limit it is rejected whatever the policy
+    if (req.heuristicOnly) {
+      console.warn(`🚦 Tenant ${req.tenant.id}: ${req.heuristicOnly}, feedback rejected`);
+      return res.status(429).json({
+        error: LIMIT_ERRORS[req.heuristicOnly],
+        code: req.heuristicOnly
+      });
+    }
+
+    // Examples are sent to the provider as few-shot examples, so they are stored redacted
+    const feedbackMessage = REDACTION_OPTIONS
+      ? redactMessage(validation.sanitized, { types: REDACTION_OPTIONS.types }).message
+      : validation.sanitized;
+    const { embeddings: [embedding], usage: embeddingUsage } = await provider.embed(feedbackMessage);
+    recordUsage(req, embeddingUsage.total_tokens);
+    const feedback = exampleStore.submit({
+      message: feedbackMessage,
+      classification: parsed.data,
+      embedding,
+      model: provider.embeddingModel,
+      note,
+      tenant: req.tenant ? req.tenant.id : null
+    });
+
+    // Corrections count against the prompt version that classified the message
+    if (outcomes) {
+      outcomes.record({ type: 'correction', message_hash: hashMessage(feedbackMessage), ...pickScores(parsed.data) });
+    }
+
+    res.status(202).json({
+      success: true,
+      feedback
+    });
+
+  } catch (error) {
+    sendFeedbackError(res, error, 'Feedback');
+  }
+});
+
+// Reviewers see the whole queue, other tenants only their own submissions
+app.get('/feedback/pending', (req, res) => {
+  res.json({
+    success: true,
+    pending: exampleStore.listPending(req.tenant && !req.tenant.reviewer ? { tenant: req.tenant.id } : {})
+  });
+});
+
+app.post('/feedback/:id/approve', requireReviewer, (req, res) => {
+  try {
+    const { example, version } = exampleStore.approve(req.params.id);
+    res.json({
+      success: true,
+      example,
+      version
+    });
+  } catch (error) {
+    sendFeedbackError(res, error, 'Approval');
+  }
+});
+
+app.post('/feedback/:id/reject', requireReviewer, (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const feedback = exampleStore.reject(req.params.id, typeof reason === 'string' ? reason : undefined);
+    res.json({
+      success: true,
+      feedback
+    });
+  } catch (error) {
+    sendFeedbackError(res, error, 'Rejection');
+  }
+});
+
+app.get('/examples/history', requireReviewer, (req, res) => {
+  res.json({
+    success: true,
+    ...exampleStore.getStatus(),
+    history: exampleStore.getHistory()
+  });
+});
+
+app.post('/examples/rollback', requireReviewer, (req, res) => {
+  try {
+    const { version, removed } = exampleStore.rollback(req.body.version);
+    res.json({
+      success: true,
+      version,
+      removed
+    });
+  } catch (error) {
+    sendFeedbackError(res, error, 'Rollback');
+  }
+});
+
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`\n🚀 OpenAI Message Classifier running on http://localhost:${PORT}`);
-  console.log(`📝 API Key configured: ${process.env.OPENAI_API_KEY ? '✓' : '✗'}`);
+  console.log(`🤖 LLM provider: ${provider.name} (${provider.chatModel}, ${provider.embeddingModel})`);
+  const llm = provider.getStatus();
+  console.log(`🔌 LLM calls: ${llm.timeouts_ms.chat}ms chat / ${llm.timeouts_ms.embedding}ms embedding timeout, ${llm.retries} retries, breaker opens after ${llm.circuit_breaker.failure_threshold} failures`);
+  console.log(`💾 Cache: ${cache ? cache.backend : 'disabled'}`);
+  const rules = getRulesStatus();
+  console.log(`📐 Heuristic rules: version ${rules.version} (${rules.hash}) from ${rules.source}`);
+  console.log(`🧪 Prompt: ${experiment
+    ? `experiment ${experiment.name} (${Object.entries(experiment.variants).map(([version, percent]) => `${version} ${percent}%`).join(', ')}, by ${experiment.assign_by})`
+    : PROMPT_VERSION_DEFAULT}${outcomes ? `, outcomes in ${outcomes.filePath}` : ''}`);
+  console.log(`🔏 PII redaction: ${REDACTION_OPTIONS
+    ? `${REDACTION_OPTIONS.types.join(', ')}${REDACTION_OPTIONS.restoreEntities ? ', entities restored in responses' : ''}`
+    : 'disabled'}`);
+  console.log(`🛡️  Prompt injection: ${INJECTION_OPTIONS.policy} flagged messages (threshold ${INJECTION_OPTIONS.threshold})`);
+  console.log(`🚫 Spam filter: ${SPAM_OPTIONS ? `threshold ${SPAM_OPTIONS.threshold}` : 'disabled'}`);
+  console.log(`✍️  Reply drafts: ${process.env.DRAFT_PROFILES_FILE ? `${draftProfiles.size} profile(s) from ${process.env.DRAFT_PROFILES_FILE}` : 'bundled neutral profile'}`);
+  if (tenants) {
+    console.log(`🔒 API keys required: ${tenants.size} tenant(s) from ${process.env.TENANTS_FILE}, usage in ${usage.filePath}`);
+  } else {
+    console.warn('⚠️  No TENANTS_FILE: the API is open to anyone who can reach it');
+  }
+  if (provider.name === 'openai') {
+    console.log(`📝 API Key configured: ${process.env.OPENAI_API_KEY ? '✓' : '✗'}`);
+  }
   console.log(`\nEndpoints:`);
-  console.log(`  POST /classify - Classify a message`);
-  console.log(`  GET  /health   - Health check\n`);
+  console.log(`  POST /classify       - Classify a message`);
+  console.log(`  POST /classify/batch - Classify an array of messages`);
+  console.log(`  GET|POST /classify/stream - Classify a message over Server-Sent Events`);
+  console.log(`  POST /draft          - Classify a message and draft a reply`);
+  console.log(`  POST /feedback       - Submit a corrected classification for review`);
+  console.log(`  GET  /usage          - Tenant usage and limits today`);
+  console.log(`  GET  /feedback/pending, POST /feedback/:id/approve|reject - Review queue (approve/reject: reviewers)`);
+  console.log(`  GET  /examples/history, POST /examples/rollback - Example store versions (reviewers)`);
+  console.log(`  GET  /health         - Health check\n`);
 });
 
+// Save pending cache writes before exiting
+function shutdown(signal) {
+  console.log(`\n👋 ${signal} received, shutting down`);
+  server.close();
+  Promise.resolve(cache && cache.flush && cache.flush()).finally(() => process.exit(0));
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,105 @@
+/**
+ * File cache backend
+ * In-memory LRU cache persisted to a JSON file so entries survive restarts.
+ * The file records a namespace; a file written under a different namespace
+ * (e.g. an older prompt version) is discarded on load.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createMemoryCache } = require('./memory');
+
+const DEFAULT_WRITE_DELAY_MS = 1000;
+
+/**
+ * Creates a file-backed cache
+ * Changes are written in the background: writes within writeDelayMs of each
+ * other are coalesced into one, and flush() saves anything still pending
+ * (call it before the process exits).
+ * @param {Object} options - { filePath, namespace, ttlMs, maxEntries, writeDelayMs, now }
+ * @returns {Object} - Cache implementing get/set/delete/clear/size, plus flush() -> Promise
+ */
+function createFileCache(options = {}) {
+  const { filePath, namespace } = options;
+  const writeDelayMs = options.writeDelayMs ?? DEFAULT_WRITE_DELAY_MS;
+  const memory = createMemoryCache(options);
+  let queue = Promise.resolve();
+  let timer = null;
+  let dirty = false;
+
+  // Load existing entries
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (data.namespace === namespace) {
+      memory.load(data.entries || []);
+      console.log(`✓ Loaded ${memory.size()} cached classifications from ${filePath}`);
+    } else {
+      console.log(`♻️  Cache namespace changed, discarding entries in ${filePath}`);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠️  Could not read cache file ${filePath}:`, error.message);
+    }
+  }
+
+  // Queues a write of the current entries (one at a time, like the tenant usage file)
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (!dirty) {
+      return queue;
+    }
+    dirty = false;
+    const tmpPath = `${filePath}.tmp`;
+    queue = queue
+      .then(async () => {
+        const snapshot = JSON.stringify({ namespace, entries: memory.dump() });
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, snapshot, 'utf8');
+        await fs.promises.rename(tmpPath, filePath);
+      })
+      .catch(error => console.warn('⚠️  Failed to save cache file:', error.message));
+    return queue;
+  }
+
+  function persist() {
+    dirty = true;
+    if (!timer) {
+      timer = setTimeout(flush, writeDelayMs);
+      timer.unref();
+    }
+  }
+
+  return {
+    backend: 'file',
+
+    get: memory.get,
+
+    async set(key, value) {
+      await memory.set(key, value);
+      persist();
+    },
+
+    async delete(key) {
+      await memory.delete(key);
+      persist();
+    },
+
+    async clear() {
+      await memory.clear();
+      persist();
+    },
+
+    size: memory.size,
+
+    /**
+     * Writes pending changes now
+     * @returns {Promise<void>} - Resolves once the file is saved
+     */
+    flush
+  };
+}
+
+module.exports = {
+  createFileCache
+};
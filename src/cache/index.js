@@ -0,0 +1,78 @@
+/**
+ * Classification cache
+ * Caches LLM classifications keyed by sanitized message + cache namespace.
+ * The namespace combines the prompt version, provider and model, so changing
+ * CLASSIFICATION_PROMPT or the model automatically invalidates old entries.
+ *
+ * A cache exposes:
+ *   - backend ('memory' | 'file')
+ *   - get(key) -> value | undefined, set(key, value), delete(key), clear()
+ *   - size()
+ *   - flush() -> Promise (file backend: saves pending writes, call before exiting)
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { createMemoryCache } = require('./memory');
+const { createFileCache } = require('./file');
+const { PROMPT_VERSION } = require('../prompts');
+
+const DEFAULT_TTL_SECONDS = 86400;
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_CACHE_FILE = path.join(__dirname, '../../.cache/classifications.json');
+
+/**
+ * Builds the cache namespace for a provider and the current prompt
+ * @param {Object} provider - LLM provider
+ * @returns {string} - Namespace string
+ */
+function buildCacheNamespace(provider) {
+  return `${PROMPT_VERSION}:${provider.name}:${provider.chatModel}`;
+}
+
+/**
+ * Builds a cache key from a sanitized message and namespace
+ * @param {string} message - Sanitized message
+ * @param {string} namespace - Cache namespace
+ * @returns {string} - Hex SHA-256 key
+ */
+function buildCacheKey(message, namespace) {
+  return crypto.createHash('sha256').update(`${namespace}\n${message}`).digest('hex');
+}
+
+/**
+ * Creates the cache backend named in configuration
+ * @param {string} namespace - Cache namespace (see buildCacheNamespace)
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object|null} - Cache instance, or null when caching is disabled
+ * @throws {Error} if the backend name is unknown
+ */
+function createCache(namespace, env = process.env) {
+  const backend = (env.CACHE_BACKEND || 'memory').toLowerCase();
+  const options = {
+    namespace,
+    ttlMs: (parseInt(env.CACHE_TTL_SECONDS, 10) || DEFAULT_TTL_SECONDS) * 1000,
+    maxEntries: parseInt(env.CACHE_MAX_ENTRIES, 10) || DEFAULT_MAX_ENTRIES,
+    filePath: env.CACHE_FILE || DEFAULT_CACHE_FILE,
+    writeDelayMs: parseInt(env.CACHE_WRITE_DELAY_MS, 10) || undefined
+  };
+
+  switch (backend) {
+    case 'none':
+      return null;
+    case 'memory':
+      return createMemoryCache(options);
+    case 'file':
+      return createFileCache(options);
+    default:
+      throw new Error(`Unknown CACHE_BACKEND "${backend}". Expected one of: memory, file, none`);
+  }
+}
+
+module.exports = {
+  createCache,
+  createMemoryCache,
+  createFileCache,
+  buildCacheKey,
+  buildCacheNamespace
+};
@@ -0,0 +1,97 @@
+/**
+ * In-memory cache backend
+ * LRU ordering via Map insertion order, with per-entry TTL
+ */
+
+/**
+ * Creates an in-memory LRU cache with TTL
+ * @param {Object} options - { ttlMs, maxEntries, now }
+ * @returns {Object} - Cache implementing get/set/delete/clear/size
+ */
+function createMemoryCache(options = {}) {
+  const ttlMs = options.ttlMs;
+  const maxEntries = options.maxEntries;
+  const now = options.now || Date.now;
+  const entries = new Map();
+
+  function isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= now();
+  }
+
+  function evictOverflow() {
+    while (entries.size > maxEntries) {
+      // Oldest (least recently used) key is first in insertion order
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  return {
+    backend: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+
+      if (isExpired(entry)) {
+        entries.delete(key);
+        return undefined;
+      }
+
+      // Refresh recency
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value) {
+      entries.delete(key);
+      entries.set(key, {
+        value,
+        expiresAt: ttlMs ? now() + ttlMs : null
+      });
+      evictOverflow();
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async clear() {
+      entries.clear();
+    },
+
+    size() {
+      return entries.size;
+    },
+
+    /**
+     * Exports live entries in LRU order (used by persistent backends)
+     * @returns {Array} - [{ key, value, expiresAt }]
+     */
+    dump() {
+      return [...entries]
+        .filter(([, entry]) => !isExpired(entry))
+        .map(([key, entry]) => ({ key, ...entry }));
+    },
+
+    /**
+     * Imports entries previously produced by dump(), skipping expired ones
+     * @param {Array} list - [{ key, value, expiresAt }]
+     */
+    load(list) {
+      for (const { key, value, expiresAt } of list) {
+        const entry = { value, expiresAt };
+        if (!isExpired(entry)) {
+          entries.set(key, entry);
+        }
+      }
+      evictOverflow();
+    }
+  };
+}
+
+module.exports = {
+  createMemoryCache
+};
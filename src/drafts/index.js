@@ -0,0 +1,423 @@
+/**
+ * Reply drafts
+ * Builds a suggested reply from per-category templates (templates.json) with
+ * entity slots ({date}, {amount}, {order_id}, {invoice_id}), in the tone of a
+ * creator profile and without the phrases the profile bans. Each category
+ * lists its templates in order of preference; the first one whose slots the
+ * message fills is used, so a refund without an order number asks for it.
+ *
+ * The LLM can polish the draft. It only sees the draft and the profile's tone,
+ * never the customer's message, so polishing sends no PII and can't be
+ * steered by the message. A polished draft that drops a slot value or the
+ * signature, or uses a banned phrase, is rejected and the template draft stands.
+ *
+ * Profiles file (DRAFT_PROFILES_FILE):
+ *   {
+ *     "profiles": [
+ *       {
+ *         "id": "acme",
+ *         "tone": "casual" | "neutral" | "formal",
+ *         "greeting": "Hey there!",
+ *         "sign_off": "Talk soon",
+ *         "signature": "Sam at Acme",
+ *         "banned_phrases": ["no worries", "ASAP"],
+ *         "templates": { "Booking": ["Thanks for thinking of me for {date}!", "Thanks for thinking of me!"] }
+ *       }
+ *     ]
+ *   }
+ *
+ * Only id is required. tone defaults to neutral, greeting and sign_off to the
+ * tone's; templates replace the bundled ones per category, and the last one
+ * of each must not use slots. The "default" profile is used when a request
+ * names no creator; without one in the file, the bundled neutral profile is.
+ */
+
+const fs = require('fs');
+const TEMPLATES = require('./templates.json');
+const {
+  PatternFocusTypes,
+  SPAM_FOCUS_TYPE,
+  DRAFT_TONES,
+  DRAFT_SLOTS,
+  MAX_DRAFT_LENGTH,
+  PolishedDraftSchema,
+  createDraftSchema,
+  findBannedPhrases
+} = require('../schema');
+const { extractJsonObject } = require('../repair');
+const { buildDraftPolishMessages } = require('../prompts');
+const { isCancelledError, throwIfCancelled } = require('../utils/cancel');
+
+const DEFAULT_PROFILE_ID = 'default';
+const DEFAULT_PROFILE = {
+  id: DEFAULT_PROFILE_ID,
+  tone: 'neutral',
+  greeting: null,
+  sign_off: null,
+  signature: null,
+  banned_phrases: [],
+  templates: {}
+};
+const PROFILE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+const MAX_PROFILE_TEXT_LENGTH = 200;
+const SLOT_PATTERN = /\{(\w+)\}/g;
+
+// Upset customers get the apology line first (see src/heuristics/sentiment.js)
+const APOLOGY_SENTIMENT = -0.3;
+const APOLOGY_ESCALATION_RISK = 0.4;
+
+/**
+ * Lists the slots a template uses
+ * @param {string} template - Template text
+ * @returns {string[]} - Slot names in order
+ */
+function templateSlots(template) {
+  return [...template.matchAll(SLOT_PATTERN)].map(match => match[1]);
+}
+
+/**
+ * Validates a draft profiles config
+ * @param {Object} config - Parsed profiles file
+ * @returns {Object} - { valid, errors }
+ */
+function validateDraftProfiles(config) {
+  if (!config || typeof config !== 'object' || !Array.isArray(config.profiles)) {
+    return { valid: false, errors: ['profiles must be an array'] };
+  }
+
+  const errors = [];
+  const ids = new Set();
+
+  config.profiles.forEach((profile, index) => {
+    const at = `profiles[${index}]`;
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      errors.push(`${at}: must be an object`);
+      return;
+    }
+    if (typeof profile.id !== 'string' || !PROFILE_ID_PATTERN.test(profile.id)) {
+      errors.push(`${at}.id: must be 1-64 letters, digits, - or _`);
+    } else if (ids.has(profile.id)) {
+      errors.push(`${at}.id: duplicate profile "${profile.id}"`);
+    } else {
+      ids.add(profile.id);
+    }
+
+    if (profile.tone !== undefined && !DRAFT_TONES.includes(profile.tone)) {
+      errors.push(`${at}.tone: must be one of: ${DRAFT_TONES.join(', ')}`);
+    }
+    for (const field of ['greeting', 'sign_off', 'signature']) {
+      const value = profile[field];
+      if (value !== undefined && value !== null &&
+          (typeof value !== 'string' || value.trim() === '' || value.length > MAX_PROFILE_TEXT_LENGTH)) {
+        errors.push(`${at}.${field}: must be a non-empty string of at most ${MAX_PROFILE_TEXT_LENGTH} characters`);
+      }
+    }
+
+    const banned = profile.banned_phrases;
+    if (banned !== undefined && (!Array.isArray(banned) || banned.some(phrase => typeof phrase !== 'string' || phrase.trim() === ''))) {
+      errors.push(`${at}.banned_phrases: must be an array of non-empty strings`);
+    }
+    const bannedPhrases = Array.isArray(banned) ? banned.filter(phrase => typeof phrase === 'string' && phrase.trim() !== '') : [];
+
+    if (profile.templates === undefined) {
+      return;
+    }
+    if (!profile.templates || typeof profile.templates !== 'object' || Array.isArray(profile.templates)) {
+      errors.push(`${at}.templates: must be an object of category -> templates`);
+      return;
+    }
+    for (const [category, templates] of Object.entries(profile.templates)) {
+      const where = `${at}.templates.${category}`;
+      if (!PatternFocusTypes.includes(category)) {
+        errors.push(`${where}: unknown category (expected one of: ${PatternFocusTypes.join(', ')})`);
+        continue;
+      }
+      if (!Array.isArray(templates) || templates.length === 0 || templates.some(text => typeof text !== 'string' || text.trim() === '')) {
+        errors.push(`${where}: must be a non-empty array of non-empty strings`);
+        continue;
+      }
+      templates.forEach((text, templateIndex) => {
+        const unknown = templateSlots(text).filter(slot => !DRAFT_SLOTS.includes(slot));
+        if (unknown.length > 0) {
+          errors.push(`${where}[${templateIndex}]: unknown slot {${unknown[0]}} (expected: ${DRAFT_SLOTS.map(slot => `{${slot}}`).join(', ')})`);
+        }
+        const used = findBannedPhrases(text, bannedPhrases);
+        if (used.length > 0) {
+          errors.push(`${where}[${templateIndex}]: uses the banned phrase "${used[0]}"`);
+        }
+      });
+      if (templateSlots(templates[templates.length - 1]).length > 0) {
+        errors.push(`${where}: the last template is the fallback and must not use slots`);
+      }
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Loads and validates a draft profiles file
+ * @param {string} filePath - Path to the profiles JSON
+ * @returns {Array} - Profiles { id, tone, greeting, sign_off, signature, banned_phrases, templates }
+ *   with missing fields as their defaults (null greeting/sign_off use the tone's)
+ * @throws {Error} with code 'invalid_draft_profiles' and details if it can't be used
+ */
+function loadDraftProfiles(filePath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    const invalid = new Error(`Could not load draft profiles ${filePath}`);
+    invalid.code = 'invalid_draft_profiles';
+    invalid.details = error.message;
+    throw invalid;
+  }
+
+  const { valid, errors } = validateDraftProfiles(config);
+  if (!valid) {
+    const invalid = new Error(`Invalid draft profiles ${filePath}`);
+    invalid.code = 'invalid_draft_profiles';
+    invalid.details = errors.join('; ');
+    throw invalid;
+  }
+
+  return config.profiles.map(profile => ({
+    id: profile.id,
+    tone: profile.tone || DEFAULT_PROFILE.tone,
+    greeting: profile.greeting ?? null,
+    sign_off: profile.sign_off ?? null,
+    signature: profile.signature ?? null,
+    banned_phrases: (profile.banned_phrases || []).map(phrase => phrase.trim()),
+    templates: profile.templates || {}
+  }));
+}
+
+/**
+ * Creates a lookup from creators to draft profiles
+ * @param {Array} profiles - Profiles from loadDraftProfiles (default: none)
+ * @returns {Object} - { select(creator, tenantId) -> profile or null, size }
+ *   select: the named creator's profile (null if unknown), else the tenant's, else the default
+ */
+function createProfileRegistry(profiles = []) {
+  const byId = new Map(profiles.map(profile => [profile.id, profile]));
+  if (!byId.has(DEFAULT_PROFILE_ID)) {
+    byId.set(DEFAULT_PROFILE_ID, DEFAULT_PROFILE);
+  }
+
+  return {
+    size: profiles.length,
+
+    select(creator, tenantId) {
+      if (creator) {
+        return byId.get(creator) || null;
+      }
+      return (tenantId && byId.get(tenantId)) || byId.get(DEFAULT_PROFILE_ID);
+    }
+  };
+}
+
+/**
+ * Reads slot values from classification entities
+ * Deadlines win over plain dates; values are as the sender wrote them.
+ * @param {Object|null} entities - Classification entities (see src/heuristics/entities.js)
+ * @returns {Object} - { date, amount, order_id, invoice_id }, null where the message has none
+ */
+function getDraftSlots(entities) {
+  const { dates = [], amounts = [], references = [] } = entities || {};
+  const date = dates.find(entity => entity.type === 'deadline') || dates[0];
+  const order = references.find(entity => entity.type === 'order');
+  const invoice = references.find(entity => entity.type === 'invoice');
+
+  return {
+    date: date ? date.text : null,
+    amount: amounts.length > 0 ? amounts[0].text : null,
+    order_id: order ? order.value : null,
+    invoice_id: invoice ? invoice.value : null
+  };
+}
+
+/**
+ * Renders the template draft for a category
+ * Sentences, greetings or sign-offs using a banned phrase are left out.
+ * @param {string} category - Focus type (one of PatternFocusTypes)
+ * @param {Object} options - { profile, slots, apologize }
+ *   profile: creator profile (default: the bundled neutral one)
+ *   slots: from getDraftSlots
+ *   apologize: start with the apology line
+ * @returns {Object} - { text, missing_slots }, text null when every sentence is banned
+ */
+function renderDraft(category, options = {}) {
+  const profile = options.profile || DEFAULT_PROFILE;
+  const slots = options.slots || getDraftSlots(null);
+  const templates = profile.templates[category] || TEMPLATES.categories[category] || TEMPLATES.categories.General;
+  const template = templates.find(text => templateSlots(text).every(slot => slots[slot])) || templates[templates.length - 1];
+  const allowed = text => findBannedPhrases(text, profile.banned_phrases).length === 0;
+
+  const body = `${options.apologize ? `${TEMPLATES.apology} ` : ''}${template.replace(SLOT_PATTERN, (match, slot) => slots[slot])}`
+    .split(/(?<=[.!?])\s+/)
+    .filter(allowed)
+    .join(' ');
+  const tone = TEMPLATES.tones[profile.tone];
+  const greeting = profile.greeting || tone.greeting;
+  const signOff = profile.sign_off || tone.sign_off;
+  const closing = [allowed(signOff) ? (profile.signature ? `${signOff},` : signOff) : null, profile.signature]
+    .filter(Boolean)
+    .join('\n');
+
+  return {
+    text: body ? [allowed(greeting) ? greeting : null, body, closing || null].filter(Boolean).join('\n\n') : null,
+    missing_slots: templateSlots(templates[0]).filter(slot => !slots[slot])
+  };
+}
+
+/**
+ * Asks the LLM to polish a template draft
+ * @param {string} text - Template draft
+ * @param {Object} provider - LLM provider (see src/providers)
+ * @param {Object} options - { profile, slots, signal }
+ * @returns {Promise<Object>} - { status, text, reason, tokens_used }
+ *   status: 'polished', 'rejected' (invalid, banned phrase or changed details) or 'failed' (provider error)
+ * @throws {Error} with code 'request_cancelled' if the signal aborts
+ */
+async function polishDraft(text, provider, options = {}) {
+  const profile = options.profile || DEFAULT_PROFILE;
+  let completion;
+  throwIfCancelled(options.signal, 'Draft polishing');
+  try {
+    completion = await provider.complete({
+      messages: buildDraftPolishMessages(text, profile),
+      temperature: 0.5,
+      signal: options.signal
+    });
+  } catch (error) {
+    if (isCancelledError(error)) {
+      throw error;
+    }
+    throwIfCancelled(options.signal, 'Draft polishing');
+    console.warn('⚠️  Draft polishing failed:', error.message);
+    return { status: 'failed', text: null, reason: error.message, tokens_used: error.tokens_used || 0 };
+  }
+
+  const tokensUsed = completion.usage.total_tokens;
+  const rejected = reason => {
+    console.warn(`⚠️  Polished draft rejected: ${reason}`);
+    return { status: 'rejected', text: null, reason, tokens_used: tokensUsed };
+  };
+
+  const json = extractJsonObject(completion.content);
+  let parsed;
+  try {
+    parsed = PolishedDraftSchema.safeParse(json ? JSON.parse(json) : null);
+  } catch (error) {
+    return rejected(`response is not valid JSON (${error.message})`);
+  }
+  if (!parsed.success) {
+    return rejected(parsed.error.issues.map(issue => issue.message).join('; '));
+  }
+
+  const polished = parsed.data.text;
+  const banned = findBannedPhrases(polished, profile.banned_phrases);
+  if (banned.length > 0) {
+    return rejected(`uses the banned phrase "${banned[0]}"`);
+  }
+  const kept = [...Object.values(options.slots || {}), profile.signature].filter(value => value && text.includes(value));
+  const dropped = kept.find(value => !polished.includes(value));
+  if (dropped) {
+    return rejected(`dropped "${dropped}"`);
+  }
+
+  return { status: 'polished', text: polished, reason: null, tokens_used: tokensUsed };
+}
+
+/**
+ * Tells why a classified message gets no draft
+ * @param {Object} classification - Classification object
+ * @param {Object} metadata - Classification metadata
+ * @param {Object} options - { requireReply } skip messages that need no reply
+ * @returns {string|null} - 'spam', 'quarantined' or 'no_reply_needed', or null to draft
+ */
+function getDraftSkipReason(classification, metadata, options = {}) {
+  if (classification.focus_summary_type === SPAM_FOCUS_TYPE) {
+    return 'spam';
+  }
+  if (metadata.quarantined) {
+    return 'quarantined';
+  }
+  if (options.requireReply && !classification.needs_reply) {
+    return 'no_reply_needed';
+  }
+  return null;
+}
+
+/**
+ * Drafts a reply to a classified message
+ * @param {Object} classification - Classification object (with entities, sentiment, escalation_risk)
+ * @param {Object} options - { profile, category, polish, provider, signal }
+ *   profile: creator profile (default: the bundled neutral one)
+ *   category: draft for this focus type instead of the classified one
+ *   polish: 'llm' to polish with the provider, 'unavailable' when the LLM can't be used, or false
+ * @returns {Promise<Object>} - { draft, metadata }
+ *   draft: validated by createDraftSchema with the profile's banned phrases, or null
+ *   metadata: { polish, polish_reason?, tokens_used } or { skipped: 'banned_phrases', tokens_used }
+ *   polish: 'off', 'unavailable', or the status from polishDraft
+ * @throws {Error} with code 'invalid_draft' if the draft fails its schema,
+ *   or with code 'request_cancelled' if the signal aborts
+ */
+async function generateDraft(classification, options = {}) {
+  const profile = options.profile || DEFAULT_PROFILE;
+  const category = options.category || classification.focus_summary_type;
+  const slots = getDraftSlots(classification.entities);
+  const apologize = (classification.sentiment ?? 0) <= APOLOGY_SENTIMENT ||
+    (classification.escalation_risk ?? 0) >= APOLOGY_ESCALATION_RISK;
+
+  const rendered = renderDraft(category, { profile, slots, apologize });
+  if (!rendered.text) {
+    console.warn(`⚠️  No draft: every ${category} template sentence uses a banned phrase of profile ${profile.id}`);
+    return { draft: null, metadata: { skipped: 'banned_phrases', tokens_used: 0 } };
+  }
+
+  let polished = { status: options.polish || 'off', text: null, reason: null, tokens_used: 0 };
+  if (options.polish === 'llm') {
+    polished = await polishDraft(rendered.text, options.provider, { profile, slots, signal: options.signal });
+  }
+
+  const draft = {
+    category,
+    profile: profile.id,
+    tone: profile.tone,
+    text: rendered.text.slice(0, MAX_DRAFT_LENGTH),
+    polished: polished.text,
+    slots,
+    missing_slots: rendered.missing_slots
+  };
+  const validation = createDraftSchema(profile.banned_phrases).safeParse(draft);
+  if (!validation.success) {
+    const error = new Error('Invalid reply draft');
+    error.code = 'invalid_draft';
+    error.details = validation.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; ');
+    error.tokens_used = polished.tokens_used;
+    throw error;
+  }
+
+  return {
+    draft: validation.data,
+    metadata: {
+      polish: polished.status,
+      ...(polished.reason && { polish_reason: polished.reason }),
+      tokens_used: polished.tokens_used
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  TEMPLATES,
+  validateDraftProfiles,
+  loadDraftProfiles,
+  createProfileRegistry,
+  getDraftSlots,
+  renderDraft,
+  polishDraft,
+  getDraftSkipReason,
+  generateDraft
+};
@@ -0,0 +1,362 @@
+/**
+ * Offline evaluation of the classifier against labeled datasets
+ * Runs the pipeline in heuristic, llm or hybrid mode and scores the predictions
+ */
+
+const fs = require('fs');
+const { validateMessage } = require('./heuristics/validator');
+const { FocusSummaryTypes } = require('./schema');
+const { runHeuristicStage, runLLMStage, buildSpamResult } = require('./pipeline');
+const { detectSpam } = require('./heuristics/spam');
+const { mapWithConcurrency } = require('./utils/concurrency');
+const { DEFAULT_PROMPT_VERSION, getPromptHash } = require('./prompts');
+
+const EVAL_MODES = ['heuristic', 'llm', 'hybrid'];
+const NO_PREDICTION = '(none)';
+// Relative dates in unstamped items resolve against this fixed Monday morning,
+// so deadline-based time scores don't change with the day the eval runs
+const DEFAULT_REFERENCE_TIME = '2025-11-03T09:00:00.000Z';
+
+const EMPTY_HEURISTIC = {
+  business_value_score: null,
+  time_sensitive_score: null,
+  needs_reply: null,
+  focus_summary_type: null,
+  reason: null
+};
+
+/**
+ * Loads a labeled dataset and normalizes it to { id, message, expected, received_at } items
+ * Supports test-messages.json ({ messages: [{ name, text, expected, received_at? }] })
+ * and examples.json ({ examples: [{ message, classification }] })
+ * @param {string} filePath - Path to dataset JSON
+ * @returns {Array} - Normalized dataset items
+ * @throws {Error} if the file has neither a messages nor an examples array
+ */
+function loadDataset(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  if (Array.isArray(data.messages)) {
+    return data.messages.map((item, index) => ({
+      id: item.name || `message-${index + 1}`,
+      message: item.text,
+      expected: item.expected || {},
+      received_at: item.received_at || null
+    }));
+  }
+
+  if (Array.isArray(data.examples)) {
+    return data.examples.map((item, index) => ({
+      id: `example-${index + 1}`,
+      message: item.message,
+      expected: item.classification || {},
+      received_at: null
+    }));
+  }
+
+  throw new Error(`Unrecognized dataset format in ${filePath}: expected a "messages" or "examples" array`);
+}
+
+/**
+ * Predicts a classification for one dataset item
+ * @param {Object} item - Dataset item
+ * @param {string} mode - heuristic | llm | hybrid
+ * @param {Object|null} provider - LLM provider (unused in heuristic mode)
+ * @param {number} threshold - Heuristic confidence threshold (optional)
+ * @param {string} referenceTime - Reference time for items without received_at
+ * @param {string} promptVersion - Prompt version name for LLM calls (default: DEFAULT_PROMPT_VERSION)
+ * @returns {Promise<Object>} - Evaluation record
+ */
+async function predictItem(item, mode, provider, threshold, referenceTime = DEFAULT_REFERENCE_TIME, promptVersion = DEFAULT_PROMPT_VERSION) {
+  const record = {
+    id: item.id,
+    expected: item.expected,
+    valid: false,
+    predicted: null,
+    method: null,
+    heuristic_conclusive: false,
+    tokens_used: 0,
+    repaired: false,
+    error: null
+  };
+
+  const validation = validateMessage(item.message);
+  if (!validation.valid) {
+    record.error = validation.error;
+    return record;
+  }
+  record.valid = true;
+
+  const itemReferenceTime = item.received_at || referenceTime;
+  const { heuristic, entities, isConclusive } = runHeuristicStage(validation.sanitized, {
+    threshold,
+    referenceTime: itemReferenceTime
+  });
+  record.heuristic_conclusive = isConclusive;
+
+  // Spam is answered locally, as in classifyMessage; llm mode measures the LLM alone
+  const spamScan = mode === 'llm' ? null : detectSpam(validation.sanitized);
+  if (spamScan && spamScan.detected) {
+    record.predicted = buildSpamResult(heuristic, spamScan).classification;
+    record.method = 'spam';
+    return record;
+  }
+
+  if (mode === 'heuristic' || (mode === 'hybrid' && isConclusive)) {
+    record.predicted = heuristic;
+    record.method = 'heuristic';
+    return record;
+  }
+
+  try {
+    const hints = mode === 'hybrid' ? heuristic : EMPTY_HEURISTIC;
+    const result = await runLLMStage(validation.sanitized, hints, provider, {
+      entities,
+      referenceTime: itemReferenceTime,
+      promptVersion,
+      // Unrepairable responses are reported as errors rather than hidden by the heuristic fallback
+      repair: { fallback: false }
+    });
+    record.predicted = result.classification;
+    record.method = 'llm';
+    record.tokens_used = result.metadata.tokens_used;
+    record.repaired = result.metadata.repairs.length > 0;
+  } catch (error) {
+    record.error = error.details ? `${error.message}: ${error.details}` : error.message;
+  }
+
+  return record;
+}
+
+/**
+ * Rounds a metric for stable, diffable reports
+ * @param {number} value - Value to round
+ * @returns {number} - Value rounded to 4 decimal places
+ */
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Computes accuracy for a categorical field over labeled records
+ * A missing prediction counts as incorrect.
+ * @param {Array} records - Evaluation records
+ * @param {string} field - Field name
+ * @returns {Object} - { correct, total, accuracy }
+ */
+function computeAccuracy(records, field) {
+  const labeled = records.filter(r => r.predicted && r.expected[field] !== undefined);
+  const correct = labeled.filter(r => r.predicted[field] === r.expected[field]).length;
+
+  return {
+    correct,
+    total: labeled.length,
+    accuracy: labeled.length > 0 ? round(correct / labeled.length) : null
+  };
+}
+
+/**
+ * Computes mean absolute error for a score field
+ * Records without a predicted score are counted as missing, not as error.
+ * @param {Array} records - Evaluation records
+ * @param {string} field - Field name
+ * @returns {Object} - { mae, count, missing }
+ */
+function computeMAE(records, field) {
+  const labeled = records.filter(r => r.predicted && typeof r.expected[field] === 'number');
+  const scored = labeled.filter(r => typeof r.predicted[field] === 'number');
+  const totalError = scored.reduce((sum, r) => sum + Math.abs(r.predicted[field] - r.expected[field]), 0);
+
+  return {
+    mae: scored.length > 0 ? round(totalError / scored.length) : null,
+    count: scored.length,
+    missing: labeled.length - scored.length
+  };
+}
+
+/**
+ * Builds a confusion matrix for focus_summary_type
+ * Rows are expected labels, columns are predicted labels
+ * @param {Array} records - Evaluation records
+ * @returns {Object} - { labels, matrix }
+ */
+function computeConfusionMatrix(records) {
+  const labels = [...FocusSummaryTypes, NO_PREDICTION];
+  const matrix = {};
+
+  for (const expected of FocusSummaryTypes) {
+    matrix[expected] = Object.fromEntries(labels.map(label => [label, 0]));
+  }
+
+  for (const record of records) {
+    const expected = record.expected.focus_summary_type;
+    if (!record.predicted || !matrix[expected]) {
+      continue;
+    }
+    const predicted = record.predicted.focus_summary_type || NO_PREDICTION;
+    matrix[expected][predicted]++;
+  }
+
+  return { labels, matrix };
+}
+
+/**
+ * Computes the evaluation report from records
+ * @param {Array} records - Evaluation records
+ * @param {Object} info - Run info (mode, dataset, provider, model, prompt_version, prompt_hash)
+ * @returns {Object} - Report
+ */
+function computeReport(records, info) {
+  const evaluated = records.filter(r => r.predicted);
+  const conclusive = records.filter(r => r.heuristic_conclusive).length;
+  const validated = records.filter(r => r.valid).length;
+
+  return {
+    ...info,
+    summary: {
+      items: records.length,
+      evaluated: evaluated.length,
+      skipped: records.length - evaluated.length,
+      heuristic_count: evaluated.filter(r => r.method === 'heuristic').length,
+      llm_count: evaluated.filter(r => r.method === 'llm').length,
+      spam_count: evaluated.filter(r => r.method === 'spam').length,
+      repaired_count: records.filter(r => r.repaired).length,
+      tokens_used: records.reduce((sum, r) => sum + r.tokens_used, 0)
+    },
+    accuracy: {
+      needs_reply: computeAccuracy(evaluated, 'needs_reply'),
+      focus_summary_type: computeAccuracy(evaluated, 'focus_summary_type')
+    },
+    mean_absolute_error: {
+      time_sensitive_score: computeMAE(evaluated, 'time_sensitive_score'),
+      business_value_score: computeMAE(evaluated, 'business_value_score')
+    },
+    heuristic_coverage: {
+      conclusive,
+      total: validated,
+      rate: validated > 0 ? round(conclusive / validated) : null
+    },
+    confusion_matrix: computeConfusionMatrix(evaluated),
+    errors: records
+      .filter(r => r.error)
+      .map(r => ({ id: r.id, error: r.error }))
+  };
+}
+
+/**
+ * Runs the classifier over a dataset and scores it
+ * @param {Array} dataset - Normalized dataset items (see loadDataset)
+ * @param {Object} options - { mode, provider, concurrency, confidenceThreshold, referenceTime, datasetName, promptVersion }
+ *   referenceTime: reference time for items without received_at (default: DEFAULT_REFERENCE_TIME)
+ *   promptVersion: prompt version name for LLM calls (default: DEFAULT_PROMPT_VERSION)
+ * @returns {Promise<Object>} - Report
+ * @throws {Error} if the mode is unknown, an LLM mode has no provider, or the prompt version is unknown
+ */
+async function runEvaluation(dataset, options = {}) {
+  const mode = options.mode || 'hybrid';
+  const provider = options.provider || null;
+
+  if (!EVAL_MODES.includes(mode)) {
+    throw new Error(`Unknown eval mode "${mode}". Expected one of: ${EVAL_MODES.join(', ')}`);
+  }
+  if (mode !== 'heuristic' && !provider) {
+    throw new Error(`Eval mode "${mode}" requires an LLM provider`);
+  }
+  const promptVersion = options.promptVersion || DEFAULT_PROMPT_VERSION;
+  const promptHash = getPromptHash(promptVersion);
+
+  const records = await mapWithConcurrency(dataset, options.concurrency || 1, item =>
+    predictItem(item, mode, provider, options.confidenceThreshold, options.referenceTime, promptVersion)
+  );
+
+  return computeReport(records, {
+    mode,
+    dataset: options.datasetName || null,
+    provider: mode === 'heuristic' ? null : provider.name,
+    model: mode === 'heuristic' ? null : provider.chatModel,
+    prompt_version: mode === 'heuristic' ? null : promptVersion,
+    prompt_hash: mode === 'heuristic' ? null : promptHash
+  });
+}
+
+/**
+ * Formats a percentage for markdown output
+ * @param {number|null} value - Ratio between 0 and 1
+ * @returns {string} - Formatted percentage or n/a
+ */
+function formatPercent(value) {
+  return value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Formats a report as markdown
+ * @param {Object} report - Report from runEvaluation
+ * @returns {string} - Markdown report
+ */
+function formatMarkdownReport(report) {
+  const lines = [];
+  const { summary, accuracy, mean_absolute_error: mae, heuristic_coverage: coverage } = report;
+
+  lines.push(`# Classifier Evaluation (${report.mode})`);
+  lines.push('');
+  lines.push(`- Dataset: ${report.dataset || 'n/a'}`);
+  lines.push(`- Provider: ${report.provider || 'n/a'}${report.model ? ` (${report.model})` : ''}`);
+  lines.push(`- Prompt version: ${report.prompt_version ? `${report.prompt_version} (${report.prompt_hash})` : 'n/a'}`);
+  lines.push(`- Items: ${summary.items} (${summary.evaluated} evaluated, ${summary.skipped} skipped)`);
+  lines.push(`- Methods: ${summary.heuristic_count} heuristic, ${summary.llm_count} llm, ${summary.spam_count} spam`);
+  lines.push(`- Repaired LLM responses: ${summary.repaired_count}`);
+  lines.push(`- Tokens used: ${summary.tokens_used}`);
+  lines.push('');
+
+  lines.push('## Accuracy');
+  lines.push('');
+  lines.push('| Field | Correct | Total | Accuracy |');
+  lines.push('| --- | --- | --- | --- |');
+  for (const [field, result] of Object.entries(accuracy)) {
+    lines.push(`| ${field} | ${result.correct} | ${result.total} | ${formatPercent(result.accuracy)} |`);
+  }
+  lines.push('');
+
+  lines.push('## Mean Absolute Error');
+  lines.push('');
+  lines.push('| Field | MAE | Scored | Missing |');
+  lines.push('| --- | --- | --- | --- |');
+  for (const [field, result] of Object.entries(mae)) {
+    lines.push(`| ${field} | ${result.mae === null ? 'n/a' : result.mae.toFixed(4)} | ${result.count} | ${result.missing} |`);
+  }
+  lines.push('');
+
+  lines.push('## Heuristic Coverage');
+  lines.push('');
+  lines.push(`${coverage.conclusive}/${coverage.total} valid messages resolved by heuristics (${formatPercent(coverage.rate)})`);
+  lines.push('');
+
+  lines.push('## Confusion Matrix (rows: expected, columns: predicted)');
+  lines.push('');
+  const { labels, matrix } = report.confusion_matrix;
+  lines.push(`| | ${labels.join(' | ')} |`);
+  lines.push(`| --- | ${labels.map(() => '---').join(' | ')} |`);
+  for (const [expected, row] of Object.entries(matrix)) {
+    lines.push(`| **${expected}** | ${labels.map(label => row[label]).join(' | ')} |`);
+  }
+
+  if (report.errors.length > 0) {
+    lines.push('');
+    lines.push('## Skipped Items');
+    lines.push('');
+    for (const { id, error } of report.errors) {
+      lines.push(`- ${id}: ${error}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  EVAL_MODES,
+  DEFAULT_REFERENCE_TIME,
+  loadDataset,
+  runEvaluation,
+  computeReport,
+  formatMarkdownReport
+};
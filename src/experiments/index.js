@@ -0,0 +1,153 @@
+/**
+ * Prompt experiments
+ * Splits LLM traffic between named prompt versions (see PROMPT_VERSIONS in
+ * src/prompts.js) by percentage.
+ *
+ * Experiment file (PROMPT_EXPERIMENT_FILE):
+ *   {
+ *     "name": "deadline-rubric",
+ *     "assign_by": "message" | "client",
+ *     "variants": { "v1": 80, "v2": 20 }
+ *   }
+ *
+ * Assignment is sticky: the bucket is a hash of the experiment name and the
+ * message (or the client id), so a retried message always gets the same
+ * prompt version. Requests without a client id fall back to the message hash.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { PROMPT_VERSIONS, DEFAULT_PROMPT_VERSION } = require('../prompts');
+
+const ASSIGN_BY = ['message', 'client'];
+
+/**
+ * Hashes a sanitized message (used for sticky assignment and outcome records)
+ * @param {string} message - Sanitized message
+ * @returns {string} - 16-character hex hash
+ */
+function hashMessage(message) {
+  return crypto.createHash('sha256').update(message).digest('hex').slice(0, 16);
+}
+
+/**
+ * Validates an experiment config
+ * @param {Object} config - Parsed experiment file
+ * @returns {Object} - { valid, errors }
+ */
+function validateExperiment(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return { valid: false, errors: ['experiment must be an object'] };
+  }
+  if (typeof config.name !== 'string' || config.name.trim() === '') {
+    errors.push('name must be a non-empty string');
+  }
+  if (config.assign_by !== undefined && !ASSIGN_BY.includes(config.assign_by)) {
+    errors.push(`assign_by must be one of: ${ASSIGN_BY.join(', ')}`);
+  }
+
+  const variants = config.variants;
+  if (!variants || typeof variants !== 'object' || Array.isArray(variants) || Object.keys(variants).length === 0) {
+    errors.push('variants must map prompt versions to percentages');
+  } else {
+    let total = 0;
+    for (const [version, percent] of Object.entries(variants)) {
+      if (!Object.prototype.hasOwnProperty.call(PROMPT_VERSIONS, version)) {
+        errors.push(`variants.${version}: unknown prompt version`);
+      }
+      if (!Number.isInteger(percent) || percent < 0) {
+        errors.push(`variants.${version}: percentage must be a non-negative integer`);
+      }
+      total += Number.isInteger(percent) ? percent : 0;
+    }
+    if (total !== 100) {
+      errors.push(`variants must add up to 100 (got ${total})`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Loads and validates an experiment file
+ * @param {string} filePath - Path to the experiment JSON
+ * @returns {Object} - Experiment { name, assign_by, variants }
+ * @throws {Error} with code 'invalid_experiment' and details if it can't be used
+ */
+function loadExperiment(filePath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    const invalid = new Error(`Could not load prompt experiment ${filePath}`);
+    invalid.code = 'invalid_experiment';
+    invalid.details = error.message;
+    throw invalid;
+  }
+
+  const { valid, errors } = validateExperiment(config);
+  if (!valid) {
+    const invalid = new Error(`Invalid prompt experiment ${filePath}`);
+    invalid.code = 'invalid_experiment';
+    invalid.details = errors.join('; ');
+    throw invalid;
+  }
+
+  return { name: config.name, assign_by: config.assign_by || 'message', variants: config.variants };
+}
+
+/**
+ * Reads the prompt version used outside experiments from configuration
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {string} - Prompt version name (CLASSIFICATION_PROMPT_VERSION, default v1)
+ * @throws {Error} if the version is unknown
+ */
+function getDefaultPromptVersion(env = process.env) {
+  const version = env.CLASSIFICATION_PROMPT_VERSION || DEFAULT_PROMPT_VERSION;
+  if (!Object.prototype.hasOwnProperty.call(PROMPT_VERSIONS, version)) {
+    throw new Error(`Unknown CLASSIFICATION_PROMPT_VERSION "${version}". Expected one of: ${Object.keys(PROMPT_VERSIONS).join(', ')}`);
+  }
+  return version;
+}
+
+/**
+ * Picks the prompt version for a message
+ * @param {string} message - Sanitized message
+ * @param {Object} options - { experiment, clientId, defaultVersion }
+ *   experiment: loaded experiment, or null to always use the default version
+ *   clientId: caller-supplied client id, for experiments assigned by client
+ *   defaultVersion: version used outside an experiment (default: DEFAULT_PROMPT_VERSION)
+ * @returns {Object} - { prompt_version, experiment } (experiment name or null)
+ */
+function assignPromptVersion(message, options = {}) {
+  const experiment = options.experiment;
+  if (!experiment) {
+    return { prompt_version: options.defaultVersion || DEFAULT_PROMPT_VERSION, experiment: null };
+  }
+
+  const unit = experiment.assign_by === 'client' && options.clientId
+    ? `client:${options.clientId}`
+    : `message:${hashMessage(message)}`;
+  const bucket = parseInt(crypto.createHash('sha256').update(`${experiment.name}\n${unit}`).digest('hex').slice(0, 8), 16) % 100;
+
+  let cumulative = 0;
+  for (const [version, percent] of Object.entries(experiment.variants)) {
+    cumulative += percent;
+    if (bucket < cumulative) {
+      return { prompt_version: version, experiment: experiment.name };
+    }
+  }
+  // Unreachable for a validated experiment (percentages add up to 100)
+  return { prompt_version: options.defaultVersion || DEFAULT_PROMPT_VERSION, experiment: experiment.name };
+}
+
+module.exports = {
+  ASSIGN_BY,
+  hashMessage,
+  validateExperiment,
+  loadExperiment,
+  getDefaultPromptVersion,
+  assignPromptVersion
+};
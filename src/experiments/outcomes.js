@@ -0,0 +1,184 @@
+/**
+ * Prompt experiment outcomes
+ * Every LLM classification, LLM failure and feedback correction is appended
+ * to a JSON Lines file tagged with the prompt version, so versions can be
+ * compared on live traffic (node scripts/evaluate.js --outcomes <file>).
+ *
+ * Record types:
+ *   classification - { prompt_version, experiment, message_hash, cache, repairs, scores, tokens_used, latency_ms }
+ *   error          - { prompt_version, experiment, message_hash, code } (code 'degraded' for heuristic fallbacks)
+ *   correction     - { message_hash, scores } from POST /feedback; credited to the
+ *                    version that last classified the same message
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_OUTCOMES_FILE = path.join(__dirname, '../../.cache/prompt-outcomes.jsonl');
+const SCORE_FIELDS = ['needs_reply', 'time_sensitive_score', 'business_value_score', 'focus_summary_type'];
+
+/**
+ * Picks the scored fields of a classification
+ * @param {Object} classification - Classification result
+ * @returns {Object} - needs_reply, time_sensitive_score, business_value_score, focus_summary_type
+ */
+function pickScores(classification) {
+  return Object.fromEntries(SCORE_FIELDS.map(field => [field, classification[field] ?? null]));
+}
+
+/**
+ * Creates an append-only outcome log
+ * Writes are queued so records keep their order; failures are logged and
+ * never fail a request.
+ * @param {Object} options - { filePath, now }
+ * @returns {Object} - { filePath, record(entry) -> Promise }
+ */
+function createOutcomeLog(options = {}) {
+  const filePath = options.filePath || DEFAULT_OUTCOMES_FILE;
+  const now = options.now || Date.now;
+  let queue = fs.promises.mkdir(path.dirname(filePath), { recursive: true }).catch(() => {});
+
+  return {
+    filePath,
+
+    /**
+     * Appends a record
+     * @param {Object} entry - Record fields (type is required)
+     * @returns {Promise<void>} - Resolves once written
+     */
+    record(entry) {
+      const line = `${JSON.stringify({ at: new Date(now()).toISOString(), ...entry })}\n`;
+      queue = queue
+        .then(() => fs.promises.appendFile(filePath, line, 'utf8'))
+        .catch(error => console.warn('⚠️  Failed to record prompt outcome:', error.message));
+      return queue;
+    }
+  };
+}
+
+/**
+ * Reads an outcome log, skipping lines that are not valid JSON
+ * @param {string} filePath - Outcome log path
+ * @returns {Array} - Records in file order
+ */
+function readOutcomes(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        return [];
+      }
+    });
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function mean(values) {
+  return values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+}
+
+/**
+ * Summarizes outcomes per prompt version
+ * @param {Array} records - Outcome records (see readOutcomes)
+ * @returns {Object} - { versions: { [name]: summary } } with, per version:
+ *   classifications, errors, error_rate, repaired (responses that needed a repair or re-ask),
+ *   cache_hits, mean_tokens (cache misses only),
+ *   mean_latency_ms, mean scores, focus_distribution, corrections,
+ *   focus_corrections (corrected focus type differed) and correction_rate
+ */
+function summarizeOutcomes(records) {
+  const groups = new Map();
+  const lastClassification = new Map();
+
+  const groupFor = version => {
+    if (!groups.has(version)) {
+      groups.set(version, { classifications: [], errors: 0, corrections: [] });
+    }
+    return groups.get(version);
+  };
+
+  for (const record of records) {
+    if (record.type === 'classification' && record.prompt_version) {
+      groupFor(record.prompt_version).classifications.push(record);
+      lastClassification.set(record.message_hash, record);
+    } else if (record.type === 'error' && record.prompt_version) {
+      groupFor(record.prompt_version).errors++;
+    } else if (record.type === 'correction') {
+      const classified = lastClassification.get(record.message_hash);
+      if (classified) {
+        groupFor(classified.prompt_version).corrections.push({ classified, correction: record });
+      }
+    }
+  }
+
+  const versions = {};
+  for (const [version, group] of [...groups.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+    const { classifications, corrections } = group;
+    const attempts = classifications.length + group.errors;
+    const focusDistribution = {};
+    classifications.forEach(record => {
+      focusDistribution[record.focus_summary_type] = (focusDistribution[record.focus_summary_type] || 0) + 1;
+    });
+
+    versions[version] = {
+      classifications: classifications.length,
+      errors: group.errors,
+      error_rate: attempts > 0 ? round(group.errors / attempts) : null,
+      repaired: classifications.filter(record => record.cache !== 'hit' && record.repairs > 0).length,
+      cache_hits: classifications.filter(record => record.cache === 'hit').length,
+      mean_tokens: mean(classifications.filter(record => record.cache !== 'hit').map(record => record.tokens_used || 0)),
+      mean_latency_ms: mean(classifications.map(record => record.latency_ms).filter(Number.isFinite)),
+      mean_time_sensitive_score: mean(classifications.map(record => record.time_sensitive_score).filter(Number.isFinite)),
+      mean_business_value_score: mean(classifications.map(record => record.business_value_score).filter(Number.isFinite)),
+      focus_distribution: focusDistribution,
+      corrections: corrections.length,
+      focus_corrections: corrections.filter(({ classified, correction }) =>
+        classified.focus_summary_type !== correction.focus_summary_type
+      ).length,
+      correction_rate: classifications.length > 0 ? round(corrections.length / classifications.length) : null
+    };
+  }
+
+  return { versions };
+}
+
+/**
+ * Formats an outcome summary as markdown
+ * @param {Object} summary - Summary from summarizeOutcomes
+ * @param {string} source - Outcome log path, for the header
+ * @returns {string} - Markdown report
+ */
+function formatOutcomeReport(summary, source) {
+  const format = value => (value === null ? 'n/a' : String(value));
+  const lines = [
+    '# Prompt Version Outcomes',
+    '',
+    `- Source: ${source || 'n/a'}`,
+    '',
+    '| Version | Classified | Errors | Error rate | Repaired | Cache hits | Mean tokens | Mean latency (ms) | Mean time score | Mean value score | Corrections | Focus corrected | Correction rate |',
+    '| --- | --- | --- | --- | --- | --- | --- | --- | --- | --- | --- | --- | --- |'
+  ];
+
+  for (const [version, result] of Object.entries(summary.versions)) {
+    lines.push(`| ${version} | ${result.classifications} | ${result.errors} | ${format(result.error_rate)} | ${result.repaired} | ${result.cache_hits} | ` +
+      `${format(result.mean_tokens)} | ${format(result.mean_latency_ms)} | ${format(result.mean_time_sensitive_score)} | ` +
+      `${format(result.mean_business_value_score)} | ${result.corrections} | ${result.focus_corrections} | ${format(result.correction_rate)} |`);
+  }
+  lines.push('');
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  DEFAULT_OUTCOMES_FILE,
+  pickScores,
+  createOutcomeLog,
+  readOutcomes,
+  summarizeOutcomes,
+  formatOutcomeReport
+};
@@ -0,0 +1,44 @@
+/**
+ * Example ids and content hashes
+ * Kept apart from the store so the similarity search can label examples
+ * without loading the store.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Normalizes a message for exact duplicate detection
+ * Case, punctuation and whitespace differences are ignored.
+ * @param {string} message - Message text
+ * @returns {string} - Normalized text
+ */
+function normalizeMessage(message) {
+  return message.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Builds a stable id for an example from its message
+ * @param {string} message - Message text
+ * @returns {string} - Example id
+ */
+function buildExampleId(message) {
+  return `ex_${crypto.createHash('sha256').update(normalizeMessage(message)).digest('hex').slice(0, 12)}`;
+}
+
+/**
+ * Hashes a message together with the embedding model that embedded it
+ * Two items with the same hash can share a vector, so regenerating the store
+ * only embeds new or changed messages.
+ * @param {string} message - Message text
+ * @param {string} model - Embedding model
+ * @returns {string} - Content hash
+ */
+function buildContentHash(message, model) {
+  return crypto.createHash('sha256').update(`${model}\n${message}`).digest('hex').slice(0, 16);
+}
+
+module.exports = {
+  normalizeMessage,
+  buildExampleId,
+  buildContentHash
+};
@@ -0,0 +1,381 @@
+/**
+ * Few-shot example store with an approval queue
+ * Corrections submitted as feedback wait in a pending queue until a reviewer
+ * approves them, so one bad correction can't change the examples used for
+ * few-shot prompts. Every approval or rollback bumps the store version, and
+ * the history records what changed.
+ *
+ * The seed examples come from the bundled file written by
+ * scripts/generate-embeddings.js (src/examples_with_embeddings.json), which
+ * the store only reads. Runtime state lives in its own data file (default
+ * .cache/example-store.json):
+ *   { version, seed_version, model, examples: [...approved feedback], pending: [...], history: [...] }
+ * A new seed file version bumps the store version, so cached classifications
+ * made with the old seeds are not reused. Seed files without version or ids
+ * (older generated files) are upgraded on load, and feedback, pending items
+ * and history kept in them are moved to the data file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { cosine } = require('../utils/embeddings');
+const { normalizeMessage, buildExampleId, buildContentHash } = require('./ids');
+
+const DEFAULT_SEED_FILE = path.join(__dirname, '../examples_with_embeddings.json');
+const DEFAULT_STORE_FILE = path.join(__dirname, '../../.cache/example-store.json');
+// Examples at least this similar to a new one are reported as near-duplicates
+const DEFAULT_DUPLICATE_SIMILARITY = 0.95;
+
+/**
+ * Creates an error carrying a code for the HTTP layer
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {Object} details - Extra fields to attach (optional)
+ * @returns {Error} - Error with code
+ */
+function storeError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+}
+
+/**
+ * Strips the embedding from an example or pending item for API responses
+ * @param {Object} item - Stored example or pending item
+ * @returns {Object} - Item without its embedding
+ */
+function withoutEmbedding(item) {
+  const { embedding, ...rest } = item;
+  return rest;
+}
+
+/**
+ * Reads a JSON file
+ * @param {string} filePath - File to read
+ * @returns {Object|null} - Parsed JSON, or null if the file does not exist
+ * @throws {Error} with code 'invalid_example_store' if the file is not valid JSON
+ */
+function readStoreFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw storeError('invalid_example_store', `Could not load example store ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Creates an example store backed by a JSON data file, on top of read-only seed examples
+ * @param {Object} options - { filePath, seedFile, duplicateSimilarity, onChange, now }
+ *   filePath: data file for approved feedback, pending feedback and history
+ *     (default: .cache/example-store.json)
+ *   seedFile: bundled seed examples, never written (default: src/examples_with_embeddings.json)
+ *   duplicateSimilarity: cosine similarity reported as a near-duplicate (default 0.95)
+ *   onChange: called with (examples, version) after load and every change
+ *   now: clock function returning ms (for tests)
+ * @returns {Object} - Store with submit/approve/reject/rollback and read methods
+ */
+function createExampleStore(options = {}) {
+  const filePath = options.filePath || DEFAULT_STORE_FILE;
+  const seedFile = options.seedFile || DEFAULT_SEED_FILE;
+  const duplicateSimilarity = options.duplicateSimilarity || DEFAULT_DUPLICATE_SIMILARITY;
+  const onChange = options.onChange || (() => {});
+  const now = options.now || Date.now;
+
+  let seeds = [];
+  let state = { version: 1, seed_version: 1, model: null, examples: [], pending: [], history: [] };
+
+  function timestamp() {
+    return new Date(now()).toISOString();
+  }
+
+  function persist() {
+    const tmpPath = `${filePath}.tmp`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(state), 'utf8');
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function allExamples() {
+    return [...seeds, ...state.examples];
+  }
+
+  function changed() {
+    persist();
+    onChange(allExamples(), state.version);
+  }
+
+  /**
+   * Finds examples that duplicate or nearly duplicate a message
+   * @returns {Object} - { exact, similar: [{ id, similarity, focus_summary_type }] }
+   */
+  function findDuplicates(message, embedding) {
+    const normalized = normalizeMessage(message);
+    const examples = allExamples();
+    const exact = examples.find(example => normalizeMessage(example.message) === normalized) ||
+      state.pending.find(item => normalizeMessage(item.message) === normalized) ||
+      null;
+
+    const similar = examples
+      .filter(example => example.embedding && example.embedding.length === embedding.length)
+      .map(example => ({
+        id: example.id,
+        similarity: Math.round(cosine(example.embedding, embedding) * 10000) / 10000,
+        focus_summary_type: example.classification.focus_summary_type
+      }))
+      .filter(match => match.similarity >= duplicateSimilarity)
+      .sort((a, b) => b.similarity - a.similarity);
+
+    return { exact, similar };
+  }
+
+  function findPending(id) {
+    const item = state.pending.find(pending => pending.id === id);
+    if (!item) {
+      throw storeError('feedback_not_found', `No pending feedback with id ${id}`);
+    }
+    return item;
+  }
+
+  return {
+    filePath,
+    seedFile,
+
+    /**
+     * Loads the seed examples and the data file, upgrading older generated files
+     * A missing seed file has no seeds; a missing data file starts at the seed version.
+     * @throws {Error} with code 'invalid_example_store' if a file exists but is not valid JSON
+     */
+    load() {
+      const seedData = readStoreFile(seedFile) || {};
+      const seedVersion = seedData.version || 1;
+      const seedExamples = (seedData.examples || []).map(example => ({
+        id: example.id || buildExampleId(example.message),
+        source: example.source || 'seed',
+        version: example.version || 1,
+        ...example
+      }));
+      seeds = seedExamples.filter(example => example.source === 'seed');
+
+      // Older seed files also held the feedback; it moves to the data file
+      const data = readStoreFile(filePath) || {
+        version: seedVersion,
+        seed_version: seedVersion,
+        examples: seedExamples.filter(example => example.source === 'feedback'),
+        pending: seedData.pending || [],
+        history: (seedData.history || []).filter(entry => entry.action !== 'regenerate')
+      };
+      state = {
+        version: data.version || 1,
+        seed_version: data.seed_version || seedVersion,
+        model: seedData.model || data.model || null,
+        examples: data.examples || [],
+        pending: data.pending || [],
+        history: data.history || []
+      };
+
+      if (state.seed_version !== seedVersion) {
+        state.version += 1;
+        state.seed_version = seedVersion;
+        state.history.push({ version: state.version, action: 'regenerate', seed_version: seedVersion, at: timestamp() });
+        persist();
+      }
+      if (data.model && seedData.model && data.model !== seedData.model) {
+        console.warn(`⚠️  Example store ${filePath} holds ${data.model} embeddings but the seeds use ${seedData.model}; re-run scripts/generate-embeddings.js`);
+      }
+
+      onChange(allExamples(), state.version);
+      console.log(`✓ Example store v${state.version}: ${seeds.length} seed and ${state.examples.length} feedback examples, ${state.pending.length} pending review`);
+    },
+
+    /**
+     * Queues a corrected classification for review
+     * @param {Object} feedback - { message, classification, embedding, model, note, tenant }
+     *   message: sanitized message; classification: validated classification
+     *   embedding/model: the message embedding and the model that produced it
+     *   tenant: id of the submitting tenant (optional)
+     * @returns {Object} - Pending item (without embedding), with similar_examples
+     *   listing near-duplicates and conflicts naming those with another focus type
+     * @throws {Error} with code 'duplicate_example' or 'embedding_model_mismatch'
+     */
+    submit(feedback) {
+      // Similarity is meaningless between embeddings from different models
+      if (state.model && feedback.model && state.model !== feedback.model) {
+        throw storeError('embedding_model_mismatch', `Example store uses ${state.model} embeddings, not ${feedback.model}`);
+      }
+      const examples = allExamples();
+      const dimensions = examples.length > 0 ? examples[0].embedding.length : feedback.embedding.length;
+      if (feedback.embedding.length !== dimensions) {
+        throw storeError('embedding_model_mismatch', `Example store uses ${dimensions}-dimension embeddings, not ${feedback.embedding.length}`);
+      }
+
+      const { exact, similar } = findDuplicates(feedback.message, feedback.embedding);
+      if (exact) {
+        throw storeError('duplicate_example', 'An example with the same message already exists or is pending review', {
+          duplicate_of: exact.id
+        });
+      }
+
+      const item = {
+        id: `fb_${crypto.randomBytes(6).toString('hex')}`,
+        message: feedback.message,
+        classification: feedback.classification,
+        embedding: feedback.embedding,
+        ...(feedback.model && { content_hash: buildContentHash(feedback.message, feedback.model) }),
+        ...(feedback.note && { note: feedback.note }),
+        ...(feedback.tenant && { tenant: feedback.tenant }),
+        similar_examples: similar,
+        conflicts: similar
+          .filter(match => match.focus_summary_type !== feedback.classification.focus_summary_type)
+          .map(match => match.id),
+        submitted_at: timestamp()
+      };
+
+      state.pending.push(item);
+      state.model = state.model || feedback.model || null;
+      persist();
+      console.log(`📝 Feedback ${item.id} queued for review${item.conflicts.length > 0 ? ` (conflicts with ${item.conflicts.join(', ')})` : ''}`);
+      return withoutEmbedding(item);
+    },
+
+    /**
+     * Approves pending feedback, adding it to the examples as a new version
+     * @param {string} id - Pending feedback id
+     * @returns {Object} - { example, version }
+     * @throws {Error} with code 'feedback_not_found'
+     */
+    approve(id) {
+      const item = findPending(id);
+      const version = state.version + 1;
+      const example = {
+        id: item.id,
+        message: item.message,
+        classification: item.classification,
+        embedding: item.embedding,
+        ...(item.content_hash && { content_hash: item.content_hash }),
+        source: 'feedback',
+        version,
+        added_at: timestamp()
+      };
+
+      state.pending = state.pending.filter(pending => pending.id !== id);
+      state.examples.push(example);
+      state.version = version;
+      state.history.push({ version, action: 'approve', id, at: example.added_at });
+      changed();
+
+      console.log(`✅ Feedback ${id} approved (example store v${version})`);
+      return { example: withoutEmbedding(example), version };
+    },
+
+    /**
+     * Rejects pending feedback
+     * @param {string} id - Pending feedback id
+     * @param {string} reason - Why it was rejected (optional)
+     * @returns {Object} - The rejected item (without embedding)
+     * @throws {Error} with code 'feedback_not_found'
+     */
+    reject(id, reason) {
+      const item = findPending(id);
+
+      state.pending = state.pending.filter(pending => pending.id !== id);
+      state.history.push({
+        version: state.version,
+        action: 'reject',
+        id,
+        message: item.message,
+        ...(reason && { reason }),
+        at: timestamp()
+      });
+      persist();
+
+      console.log(`🚫 Feedback ${id} rejected`);
+      return withoutEmbedding(item);
+    },
+
+    /**
+     * Removes every feedback example added after a version
+     * Seed examples are read-only and stay. The rollback itself is a new
+     * version, so it can be audited in history.
+     * @param {number} targetVersion - Version to return to
+     * @returns {Object} - { version, removed } with the removed example ids
+     * @throws {Error} with code 'invalid_version' if the version is unknown
+     */
+    rollback(targetVersion) {
+      if (!Number.isInteger(targetVersion) || targetVersion < 1 || targetVersion > state.version) {
+        throw storeError('invalid_version', `version must be an integer between 1 and ${state.version}`);
+      }
+
+      const removed = state.examples.filter(example => example.version > targetVersion);
+      const version = state.version + 1;
+      state.examples = state.examples.filter(example => example.version <= targetVersion);
+      state.version = version;
+      state.history.push({
+        version,
+        action: 'rollback',
+        to: targetVersion,
+        removed: removed.map(example => ({ id: example.id, message: example.message })),
+        at: timestamp()
+      });
+      changed();
+
+      console.log(`⏪ Example store rolled back to v${targetVersion} (now v${version}, ${removed.length} removed)`);
+      return { version, removed: removed.map(example => example.id) };
+    },
+
+    /**
+     * Lists pending feedback, oldest first
+     * @param {Object} options - { tenant } to list only that tenant's submissions
+     * @returns {Array} - Pending items without embeddings
+     */
+    listPending(options = {}) {
+      return state.pending
+        .filter(item => !options.tenant || item.tenant === options.tenant)
+        .map(withoutEmbedding);
+    },
+
+    /**
+     * Gets the examples used for few-shot prompts
+     * @returns {Array} - Seed and approved feedback examples with embeddings
+     */
+    getExamples() {
+      return allExamples();
+    },
+
+    /**
+     * Gets the change history, oldest first
+     * @returns {Array} - History entries
+     */
+    getHistory() {
+      return state.history;
+    },
+
+    /**
+     * Summarizes the store for /health
+     * @returns {Object} - { file, seed_file, version, examples, pending }
+     */
+    getStatus() {
+      return {
+        file: filePath,
+        seed_file: seedFile,
+        version: state.version,
+        examples: seeds.length + state.examples.length,
+        pending: state.pending.length
+      };
+    }
+  };
+}
+
+module.exports = {
+  createExampleStore,
+  normalizeMessage,
+  buildExampleId,
+  buildContentHash,
+  DEFAULT_SEED_FILE,
+  DEFAULT_STORE_FILE,
+  DEFAULT_DUPLICATE_SIMILARITY
+};
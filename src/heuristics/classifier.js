@@ -3,118 +3,198 @@
  * Fast, rule-based classification using pattern matching
  */
 
-const { BUSINESS_PATTERNS, TIME_PATTERNS, REPLY_PATTERNS } = require('./patterns');
+const { getPatternSet } = require('./rules');
+const { detectLanguage } = require('./language');
+const { PatternFocusTypes } = require('../schema');
+
+// Smoothing mass added to every type, so a single weak hit is never certain
+const FOCUS_PRIOR = 0.1;
+// Repeated hits of one pattern stop adding evidence after this many
+const MAX_HITS_PER_PATTERN = 3;
+// Minimum focus confidence for skipping the LLM
+const DEFAULT_CONFIDENCE_THRESHOLD = 0.6;
+// Clause boundaries used to attribute time signals to individual labels
+const SEGMENT_BOUNDARY = /[.!?;\n]+|\s+[—–-]+\s+|\b(?:also|plus|additionally)\b/i;
 
 /**
  * Classifies a message using heuristic pattern matching
+ * The message language is detected first and selects the pattern set;
+ * undetected languages use the default (English) patterns.
  * @param {string} text - The message to classify
+ * @param {Object} options - { multiLabel } also detect every category as labels
  * @returns {Object} - Classification result with null values for unmatched fields
  */
-function heuristicClassify(text) {
+function heuristicClassify(text, options = {}) {
   const lower = text.toLowerCase();
+  const language = detectLanguage(text);
+  const patterns = getPatternSet(language);
   const result = {
     business_value_score: null,
     time_sensitive_score: null,
     needs_reply: null,
     focus_summary_type: null,
-    reason: null
+    reason: null,
+    focus_distribution: null,
+    focus_confidence: 0,
+    detected_language: language
   };
 
-  // Business value scoring
-  result.business_value_score = classifyBusinessValue(text, lower);
-  result.focus_summary_type = classifyFocusType(text, lower);
+  // Focus type and business value from weighted pattern evidence
+  const focus = scoreFocusTypes(text, lower, patterns);
+  result.focus_summary_type = focus.type;
+  result.business_value_score = focus.business_value_score;
+  result.focus_distribution = focus.distribution;
+  result.focus_confidence = focus.confidence;
 
   // Time sensitivity scoring
-  result.time_sensitive_score = classifyTimeSensitivity(text, lower);
+  result.time_sensitive_score = classifyTimeSensitivity(text, lower, patterns);
 
   // Reply needed
-  result.needs_reply = classifyReplyNeeded(text, lower);
+  result.needs_reply = classifyReplyNeeded(text, lower, patterns);
+
+  // Every detected category, primary first
+  if (options.multiLabel) {
+    result.labels = classifyFocusLabels(text, lower, focus, result.time_sensitive_score, patterns);
+  }
 
   return result;
 }
 
 /**
- * Determines business value score from message
+ * Counts how many times a pattern matches, respecting its condition
+ * @param {Object} pattern - Pattern with regex and optional condition function
  * @param {string} text - Original text
  * @param {string} lower - Lowercase text
- * @returns {number|null} - Business value score or null
+ * @returns {number} - Number of matches (0 if the condition fails)
  */
-function classifyBusinessValue(text, lower) {
-  // Check high value patterns
-  for (const pattern of BUSINESS_PATTERNS.HIGH_VALUE.patterns) {
-    if (testPattern(pattern, text, lower)) {
-      return BUSINESS_PATTERNS.HIGH_VALUE.score;
-    }
+function countPatternHits(pattern, text, lower) {
+  if (!testPattern(pattern, text, lower)) {
+    return 0;
   }
 
-  // Check medium-high value patterns
-  for (const pattern of BUSINESS_PATTERNS.MEDIUM_HIGH_VALUE.patterns) {
-    if (testPattern(pattern, text, lower)) {
-      return BUSINESS_PATTERNS.MEDIUM_HIGH_VALUE.score;
-    }
-  }
+  const globalRegex = new RegExp(pattern.regex.source, 'gi');
+  return (lower.match(globalRegex) || []).length;
+}
 
-  // Check medium value patterns
-  for (const pattern of BUSINESS_PATTERNS.MEDIUM_VALUE.patterns) {
-    if (testPattern(pattern, text, lower)) {
-      return BUSINESS_PATTERNS.MEDIUM_VALUE.score;
+/**
+ * Scores every focus type from weighted pattern hits
+ * Each hit adds its tier weight to the pattern's type (capped per pattern).
+ * Weights plus a smoothing prior are normalized into a probability
+ * distribution over PatternFocusTypes, so conflicting hits (e.g. "refund"
+ * and "love") split the probability and lower the confidence.
+ * @param {string} text - Original text
+ * @param {string} lower - Lowercase text
+ * @param {Object} patterns - Pattern set (default: the default language set)
+ * @returns {Object} - { type, business_value_score, distribution, confidence }
+ */
+function scoreFocusTypes(text, lower, patterns = getPatternSet()) {
+  const { BUSINESS_PATTERNS } = patterns;
+  const evidence = {};
+
+  // Tiers are ordered high to low, so a type keeps its highest business value
+  for (const valueLevel of Object.values(BUSINESS_PATTERNS)) {
+    for (const pattern of valueLevel.patterns) {
+      const hits = countPatternHits(pattern, text, lower);
+      if (hits === 0) {
+        continue;
+      }
+
+      if (!evidence[pattern.type]) {
+        evidence[pattern.type] = { weight: 0, business_value_score: valueLevel.score };
+      }
+      evidence[pattern.type].weight += valueLevel.weight * Math.min(hits, MAX_HITS_PER_PATTERN);
     }
   }
 
-  // Check low value patterns
-  for (const pattern of BUSINESS_PATTERNS.LOW_VALUE.patterns) {
-    if (testPattern(pattern, text, lower)) {
-      return BUSINESS_PATTERNS.LOW_VALUE.score;
+  // Pick the strongest type; ties go to the first (highest-tier) match
+  let type = null;
+  for (const [candidate, { weight }] of Object.entries(evidence)) {
+    if (type === null || weight > evidence[type].weight) {
+      type = candidate;
     }
   }
 
-  return null;
+  const totalWeight = Object.values(evidence).reduce((sum, e) => sum + e.weight, 0);
+  const total = totalWeight + FOCUS_PRIOR * PatternFocusTypes.length;
+  const distribution = Object.fromEntries(PatternFocusTypes.map(focusType => {
+    const weight = evidence[focusType] ? evidence[focusType].weight : 0;
+    return [focusType, Math.round(((weight + FOCUS_PRIOR) / total) * 10000) / 10000];
+  }));
+
+  return {
+    type,
+    business_value_score: type ? evidence[type].business_value_score : null,
+    distribution,
+    confidence: type ? distribution[type] : 0,
+    evidence
+  };
 }
 
 /**
- * Determines focus/category type from message
+ * Detects every category in a message, each with its own scores
+ * Business value comes from the highest tier the category matched. Time
+ * sensitivity comes from the clauses that mention the category, falling
+ * back to the whole message when those clauses carry no time signal.
  * @param {string} text - Original text
  * @param {string} lower - Lowercase text
- * @returns {string|null} - Focus type or null
+ * @param {Object} focus - Result of scoreFocusTypes (computed if omitted)
+ * @param {number|null} overallTime - Whole-message time score (computed if omitted)
+ * @param {Object} patterns - Pattern set (default: the default language set)
+ * @returns {Array} - [{ focus_summary_type, business_value_score, time_sensitive_score }], primary first
  */
-function classifyFocusType(text, lower) {
-  // Check all business patterns for type
+function classifyFocusLabels(text, lower, focus, overallTime, patterns = getPatternSet()) {
+  focus = focus || scoreFocusTypes(text, lower, patterns);
+  if (!focus.type) {
+    return [];
+  }
+  if (overallTime === undefined) {
+    overallTime = classifyTimeSensitivity(text, lower, patterns);
+  }
+
+  const { BUSINESS_PATTERNS } = patterns;
+  const segments = text.split(SEGMENT_BOUNDARY).map(segment => segment.trim()).filter(Boolean);
+  const patternsByType = {};
   for (const valueLevel of Object.values(BUSINESS_PATTERNS)) {
     for (const pattern of valueLevel.patterns) {
-      if (testPattern(pattern, text, lower)) {
-        return pattern.type;
-      }
+      (patternsByType[pattern.type] = patternsByType[pattern.type] || []).push(pattern);
     }
   }
 
-  return null;
+  return Object.entries(focus.evidence)
+    .sort(([typeA, a], [typeB, b]) => {
+      if (typeA === focus.type) return -1;
+      if (typeB === focus.type) return 1;
+      return b.weight - a.weight;
+    })
+    .map(([type, { business_value_score }]) => {
+      const segmentTimes = segments
+        .filter(segment => patternsByType[type].some(pattern => pattern.regex.test(segment.toLowerCase())))
+        .map(segment => classifyTimeSensitivity(segment, segment.toLowerCase(), patterns))
+        .filter(score => score !== null);
+
+      return {
+        focus_summary_type: type,
+        business_value_score,
+        time_sensitive_score: segmentTimes.length > 0 ? Math.max(...segmentTimes) : overallTime
+      };
+    });
 }
 
 /**
  * Determines time sensitivity score from message
  * @param {string} text - Original text
  * @param {string} lower - Lowercase text
+ * @param {Object} patterns - Pattern set (default: the default language set)
  * @returns {number|null} - Time sensitivity score or null
  */
-function classifyTimeSensitivity(text, lower) {
-  // Check urgent patterns
-  if (testPattern(TIME_PATTERNS.URGENT, text, lower)) {
-    return TIME_PATTERNS.URGENT.score;
-  }
+function classifyTimeSensitivity(text, lower, patterns = getPatternSet()) {
+  const { TIME_PATTERNS } = patterns;
 
-  // Check soon patterns
-  if (testPattern(TIME_PATTERNS.SOON, text, lower)) {
-    return TIME_PATTERNS.SOON.score;
-  }
-
-  // Check planning patterns
-  if (testPattern(TIME_PATTERNS.PLANNING, text, lower)) {
-    return TIME_PATTERNS.PLANNING.score;
-  }
-
-  // Check casual patterns
-  if (testPattern(TIME_PATTERNS.CASUAL, text, lower)) {
-    return TIME_PATTERNS.CASUAL.score;
+  // Rules are checked in rules file order, most urgent first
+  for (const rule of Object.values(TIME_PATTERNS)) {
+    if (testPattern(rule, text, lower)) {
+      return rule.score;
+    }
   }
 
   return null;
@@ -124,17 +204,17 @@ function classifyTimeSensitivity(text, lower) {
  * Determines if message needs a reply
  * @param {string} text - Original text
  * @param {string} lower - Lowercase text
+ * @param {Object} patterns - Pattern set (default: the default language set)
  * @returns {boolean|null} - Whether reply is needed or null
  */
-function classifyReplyNeeded(text, lower) {
-  // Check needs reply patterns
-  if (testPattern(REPLY_PATTERNS.NEEDS_REPLY, text, lower)) {
-    return REPLY_PATTERNS.NEEDS_REPLY.value;
-  }
+function classifyReplyNeeded(text, lower, patterns = getPatternSet()) {
+  const { REPLY_PATTERNS } = patterns;
 
-  // Check no reply patterns
-  if (testPattern(REPLY_PATTERNS.NO_REPLY, text, lower)) {
-    return REPLY_PATTERNS.NO_REPLY.value;
+  // Rules are checked in rules file order, reply indicators first
+  for (const rule of Object.values(REPLY_PATTERNS)) {
+    if (testPattern(rule, text, lower)) {
+      return rule.value;
+    }
   }
 
   return null;
@@ -160,38 +240,50 @@ function testPattern(pattern, text, lower) {
 }
 
 /**
- * Checks if heuristic result is conclusive (all fields have values)
+ * Checks if heuristic result is conclusive enough to skip the LLM
+ * All fields must have values and the confidence must reach the threshold
  * @param {Object} heuristic - Heuristic classification result
- * @returns {boolean} - Whether all required fields are non-null
+ * @param {number} threshold - Minimum confidence (default: DEFAULT_CONFIDENCE_THRESHOLD)
+ * @returns {boolean} - Whether the heuristic result can be used as-is
  */
-function isHeuristicConclusive(heuristic) {
+function isHeuristicConclusive(heuristic, threshold = DEFAULT_CONFIDENCE_THRESHOLD) {
   return heuristic.business_value_score !== null &&
          heuristic.time_sensitive_score !== null &&
          heuristic.needs_reply !== null &&
-         heuristic.focus_summary_type !== null;
+         heuristic.focus_summary_type !== null &&
+         getHeuristicConfidence(heuristic) >= threshold;
 }
 
 /**
  * Gets confidence score for heuristic classification (0.0 to 1.0)
+ * Field coverage (0.25 per non-null field) scaled by the probability of the
+ * chosen focus type. Results without a focus distribution (e.g. built by
+ * hand) count the focus type as certain.
  * @param {Object} heuristic - Heuristic classification result
  * @returns {number} - Confidence score
  */
 function getHeuristicConfidence(heuristic) {
-  let confidence = 0;
-  if (heuristic.business_value_score !== null) confidence += 0.25;
-  if (heuristic.time_sensitive_score !== null) confidence += 0.25;
-  if (heuristic.needs_reply !== null) confidence += 0.25;
-  if (heuristic.focus_summary_type !== null) confidence += 0.25;
-  return confidence;
+  let coverage = 0;
+  if (heuristic.business_value_score !== null) coverage += 0.25;
+  if (heuristic.time_sensitive_score !== null) coverage += 0.25;
+  if (heuristic.needs_reply !== null) coverage += 0.25;
+  if (heuristic.focus_summary_type !== null) coverage += 0.25;
+
+  const focusConfidence = heuristic.focus_distribution && heuristic.focus_summary_type !== null
+    ? heuristic.focus_confidence
+    : 1;
+
+  return Math.round(coverage * focusConfidence * 10000) / 10000;
 }
 
 module.exports = {
   heuristicClassify,
   isHeuristicConclusive,
   getHeuristicConfidence,
+  scoreFocusTypes,
+  classifyFocusLabels,
+  DEFAULT_CONFIDENCE_THRESHOLD,
   // Export individual functions for testing
-  classifyBusinessValue,
-  classifyFocusType,
   classifyTimeSensitivity,
   classifyReplyNeeded
 };
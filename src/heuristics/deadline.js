@@ -0,0 +1,169 @@
+/**
+ * Deadline-aware time sensitivity
+ * Resolves extracted dates into an actual deadline and scores urgency from the
+ * time remaining, so "by Friday" is urgent on Thursday but not a week ahead,
+ * and a date months away counts as planning.
+ */
+
+const { classifyTimeSensitivity, classifyFocusLabels, scoreFocusTypes } = require('./classifier');
+const { getPatternSet } = require('./rules');
+const { zonedTimeToDate, DEFAULT_TIMEZONE } = require('../utils/timezone');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Time remaining (hours) -> score anchors, interpolated linearly in between
+// Matches the prompt rubric: 1.0 urgent, 0.7 soon, 0.4 planning
+const DEADLINE_DECAY = [
+  [24, 1.0],
+  [72, 0.7],
+  [14 * 24, 0.4]
+];
+
+// A date without a time is due at the end of that local day
+const END_OF_DAY = '23:59:59';
+
+/**
+ * Converts a date entity value to the instant it is due
+ * @param {string} value - YYYY-MM-DD or YYYY-MM-DDTHH:MM
+ * @param {string} timezone - IANA timezone the date is written in
+ * @returns {Date} - Due instant
+ */
+function dateValueToInstant(value, timezone) {
+  const [day, time] = value.split('T');
+  return zonedTimeToDate(day, time || END_OF_DAY, timezone);
+}
+
+/**
+ * Picks the deadline from extracted dates
+ * Explicit deadlines ("by Friday") win over plain dates ("gig on Friday");
+ * within each, the soonest date is used. Plain dates already past are
+ * ignored, but a past deadline is kept: the message is overdue.
+ * @param {Array} dates - Date entities (see entities.js)
+ * @param {Object} options - { referenceTime, timezone }
+ * @returns {Object|null} - { deadline_at, overdue, date } or null if there is no deadline
+ */
+function resolveDeadline(dates, options = {}) {
+  const reference = new Date(options.referenceTime || Date.now()).getTime();
+  const timezone = options.timezone || DEFAULT_TIMEZONE;
+
+  const candidates = (dates || [])
+    .map(date => ({ date, dueAt: dateValueToInstant(date.value, timezone).getTime() }))
+    .filter(({ date, dueAt }) => dueAt >= reference || date.type === 'deadline')
+    .sort((a, b) => {
+      if (a.date.type !== b.date.type) return a.date.type === 'deadline' ? -1 : 1;
+      return a.dueAt - b.dueAt;
+    });
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const [chosen] = candidates;
+  return {
+    deadline_at: new Date(chosen.dueAt).toISOString(),
+    overdue: chosen.dueAt < reference,
+    date: chosen.date
+  };
+}
+
+/**
+ * Scores time sensitivity from the time left before a deadline
+ * @param {string|Date} deadlineAt - Deadline instant
+ * @param {string|Date} referenceTime - Instant to measure from (default: now)
+ * @returns {number} - Score between 0.4 and 1.0 (1.0 when overdue), rounded to 2 decimals
+ */
+function scoreTimeRemaining(deadlineAt, referenceTime = Date.now()) {
+  const hoursLeft = (new Date(deadlineAt).getTime() - new Date(referenceTime).getTime()) / HOUR_MS;
+
+  if (hoursLeft <= DEADLINE_DECAY[0][0]) {
+    return DEADLINE_DECAY[0][1];
+  }
+
+  for (let i = 1; i < DEADLINE_DECAY.length; i++) {
+    const [hoursFrom, scoreFrom] = DEADLINE_DECAY[i - 1];
+    const [hoursTo, scoreTo] = DEADLINE_DECAY[i];
+    if (hoursLeft <= hoursTo) {
+      const score = scoreFrom + (scoreTo - scoreFrom) * (hoursLeft - hoursFrom) / (hoursTo - hoursFrom);
+      return Math.round(score * 100) / 100;
+    }
+  }
+
+  return DEADLINE_DECAY[DEADLINE_DECAY.length - 1][1];
+}
+
+/**
+ * Blanks out date mentions so time patterns only see non-date urgency words
+ * @param {string} text - Message text
+ * @param {Array} dates - Date entities found in the text
+ * @returns {string} - Text with each date mention replaced by spaces
+ */
+function maskDates(text, dates) {
+  return dates.reduce((masked, date) => masked.split(date.text).join(' '.repeat(date.text.length)), text);
+}
+
+/**
+ * Scores time sensitivity from a message's dates
+ * The score is the higher of the deadline score and the time patterns on the
+ * rest of the message, with date words blanked out.
+ * @param {string} message - The message the dates were extracted from
+ * @param {Array} dates - Date entities (see entities.js)
+ * @param {string|null} language - Detected language (picks the time patterns)
+ * @param {Object} options - { referenceTime, timezone }
+ * @returns {Object} - { deadline, score }: deadline from resolveDeadline (or null),
+ *   score null when neither the deadline nor the patterns apply
+ */
+function scoreDeadline(message, dates, language, options = {}) {
+  const deadline = resolveDeadline(dates, options);
+  const masked = maskDates(message, dates);
+  const patternScore = classifyTimeSensitivity(masked, masked.toLowerCase(), getPatternSet(language));
+  const deadlineScore = deadline ? scoreTimeRemaining(deadline.deadline_at, options.referenceTime) : null;
+
+  const scores = [patternScore, deadlineScore].filter(score => score !== null);
+  return { deadline, score: scores.length > 0 ? Math.max(...scores) : null };
+}
+
+/**
+ * Re-scores a heuristic result's time sensitivity using the message's dates
+ * Date words ("Friday", "3/14") stop counting as urgency on their own; the
+ * score becomes the higher of the deadline score and the time patterns on the
+ * rest of the message (so "ASAP" still scores 1.0). Multi-label time scores are
+ * recomputed the same way. Results without dates keep their pattern score.
+ * @param {Object} heuristic - Heuristic classification result
+ * @param {string} message - The message the dates were extracted from
+ * @param {Array} dates - Date entities (see entities.js)
+ * @param {Object} options - { referenceTime, timezone }
+ * @returns {Object} - Heuristic result with time_sensitive_score and deadline_at
+ */
+function applyDeadline(heuristic, message, dates, options = {}) {
+  if (!dates || dates.length === 0) {
+    return { ...heuristic, deadline_at: null };
+  }
+
+  const { deadline, score } = scoreDeadline(message, dates, heuristic.detected_language, options);
+  const result = {
+    ...heuristic,
+    time_sensitive_score: score,
+    deadline_at: deadline ? deadline.deadline_at : null
+  };
+
+  if (heuristic.labels) {
+    const patterns = getPatternSet(heuristic.detected_language);
+    const masked = maskDates(message, dates);
+    const maskedLower = masked.toLowerCase();
+    const focus = scoreFocusTypes(masked, maskedLower, patterns);
+    // Thread results can carry labels from an earlier turn; keep those as they are
+    if (focus.type === heuristic.focus_summary_type) {
+      result.labels = classifyFocusLabels(masked, maskedLower, focus, result.time_sensitive_score, patterns);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  DEADLINE_DECAY,
+  resolveDeadline,
+  scoreTimeRemaining,
+  scoreDeadline,
+  applyDeadline
+};
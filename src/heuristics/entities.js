@@ -0,0 +1,514 @@
+/**
+ * Local entity extraction
+ * Pulls dates/deadlines, money amounts, order/invoice numbers, emails and
+ * phone numbers out of a message with regexes, normalized for CRM use.
+ * Relative dates ("tomorrow", "by Friday") are resolved against a reference
+ * time, using calendar days in the sender's timezone.
+ */
+
+const { getZonedDay, DEFAULT_TIMEZONE } = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Yearless dates up to this many days in the past stay in the current year
+const RECENT_PAST_DAYS = 7;
+
+const MONTHS = {
+  jan: 0, january: 0, feb: 1, february: 1, mar: 2, march: 2, apr: 3, april: 3,
+  may: 4, jun: 5, june: 5, jul: 6, july: 6, aug: 7, august: 7, sep: 8, sept: 8,
+  september: 8, oct: 9, october: 9, nov: 10, november: 10, dec: 11, december: 11
+};
+
+// Month names outside English, January first; written day first ("5 de marzo", "5. März")
+const LOCAL_MONTHS = {
+  es: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'],
+  pt: ['janeiro', 'fevereiro', 'março', 'abril', 'maio', 'junho', 'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'],
+  fr: ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'],
+  de: ['januar', 'februar', 'märz', 'april', 'mai', 'juni', 'juli', 'august', 'september', 'oktober', 'november', 'dezember']
+};
+
+// Weekday names per language, Sunday first (matches Date#getUTCDay)
+const WEEKDAYS = {
+  en: [
+    ['sunday', 'sun'], ['monday', 'mon'], ['tuesday', 'tues', 'tue'], ['wednesday', 'wed'],
+    ['thursday', 'thurs', 'thur', 'thu'], ['friday', 'fri'], ['saturday', 'sat']
+  ],
+  es: [['domingo'], ['lunes'], ['martes'], ['miércoles', 'miercoles'], ['jueves'], ['viernes'], ['sábado', 'sabado']],
+  pt: [['domingo'], ['segunda-feira', 'segunda'], ['terça-feira', 'terça', 'terca'], ['quarta-feira', 'quarta'], ['quinta-feira', 'quinta'], ['sexta-feira', 'sexta'], ['sábado', 'sabado']],
+  fr: [['dimanche'], ['lundi'], ['mardi'], ['mercredi'], ['jeudi'], ['vendredi'], ['samedi']],
+  de: [['sonntag'], ['montag'], ['dienstag'], ['mittwoch'], ['donnerstag'], ['freitag'], ['samstag']]
+};
+
+// Words for days relative to the reference time, as day offsets
+const RELATIVE_DAYS = {
+  en: { today: 0, tonight: 0, tomorrow: 1 },
+  es: { hoy: 0, 'esta noche': 0, 'mañana': 1 },
+  pt: { hoje: 0, 'amanhã': 1 },
+  fr: { "aujourd'hui": 0, 'ce soir': 0, demain: 1 },
+  de: { 'heute abend': 0, heute: 0, morgen: 1 }
+};
+
+// Words right before a date that make it a deadline
+const DEADLINE_PREFIX = /(?:\b(?:by|before|until|till|due(?: on)?|no later than|deadline(?: is)?)|para el|antes del?|hasta el|até|avant|d'ici|bis|vor|spätestens)[\s:]*(?:the\s+|this\s+|el\s+|o\s+|le\s+|zum\s+)?$/i;
+
+const CURRENCY_SYMBOLS = { 'US$': 'USD', 'R$': 'BRL', 'C$': 'CAD', 'A$': 'AUD', '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY' };
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'BRL', 'MXN', 'JPY', 'CHF'];
+const CURRENCY_WORDS = { dollars: 'USD', bucks: 'USD', euros: 'EUR', pounds: 'GBP', reais: 'BRL' };
+const NUMBER = String.raw`\d{1,3}(?:[.,' ]\d{3})+(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?`;
+const BUDGET_WORDS = /\b(budget|presupuesto|orçamento|orcamento)\b/i;
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+// Placeholders left by PII redaction (see src/redaction.js)
+const PLACEHOLDER_PATTERN = /\[(EMAIL|PHONE|CARD|ADDRESS)_\d+\]/g;
+
+const REFERENCE_TYPES = {
+  order: 'order', pedido: 'order', commande: 'order', bestellung: 'order',
+  invoice: 'invoice', inv: 'invoice', factura: 'invoice', fatura: 'invoice', facture: 'invoice', rechnung: 'invoice',
+  ref: 'reference', reference: 'reference', booking: 'reference', ticket: 'reference'
+};
+
+/**
+ * Escapes a string for use inside a RegExp
+ * @param {string} value - Literal text
+ * @returns {string} - Escaped pattern
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Formats a UTC day as YYYY-MM-DD
+ * @param {number} dayMs - Milliseconds at UTC midnight
+ * @returns {string} - ISO date
+ */
+function formatDay(dayMs) {
+  return new Date(dayMs).toISOString().slice(0, 10);
+}
+
+/**
+ * Builds a UTC day, rejecting impossible dates like 2/30
+ * @param {number} year - Full year
+ * @param {number} month - Month (0-11)
+ * @param {number} day - Day of month
+ * @returns {number|null} - Milliseconds at UTC midnight, or null if invalid
+ */
+function utcDay(year, month, day) {
+  const ms = Date.UTC(year, month, day);
+  const date = new Date(ms);
+  return date.getUTCMonth() === month && date.getUTCDate() === day ? ms : null;
+}
+
+/**
+ * Picks the year for a date written without one
+ * Uses the reference year unless that puts the date more than
+ * RECENT_PAST_DAYS in the past, in which case it means next year.
+ * @param {number} month - Month (0-11)
+ * @param {number} day - Day of month
+ * @param {number} today - Reference day in ms at UTC midnight
+ * @returns {number|null} - Milliseconds at UTC midnight, or null if invalid
+ */
+function resolveYearless(month, day, today) {
+  const year = new Date(today).getUTCFullYear();
+  const thisYear = utcDay(year, month, day);
+  if (thisYear !== null && thisYear >= today - RECENT_PAST_DAYS * DAY_MS) {
+    return thisYear;
+  }
+  return utcDay(year + 1, month, day);
+}
+
+/**
+ * Expands a two-digit year
+ * @param {string} raw - Year as written
+ * @returns {number} - Full year
+ */
+function fullYear(raw) {
+  const year = parseInt(raw, 10);
+  return raw.length === 2 ? 2000 + year : year;
+}
+
+/**
+ * Parses a number written with thousands and decimal separators
+ * A single separator followed by exactly three digits is a thousands separator.
+ * @param {string} raw - Number as written (e.g. "2,000", "1.500,50", "49,99")
+ * @returns {number} - Parsed value
+ */
+function parseAmount(raw) {
+  const compact = raw.replace(/[' ]/g, '');
+  const lastSeparator = Math.max(compact.lastIndexOf('.'), compact.lastIndexOf(','));
+  if (lastSeparator === -1) {
+    return Number(compact);
+  }
+
+  const decimals = compact.length - lastSeparator - 1;
+  const separators = new Set(compact.match(/[.,]/g));
+  if (decimals === 3 && separators.size === 1) {
+    return Number(compact.replace(/[.,]/g, ''));
+  }
+
+  const integer = compact.slice(0, lastSeparator).replace(/[.,]/g, '');
+  return Number(`${integer}.${compact.slice(lastSeparator + 1)}`);
+}
+
+/**
+ * Parses a time written right after a date ("at 7pm", "19:30")
+ * @param {string} following - Text after the date
+ * @returns {Object|null} - { time: 'HH:MM', length } or null
+ */
+function parseFollowingTime(following) {
+  const match = following.match(/^\s*(?:at|@|,|à|a las|às|um)?\s*(\d{1,2})(?::(\d{2}))?\s*(am|pm|h)?\b/i);
+  if (!match || (!match[2] && !match[3])) {
+    return null;
+  }
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = (match[3] || '').toLowerCase();
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+
+  return {
+    time: `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`,
+    length: match[0].length
+  };
+}
+
+/**
+ * Finds every match of a global regex as { start, end, match }
+ * @param {RegExp} regex - Global regex
+ * @param {string} text - Text to scan
+ * @returns {Array} - Matches with positions
+ */
+function scan(regex, text) {
+  return [...text.matchAll(regex)].map(match => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    match
+  }));
+}
+
+/**
+ * Finds date candidates in a message
+ * @param {string} text - Message text
+ * @param {number} today - Reference day in ms at UTC midnight
+ * @param {string|null} language - Detected language (selects names and D/M order)
+ * @returns {Array} - [{ start, end, day }]
+ */
+function findDates(text, today, language) {
+  const languages = ['en', ...(language && language !== 'en' && WEEKDAYS[language] ? [language] : [])];
+  const dayFirst = language !== null && language !== 'en';
+  const candidates = [];
+
+  // ISO dates: 2025-03-14
+  for (const { start, end, match } of scan(/\b(\d{4})-(\d{2})-(\d{2})\b/g, text)) {
+    candidates.push({ start, end, day: utcDay(+match[1], +match[2] - 1, +match[3]) });
+  }
+
+  // Numeric dates: 3/14, 3/14/25 (day first outside English, where 14.03. is also common)
+  const numeric = dayFirst ? /\b(\d{1,2})[/.](\d{1,2})(?:[/.](\d{4}|\d{2}))?\b\.?/g : /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?\b/g;
+  for (const { start, end, match } of scan(numeric, text)) {
+    const [first, second] = [parseInt(match[1], 10), parseInt(match[2], 10)];
+    const [month, day] = dayFirst ? [second - 1, first] : [first - 1, second];
+    const resolved = match[3] ? utcDay(fullYear(match[3]), month, day) : resolveYearless(month, day, today);
+    candidates.push({ start, end, day: resolved });
+  }
+
+  // Month names: March 14th, 14 March 2025
+  const monthNames = Object.keys(MONTHS).join('|');
+  const monthFirst = new RegExp(String.raw`\b(${monthNames})\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s+(\d{4}))?\b`, 'gi');
+  const dayFirstName = new RegExp(String.raw`\b(\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?(${monthNames})\.?(?:,?\s+(\d{4}))?\b`, 'gi');
+  for (const { start, end, match } of scan(monthFirst, text)) {
+    const month = MONTHS[match[1].toLowerCase()];
+    const day = parseInt(match[2], 10);
+    candidates.push({ start, end, day: match[3] ? utcDay(+match[3], month, day) : resolveYearless(month, day, today) });
+  }
+  for (const { start, end, match } of scan(dayFirstName, text)) {
+    const month = MONTHS[match[2].toLowerCase()];
+    const day = parseInt(match[1], 10);
+    candidates.push({ start, end, day: match[3] ? utcDay(+match[3], month, day) : resolveYearless(month, day, today) });
+  }
+
+  if (LOCAL_MONTHS[language]) {
+    const localNames = LOCAL_MONTHS[language];
+    const localMonth = new RegExp(
+      String.raw`(?<!\w)(\d{1,2})(?:er|º)?\.?\s+(?:de\s+)?(${localNames.map(escapeRegex).join('|')})(?:\s+(?:de\s+)?(\d{4}))?(?!\w)`,
+      'gi'
+    );
+    for (const { start, end, match } of scan(localMonth, text)) {
+      const month = localNames.indexOf(match[2].toLowerCase());
+      const day = parseInt(match[1], 10);
+      candidates.push({ start, end, day: match[3] ? utcDay(+match[3], month, day) : resolveYearless(month, day, today) });
+    }
+  }
+
+  // End of day / week / month
+  for (const { start, end, match } of scan(/\b(?:end of (?:the )?(day|week|month)|(eod|eow))\b/gi, text)) {
+    const unit = (match[1] || (match[2].toLowerCase() === 'eod' ? 'day' : 'week')).toLowerCase();
+    const weekday = new Date(today).getUTCDay();
+    let day = today;
+    if (unit === 'week' && weekday >= 1 && weekday <= 5) {
+      day = today + (5 - weekday) * DAY_MS;
+    } else if (unit === 'month') {
+      const date = new Date(today);
+      day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0);
+    }
+    candidates.push({ start, end, day });
+  }
+
+  for (const lang of languages) {
+    // Today, tonight, tomorrow
+    const relativeWords = Object.keys(RELATIVE_DAYS[lang]).sort((a, b) => b.length - a.length);
+    const relative = new RegExp(`(?<!\\w)(${relativeWords.map(escapeRegex).join('|')})(?!\\w)`, 'gi');
+    for (const { start, end, match } of scan(relative, text)) {
+      candidates.push({ start, end, day: today + RELATIVE_DAYS[lang][match[1].toLowerCase()] * DAY_MS });
+    }
+
+    // Weekdays: Friday, this Friday, next Friday
+    const names = WEEKDAYS[lang].flatMap((aliases, index) => aliases.map(alias => [alias, index]));
+    const nameIndex = Object.fromEntries(names);
+    const weekdayRegex = new RegExp(
+      `(?<!\\w)(?:(this|next|coming)\\s+)?(${names.map(([alias]) => escapeRegex(alias)).join('|')})(?!\\w)`,
+      'gi'
+    );
+    for (const { start, end, match } of scan(weekdayRegex, text)) {
+      const target = nameIndex[match[2].toLowerCase()];
+      const weekday = new Date(today).getUTCDay();
+      let offset = (target - weekday + 7) % 7;
+      // "next Friday" means next week's Friday when this week's is still ahead
+      const daysLeftInWeek = (7 - weekday) % 7;
+      if (match[1] && match[1].toLowerCase() === 'next' && offset <= daysLeftInWeek) {
+        offset += 7;
+      }
+      candidates.push({ start, end, day: today + offset * DAY_MS });
+    }
+  }
+
+  return candidates.filter(candidate => candidate.day !== null);
+}
+
+/**
+ * Finds money amount candidates in a message
+ * @param {string} text - Message text
+ * @returns {Array} - [{ start, end, value, currency }]
+ */
+function findAmounts(text) {
+  const symbols = Object.keys(CURRENCY_SYMBOLS).map(escapeRegex).join('|');
+  const codes = CURRENCY_CODES.join('|');
+  const words = Object.keys(CURRENCY_WORDS).join('|');
+  const candidates = [];
+
+  const symbolFirst = new RegExp(`(${symbols})\\s?(${NUMBER})(k)?(?!\\w)`, 'gi');
+  const codeFirst = new RegExp(`\\b(${codes})\\s?(${NUMBER})(k)?(?!\\w)`, 'gi');
+  const amountFirst = new RegExp(`(?<![\\w$€£¥])(${NUMBER})(k)?\\s?(${symbols}|${codes}|${words})(?!\\w)`, 'gi');
+
+  for (const { start, end, match } of scan(symbolFirst, text)) {
+    candidates.push({ start, end, raw: match[2], thousands: match[3], currency: CURRENCY_SYMBOLS[match[1].toUpperCase()] });
+  }
+  for (const { start, end, match } of scan(codeFirst, text)) {
+    candidates.push({ start, end, raw: match[2], thousands: match[3], currency: match[1].toUpperCase() });
+  }
+  for (const { start, end, match } of scan(amountFirst, text)) {
+    const unit = match[3];
+    const currency = CURRENCY_SYMBOLS[unit.toUpperCase()] || CURRENCY_WORDS[unit.toLowerCase()] || unit.toUpperCase();
+    candidates.push({ start, end, raw: match[1], thousands: match[2], currency });
+  }
+
+  return candidates.map(({ start, end, raw, thousands, currency }) => ({
+    start,
+    end,
+    currency,
+    value: Math.round(parseAmount(raw) * (thousands ? 1000 : 1) * 100) / 100
+  }));
+}
+
+/**
+ * Finds order, invoice and other reference numbers in a message
+ * @param {string} text - Message text
+ * @returns {Array} - [{ start, end, value, type }]
+ */
+function findReferences(text) {
+  const keywords = Object.keys(REFERENCE_TYPES).join('|');
+  const labeled = new RegExp(
+    `\\b(${keywords})\\s*(?:#|no\\.?|nr\\.?|n[º°]|number|num\\.?|:)?\\s*#?\\s*([A-Z0-9][A-Z0-9-]*\\d[A-Z0-9-]*)\\b`,
+    'gi'
+  );
+  const candidates = [];
+
+  for (const { start, end, match } of scan(labeled, text)) {
+    if (match[2].length >= 3) {
+      candidates.push({ start, end, value: match[2], type: REFERENCE_TYPES[match[1].toLowerCase()] });
+    }
+  }
+  for (const { start, end, match } of scan(/(?<!\w)#([A-Z0-9-]*\d[A-Z0-9-]*)\b/gi, text)) {
+    if (match[1].length >= 3) {
+      candidates.push({ start, end, value: match[1], type: 'reference' });
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Finds phone number candidates in a message
+ * International numbers (leading +) need 8-15 digits, others 10-15.
+ * @param {string} text - Message text
+ * @returns {Array} - [{ start, end, value }]
+ */
+function findPhones(text) {
+  return scan(/(?:\+|(?<![\w.,/-]))\d[\d\s().-]{6,}\d(?![\w/])/g, text)
+    .map(({ start, end, match }) => {
+      const digits = match[0].replace(/\D/g, '');
+      const international = match[0].startsWith('+');
+      return { start, end, international, digits, value: `${international ? '+' : ''}${digits}` };
+    })
+    .filter(({ digits, international }) => digits.length <= 15 && digits.length >= (international ? 8 : 10));
+}
+
+/**
+ * Keeps candidates that don't overlap spans already claimed by another entity
+ * Longer candidates win over shorter ones that start at the same place.
+ * @param {Array} candidates - [{ start, end, ... }]
+ * @param {Array} taken - Claimed spans (mutated)
+ * @returns {Array} - Accepted candidates in text order
+ */
+function claim(candidates, taken) {
+  const accepted = [];
+  const ordered = [...candidates].sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start);
+
+  for (const candidate of ordered) {
+    if (taken.some(span => candidate.start < span.end && span.start < candidate.end)) {
+      continue;
+    }
+    taken.push(candidate);
+    accepted.push(candidate);
+  }
+
+  return accepted.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Drops entities whose key repeats an earlier one
+ * @param {Array} entities - Entities in text order
+ * @param {Function} keyOf - Builds the identity key
+ * @returns {Array} - Unique entities
+ */
+function uniqueBy(entities, keyOf) {
+  const seen = new Set();
+  return entities.filter(entity => {
+    const key = keyOf(entity);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Extracts structured entities from a message
+ * @param {string} text - Message text
+ * @param {Object} options - { referenceTime, timezone, language }
+ *   referenceTime: Date or ISO string that relative dates are resolved against (default: now)
+ *   timezone: IANA timezone whose calendar days are used (default: UTC)
+ *   language: detected language (see language.js), selects weekday names and numeric date order
+ * @returns {Object} - { dates, amounts, references, emails, phones }, each entity with text, value and source 'local'
+ */
+function extractEntities(text, options = {}) {
+  const today = getZonedDay(options.referenceTime || Date.now(), options.timezone || DEFAULT_TIMEZONE);
+  const language = options.language || null;
+  const taken = [];
+  const textOf = ({ start, end }) => text.slice(start, end);
+
+  // Redaction placeholders first, so their digits aren't read as anything else;
+  // redacted emails and phones stay entities under their placeholders
+  const placeholders = claim(scan(PLACEHOLDER_PATTERN, text), taken);
+  const placeholdersOf = type => placeholders
+    .filter(candidate => candidate.match[1] === type)
+    .map(candidate => ({ ...candidate, value: textOf(candidate) }));
+  const inTextOrder = candidates => candidates.sort((a, b) => a.start - b.start);
+
+  // Emails next: they contain digits and dots that look like other entities
+  const emails = inTextOrder([...placeholdersOf('EMAIL'), ...claim(scan(EMAIL_PATTERN, text), taken)])
+    .map(candidate => ({ text: textOf(candidate), value: candidate.value || textOf(candidate).toLowerCase(), source: 'local' }));
+
+  const amounts = claim(findAmounts(text), taken).map(candidate => ({
+    text: textOf(candidate),
+    value: candidate.value,
+    currency: candidate.currency,
+    type: BUDGET_WORDS.test(text.slice(Math.max(0, candidate.start - 30), candidate.start)) ? 'budget' : 'amount',
+    source: 'local'
+  }));
+
+  const references = claim(findReferences(text), taken).map(candidate => ({
+    text: textOf(candidate),
+    value: candidate.value,
+    type: candidate.type,
+    source: 'local'
+  }));
+
+  const dates = claim(findDates(text, today, language), taken).map(candidate => {
+    const following = parseFollowingTime(text.slice(candidate.end));
+    const dateText = following
+      ? text.slice(candidate.start, candidate.end + following.length)
+      : textOf(candidate);
+    const isDeadline = DEADLINE_PREFIX.test(text.slice(Math.max(0, candidate.start - 30), candidate.start));
+    if (following) {
+      taken.push({ start: candidate.end, end: candidate.end + following.length });
+    }
+
+    return {
+      text: dateText.trim(),
+      value: following ? `${formatDay(candidate.day)}T${following.time}` : formatDay(candidate.day),
+      type: isDeadline ? 'deadline' : 'date',
+      source: 'local'
+    };
+  });
+
+  const phones = inTextOrder([...placeholdersOf('PHONE'), ...claim(findPhones(text), taken)])
+    .map(candidate => ({ text: textOf(candidate).trim(), value: candidate.value, source: 'local' }));
+
+  return {
+    dates: uniqueBy(dates, entity => `${entity.value}:${entity.type}`),
+    amounts: uniqueBy(amounts, entity => `${entity.value}:${entity.currency}`),
+    references: uniqueBy(references, entity => `${entity.type}:${entity.value.toLowerCase()}`),
+    emails: uniqueBy(emails, entity => entity.value),
+    phones: uniqueBy(phones, entity => entity.value)
+  };
+}
+
+/**
+ * Adds LLM-found entities that local extraction missed
+ * Local entities win; LLM entities with a value already found locally are dropped.
+ * @param {Object} local - Result of extractEntities
+ * @param {Object} llm - Validated LLM entities (see EntitiesSchema), or null
+ * @returns {Object} - Merged entities, LLM additions marked with source 'llm'
+ */
+function mergeEntities(local, llm) {
+  if (!llm) {
+    return local;
+  }
+
+  const keys = {
+    dates: entity => entity.value,
+    amounts: entity => `${entity.value}:${entity.currency}`,
+    references: entity => entity.value.toLowerCase(),
+    emails: entity => entity.value.toLowerCase(),
+    phones: entity => entity.value.replace(/[^\d+]/g, '')
+  };
+
+  return Object.fromEntries(Object.entries(keys).map(([category, keyOf]) => {
+    const known = new Set(local[category].map(keyOf));
+    const additions = (llm[category] || [])
+      .filter(entity => !known.has(keyOf(entity)))
+      .map(entity => ({ ...entity, source: 'llm' }));
+    return [category, uniqueBy([...local[category], ...additions], keyOf)];
+  }));
+}
+
+module.exports = {
+  extractEntities,
+  mergeEntities,
+  parseAmount,
+  findReferences,
+  findPhones,
+  EMAIL_PATTERN,
+  PLACEHOLDER_PATTERN
+};
@@ -0,0 +1,288 @@
+/**
+ * Prompt-injection detection
+ * Scores a message for text that tries to instruct the classifier instead of
+ * talking to the owner: "ignore previous instructions", fake system turns,
+ * "classify this as Booking", "set business_value_score to 1.0", or a
+ * message that closes the <<<...>>> block it is quoted in.
+ *
+ * Each signal has a weight; weights combine as independent evidence
+ * (1 - product of (1 - weight)), so one strong signal or two weak ones flag a
+ * message. Matching runs on a normalized copy (NFKC, lowercase, zero-width
+ * characters removed) so look-alike letters and hidden characters don't
+ * slip past.
+ *
+ * What happens to a flagged message is the injection policy:
+ *   - harden: classify with the hardened prompt (default)
+ *   - heuristic: serve the heuristic result, flagged degraded
+ *   - quarantine: skip classification and hold the message for review
+ * The policy applies even when the heuristics are conclusive, and the
+ * heuristics of a flagged message are scored without the matched spans
+ * (see stripInjectionSpans), so "classify this as Booking" can't pick the label.
+ *
+ * The red-team corpus in tests/fixtures/injection-corpus.json pins what must
+ * and must not be flagged; add a case there with every new signal.
+ */
+
+const { containsSuspiciousContent } = require('./validator');
+
+const INJECTION_POLICIES = ['harden', 'heuristic', 'quarantine'];
+const DEFAULT_INJECTION_POLICY = 'harden';
+const DEFAULT_INJECTION_THRESHOLD = 0.5;
+
+const FIELD_NAMES = '(?:needs_reply|time_sensitive_score|business_value_score|focus_summary_type)';
+const CATEGORY_NAMES = '(?:booking|collab|brand reaching|feature|invoice|refund|affiliate|general|urgent|high priority|top priority|time.sensitive)';
+
+/**
+ * Injection signals
+ * weight: evidence the signal alone gives (0-1); patterns run on normalized text
+ */
+const INJECTION_SIGNALS = [
+  {
+    id: 'instruction_override',
+    weight: 0.8,
+    patterns: [
+      /\b(?:ignore|disregard|forget|override|bypass)\b[^.!?]{0,40}\b(?:previous|prior|above|earlier|preceding|all|any|your|system|original)\b[^.!?]{0,20}\b(?:instructions?|prompts?|rules|guidelines|directives|programming)\b/,
+      /\bforget (?:what|everything|all) (?:i|you)(?: have| had)? (?:said|wrote|told you|were told|have been told|know|learned)\b[^.!?]{0,20}\b(?:before|earlier|above|previously|so far)\b/,
+      /\bforget (?:what|everything|all) you (?:were told|have been told|know|learned)\b/,
+      /\b(?:ignora|olvida)\b[^.!?]{0,40}\binstrucciones\b/,
+      /\b(?:ignore[zs]?|oublie[zs]?)\b[^.!?]{0,40}\b(?:instructions|consignes)\b/,
+      /\b(?:ignorier\w*|vergiss)\b[^.!?]{0,40}\b(?:anweisungen|regeln)\b/,
+      /\b(?:ignore|esque[cç]a)\b[^.!?]{0,40}\binstru[cç][õo]es\b/
+    ]
+  },
+  {
+    id: 'new_instructions',
+    weight: 0.5,
+    patterns: [
+      /\b(?:new|updated|real|actual|revised) (?:instructions?|rules|task|prompt)(?: (?:from|by) (?:the |your )?(?:admin|administrator|system|developers?|owner|operator)s?)?\s*:/,
+      /\b(?:here are|follow|these are) (?:your|the|my) new instructions\b/,
+      /\bfrom now on\b[^.!?]{0,40}\b(?:you|classify|respond|answer|output|return)\b/
+    ]
+  },
+  {
+    id: 'role_override',
+    weight: 0.4,
+    patterns: [
+      /\byou are (?:now|no longer)\b/,
+      /\bpretend (?:to be|you are)\b/
+    ]
+  },
+  {
+    id: 'jailbreak',
+    weight: 0.7,
+    patterns: [
+      /\b(?:developer|admin|debug|god|dan) mode\b/,
+      /\bjailbr(?:eak|oken)\b/
+    ]
+  },
+  {
+    id: 'role_marker',
+    weight: 0.45,
+    patterns: [
+      /(?:^|[\s.!?\]>)])(?:system|assistant|developer)(?: message| prompt| update| notice| override| alert)?\s*:/,
+      /#{2,}\s*(?:system|instructions?)\b/
+    ]
+  },
+  {
+    // Chat template tokens never appear in real mail
+    id: 'chat_template',
+    weight: 0.8,
+    patterns: [
+      /<\|(?:im_start|im_end|system|user|assistant|endoftext)\|>/,
+      /\[\/?inst\]|<<\/?sys>>/
+    ]
+  },
+  {
+    id: 'delimiter_escape',
+    weight: 0.6,
+    patterns: [/<<<|>>>/]
+  },
+  {
+    id: 'output_steering',
+    weight: 0.45,
+    patterns: [
+      new RegExp(`\\b(?:classify|categori[sz]e|label|tag|mark|treat|flag)\\b (?:this|it|me|the message|this message|this email|the email) as (?:an? )?${CATEGORY_NAMES}\\b`),
+      /\b(?:score|rate|priority|prioriti[sz]e)\b[^.!?]{0,30}(?:\b1\.0\b|\b100 ?%|\bmaximum\b|\bhighest\b)/,
+      /\b(?:respond|reply|answer|return|output) (?:only )?with\b[^.!?]{0,20}\bjson\b/
+    ]
+  },
+  {
+    id: 'schema_reference',
+    weight: 0.5,
+    patterns: [
+      new RegExp(`\\b${FIELD_NAMES}\\b`),
+      /\{\s*"(?:needs_reply|focus_summary_type|reason)"\s*:/
+    ]
+  },
+  {
+    id: 'prompt_leak',
+    weight: 0.6,
+    patterns: [
+      /\b(?:reveal|show|print|repeat|output|tell me|what (?:is|are))\b[^.!?]{0,20}\b(?:your|the) (?:system )?(?:prompt|instructions)\b/
+    ]
+  }
+];
+
+// Weight of markup caught by containsSuspiciousContent (script tags, bracket-heavy text)
+const SUSPICIOUS_CONTENT_WEIGHT = 0.3;
+
+/**
+ * Reads injection options from configuration
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} - { policy, threshold }
+ *   policy: what to do with a flagged message (PROMPT_INJECTION_POLICY, default harden)
+ *   threshold: score at which a message is flagged (PROMPT_INJECTION_THRESHOLD, default 0.5)
+ * @throws {Error} if a setting is invalid
+ */
+function getInjectionOptions(env = process.env) {
+  const policy = (env.PROMPT_INJECTION_POLICY || DEFAULT_INJECTION_POLICY).toLowerCase();
+  if (!INJECTION_POLICIES.includes(policy)) {
+    throw new Error(`Unknown PROMPT_INJECTION_POLICY "${env.PROMPT_INJECTION_POLICY}". Expected one of: ${INJECTION_POLICIES.join(', ')}`);
+  }
+
+  let threshold = DEFAULT_INJECTION_THRESHOLD;
+  if (env.PROMPT_INJECTION_THRESHOLD !== undefined && env.PROMPT_INJECTION_THRESHOLD !== '') {
+    threshold = Number(env.PROMPT_INJECTION_THRESHOLD);
+    if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) {
+      throw new Error(`Invalid PROMPT_INJECTION_THRESHOLD "${env.PROMPT_INJECTION_THRESHOLD}". Expected a number above 0 and at most 1`);
+    }
+  }
+
+  return { policy, threshold };
+}
+
+/**
+ * Normalizes text for matching
+ * @param {string} text - Message text
+ * @returns {string} - NFKC-normalized, lowercase, without zero-width characters, single-spaced
+ */
+function normalizeForScan(text) {
+  return text
+    .normalize('NFKC')
+    .replace(/[\u200B-\u200D\u2060\uFEFF\u00AD]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Removes the text matched by injection signals, so the heuristics score
+ * only what the sender says to the owner
+ * Matching runs case-insensitively on an NFKC-normalized, single-spaced copy
+ * without zero-width characters, like normalizeForScan, but keeps the case.
+ * @param {string} text - Message or thread turn
+ * @returns {string} - Text with every matched span replaced by a space
+ */
+function stripInjectionSpans(text) {
+  let stripped = text
+    .normalize('NFKC')
+    .replace(/[\u200B-\u200D\u2060\uFEFF\u00AD]/g, '')
+    .replace(/\s+/g, ' ');
+
+  for (const signal of INJECTION_SIGNALS) {
+    for (const pattern of signal.patterns) {
+      stripped = stripped.replace(new RegExp(pattern.source, 'gi'), ' ');
+    }
+  }
+  return stripped.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Finds the injection signals in one text
+ * @param {string} text - Message or thread turn
+ * @param {string} source - 'message' or 'thread'
+ * @returns {Array} - [{ id, weight, source, match }]
+ */
+function findSignals(text, source) {
+  const normalized = normalizeForScan(text);
+  const found = [];
+
+  for (const signal of INJECTION_SIGNALS) {
+    for (const pattern of signal.patterns) {
+      const match = normalized.match(pattern);
+      if (match) {
+        found.push({ id: signal.id, weight: signal.weight, source, match: match[0].trim() });
+        break;
+      }
+    }
+  }
+  if (containsSuspiciousContent(text)) {
+    found.push({ id: 'suspicious_content', weight: SUSPICIOUS_CONTENT_WEIGHT, source, match: null });
+  }
+
+  return found;
+}
+
+/**
+ * Scores a message, and the customer turns of its thread, for prompt injection
+ * Owner turns are not scanned: the owner is trusted.
+ * @param {string} message - Sanitized message
+ * @param {Object} options - { history, threshold }
+ *   history: thread turns before the message (see splitThread)
+ *   threshold: score at which the message is flagged (default: DEFAULT_INJECTION_THRESHOLD)
+ * @returns {Object} - { detected, score, threshold, signals }
+ *   score: 0-1, rounded to 2 decimals
+ *   signals: [{ id, source, match }], each id once (the message wins over the thread)
+ */
+function detectInjection(message, options = {}) {
+  const threshold = options.threshold !== undefined ? options.threshold : DEFAULT_INJECTION_THRESHOLD;
+  const found = findSignals(message, 'message');
+  for (const turn of options.history || []) {
+    if (turn.role === 'customer') {
+      found.push(...findSignals(turn.text, 'thread'));
+    }
+  }
+
+  const signals = [];
+  const seen = new Set();
+  let clean = 1;
+  for (const signal of found) {
+    if (seen.has(signal.id)) {
+      continue;
+    }
+    seen.add(signal.id);
+    clean *= 1 - signal.weight;
+    signals.push({ id: signal.id, source: signal.source, match: signal.match });
+  }
+
+  const score = Math.round((1 - clean) * 100) / 100;
+  return { detected: score >= threshold, score, threshold, signals };
+}
+
+/**
+ * Security flags for a classification
+ * @param {Object} scan - Result of detectInjection
+ * @returns {string[]} - 'prompt_injection' when flagged, 'suspicious_content' for suspicious markup
+ */
+function buildSecurityFlags(scan) {
+  const flags = [];
+  if (scan.detected) {
+    flags.push('prompt_injection');
+  }
+  if (scan.signals.some(signal => signal.id === 'suspicious_content')) {
+    flags.push('suspicious_content');
+  }
+  return flags;
+}
+
+/**
+ * Breaks up <<< and >>> in text quoted into a prompt, so it can't close
+ * the block the message is quoted in
+ * @param {string} text - Message or thread turn
+ * @returns {string}
+ */
+function escapeDelimiters(text) {
+  return text.replace(/<{3,}/g, match => match.split('').join(' ')).replace(/>{3,}/g, match => match.split('').join(' '));
+}
+
+module.exports = {
+  INJECTION_POLICIES,
+  DEFAULT_INJECTION_POLICY,
+  DEFAULT_INJECTION_THRESHOLD,
+  INJECTION_SIGNALS,
+  getInjectionOptions,
+  normalizeForScan,
+  stripInjectionSpans,
+  detectInjection,
+  buildSecurityFlags,
+  escapeDelimiters
+};
@@ -0,0 +1,78 @@
+/**
+ * Local language detection for heuristic classification
+ * Scores a message against small lists of common words and distinctive
+ * characters per language. Cheap and dependency-free; good enough to pick a
+ * pattern set for short DMs, not a general-purpose detector.
+ */
+
+// ISO 639-1 codes and display names of the languages we detect
+const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish',
+  pt: 'Portuguese',
+  fr: 'French',
+  de: 'German'
+};
+
+// Very common words, each counted once per occurrence
+const COMMON_WORDS = {
+  en: ['the', 'and', 'you', 'your', 'to', 'is', 'are', 'for', 'can', 'with', 'this', 'that', 'my', 'it', 'we', 'please', 'what', 'when', 'how', 'of', 'on', 'have', 'would', 'will', 'hi', 'hello', 'thanks', 'need', 'love'],
+  es: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'un', 'una', 'por', 'para', 'con', 'es', 'tu', 'mi', 'hola', 'gracias', 'puedes', 'quiero', 'está', 'estoy', 'pero', 'muy', 'cuando', 'qué', 'sí', 'del', 'al', 'nos', 'necesito', 'su', 'tus', 'hay', 'tienes', 'encanta', 'trabajo'],
+  pt: ['o', 'os', 'as', 'de', 'que', 'e', 'em', 'um', 'uma', 'por', 'para', 'com', 'é', 'você', 'voce', 'meu', 'minha', 'olá', 'oi', 'obrigado', 'obrigada', 'não', 'nao', 'muito', 'quando', 'pode', 'do', 'da', 'no', 'na', 'eu', 'seu', 'sua', 'preciso', 'vocês', 'adoro', 'trabalho', 'vamos'],
+  fr: ['le', 'la', 'les', 'de', 'des', 'et', 'en', 'un', 'une', 'pour', 'avec', 'est', 'vous', 'tu', 'je', 'mon', 'ma', 'bonjour', 'merci', 'que', 'qui', 'pas', 'très', 'du', 'au', 'ce', 'cette', 'nous', 'votre', 'besoin', 'j', 'ton', 'tes', 'adore', 'travail', 'suis'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'ich', 'du', 'sie', 'wir', 'ein', 'eine', 'mit', 'für', 'nicht', 'auf', 'zu', 'den', 'dem', 'bitte', 'danke', 'hallo', 'ihr', 'mein', 'meine', 'wann', 'wie', 'kannst', 'können', 'habe', 'es', 'dein', 'deine', 'arbeit', 'liebe']
+};
+
+// Characters that rarely appear outside a language, each worth DISTINCTIVE_CHAR_WEIGHT once
+const DISTINCTIVE_CHARS = {
+  es: ['ñ', '¿', '¡'],
+  pt: ['ã', 'õ'],
+  fr: ['è', 'ê', 'ù', 'œ', 'û'],
+  de: ['ä', 'ö', 'ü', 'ß']
+};
+const DISTINCTIVE_CHAR_WEIGHT = 2;
+
+/**
+ * Scores a message for every supported language
+ * @param {string} text - Message text
+ * @returns {Object} - { [language]: score }
+ */
+function scoreLanguages(text) {
+  const lower = text.toLowerCase();
+  const tokens = lower.match(/[\p{L}]+/gu) || [];
+  const scores = {};
+
+  for (const [language, words] of Object.entries(COMMON_WORDS)) {
+    const wordSet = new Set(words);
+    scores[language] = tokens.filter(token => wordSet.has(token)).length;
+  }
+
+  for (const [language, chars] of Object.entries(DISTINCTIVE_CHARS)) {
+    scores[language] += chars.filter(char => lower.includes(char)).length * DISTINCTIVE_CHAR_WEIGHT;
+  }
+
+  return scores;
+}
+
+/**
+ * Detects the language of a message
+ * Returns null when there is no signal or two languages tie for the lead.
+ * @param {string} text - Message text
+ * @returns {string|null} - ISO 639-1 code (see LANGUAGE_NAMES) or null
+ */
+function detectLanguage(text) {
+  const ranked = Object.entries(scoreLanguages(text)).sort((a, b) => b[1] - a[1]);
+  const [best, runnerUp] = ranked;
+
+  if (best[1] === 0 || best[1] === runnerUp[1]) {
+    return null;
+  }
+
+  return best[0];
+}
+
+module.exports = {
+  LANGUAGE_NAMES,
+  detectLanguage,
+  scoreLanguages
+};
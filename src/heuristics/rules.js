@@ -0,0 +1,357 @@
+/**
+ * Data-driven heuristic rules
+ * Pattern rules live in a JSON rules file instead of JS literals, so they can
+ * be tuned without a deploy. A rules file is validated on load and compiled
+ * into the { BUSINESS_PATTERNS, TIME_PATTERNS, REPLY_PATTERNS } shape the
+ * classifier reads. Invalid files are rejected and the last good ruleset
+ * stays active.
+ *
+ * The top-level pattern sections are the default (English) set. An optional
+ * `languages` map holds a full set per ISO 639-1 code; messages detected as
+ * one of those languages use its set instead of the default.
+ *
+ * Patterns may carry a `when` condition, checked case-insensitively against
+ * the message:
+ *   - contains: string | string[]      every string must appear
+ *   - not_contains: string | string[]  none of the strings may appear
+ *   - requires_any: string[]           at least one string must appear
+ *   - min_length / max_length: number  message length bounds
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { z } = require('zod');
+const { PatternFocusTypes } = require('../schema');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, 'rules.json');
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+
+/**
+ * Checks whether a string compiles as a regular expression
+ * @param {string} source - Regex source
+ * @returns {boolean} - Whether the regex is valid
+ */
+function isValidRegex(source) {
+  try {
+    new RegExp(source, 'i');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const RegexSourceSchema = z.string()
+  .min(1, 'regex cannot be empty')
+  .refine(isValidRegex, 'regex must be a valid regular expression');
+
+const ScoreSchema = z.number().min(0, 'score must be >= 0').max(1, 'score must be <= 1');
+
+const StringListSchema = z.union([
+  z.string().min(1),
+  z.array(z.string().min(1)).min(1)
+]);
+
+const ConditionSchema = z.strictObject({
+  contains: StringListSchema.optional(),
+  not_contains: StringListSchema.optional(),
+  requires_any: z.array(z.string().min(1)).min(1).optional(),
+  min_length: z.number().int().min(0).optional(),
+  max_length: z.number().int().min(0).optional()
+});
+
+const BusinessTierSchema = z.strictObject({
+  score: ScoreSchema,
+  weight: z.number().positive('weight must be > 0'),
+  patterns: z.array(z.strictObject({
+    type: z.enum(PatternFocusTypes),
+    regex: RegexSourceSchema,
+    when: ConditionSchema.optional()
+  })).min(1, 'a tier needs at least one pattern')
+});
+
+const TimeRuleSchema = z.strictObject({
+  score: ScoreSchema,
+  regex: RegexSourceSchema,
+  when: ConditionSchema.optional()
+});
+
+const ReplyRuleSchema = z.strictObject({
+  value: z.boolean(),
+  regex: RegexSourceSchema,
+  when: ConditionSchema.optional()
+});
+
+/**
+ * Schema for one complete pattern set
+ * Tiers and rules are checked in file order, highest priority first.
+ */
+const PatternSetShape = {
+  business_patterns: z.record(z.string(), BusinessTierSchema)
+    .refine(tiers => Object.keys(tiers).length > 0, 'at least one business tier is required'),
+  time_patterns: z.record(z.string(), TimeRuleSchema)
+    .refine(rules => Object.keys(rules).length > 0, 'at least one time rule is required'),
+  reply_patterns: z.record(z.string(), ReplyRuleSchema)
+    .refine(rules => Object.keys(rules).length > 0, 'at least one reply rule is required')
+};
+
+/**
+ * Schema for a rules file
+ */
+const RulesetSchema = z.strictObject({
+  version: z.union([z.number(), z.string().min(1)]),
+  ...PatternSetShape,
+  languages: z.record(
+    z.string().regex(/^[a-z]{2}$/, 'language keys must be ISO 639-1 codes (e.g. "es")'),
+    z.strictObject(PatternSetShape)
+  ).optional()
+});
+
+let activeRules = null;
+let lastError = null;
+
+/**
+ * Creates an invalid_rules error
+ * @param {string} message - Error message
+ * @param {string} details - Specific problems found
+ * @returns {Error} - Error with code and details
+ */
+function rulesError(message, details) {
+  const error = new Error(message);
+  error.code = 'invalid_rules';
+  error.details = details;
+  return error;
+}
+
+/**
+ * Normalizes a string or string list to lowercase strings
+ * @param {string|Array<string>} value - String or list
+ * @returns {Array<string>} - Lowercase strings
+ */
+function toLowerList(value) {
+  return (Array.isArray(value) ? value : [value]).map(item => item.toLowerCase());
+}
+
+/**
+ * Compiles a declarative `when` condition into a predicate
+ * @param {Object} when - Condition object (see ConditionSchema)
+ * @returns {Function} - Predicate called with the original message text
+ */
+function compileCondition(when) {
+  const checks = [];
+
+  if (when.contains !== undefined) {
+    const needles = toLowerList(when.contains);
+    checks.push(lower => needles.every(needle => lower.includes(needle)));
+  }
+  if (when.not_contains !== undefined) {
+    const needles = toLowerList(when.not_contains);
+    checks.push(lower => !needles.some(needle => lower.includes(needle)));
+  }
+  if (when.requires_any !== undefined) {
+    const needles = toLowerList(when.requires_any);
+    checks.push(lower => needles.some(needle => lower.includes(needle)));
+  }
+  if (when.min_length !== undefined) {
+    checks.push(lower => lower.length >= when.min_length);
+  }
+  if (when.max_length !== undefined) {
+    checks.push(lower => lower.length <= when.max_length);
+  }
+
+  return (text) => {
+    const lower = text.toLowerCase();
+    return checks.every(check => check(lower));
+  };
+}
+
+/**
+ * Compiles a regex rule, attaching its condition if present
+ * @param {Object} rule - Rule with regex source and optional when
+ * @returns {Object} - Rule with RegExp regex and condition function
+ */
+function compileRule(rule) {
+  const { when, ...rest } = rule;
+  return {
+    ...rest,
+    regex: new RegExp(rule.regex, 'i'),
+    ...(when && { condition: compileCondition(when) })
+  };
+}
+
+/**
+ * Validates and compiles parsed rules file data
+ * @param {Object} data - Parsed rules file
+ * @param {string} source - Where the data came from (for errors and status)
+ * @returns {Object} - Compiled ruleset
+ * @throws {Error} with code invalid_rules if the data fails validation
+ */
+function compileRuleset(data, source = 'inline') {
+  const parsed = RulesetSchema.safeParse(data);
+  if (!parsed.success) {
+    const details = parsed.error.issues
+      .map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+      .join('; ');
+    throw rulesError(`Invalid rules in ${source}`, details);
+  }
+
+  const rules = parsed.data;
+
+  return {
+    version: rules.version,
+    hash: crypto.createHash('sha256').update(JSON.stringify(rules)).digest('hex').slice(0, 12),
+    source,
+    ...compilePatternSet(rules),
+    LANGUAGES: mapValues(rules.languages || {}, compilePatternSet)
+  };
+}
+
+/**
+ * Maps the values of an object, keeping key order
+ * @param {Object} object - Source object
+ * @param {Function} fn - Mapper called with each value
+ * @returns {Object} - Object with mapped values
+ */
+function mapValues(object, fn) {
+  return Object.fromEntries(
+    Object.entries(object).map(([name, value]) => [name, fn(value)])
+  );
+}
+
+/**
+ * Compiles one validated pattern set
+ * @param {Object} set - { business_patterns, time_patterns, reply_patterns }
+ * @returns {Object} - { BUSINESS_PATTERNS, TIME_PATTERNS, REPLY_PATTERNS }
+ */
+function compilePatternSet(set) {
+  return {
+    BUSINESS_PATTERNS: mapValues(set.business_patterns, tier => ({
+      ...tier,
+      patterns: tier.patterns.map(compileRule)
+    })),
+    TIME_PATTERNS: mapValues(set.time_patterns, compileRule),
+    REPLY_PATTERNS: mapValues(set.reply_patterns, compileRule)
+  };
+}
+
+/**
+ * Reads, validates and compiles a rules file without activating it
+ * @param {string} filePath - Path to a JSON rules file
+ * @returns {Object} - Compiled ruleset
+ * @throws {Error} with code invalid_rules if the file is unreadable or invalid
+ */
+function readRulesFile(filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw rulesError(`Could not load rules file ${filePath}`, error.message);
+  }
+
+  return compileRuleset(data, filePath);
+}
+
+/**
+ * Loads a rules file and makes it the active ruleset
+ * If the file is invalid, the current ruleset stays active.
+ * @param {string} filePath - Path to a JSON rules file
+ * @returns {Object} - The newly active ruleset
+ * @throws {Error} with code invalid_rules if the file is rejected
+ */
+function loadRules(filePath) {
+  try {
+    const rules = readRulesFile(filePath);
+    activeRules = { ...rules, loaded_at: new Date().toISOString() };
+    lastError = null;
+    return activeRules;
+  } catch (error) {
+    lastError = {
+      source: filePath,
+      message: error.details ? `${error.message}: ${error.details}` : error.message,
+      at: new Date().toISOString()
+    };
+    throw error;
+  }
+}
+
+/**
+ * Watches a rules file and reloads it whenever it changes on disk
+ * Uses stat polling, which also catches editors that replace the file.
+ * Rejected files are logged and the last good ruleset stays active.
+ * @param {string} filePath - Path to a JSON rules file
+ * @param {Object} options - { intervalMs, onReload(rules), onError(error) }
+ * @returns {Object} - { close } to stop watching
+ */
+function watchRules(filePath, options = {}) {
+  const interval = options.intervalMs || DEFAULT_POLL_INTERVAL_MS;
+
+  const listener = (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) {
+      return;
+    }
+
+    try {
+      const rules = loadRules(filePath);
+      console.log(`🔄 Reloaded heuristic rules from ${filePath} (version ${rules.version}, ${rules.hash})`);
+      if (options.onReload) options.onReload(rules);
+    } catch (error) {
+      console.error(`❌ Rejected heuristic rules file: ${lastError.message}`);
+      console.error(`   Keeping rules version ${activeRules.version} (${activeRules.hash})`);
+      if (options.onError) options.onError(error);
+    }
+  };
+
+  fs.watchFile(filePath, { interval, persistent: false }, listener);
+
+  return {
+    close: () => fs.unwatchFile(filePath, listener)
+  };
+}
+
+/**
+ * Gets the active compiled ruleset
+ * @returns {Object} - { version, hash, source, loaded_at, BUSINESS_PATTERNS, TIME_PATTERNS, REPLY_PATTERNS, LANGUAGES }
+ */
+function getActiveRules() {
+  return activeRules;
+}
+
+/**
+ * Gets the active pattern set for a language
+ * Falls back to the default set for unknown or undetected languages.
+ * @param {string|null} language - ISO 639-1 code
+ * @returns {Object} - { BUSINESS_PATTERNS, TIME_PATTERNS, REPLY_PATTERNS }
+ */
+function getPatternSet(language = null) {
+  return (language && activeRules.LANGUAGES[language]) || activeRules;
+}
+
+/**
+ * Describes the active ruleset for health checks
+ * @returns {Object} - { source, version, hash, loaded_at, languages, last_error }
+ */
+function getRulesStatus() {
+  return {
+    source: activeRules.source,
+    version: activeRules.version,
+    hash: activeRules.hash,
+    loaded_at: activeRules.loaded_at,
+    languages: Object.keys(activeRules.LANGUAGES),
+    last_error: lastError
+  };
+}
+
+// The bundled rules must always load; a broken default is a deploy error
+loadRules(DEFAULT_RULES_FILE);
+
+module.exports = {
+  RulesetSchema,
+  DEFAULT_RULES_FILE,
+  compileRuleset,
+  readRulesFile,
+  loadRules,
+  watchRules,
+  getActiveRules,
+  getPatternSet,
+  getRulesStatus
+};
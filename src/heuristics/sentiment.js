@@ -0,0 +1,262 @@
+/**
+ * Sentiment and escalation
+ * Tells a furious refund demand from a polite refund question, which the
+ * focus patterns score the same.
+ *
+ * Sentiment is scored from a small multilingual lexicon, -1.0 (furious) to
+ * 1.0 (delighted); negated words flip ("not happy"), and shouting or "!!!"
+ * make negative messages more negative.
+ *
+ * Escalation risk combines signals that a customer is about to go over the
+ * owner's head, weighted as independent evidence like the injection and spam
+ * scores: chargebacks and disputes, legal action, public complaints, repeated
+ * follow-ups, shouting (unless it is praise) and strong negative sentiment.
+ * It raises time sensitivity (see applyEscalation): an angry customer can't wait.
+ *
+ * Both are null when nothing was found, so the LLM can supply them.
+ */
+
+const { normalizeForScan } = require('./injection');
+const { PLACEHOLDER_PATTERN } = require('./entities');
+
+/**
+ * Sentiment lexicon
+ * weight: positive for pleased, negative for upset; patterns run on normalized text
+ */
+const SENTIMENT_TERMS = [
+  { weight: 1, pattern: /\b(?:love[ds]?|loving|amazing|awesome|great|appreciate[ds]?|happy|glad|excellent|fantastic|wonderful|perfect|brilliant|incredible|enjoyed|beautiful|best)\b/g },
+  { weight: 1, pattern: /\b(?:gracias|encanta\w*|genial|increíble|perfect[oa]|obrigad[oa]|adorei|ótim[oa]|merci|génial|parfait|adore|danke|toll|wunderbar)\b/g },
+  { weight: 0.5, pattern: /\b(?:thanks|thank you|thx)\b(?! for nothing)/g },
+  { weight: -1, pattern: /\b(?:disappointed|disappointing|unhappy|upset|frustrat\w+|annoyed|terrible|awful|horrible|worst|unacceptable|ridiculous|useless|broken|wrong|bad|poor|rude|waste|never again)\b/g },
+  { weight: -1, pattern: /\b(?:decepcionad[oa]|inaceptable|inaceitável|péssim[oa]|déçue?|inacceptable|nul|enttäuscht|inakzeptabel|unverschämt)\b/g },
+  { weight: -2, pattern: /\b(?:furious|angry|livid|outraged|disgusted|disgusting|scam|fraud|rip.?off|pathetic|disgrace\w*|liars?|stole|thie(?:f|ves)|thanks for nothing)\b/g },
+  { weight: -2, pattern: /\b(?:furios[oa]|enojad[oa]|estafa|furieux|furieuse|arnaque|wütend|betrug|irritad[oa])\b/g }
+];
+
+// A negation this close before a term flips it ("not happy", "never received anything good")
+const NEGATION_BEFORE = /(?:\b(?:not|never|no|nothing|hardly)|n't)\s+(?:\S+\s+)?$/;
+// Shouting or "!!" makes negative sentiment this much stronger
+const ANGER_AMPLIFIER = 1.5;
+// Lexicon sums are squashed into -1..1 as sum / (|sum| + SENTIMENT_SCALE)
+const SENTIMENT_SCALE = 2;
+
+/**
+ * Escalation signals
+ * weight: evidence the signal alone gives (0-1); patterns run on normalized text
+ */
+const ESCALATION_SIGNALS = [
+  {
+    id: 'legal_action',
+    weight: 0.8,
+    patterns: [
+      /\b(?:lawyers?|attorneys?|legal action|(?:sue|suing) (?:you|your|the)|small claims|(?:see you in|take (?:you|this|it) to) court|lawsuit|solicitors?)\b/,
+      /\b(?:abogad[oa]s?|demanda(?:r|ré)?|avocats?|anwalt|klage|advogad[oa]s?|processar)\b/
+    ]
+  },
+  {
+    id: 'chargeback',
+    weight: 0.7,
+    patterns: [
+      /\b(?:charge ?backs?|dispute (?:the|this|my) (?:charge|payment|transaction)|(?:call|calling|contact|contacting) my bank|paypal (?:claim|dispute)|reverse the (?:charge|payment))\b/,
+      /\b(?:contracargo|rückbuchung|rétrofacturation|estorno)\b/
+    ]
+  },
+  {
+    id: 'public_complaint',
+    weight: 0.6,
+    patterns: [
+      /\b(?:(?:bad|negative|1.star|one.star) reviews?|go(?:ing)? public|expose you|trustpilot|better business bureau|bbb)\b/,
+      /\b(?:post|share|tell)\b[^.!?]{0,20}\b(?:everyone|my followers|all my followers|on (?:twitter|x|instagram|tiktok|facebook|social media))\b/,
+      /\breport (?:you|this) to\b/
+    ]
+  },
+  {
+    id: 'repeated_follow_up',
+    weight: 0.5,
+    patterns: [
+      /\b(?:second|third|fourth|fifth|\d+(?:st|nd|rd|th)) (?:time|email|message|follow.?up)\b/,
+      /\b(?:still|yet) (?:no|not|nothing|haven't|have not)\b[^.!?]{0,30}\b(?:response|reply|heard|answer|refund|received|word)\b/,
+      /\b(?:asked|emailed|messaged|written|contacted|called) (?:you )?(?:\d+|two|three|four|several|multiple|many) times\b/,
+      /\b(?:following up again|no one (?:has )?(?:replied|responded|answered)|(?:you(?:'re| are)|keep) ignoring (?:me|my))\b/
+    ]
+  }
+];
+
+const ALL_CAPS_WEIGHT = 0.3;
+const ALL_CAPS_MIN_LETTERS = 12;
+const ALL_CAPS_RATIO = 0.6;
+const NEGATIVE_SENTIMENT_WEIGHT = 0.3;
+const NEGATIVE_SENTIMENT_LEVEL = -0.5;
+const FOLLOW_UP_WEIGHT = 0.5;
+// Unanswered customer turns before the message that count as repeated follow-ups
+const UNANSWERED_TURNS = 2;
+
+// Escalation risk -> minimum time sensitivity, highest first
+// Matches the prompt rubric: threats are urgent, frustration is soon
+const ESCALATION_TIME_FLOORS = [
+  [0.7, 1.0],
+  [0.4, 0.7]
+];
+
+/**
+ * Share of capital letters in a text
+ * Redaction placeholders ([EMAIL_1]) are not the sender shouting, so they don't count.
+ * @param {string} text - Message text
+ * @returns {Object} - { letters, ratio } (ratio 0 without letters)
+ */
+function measureCapitals(text) {
+  const letters = text.replace(PLACEHOLDER_PATTERN, '').match(/\p{L}/gu) || [];
+  const upper = letters.filter(letter => letter !== letter.toLowerCase()).length;
+  return { letters: letters.length, ratio: letters.length > 0 ? upper / letters.length : 0 };
+}
+
+/**
+ * Checks whether a text is shouted: mostly capitals, and long enough to tell
+ * @param {string} text - Message text
+ * @returns {boolean}
+ */
+function isShouting(text) {
+  const { letters, ratio } = measureCapitals(text);
+  return letters >= ALL_CAPS_MIN_LETTERS && ratio >= ALL_CAPS_RATIO;
+}
+
+/**
+ * Scores the sentiment of a text
+ * @param {string} text - Message text
+ * @returns {number|null} - -1.0 (furious) to 1.0 (delighted), rounded to 2 decimals,
+ *   or null when the text has no sentiment words
+ */
+function scoreSentiment(text) {
+  const normalized = normalizeForScan(text);
+  let sum = 0;
+  let found = false;
+
+  for (const term of SENTIMENT_TERMS) {
+    for (const match of normalized.matchAll(term.pattern)) {
+      found = true;
+      const negated = NEGATION_BEFORE.test(normalized.slice(Math.max(0, match.index - 20), match.index));
+      sum += negated ? -term.weight : term.weight;
+    }
+  }
+  if (!found) {
+    return null;
+  }
+
+  if (sum < 0 && (isShouting(text) || /!{2,}/.test(text))) {
+    sum *= ANGER_AMPLIFIER;
+  }
+  return Math.round((sum / (Math.abs(sum) + SENTIMENT_SCALE)) * 100) / 100;
+}
+
+/**
+ * Counts the customer turns right before the message that got no owner reply
+ * @param {Array} history - Thread turns before the message
+ * @returns {number}
+ */
+function countUnansweredTurns(history) {
+  let count = 0;
+  for (let i = history.length - 1; i >= 0 && history[i].role === 'customer'; i--) {
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Scores the risk that a customer escalates
+ * @param {string} message - Sanitized message
+ * @param {Object} options - { history, sentiment }
+ *   history: thread turns before the message (see splitThread)
+ *   sentiment: the message's sentiment (scored here if omitted)
+ * @returns {Object} - { score, signals }
+ *   score: 0-1 rounded to 2 decimals, or null when there is no signal
+ *   signals: [{ id, match }]
+ */
+function detectEscalation(message, options = {}) {
+  const normalized = normalizeForScan(message);
+  const sentiment = options.sentiment !== undefined ? options.sentiment : scoreSentiment(message);
+  const found = [];
+
+  for (const signal of ESCALATION_SIGNALS) {
+    for (const pattern of signal.patterns) {
+      const match = normalized.match(pattern);
+      if (match) {
+        found.push({ id: signal.id, weight: signal.weight, match: match[0].trim() });
+        break;
+      }
+    }
+  }
+  const unanswered = countUnansweredTurns(options.history || []);
+  if (unanswered >= UNANSWERED_TURNS && !found.some(signal => signal.id === 'repeated_follow_up')) {
+    found.push({ id: 'repeated_follow_up', weight: FOLLOW_UP_WEIGHT, match: `${unanswered + 1} messages without a reply` });
+  }
+  // Shouted praise is not an escalation
+  if (isShouting(message) && !(sentiment > 0)) {
+    found.push({ id: 'all_caps', weight: ALL_CAPS_WEIGHT, match: `${Math.round(measureCapitals(message).ratio * 100)}% capitals` });
+  }
+  if (sentiment !== null && sentiment <= NEGATIVE_SENTIMENT_LEVEL) {
+    found.push({ id: 'negative_sentiment', weight: NEGATIVE_SENTIMENT_WEIGHT, match: `sentiment ${sentiment}` });
+  }
+
+  if (found.length === 0) {
+    return { score: null, signals: [] };
+  }
+  const calm = found.reduce((product, signal) => product * (1 - signal.weight), 1);
+  return {
+    score: Math.round((1 - calm) * 100) / 100,
+    signals: found.map(signal => ({ id: signal.id, match: signal.match }))
+  };
+}
+
+/**
+ * Raises a time sensitivity score to the floor an escalation risk sets
+ * @param {number|null} timeScore - Time sensitivity score
+ * @param {number|null} escalationRisk - Escalation risk
+ * @returns {number|null} - The higher of the two; unchanged below every floor
+ */
+function foldEscalation(timeScore, escalationRisk) {
+  const floor = ESCALATION_TIME_FLOORS.find(([risk]) => escalationRisk !== null && escalationRisk >= risk);
+  if (!floor) {
+    return timeScore;
+  }
+  return timeScore === null ? floor[1] : Math.max(timeScore, floor[1]);
+}
+
+/**
+ * Adds sentiment and escalation risk to a heuristic result and folds the
+ * risk into its time sensitivity (and the primary label's, in multi-label mode)
+ * @param {Object} heuristic - Heuristic classification result (after applyDeadline)
+ * @param {string} message - Sanitized message
+ * @param {Object} options - { history } thread turns before the message
+ * @returns {Object} - Heuristic result with sentiment, escalation_risk and escalation_signals
+ */
+function applyEscalation(heuristic, message, options = {}) {
+  const sentiment = scoreSentiment(message);
+  const escalation = detectEscalation(message, { history: options.history, sentiment });
+  const result = {
+    ...heuristic,
+    sentiment,
+    escalation_risk: escalation.score,
+    escalation_signals: escalation.signals,
+    time_sensitive_score: foldEscalation(heuristic.time_sensitive_score, escalation.score)
+  };
+
+  if (heuristic.labels && heuristic.labels.length > 0) {
+    const [primary, ...others] = heuristic.labels;
+    result.labels = [
+      { ...primary, time_sensitive_score: foldEscalation(primary.time_sensitive_score, escalation.score) },
+      ...others
+    ];
+  }
+
+  return result;
+}
+
+module.exports = {
+  ESCALATION_SIGNALS,
+  ESCALATION_TIME_FLOORS,
+  measureCapitals,
+  scoreSentiment,
+  detectEscalation,
+  foldEscalation,
+  applyEscalation
+};
@@ -0,0 +1,358 @@
+/**
+ * Spam, scam and bot-message detection
+ * Scores a message for the unsolicited offers creators get every day: "DM me
+ * to collab 💰 crypto", paid follower promotions, fake brand ambassador deals
+ * with a "small shipping fee", account-suspension phishing.
+ *
+ * Signals come from four places:
+ *   - links: shorteners, raw IPs, punycode and throwaway TLDs, link floods
+ *   - scam phrase sets: crypto, DM bait, off-platform chat, promotion offers,
+ *     upfront fees, prizes, account threats, pressure
+ *   - formatting: emoji floods, money emoji, shouting
+ *   - brand mismatch: a sender claiming to be a known brand ("from Nike's
+ *     team") while their email or link is on another domain
+ *
+ * Weights combine as independent evidence, as in injection.js, so a single
+ * signal never filters a message: "crypto" alone is a conference booking,
+ * "DM me to collab" alone is a real collab. A message at or above the
+ * threshold is answered locally as Spam, without an LLM call.
+ *
+ * The corpus in tests/fixtures/spam-corpus.json pins what must and must not
+ * be filtered; add a case there with every new signal.
+ */
+
+const { normalizeForScan } = require('./injection');
+const { EMAIL_PATTERN } = require('./entities');
+const { measureCapitals } = require('./sentiment');
+
+const DEFAULT_SPAM_THRESHOLD = 0.7;
+
+/**
+ * Scam phrase signals
+ * weight: evidence the signal alone gives (0-1); patterns run on normalized text
+ */
+const SPAM_PHRASE_SIGNALS = [
+  {
+    id: 'crypto_investment',
+    weight: 0.5,
+    patterns: [
+      /\b(?:crypto\w*|bitcoin|btc|usdt|ethereum|forex|nfts?|binary options?|trading (?:signals?|bots?))\b/,
+      /\b(?:passive income|investment (?:opportunity|platform)|double your (?:money|investment)|(?:guaranteed|daily) (?:profits?|returns?))\b/
+    ]
+  },
+  {
+    id: 'dm_bait',
+    weight: 0.45,
+    patterns: [
+      /\b(?:dm|inbox|message) (?:me|us)\b[^.!?]{0,30}\b(?:collab\w*|partner\w*|promot\w*|deal|offer|details|info)\b/,
+      /\bcheck (?:your|ur) (?:dms?|inbox)\b/,
+      /\b(?:send|shoot) (?:me|us) an? dm\b/
+    ]
+  },
+  {
+    id: 'messaging_redirect',
+    weight: 0.4,
+    patterns: [
+      /\b(?:contact|text|message|reach|add|dm|join) (?:me|us) (?:on|via) (?:telegram|whatsapp|signal|wechat|kik)\b/,
+      /\b(?:wa\.me|t\.me)\//
+    ]
+  },
+  {
+    id: 'promotion_offer',
+    weight: 0.6,
+    patterns: [
+      /\bpromot\w* (?:your|ur) (?:page|account|music|channel|content|profile|art|song)\b/,
+      /\b(?:get|gain|buy) (?:you )?(?:\d+k? )?(?:more |real |active )?(?:followers|likes|views|subscribers)\b/,
+      /\b(?:boost|grow|increase) (?:your|ur) (?:followers|engagement|account|page)\b/,
+      /\b(?:get verified|verified badge|blue (?:tick|check))\b/
+    ]
+  },
+  {
+    id: 'upfront_fee',
+    weight: 0.6,
+    patterns: [
+      /\b(?:small|one.time|registration|processing|activation|membership|shipping) fee\b/,
+      /\b(?:just|only) (?:pay|cover) (?:for )?(?:the )?shipping\b/
+    ]
+  },
+  {
+    id: 'prize_selection',
+    weight: 0.5,
+    patterns: [
+      /\byou(?:'ve| have)? (?:been )?(?:selected|chosen|won)\b/,
+      /\bclaim (?:your|ur) (?:prize|reward|gift|spot)\b/
+    ]
+  },
+  {
+    id: 'account_threat',
+    weight: 0.6,
+    patterns: [
+      /\b(?:your|ur) (?:\w+ )?(?:account|page|profile) (?:will be|has been|is being|may be) (?:suspended|disabled|deleted|banned|restricted|terminated)\b/,
+      /\bcopyright (?:infringement|violation|strike)\b/,
+      /\bverify (?:your|ur) (?:account|identity|page)\b/
+    ]
+  },
+  {
+    id: 'pressure',
+    weight: 0.2,
+    patterns: [
+      /\b(?:act now|limited (?:spots?|slots?|time offer)|only \d+ (?:spots?|slots?) left|don'?t miss (?:out|this))\b/
+    ]
+  }
+];
+
+// Link signals
+const LINK_SHORTENER_WEIGHT = 0.45;
+const SUSPICIOUS_LINK_WEIGHT = 0.4;
+const CREDENTIAL_LINK_WEIGHT = 0.45;
+const EXCESSIVE_LINKS_WEIGHT = 0.25;
+const EXCESSIVE_LINKS_COUNT = 3;
+// Formatting signals
+const EXCESSIVE_EMOJI_WEIGHT = 0.3;
+const EXCESSIVE_EMOJI_COUNT = 5;
+const MONEY_EMOJI_WEIGHT = 0.25;
+const EXCESSIVE_CAPS_WEIGHT = 0.25;
+const EXCESSIVE_CAPS_MIN_LETTERS = 20;
+const EXCESSIVE_CAPS_RATIO = 0.6;
+// Brand signal
+const BRAND_MISMATCH_WEIGHT = 0.55;
+
+const LINK_SHORTENERS = new Set([
+  'bit.ly', 'tinyurl.com', 't.co', 'goo.gl', 'ow.ly', 'is.gd', 'buff.ly', 'cutt.ly',
+  'rb.gy', 'shorturl.at', 'tiny.cc', 'rebrand.ly', 'bl.ink', 'v.gd', 'shorte.st'
+]);
+// Top-level domains that are cheap, throwaway and common in scams
+const SUSPICIOUS_TLDS = new Set([
+  'xyz', 'top', 'click', 'icu', 'buzz', 'live', 'shop', 'rest', 'cam', 'monster',
+  'cfd', 'sbs', 'gq', 'tk', 'ml', 'cf', 'ga', 'work', 'loan'
+]);
+// Bare domains (no scheme, www. or path) only count as links with a common TLD,
+// so "done.Thanks" is not a link
+const BARE_LINK_TLDS = new Set([
+  'com', 'net', 'org', 'io', 'co', 'me', 'ly', 'gl', 'gd', 'at', 'cc', 'ee', 'to',
+  'info', 'biz', 'site', 'online', 'link', 'app', 'store', 'club', 'vip', ...SUSPICIOUS_TLDS
+]);
+
+const LINK_PATTERN = /(?<![@\w.-])(https?:\/\/)?((?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}|\d{1,3}(?:\.\d{1,3}){3})(?::\d+)?(\/[^\s<>"']*)?/gi;
+const CREDENTIAL_PATTERN = /\b(?:appeal|verify|log ?in|sign ?in|confirm|reset)\b[^.!?]{0,40}\b(?:here|below|link|at)\b/;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/gu;
+const MONEY_EMOJI_PATTERN = /[💰💸🤑💵💲💎🚀📈]/u;
+
+/**
+ * Brands scammers impersonate, with the domains they really write from
+ * pattern runs on normalized text
+ */
+const KNOWN_BRANDS = [
+  { name: 'Nike', pattern: 'nike', domains: ['nike.com'] },
+  { name: 'Adidas', pattern: 'adidas', domains: ['adidas.com'] },
+  { name: 'Puma', pattern: 'puma', domains: ['puma.com'] },
+  { name: 'Gymshark', pattern: 'gymshark', domains: ['gymshark.com'] },
+  { name: 'Lululemon', pattern: 'lululemon', domains: ['lululemon.com'] },
+  { name: 'Under Armour', pattern: 'under ?armou?r', domains: ['underarmour.com'] },
+  { name: 'Sephora', pattern: 'sephora', domains: ['sephora.com'] },
+  { name: "L'Oréal", pattern: 'l[\'’]?or[eé]al', domains: ['loreal.com'] },
+  { name: 'Fashion Nova', pattern: 'fashion ?nova', domains: ['fashionnova.com'] },
+  { name: 'Shein', pattern: 'shein', domains: ['shein.com'] },
+  { name: 'Red Bull', pattern: 'red ?bull', domains: ['redbull.com'] },
+  { name: 'Coca-Cola', pattern: 'coca.?cola|coke', domains: ['coca-cola.com', 'coke.com'] },
+  { name: 'Amazon', pattern: 'amazon', domains: ['amazon.com', 'amazon.co.uk', 'amazon.de', 'amazon.es', 'amazon.fr'] },
+  { name: 'Apple', pattern: 'apple', domains: ['apple.com'] },
+  { name: 'Samsung', pattern: 'samsung', domains: ['samsung.com'] },
+  { name: 'Sony', pattern: 'sony', domains: ['sony.com'] },
+  { name: 'Spotify', pattern: 'spotify', domains: ['spotify.com'] },
+  { name: 'Netflix', pattern: 'netflix', domains: ['netflix.com'] },
+  { name: 'Instagram', pattern: 'instagram|meta', domains: ['instagram.com', 'meta.com', 'facebook.com', 'facebookmail.com'] },
+  { name: 'TikTok', pattern: 'tiktok', domains: ['tiktok.com', 'bytedance.com'] },
+  { name: 'YouTube', pattern: 'youtube', domains: ['youtube.com', 'google.com'] }
+].map(brand => ({
+  ...brand,
+  // "from Nike", "on behalf of Nike", "Nike's partnerships team"
+  claim: new RegExp(String.raw`\b(?:from|at|with|representing|on behalf of|partner(?:ing|ship)? with|ambassador for|official)\s+(?:the\s+)?(?:${brand.pattern})\b|\b(?:${brand.pattern})(?:'s)?\s+(?:team|marketing|partnerships?|official|ambassadors?|collab\w*|creator|influencer|support|security|copyright)\b`)
+}));
+
+/**
+ * Reads spam detection options from configuration
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object|null} - { threshold }, or null when SPAM_DETECTION is false
+ *   threshold: score at which a message is filtered as spam (SPAM_THRESHOLD, default 0.7)
+ * @throws {Error} if a setting is invalid
+ */
+function getSpamOptions(env = process.env) {
+  const enabled = (env.SPAM_DETECTION || 'true').toLowerCase();
+  if (!['true', 'false'].includes(enabled)) {
+    throw new Error(`Invalid SPAM_DETECTION "${env.SPAM_DETECTION}". Expected true or false`);
+  }
+  if (enabled === 'false') {
+    return null;
+  }
+
+  let threshold = DEFAULT_SPAM_THRESHOLD;
+  if (env.SPAM_THRESHOLD !== undefined && env.SPAM_THRESHOLD !== '') {
+    threshold = Number(env.SPAM_THRESHOLD);
+    if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) {
+      throw new Error(`Invalid SPAM_THRESHOLD "${env.SPAM_THRESHOLD}". Expected a number above 0 and at most 1`);
+    }
+  }
+
+  return { threshold };
+}
+
+/**
+ * Finds the links in a text
+ * @param {string} text - Message text
+ * @returns {Array} - [{ text, host }], host lowercase without www.
+ */
+function findLinks(text) {
+  const links = [];
+  for (const match of text.matchAll(LINK_PATTERN)) {
+    const [whole, scheme, domain, path] = match;
+    const host = domain.toLowerCase().replace(/^www\./, '');
+    const tld = host.split('.').pop();
+    if (scheme || /^www\./i.test(domain) || path || BARE_LINK_TLDS.has(tld)) {
+      links.push({ text: whole, host });
+    }
+  }
+  return links;
+}
+
+/**
+ * Checks whether a host belongs to one of a brand's domains
+ * @param {string} host - Lowercase host
+ * @param {string[]} domains - Official domains
+ * @returns {boolean}
+ */
+function isOfficialHost(host, domains) {
+  return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Finds the link signals in a text
+ * @param {Array} links - From findLinks
+ * @param {string} normalized - Normalized message
+ * @returns {Array} - [{ id, weight, match }]
+ */
+function findLinkSignals(links, normalized) {
+  const found = [];
+  const shortener = links.find(link => LINK_SHORTENERS.has(link.host));
+  if (shortener) {
+    found.push({ id: 'link_shortener', weight: LINK_SHORTENER_WEIGHT, match: shortener.text });
+  }
+  const suspicious = links.find(link =>
+    /^\d{1,3}(?:\.\d{1,3}){3}$/.test(link.host) ||
+    link.host.split('.').some(label => label.startsWith('xn--')) ||
+    SUSPICIOUS_TLDS.has(link.host.split('.').pop()));
+  if (suspicious) {
+    found.push({ id: 'suspicious_link', weight: SUSPICIOUS_LINK_WEIGHT, match: suspicious.text });
+  }
+  const credential = links.length > 0 && normalized.match(CREDENTIAL_PATTERN);
+  if (credential) {
+    found.push({ id: 'credential_link', weight: CREDENTIAL_LINK_WEIGHT, match: credential[0] });
+  }
+  const hosts = new Set(links.map(link => link.host));
+  if (hosts.size >= EXCESSIVE_LINKS_COUNT) {
+    found.push({ id: 'excessive_links', weight: EXCESSIVE_LINKS_WEIGHT, match: `${hosts.size} links` });
+  }
+  return found;
+}
+
+/**
+ * Finds the formatting signals in a text
+ * @param {string} text - Message text
+ * @returns {Array} - [{ id, weight, match }]
+ */
+function findFormattingSignals(text) {
+  const found = [];
+  const emoji = text.match(EMOJI_PATTERN) || [];
+  if (emoji.length >= EXCESSIVE_EMOJI_COUNT) {
+    found.push({ id: 'excessive_emoji', weight: EXCESSIVE_EMOJI_WEIGHT, match: `${emoji.length} emoji` });
+  }
+  const money = text.match(MONEY_EMOJI_PATTERN);
+  if (money) {
+    found.push({ id: 'money_emoji', weight: MONEY_EMOJI_WEIGHT, match: money[0] });
+  }
+  const capitals = measureCapitals(text);
+  if (capitals.letters >= EXCESSIVE_CAPS_MIN_LETTERS && capitals.ratio >= EXCESSIVE_CAPS_RATIO) {
+    found.push({ id: 'excessive_caps', weight: EXCESSIVE_CAPS_WEIGHT, match: `${Math.round(capitals.ratio * 100)}% capitals` });
+  }
+  return found;
+}
+
+/**
+ * Finds a brand the sender claims to speak for while writing from another domain
+ * A claim without any email or link can't be checked and is not a signal.
+ * @param {string} normalized - Normalized message
+ * @param {string[]} hosts - Lowercase email domains and link hosts
+ * @returns {Object|null} - { id, weight, match }
+ */
+function findBrandMismatch(normalized, hosts) {
+  if (hosts.length === 0) {
+    return null;
+  }
+  for (const brand of KNOWN_BRANDS) {
+    const claim = normalized.match(brand.claim);
+    if (!claim) {
+      continue;
+    }
+    const foreign = hosts.find(host => !isOfficialHost(host, brand.domains));
+    if (foreign) {
+      return { id: 'brand_mismatch', weight: BRAND_MISMATCH_WEIGHT, match: `${claim[0].trim()} (${foreign})` };
+    }
+  }
+  return null;
+}
+
+/**
+ * Scores a message for spam, scams and bot messages
+ * @param {string} message - Sanitized message
+ * @param {Object} options - { threshold, emails }
+ *   threshold: score at which the message is spam (default: DEFAULT_SPAM_THRESHOLD)
+ *   emails: sender addresses found before the message was redacted (see src/redaction.js);
+ *     addresses still in the message are found here
+ * @returns {Object} - { detected, score, threshold, signals }
+ *   score: 0-1, rounded to 2 decimals
+ *   signals: [{ id, match }]
+ */
+function detectSpam(message, options = {}) {
+  const threshold = options.threshold !== undefined ? options.threshold : DEFAULT_SPAM_THRESHOLD;
+  const normalized = normalizeForScan(message);
+  const links = findLinks(message);
+  const emails = [...(options.emails || []), ...(message.match(EMAIL_PATTERN) || [])];
+  const hosts = [
+    ...emails.map(email => email.split('@').pop().toLowerCase()),
+    ...links.map(link => link.host)
+  ];
+
+  const found = [];
+  for (const signal of SPAM_PHRASE_SIGNALS) {
+    for (const pattern of signal.patterns) {
+      const match = normalized.match(pattern);
+      if (match) {
+        found.push({ id: signal.id, weight: signal.weight, match: match[0].trim() });
+        break;
+      }
+    }
+  }
+  found.push(...findLinkSignals(links, normalized), ...findFormattingSignals(message));
+  const mismatch = findBrandMismatch(normalized, hosts);
+  if (mismatch) {
+    found.push(mismatch);
+  }
+
+  const clean = found.reduce((product, signal) => product * (1 - signal.weight), 1);
+  const score = Math.round((1 - clean) * 100) / 100;
+  return {
+    detected: score >= threshold,
+    score,
+    threshold,
+    signals: found.map(signal => ({ id: signal.id, match: signal.match }))
+  };
+}
+
+module.exports = {
+  DEFAULT_SPAM_THRESHOLD,
+  SPAM_PHRASE_SIGNALS,
+  KNOWN_BRANDS,
+  getSpamOptions,
+  findLinks,
+  detectSpam
+};
@@ -0,0 +1,103 @@
+/**
+ * Heuristic classification for conversation threads
+ * Classifies the latest customer turn, using earlier turns as context
+ */
+
+const { heuristicClassify } = require('./classifier');
+const { detectLanguage } = require('./language');
+
+/**
+ * Finds the index of the latest customer turn
+ * @param {Array} thread - Sanitized thread turns
+ * @returns {number} - Index of the latest customer turn, or -1
+ */
+function findLatestCustomerIndex(thread) {
+  for (let i = thread.length - 1; i >= 0; i--) {
+    if (thread[i].role === 'customer') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Checks whether the owner has replied after the latest customer turn
+ * @param {Array} thread - Sanitized thread turns
+ * @returns {boolean} - True if an owner turn follows the latest customer turn
+ */
+function hasOwnerReplied(thread) {
+  const latestIndex = findLatestCustomerIndex(thread);
+  return thread.slice(latestIndex + 1).some(turn => turn.role === 'owner');
+}
+
+/**
+ * Splits a thread into the turn being classified and the history before it
+ * @param {Array} thread - Sanitized thread turns
+ * @returns {Object} - { latest, history, ownerReplied } (latest is null if no customer turn)
+ */
+function splitThread(thread) {
+  const latestIndex = findLatestCustomerIndex(thread);
+
+  return {
+    latest: latestIndex >= 0 ? thread[latestIndex] : null,
+    history: latestIndex >= 0 ? thread.slice(0, latestIndex) : thread.slice(),
+    ownerReplied: hasOwnerReplied(thread)
+  };
+}
+
+/**
+ * Classifies a thread with heuristics
+ * The latest customer turn drives every field. When it does not reveal the topic
+ * (e.g. "yes Friday works"), focus type and business value are carried over from
+ * the most recent earlier customer turn that does. The detected language carries
+ * over the same way for short replies like "ok". If the owner already replied
+ * after the latest customer turn, no reply is needed.
+ * @param {Array} thread - Sanitized thread turns
+ * @param {Object} options - Passed to heuristicClassify (e.g. { multiLabel })
+ * @returns {Object} - Heuristic classification result with null values for unmatched fields
+ */
+function heuristicClassifyThread(thread, options = {}) {
+  const { latest, history, ownerReplied } = splitThread(thread);
+  const result = heuristicClassify(latest ? latest.text : '', options);
+
+  if (result.focus_summary_type === null) {
+    const earlierCustomerTurns = history.filter(turn => turn.role === 'customer').reverse();
+
+    for (const turn of earlierCustomerTurns) {
+      const context = heuristicClassify(turn.text, options);
+      if (context.focus_summary_type !== null) {
+        result.focus_summary_type = context.focus_summary_type;
+        result.focus_distribution = context.focus_distribution;
+        result.focus_confidence = context.focus_confidence;
+        if (options.multiLabel) {
+          result.labels = context.labels;
+        }
+        if (result.business_value_score === null) {
+          result.business_value_score = context.business_value_score;
+        }
+        break;
+      }
+    }
+  }
+
+  if (result.detected_language === null) {
+    const earlierLanguage = history
+      .filter(turn => turn.role === 'customer')
+      .map(turn => detectLanguage(turn.text))
+      .filter(Boolean)
+      .pop();
+    result.detected_language = earlierLanguage || null;
+  }
+
+  if (ownerReplied) {
+    result.needs_reply = false;
+  }
+
+  return result;
+}
+
+module.exports = {
+  heuristicClassifyThread,
+  splitThread,
+  hasOwnerReplied
+};
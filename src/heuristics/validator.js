@@ -3,7 +3,12 @@
  * Protects against malicious input and ensures data quality
  */
 
+const { isValidTimezone, DEFAULT_TIMEZONE } = require('../utils/timezone');
+
 const MAX_MESSAGE_LENGTH = 5000;
+const MAX_THREAD_TURNS = 50;
+const THREAD_ROLES = ['customer', 'owner'];
+const MAX_CLIENT_ID_LENGTH = 128;
 
 /**
  * Validates a message for classification
@@ -52,6 +57,114 @@ function validateMessage(message) {
   };
 }
 
+/**
+ * Validates a conversation thread
+ * Each turn is { role: 'customer'|'owner', text, timestamp? }; texts are sanitized
+ * with the same rules as single messages.
+ * @param {*} thread - The thread to validate
+ * @returns {Object} - { valid: boolean, error?: string, sanitized?: Array }
+ */
+function validateThread(thread) {
+  if (!Array.isArray(thread)) {
+    return {
+      valid: false,
+      error: 'Thread must be an array'
+    };
+  }
+
+  if (thread.length > MAX_THREAD_TURNS) {
+    return {
+      valid: false,
+      error: `Thread exceeds maximum of ${MAX_THREAD_TURNS} turns`
+    };
+  }
+
+  const sanitized = [];
+  for (let i = 0; i < thread.length; i++) {
+    const turn = thread[i];
+
+    if (!turn || typeof turn !== 'object') {
+      return { valid: false, error: `Thread turn ${i} must be an object` };
+    }
+
+    if (!THREAD_ROLES.includes(turn.role)) {
+      return { valid: false, error: `Thread turn ${i} role must be one of: ${THREAD_ROLES.join(', ')}` };
+    }
+
+    const text = validateMessage(turn.text);
+    if (!text.valid) {
+      return { valid: false, error: `Thread turn ${i}: ${text.error}` };
+    }
+
+    if (turn.timestamp !== undefined && Number.isNaN(new Date(turn.timestamp).getTime())) {
+      return { valid: false, error: `Thread turn ${i} timestamp is not a valid date` };
+    }
+
+    sanitized.push({
+      role: turn.role,
+      text: text.sanitized,
+      ...(turn.timestamp !== undefined && { timestamp: new Date(turn.timestamp).toISOString() })
+    });
+  }
+
+  return {
+    valid: true,
+    sanitized
+  };
+}
+
+/**
+ * Validates an optional timestamp (ISO string or epoch milliseconds)
+ * @param {*} value - The timestamp to validate
+ * @param {string} field - Field name used in the error message
+ * @returns {Object} - { valid: boolean, error?: string, sanitized?: string|null } (null if omitted)
+ */
+function validateTimestamp(value, field = 'timestamp') {
+  if (value === undefined || value === null) {
+    return { valid: true, sanitized: null };
+  }
+
+  if ((typeof value !== 'string' && typeof value !== 'number') || Number.isNaN(new Date(value).getTime())) {
+    return { valid: false, error: `${field} is not a valid date` };
+  }
+
+  return { valid: true, sanitized: new Date(value).toISOString() };
+}
+
+/**
+ * Validates an optional client id (used to assign prompt experiments by client)
+ * @param {*} value - The client id to validate
+ * @returns {Object} - { valid: boolean, error?: string, sanitized?: string|null } (null if omitted)
+ */
+function validateClientId(value) {
+  if (value === undefined || value === null) {
+    return { valid: true, sanitized: null };
+  }
+
+  if (typeof value !== 'string' || value.trim() === '' || value.length > MAX_CLIENT_ID_LENGTH) {
+    return { valid: false, error: `client_id must be a non-empty string of at most ${MAX_CLIENT_ID_LENGTH} characters` };
+  }
+
+  return { valid: true, sanitized: value.trim() };
+}
+
+/**
+ * Validates an optional IANA timezone name
+ * @param {*} value - The timezone to validate (e.g. "America/New_York")
+ * @returns {Object} - { valid: boolean, error?: string, sanitized?: string } (UTC if omitted)
+ */
+function validateTimezone(value) {
+  if (value === undefined || value === null) {
+    return { valid: true, sanitized: DEFAULT_TIMEZONE };
+  }
+
+  if (!isValidTimezone(value)) {
+    return { valid: false, error: 'timezone must be an IANA timezone name (e.g. "America/New_York")' };
+  }
+
+  return { valid: true, sanitized: value };
+}
+
 /**
  * Sanitizes a message by removing dangerous characters
  * @param {string} message - The message to sanitize
@@ -105,8 +218,13 @@ function containsSuspiciousContent(message) {
 
 module.exports = {
   validateMessage,
+  validateThread,
+  validateTimestamp,
+  validateTimezone,
+  validateClientId,
   sanitizeMessage,
   containsSuspiciousContent,
-  MAX_MESSAGE_LENGTH
+  MAX_MESSAGE_LENGTH,
+  MAX_THREAD_TURNS
 };
 
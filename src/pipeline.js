@@ -0,0 +1,1092 @@
+/**
+ * Classification pipeline
+ * Shared heuristic + LLM flow used by the single and batch endpoints
+ */
+
+const {
+  heuristicClassify,
+  isHeuristicConclusive,
+  getHeuristicConfidence,
+  DEFAULT_CONFIDENCE_THRESHOLD
+} = require('./heuristics/classifier');
+const { heuristicClassifyThread, splitThread } = require('./heuristics/thread');
+const { extractEntities, mergeEntities } = require('./heuristics/entities');
+const { applyDeadline, scoreDeadline } = require('./heuristics/deadline');
+const { applyEscalation, foldEscalation } = require('./heuristics/sentiment');
+const { safeValidateEntities, SPAM_FOCUS_TYPE } = require('./schema');
+const { parseClassificationResponse, DEFAULT_REPAIR_RETRIES } = require('./repair');
+const {
+  buildSystemPrompt,
+  buildHintsFromHeuristic,
+  buildEntityHints,
+  buildHistoryBlock,
+  buildPromptWithExamples,
+  buildRepairPrompt,
+  DEFAULT_PROMPT_VERSION
+} = require('./prompts');
+const { getEmbedding, findSimilarExamples, areEmbeddingsAvailable, getExamplesVersion, getSelectionConfig } = require('./utils/embeddings');
+const { describeSelection } = require('./utils/selection');
+const { validateMessage } = require('./heuristics/validator');
+const {
+  detectInjection,
+  stripInjectionSpans,
+  buildSecurityFlags,
+  escapeDelimiters,
+  DEFAULT_INJECTION_POLICY,
+  DEFAULT_INJECTION_THRESHOLD
+} = require('./heuristics/injection');
+const { detectSpam, DEFAULT_SPAM_THRESHOLD } = require('./heuristics/spam');
+const { mapWithConcurrency } = require('./utils/concurrency');
+const { getZonedDay, DEFAULT_TIMEZONE } = require('./utils/timezone');
+const { buildCacheKey, buildCacheNamespace } = require('./cache');
+const { assignPromptVersion, hashMessage } = require('./experiments');
+const { pickScores } = require('./experiments/outcomes');
+const { isProviderUnavailable } = require('./providers/resilient');
+const { isCancelledError, throwIfCancelled } = require('./utils/cancel');
+const { parsePartialFields } = require('./streaming');
+const { redactMessage, countRedactions, restoreEntities } = require('./redaction');
+
+const MAX_BATCH_SIZE = 500;
+const DEFAULT_BATCH_CONCURRENCY = 5;
+const DEFAULT_REPAIR_OPTIONS = { retries: DEFAULT_REPAIR_RETRIES, fallback: true };
+const DEFAULT_INJECTION_OPTIONS = { policy: DEFAULT_INJECTION_POLICY, threshold: DEFAULT_INJECTION_THRESHOLD };
+const INJECTION_REASON = { code: 'prompt_injection', message: 'possible prompt injection' };
+const DEFAULT_SPAM_OPTIONS = { threshold: DEFAULT_SPAM_THRESHOLD };
+
+/**
+ * Runs the heuristic stage on a sanitized message or thread
+ * Extracts entities from the message, re-scores time sensitivity against
+ * the deadline they resolve to, then scores sentiment and escalation risk
+ * (which can raise time sensitivity further).
+ * @param {string} message - Sanitized message
+ * @param {Object} options - { thread, threshold, multiLabel, referenceTime, timezone }
+ *   thread: sanitized thread ending with the message (optional)
+ *   threshold: confidence needed to skip the LLM
+ *   referenceTime: when the message was received (default: now)
+ *   timezone: IANA timezone of the sender (default: UTC)
+ * @returns {Object} - { heuristic, entities, isConclusive, confidence }
+ *   heuristic: includes deadline_at (ISO timestamp or null), sentiment, escalation_risk and escalation_signals
+ *   confidence: { score, threshold, conclusive, focus_distribution } for response metadata
+ */
+function runHeuristicStage(message, options = {}) {
+  const threshold = options.threshold !== undefined ? options.threshold : DEFAULT_CONFIDENCE_THRESHOLD;
+  const referenceTime = new Date(options.referenceTime || Date.now()).toISOString();
+  const classifyOptions = { multiLabel: options.multiLabel };
+  const classified = options.thread
+    ? heuristicClassifyThread(options.thread, classifyOptions)
+    : heuristicClassify(message, classifyOptions);
+  const entities = extractEntities(message, {
+    referenceTime,
+    timezone: options.timezone,
+    language: classified.detected_language
+  });
+  const heuristic = applyEscalation(
+    applyDeadline(classified, message, entities.dates, { referenceTime, timezone: options.timezone }),
+    message,
+    { history: options.thread ? splitThread(options.thread).history : [] }
+  );
+  const isConclusive = isHeuristicConclusive(heuristic, threshold);
+
+  return {
+    heuristic,
+    entities,
+    isConclusive,
+    confidence: {
+      score: getHeuristicConfidence(heuristic),
+      threshold,
+      conclusive: isConclusive,
+      focus_distribution: heuristic.focus_distribution
+    }
+  };
+}
+
+/**
+ * Builds a final classification from a conclusive heuristic result
+ * @param {Object} heuristic - Conclusive heuristic classification result
+ * @param {Object} options - { multiLabel, entities }
+ *   multiLabel: include every detected category
+ *   entities: locally extracted entities to include
+ * @returns {Object} - Classification object
+ */
+function buildHeuristicClassification(heuristic, options = {}) {
+  const classification = {
+    needs_reply: heuristic.needs_reply,
+    time_sensitive_score: heuristic.time_sensitive_score,
+    business_value_score: heuristic.business_value_score,
+    focus_summary_type: heuristic.focus_summary_type,
+    reason: `Pattern-matched as ${heuristic.focus_summary_type.toLowerCase()} with clear indicators`,
+    sentiment: heuristic.sentiment ?? 0,
+    escalation_risk: heuristic.escalation_risk ?? 0,
+    detected_language: heuristic.detected_language,
+    deadline_at: heuristic.deadline_at || null
+  };
+
+  if (options.entities) {
+    classification.entities = options.entities;
+  }
+
+  if (options.multiLabel) {
+    classification.labels = heuristic.labels.map(label => ({
+      ...label,
+      time_sensitive_score: label.time_sensitive_score !== null
+        ? label.time_sensitive_score
+        : heuristic.time_sensitive_score
+    }));
+  }
+
+  return classification;
+}
+
+/**
+ * Builds a degraded classification from a heuristic result the LLM could not improve on
+ * Fields the heuristics left open get defaults that keep the message visible:
+ * needs a reply, not time sensitive, medium value, General.
+ * @param {Object} heuristic - Heuristic classification result (may be partial)
+ * @param {Object} options - { multiLabel, entities } (see buildHeuristicClassification)
+ * @returns {Object} - Classification object
+ */
+function buildDegradedClassification(heuristic, options = {}) {
+  const focusType = heuristic.focus_summary_type || 'General';
+  const filled = {
+    ...heuristic,
+    needs_reply: heuristic.needs_reply ?? true,
+    time_sensitive_score: heuristic.time_sensitive_score ?? 0,
+    business_value_score: heuristic.business_value_score ?? 0.4,
+    focus_summary_type: focusType,
+    labels: heuristic.labels && heuristic.labels.length > 0
+      ? heuristic.labels
+      : [{ focus_summary_type: focusType, business_value_score: heuristic.business_value_score ?? 0.4, time_sensitive_score: null }]
+  };
+
+  return {
+    ...buildHeuristicClassification(filled, options),
+    reason: `Heuristic fallback as ${focusType.toLowerCase()}: the LLM response could not be repaired`
+  };
+}
+
+/**
+ * Builds the result served when the LLM can't be used: the provider is
+ * unavailable (circuit breaker open, or every retry failed) or the tenant
+ * is over its limits
+ * @param {Object} heuristic - Heuristic classification result (may be partial)
+ * @param {Object} reason - { code, message }, e.g. an error from a resilient provider
+ *   (see src/providers/resilient.js)
+ * @param {Object} options - { multiLabel, entities }
+ * @returns {Object} - { classification, metadata } flagged degraded, with degraded_reason set to reason.code
+ */
+function buildUnavailableResult(heuristic, reason, options = {}) {
+  console.warn(`⚠️  LLM not used (${reason.message}), serving the heuristic result (degraded)`);
+  return {
+    classification: buildDegradedClassification(heuristic, options),
+    metadata: {
+      method: 'heuristic',
+      degraded: true,
+      degraded_reason: reason.code,
+      tokens_used: 0
+    }
+  };
+}
+
+/**
+ * Describes why the LLM is skipped for a tenant over its limits
+ * @param {string} code - Limit reason (see checkTenantLimits in src/tenants/limits.js)
+ * @returns {Object} - { code, message } for buildUnavailableResult
+ */
+function tenantLimitReason(code) {
+  return { code, message: `tenant over its limits: ${code}` };
+}
+
+/**
+ * Builds the result for a message quarantined as a possible prompt injection
+ * Nothing the message says is trusted, so it gets neutral scores and waits for
+ * review: needs a reply, not time sensitive, no business value, General.
+ * @param {Object} heuristic - Heuristic classification result (may be partial)
+ * @param {Object} options - { multiLabel, entities }
+ * @returns {Object} - { classification, metadata } with metadata.method 'quarantine'
+ */
+function buildQuarantinedResult(heuristic, options = {}) {
+  console.warn('🛡️  Message quarantined for review (possible prompt injection)');
+  const neutral = {
+    ...heuristic,
+    needs_reply: true,
+    time_sensitive_score: 0,
+    business_value_score: 0,
+    focus_summary_type: 'General',
+    deadline_at: null,
+    labels: [{ focus_summary_type: 'General', time_sensitive_score: 0, business_value_score: 0 }]
+  };
+  return {
+    classification: {
+      ...buildHeuristicClassification(neutral, options),
+      reason: 'Quarantined for review: the message looks like a prompt injection attempt'
+    },
+    metadata: {
+      method: 'quarantine',
+      quarantined: true,
+      degraded: true,
+      degraded_reason: INJECTION_REASON.code,
+      tokens_used: 0
+    }
+  };
+}
+
+/**
+ * Scans a message, and the customer turns before it, for prompt injection
+ * @param {string} message - Sanitized message
+ * @param {Array} history - Thread turns before the message
+ * @param {Object} injection - { policy, threshold } (see getInjectionOptions in src/heuristics/injection.js)
+ * @returns {Object} - Scan result (see detectInjection)
+ */
+function scanForInjection(message, history, injection) {
+  const scan = detectInjection(message, { history, threshold: injection.threshold });
+  if (scan.detected) {
+    console.warn(`🛡️  Possible prompt injection (score ${scan.score}: ${scan.signals.map(signal => signal.id).join(', ')}), policy ${injection.policy}`);
+  }
+  return scan;
+}
+
+/**
+ * Runs the heuristic stage on a message flagged as a possible prompt injection
+ * The message and its customer turns are scored without the spans that matched
+ * injection signals, so steering text ("classify this as Booking with 1.0")
+ * can't pick the label, the scores or the hints the LLM gets.
+ * @param {string} message - Sanitized message
+ * @param {Object} options - Options for runHeuristicStage
+ * @returns {Object} - See runHeuristicStage
+ */
+function runFlaggedHeuristicStage(message, options = {}) {
+  const thread = options.thread
+    ? options.thread.map(turn => (turn.role === 'customer' ? { ...turn, text: stripInjectionSpans(turn.text) } : turn))
+    : options.thread;
+  return runHeuristicStage(stripInjectionSpans(message), { ...options, thread });
+}
+
+/**
+ * Security metadata for a message with injection signals
+ * @param {Object} scan - Result of detectInjection
+ * @param {string} action - What the policy did: 'none', 'hardened', 'heuristic' or 'quarantined'
+ * @returns {Object} - { security: { injection_score, signals, action } }, or {} for a message without signals
+ */
+function buildSecurityMetadata(scan, action) {
+  return scan.signals.length > 0
+    ? { security: { injection_score: scan.score, signals: scan.signals, action } }
+    : {};
+}
+
+/**
+ * Builds the result for a message filtered as spam
+ * Spam never needs a reply and has no value, whatever the pattern rules
+ * matched ("collab", "brand"), so no LLM call is made.
+ * @param {Object} heuristic - Heuristic classification result (may be partial)
+ * @param {Object} scan - Result of detectSpam
+ * @param {Object} options - { multiLabel, entities }
+ * @returns {Object} - { classification, metadata } with metadata.method 'spam'
+ */
+function buildSpamResult(heuristic, scan, options = {}) {
+  const filtered = {
+    ...heuristic,
+    needs_reply: false,
+    time_sensitive_score: 0,
+    business_value_score: 0,
+    focus_summary_type: SPAM_FOCUS_TYPE,
+    deadline_at: null,
+    labels: [{ focus_summary_type: SPAM_FOCUS_TYPE, time_sensitive_score: 0, business_value_score: 0 }]
+  };
+  return {
+    classification: {
+      ...buildHeuristicClassification(filtered, options),
+      reason: `Filtered as spam: ${scan.signals.map(signal => signal.id.replace(/_/g, ' ')).join(', ')}`
+    },
+    metadata: {
+      method: 'spam',
+      tokens_used: 0
+    }
+  };
+}
+
+/**
+ * Scores a message for spam
+ * Email addresses redacted from the message still count for brand mismatches.
+ * @param {string} message - Sanitized (and possibly redacted) message
+ * @param {Object|null} spam - { threshold } (see getSpamOptions in src/heuristics/spam.js), or null when disabled
+ * @param {Object|null} redaction - { replacements } (see redactMessage in src/redaction.js)
+ * @returns {Object|null} - Scan result (see detectSpam), or null when disabled
+ */
+function scanForSpam(message, spam, redaction) {
+  if (!spam) {
+    return null;
+  }
+  const emails = redaction
+    ? redaction.replacements.filter(replacement => replacement.type === 'email').map(replacement => replacement.value)
+    : [];
+  const scan = detectSpam(message, { threshold: spam.threshold, emails });
+  if (scan.detected) {
+    console.log(`🚫 Spam (score ${scan.score}: ${scan.signals.map(signal => signal.id).join(', ')}), skipping classification`);
+  }
+  return scan;
+}
+
+/**
+ * Spam fields for every classification and its metadata
+ * @param {Object|null} scan - Result of detectSpam, or null when spam detection is disabled
+ * @returns {Object} - { spam_score } for the classification (null when disabled), and
+ *   { spam: { signals, filtered } } for metadata of messages with any signal
+ */
+function buildSpamFields(scan) {
+  return {
+    classification: { spam_score: scan ? scan.score : null },
+    metadata: scan && scan.signals.length > 0
+      ? { spam: { signals: scan.signals, filtered: scan.detected } }
+      : {}
+  };
+}
+
+/**
+ * Finishes a classification of a redacted message
+ * @param {Object} classification - Classification (not modified; it may be cached)
+ * @param {Object} metadata - Result metadata
+ * @param {Object|null} redaction - { replacements, restoreEntities } (see redactMessage in src/redaction.js)
+ * @returns {Object} - { classification, metadata } with entities restored when asked and
+ *   metadata.pii_redacted counting replacements by type
+ */
+function finishRedaction(classification, metadata, redaction) {
+  if (!redaction || redaction.replacements.length === 0) {
+    return { classification, metadata };
+  }
+  return {
+    classification: redaction.restoreEntities && classification.entities
+      ? { ...classification, entities: restoreEntities(classification.entities, redaction.replacements) }
+      : classification,
+    metadata: { ...metadata, pii_redacted: countRedactions(redaction.replacements) }
+  };
+}
+
+/**
+ * Classifies a message with the LLM, using similar examples and heuristic hints
+ * @param {string} message - Sanitized message
+ * @param {Object} heuristic - Heuristic classification result (may be partial)
+ * @param {Object} provider - LLM provider (see src/providers)
+ * @param {Object} options - { history, ownerReplied, multiLabel, localizeReason, entities, referenceTime, timezone, promptVersion, repair,
+ *   hardened, signal, onEvent }
+ *   entities: locally extracted entities (extracted here if omitted)
+ *   promptVersion: name of the classification prompt version (default: DEFAULT_PROMPT_VERSION)
+ *   referenceTime: Date or ISO string relative dates are resolved against (default: now)
+ *   timezone: IANA timezone of the sender (default: UTC)
+ *   repair: { retries, fallback } for invalid responses (see getRepairOptions in src/repair.js)
+ *   hardened: use the hardened system prompt, for a message flagged as a possible injection
+ *   signal: AbortSignal that cancels the provider calls
+ *   onEvent: called as onEvent('examples', ...) once examples are chosen, then onEvent('partial', ...)
+ *     as the answer streams in (see src/streaming.js); the completion is streamed only when given
+ * @returns {Promise<Object>} - { classification, metadata } with metadata.repairs (every fix and
+ *   re-ask, by attempt), metadata.llm_attempts and metadata.degraded (heuristic fallback used)
+ * @throws {Error} with code 'invalid_llm_response' if every attempt fails and fallback is off,
+ *   or with code 'request_cancelled' if the signal aborts
+ */
+async function runLLMStage(message, heuristic, provider, options = {}) {
+  const history = options.history || [];
+  const referenceTime = new Date(options.referenceTime || Date.now()).toISOString();
+  const localEntities = options.entities ||
+    extractEntities(message, { referenceTime, timezone: options.timezone, language: heuristic.detected_language });
+
+  // Get similar examples using embeddings
+  let similarExamples = [];
+  let usedEmbeddings = false;
+
+  if (areEmbeddingsAvailable()) {
+    try {
+      console.log('🔍 Finding similar examples...');
+      const messageEmbedding = await getEmbedding(message, provider, { signal: options.signal });
+      similarExamples = findSimilarExamples(message, messageEmbedding, 3);
+      usedEmbeddings = true;
+      console.log(`✓ Found ${similarExamples.length} similar examples (${describeSelection(getSelectionConfig())}, similarity: ${similarExamples.map(e => e.similarity.toFixed(3)).join(', ')})`);
+    } catch (error) {
+      if (isCancelledError(error)) {
+        throw error;
+      }
+      console.warn('⚠️  Failed to get embeddings:', error.message);
+    }
+  }
+
+  const onEvent = options.onEvent;
+  if (onEvent) {
+    onEvent('examples', {
+      strategy: usedEmbeddings ? describeSelection(getSelectionConfig()) : null,
+      examples: similarExamples.map(example => ({
+        id: example.id,
+        message: example.message,
+        focus_summary_type: example.classification.focus_summary_type,
+        similarity: example.similarity
+      }))
+    });
+  }
+
+  // Build user prompt with examples, history and hints
+  const hints = buildHintsFromHeuristic(heuristic, { localizeReason: options.localizeReason });
+  if (options.ownerReplied) {
+    hints.push('The owner has already replied after this message');
+  }
+  hints.push(...buildEntityHints(localEntities, referenceTime, {
+    timezone: options.timezone,
+    deadlineAt: heuristic.deadline_at
+  }));
+  const userPrompt = usedEmbeddings
+    ? buildPromptWithExamples(message, similarExamples, hints, history)
+    : `${buildHistoryBlock(history)}Message: <<<${escapeDelimiters(message)}>>>${hints.length > 0 ? `\n\nHints (you may override if context suggests otherwise):\n${hints.join('\n')}` : ''}`;
+
+  // Call the LLM provider; an invalid response is repaired, then re-asked with the errors
+  const repairOptions = { ...DEFAULT_REPAIR_OPTIONS, ...options.repair };
+  const messages = [
+    {
+      role: 'system',
+      content: buildSystemPrompt({
+        multiLabel: options.multiLabel,
+        promptVersion: options.promptVersion,
+        hardened: options.hardened
+      })
+    },
+    {
+      role: 'user',
+      content: userPrompt
+    }
+  ];
+  const repairs = [];
+  let completion;
+  let parsed;
+  let tokensUsed = 0;
+  let attempt = 0;
+
+  for (; attempt <= repairOptions.retries; attempt++) {
+    if (attempt > 0) {
+      console.warn(`🔧 Re-asking the LLM (attempt ${attempt + 1}): ${parsed.error}`);
+      repairs.push({ attempt, action: 'reasked', error: parsed.error });
+      messages.push(
+        { role: 'assistant', content: completion.content },
+        { role: 'user', content: buildRepairPrompt(parsed.error) }
+      );
+    }
+
+    // Streamed answers are reported field by field, once per change
+    let lastPartial = JSON.stringify(parsePartialFields(''));
+    const onDelta = onEvent && ((delta, content) => {
+      const partial = parsePartialFields(content);
+      const serialized = JSON.stringify(partial);
+      if (serialized !== lastPartial) {
+        lastPartial = serialized;
+        onEvent('partial', { attempt: attempt + 1, ...partial });
+      }
+    });
+
+    completion = await provider.complete({
+      messages,
+      temperature: 0.3,
+      signal: options.signal,
+      onDelta
+    });
+    tokensUsed += completion.usage.total_tokens;
+
+    // Parse, repair and validate the response with Zod
+    parsed = parseClassificationResponse(completion.content, { multiLabel: options.multiLabel });
+    repairs.push(...parsed.repairs.map(repair => ({ attempt, ...repair })));
+    if (parsed.success) {
+      break;
+    }
+    console.error('❌ LLM response validation failed:', parsed.error);
+  }
+
+  const metadata = {
+    method: 'llm',
+    hints_provided: hints.length > 0,
+    similar_examples_used: usedEmbeddings,
+    similar_examples_count: similarExamples.length,
+    // Which examples went into the prompt, for auditing
+    example_selection: usedEmbeddings
+      ? { strategy: describeSelection(getSelectionConfig()), example_ids: similarExamples.map(example => example.id) }
+      : null,
+    provider: provider.name,
+    model: completion.model,
+    tokens_used: tokensUsed,
+    ...(options.hardened && { hardened_prompt: true }),
+    llm_attempts: Math.min(attempt + 1, repairOptions.retries + 1),
+    repairs,
+    degraded: false
+  };
+
+  if (!parsed.success) {
+    if (!repairOptions.fallback) {
+      const error = new Error('Invalid classification response from LLM');
+      error.code = 'invalid_llm_response';
+      error.details = parsed.error;
+      error.tokens_used = tokensUsed;
+      throw error;
+    }
+
+    // Last resort: the (possibly partial) heuristic result, flagged as degraded
+    console.warn('⚠️  Falling back to the heuristic result (degraded)');
+    repairs.push({ attempt: attempt - 1, action: 'heuristic_fallback', error: parsed.error });
+    return {
+      classification: buildDegradedClassification(heuristic, { multiLabel: options.multiLabel, entities: localEntities }),
+      metadata: { ...metadata, method: 'heuristic', degraded: true, degraded_reason: 'invalid_llm_response' }
+    };
+  }
+
+  const classification = parsed.classification;
+  const rawResponse = parsed.raw;
+  if (repairs.length > 0) {
+    console.log(`🔧 Repaired LLM response: ${repairs.map(repair => repair.action).join(', ')}`);
+  }
+
+  // Language comes from local detection, not from the LLM
+  classification.detected_language = heuristic.detected_language || null;
+
+  // LLM entities only fill gaps; bad ones are dropped without failing the classification
+  let llmEntities = null;
+  if (rawResponse.entities !== undefined) {
+    const parsedEntities = safeValidateEntities(rawResponse.entities);
+    if (parsedEntities.success) {
+      llmEntities = parsedEntities.data;
+    } else {
+      console.warn('⚠️  Ignoring invalid LLM entities:', parsedEntities.error.issues.map(issue => issue.message).join('; '));
+    }
+  }
+  classification.entities = mergeEntities(localEntities, llmEntities);
+
+  // Dates the LLM added can move the deadline. A resolved deadline scores time
+  // sensitivity the same way as on the heuristic path, so a date six days out is not urgent
+  const { deadline, score } = scoreDeadline(message, classification.entities.dates, heuristic.detected_language, {
+    referenceTime,
+    timezone: options.timezone
+  });
+  classification.deadline_at = deadline ? deadline.deadline_at : null;
+  if (deadline) {
+    classification.time_sensitive_score = score;
+    if (classification.labels && classification.labels.length > 0) {
+      classification.labels[0].time_sensitive_score = score;
+    }
+  }
+
+  // Local sentiment and escalation win; the LLM fills in what the heuristics found nothing for
+  classification.sentiment = heuristic.sentiment ?? classification.sentiment ?? 0;
+  classification.escalation_risk = heuristic.escalation_risk ?? classification.escalation_risk ?? 0;
+  classification.time_sensitive_score = foldEscalation(classification.time_sensitive_score, classification.escalation_risk);
+  if (classification.labels && classification.labels.length > 0) {
+    classification.labels[0].time_sensitive_score = foldEscalation(classification.labels[0].time_sensitive_score, classification.escalation_risk);
+  }
+
+  return { classification, metadata };
+}
+
+/**
+ * Runs the LLM stage behind the classification cache
+ * Cache errors are logged and never fail the classification.
+ * @param {string} message - Sanitized message
+ * @param {Object} heuristic - Heuristic classification result (may be partial)
+ * @param {Object} provider - LLM provider (see src/providers)
+ * @param {Object|null} cache - Classification cache (see src/cache), or null to bypass
+ * Degraded results are never cached, so the next request gets another try.
+ * @param {Object} options - { history, ownerReplied, multiLabel, localizeReason, entities, referenceTime, timezone, promptVersion, repair,
+ *   hardened, signal, onEvent } (see runLLMStage; a cache hit emits no events)
+ * @returns {Promise<Object>} - { classification, metadata } with metadata.cache hit|miss
+ */
+async function runCachedLLMStage(message, heuristic, provider, cache, options = {}) {
+  if (!cache) {
+    return runLLMStage(message, heuristic, provider, options);
+  }
+
+  // Thread context changes the answer, so it is part of the key
+  const hasContext = (options.history && options.history.length > 0) || options.ownerReplied;
+  const contextKey = hasContext
+    ? `${message}\n${JSON.stringify({ history: options.history, ownerReplied: options.ownerReplied })}`
+    : message;
+  // Relative dates resolve differently each day, so entries are per local reference day
+  const timezone = options.timezone || DEFAULT_TIMEZONE;
+  const referenceDay = new Date(getZonedDay(options.referenceTime || Date.now(), timezone)).toISOString().slice(0, 10);
+  const keySource = `${contextKey}\n@${referenceDay} ${timezone}`;
+  // Approved feedback and the selection strategy change the few-shot examples, so they invalidate entries too
+  const namespace = `${buildCacheNamespace(provider)}:examples-v${getExamplesVersion()}:${describeSelection(getSelectionConfig())}` +
+    `:prompt-${options.promptVersion || DEFAULT_PROMPT_VERSION}` +
+    `${options.multiLabel ? ':multi' : ''}${options.localizeReason ? ':localized' : ''}${options.hardened ? ':hardened' : ''}`;
+  const key = buildCacheKey(keySource, namespace);
+
+  try {
+    const cached = await cache.get(key);
+    if (cached) {
+      console.log('💾 Cache hit (skipped LLM)');
+      return {
+        classification: cached.classification,
+        metadata: { ...cached.metadata, tokens_used: 0, cache: 'hit' }
+      };
+    }
+  } catch (error) {
+    console.warn('⚠️  Cache read failed:', error.message);
+  }
+
+  const result = await runLLMStage(message, heuristic, provider, options);
+
+  if (!result.metadata.degraded) {
+    try {
+      await cache.set(key, result);
+    } catch (error) {
+      console.warn('⚠️  Cache write failed:', error.message);
+    }
+  }
+
+  return {
+    classification: result.classification,
+    metadata: { ...result.metadata, cache: 'miss' }
+  };
+}
+
+/**
+ * Records an LLM classification (or failure) in the prompt outcome log
+ * Heuristic results use no prompt, so they are never recorded; degraded
+ * fallbacks are recorded as errors.
+ * @param {Object|null} outcomes - Outcome log (see src/experiments/outcomes), or null
+ * @param {string} message - Sanitized message
+ * @param {Object} assignment - { prompt_version, experiment } from assignPromptVersion
+ * @param {Object} outcome - { result, error, latencyMs }
+ */
+function recordOutcome(outcomes, message, assignment, outcome) {
+  if (!outcomes) {
+    return;
+  }
+
+  const base = { ...assignment, message_hash: hashMessage(message) };
+  if (outcome.error || outcome.result.metadata.degraded) {
+    outcomes.record({ type: 'error', ...base, code: outcome.error ? outcome.error.code || 'llm_error' : 'degraded' });
+    return;
+  }
+  outcomes.record({
+    type: 'classification',
+    ...base,
+    cache: outcome.result.metadata.cache || null,
+    repairs: (outcome.result.metadata.repairs || []).length,
+    ...pickScores(outcome.result.classification),
+    tokens_used: outcome.result.metadata.tokens_used,
+    latency_ms: outcome.latencyMs
+  });
+}
+
+/**
+ * Classifies a sanitized message, skipping the LLM when heuristics are conclusive
+ * @param {string} message - Sanitized message
+ * @param {Object} provider - LLM provider (see src/providers)
+ * @param {Object} options - { cache, thread, confidenceThreshold, multiLabel, localizeReason, referenceTime, timezone,
+ *   promptVersion, experiment, clientId, outcomes, repair, injection, spam, redaction, signal, onEvent, heuristicOnly }
+ *   thread: sanitized turns ending with (or followed by owner replies to) the message
+ *   referenceTime: when the message was received, for resolving relative dates (default: now)
+ *   timezone: IANA timezone of the sender (default: UTC)
+ *   promptVersion: prompt version used outside an experiment (default: DEFAULT_PROMPT_VERSION)
+ *   experiment: active prompt experiment (see src/experiments), or null
+ *   clientId: caller's client id, for experiments assigned by client
+ *   outcomes: prompt outcome log to record LLM results in, or null
+ *   repair: { retries, fallback } for invalid LLM responses (default: 1 re-ask, then heuristic fallback)
+ *   injection: { policy, threshold } for messages flagged as possible prompt injections
+ *     (see getInjectionOptions in src/heuristics/injection.js; default: harden at 0.5)
+ *   spam: { threshold } for filtering spam (see getSpamOptions in src/heuristics/spam.js; default 0.7),
+ *     or null to turn spam detection off
+ *   redaction: { replacements, restoreEntities } when the message and thread were redacted
+ *     (see redactMessage in src/redaction.js); restores the original values in the returned entities
+ *   signal: AbortSignal that cancels the LLM stage (e.g. when a stream client disconnects)
+ *   onEvent: progress callback, called as onEvent(type, data) with 'heuristic' first, then
+ *     'examples' and 'partial' when the LLM is used (see src/streaming.js)
+ *   heuristicOnly: reason code (e.g. 'token_budget_exceeded') to skip the LLM and serve the
+ *     heuristic result, flagged degraded, for a tenant over its limits
+ * @returns {Promise<Object>} - { classification, metadata } with metadata.prompt_version
+ *   and metadata.experiment (both null when heuristics answered). When the provider is
+ *   unavailable (see src/providers/resilient.js), the heuristic result is served with
+ *   metadata.degraded true and metadata.degraded_reason set to the error code.
+ *   classification.security_flags lists 'prompt_injection' and 'suspicious_content' when found;
+ *   metadata.security has the injection score, signals and the action taken.
+ *   classification.spam_score is the spam score (null with spam detection off); spam is answered
+ *   locally with focus_summary_type 'Spam' and metadata.method 'spam'.
+ * @throws {Error} with code 'request_cancelled' if the signal aborts (never recorded as an outcome)
+ */
+async function classifyMessage(message, provider, options = {}) {
+  const startTime = Date.now();
+  const thread = options.thread || null;
+  const multiLabel = Boolean(options.multiLabel);
+  const referenceTime = new Date(options.referenceTime || Date.now()).toISOString();
+  const context = thread ? splitThread(thread) : { history: [], ownerReplied: false };
+  const threadMetadata = thread
+    ? { thread_turns: thread.length, owner_replied: context.ownerReplied }
+    : {};
+  const modeMetadata = multiLabel ? { multi_label: true } : {};
+  const injection = { ...DEFAULT_INJECTION_OPTIONS, ...options.injection };
+  const spam = options.spam === null ? null : { ...DEFAULT_SPAM_OPTIONS, ...options.spam };
+
+  // Step 1: Scan for prompt injection, run heuristic classification and scan for spam
+  const scan = scanForInjection(message, context.history, injection);
+  const { heuristic, entities, isConclusive, confidence } = (scan.detected ? runFlaggedHeuristicStage : runHeuristicStage)(message, {
+    thread,
+    threshold: options.confidenceThreshold,
+    multiLabel,
+    referenceTime,
+    timezone: options.timezone
+  });
+
+  const securityFlags = buildSecurityFlags(scan);
+  const quarantine = scan.detected && injection.policy === 'quarantine';
+  const spamScan = scanForSpam(message, spam, options.redaction);
+  const spamFields = buildSpamFields(spamScan);
+
+  console.log('🔍 Heuristic results:', JSON.stringify(heuristic, null, 2));
+  if (options.onEvent) {
+    options.onEvent('heuristic', { heuristic, confidence, security_flags: securityFlags, ...spamFields.classification });
+  }
+
+  // Step 2: Spam - answer locally, whatever the heuristics matched
+  if (spamScan && spamScan.detected) {
+    const result = buildSpamResult(heuristic, spamScan, { multiLabel, entities });
+    return finishRedaction(
+      { ...result.classification, security_flags: securityFlags, ...spamFields.classification },
+      {
+        ...result.metadata,
+        confidence,
+        prompt_version: null,
+        experiment: null,
+        ...buildSecurityMetadata(scan, 'none'),
+        ...spamFields.metadata,
+        ...modeMetadata,
+        ...threadMetadata,
+        execution_time_ms: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      },
+      options.redaction
+    );
+  }
+
+  // Step 3: Conclusive heuristic - skip LLM (a flagged message always goes through its policy)
+  if (isConclusive && !scan.detected) {
+    console.log('⚡ Using heuristic (skipped LLM)');
+    return finishRedaction(
+      { ...buildHeuristicClassification(heuristic, { multiLabel, entities }), security_flags: securityFlags, ...spamFields.classification },
+      {
+        method: 'heuristic',
+        confidence,
+        prompt_version: null,
+        experiment: null,
+        ...buildSecurityMetadata(scan, 'none'),
+        ...spamFields.metadata,
+        ...modeMetadata,
+        ...threadMetadata,
+        execution_time_ms: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      },
+      options.redaction
+    );
+  }
+
+  // Step 4: Partial or no match - use LLM with embeddings and hints
+  throwIfCancelled(options.signal, 'Classification');
+  let result;
+  let unavailable = false;
+  let assignment = null;
+  let securityAction = 'none';
+  if (quarantine) {
+    unavailable = true;
+    securityAction = 'quarantined';
+    result = buildQuarantinedResult(heuristic, { multiLabel, entities });
+  } else if (scan.detected && injection.policy === 'heuristic') {
+    unavailable = true;
+    securityAction = 'heuristic';
+    result = buildUnavailableResult(heuristic, INJECTION_REASON, { multiLabel, entities });
+  } else if (options.heuristicOnly) {
+    unavailable = true;
+    result = buildUnavailableResult(heuristic, tenantLimitReason(options.heuristicOnly), { multiLabel, entities });
+  } else {
+    const hardened = scan.detected;
+    if (hardened) {
+      securityAction = 'hardened';
+    }
+    assignment = assignPromptVersion(message, {
+      experiment: options.experiment,
+      clientId: options.clientId,
+      defaultVersion: options.promptVersion
+    });
+    console.log(`🤖 Using LLM (heuristic inconclusive, prompt ${assignment.prompt_version}${assignment.experiment ? ` in experiment ${assignment.experiment}` : ''})`);
+    try {
+      result = await runCachedLLMStage(message, heuristic, provider, options.cache, {
+        history: context.history,
+        ownerReplied: context.ownerReplied,
+        multiLabel,
+        localizeReason: options.localizeReason,
+        entities,
+        referenceTime,
+        timezone: options.timezone,
+        promptVersion: assignment.prompt_version,
+        repair: options.repair,
+        hardened,
+        signal: options.signal,
+        onEvent: options.onEvent
+      });
+    } catch (error) {
+      if (isCancelledError(error)) {
+        console.log('🛑 Classification cancelled by the caller');
+        throw error;
+      }
+      if (!isProviderUnavailable(error)) {
+        recordOutcome(options.outcomes, message, assignment, { error });
+        throw error;
+      }
+      // Outages say nothing about the prompt, so they are not recorded as outcomes
+      unavailable = true;
+      result = buildUnavailableResult(heuristic, error, { multiLabel, entities });
+    }
+    if (!unavailable) {
+      recordOutcome(options.outcomes, message, assignment, { result, latencyMs: Date.now() - startTime });
+    }
+  }
+
+  // Cached classifications are shared, so flags go on a copy
+  return finishRedaction(
+    { ...result.classification, security_flags: securityFlags, ...spamFields.classification },
+    {
+      ...result.metadata,
+      confidence,
+      ...(unavailable ? { prompt_version: null, experiment: null } : assignment),
+      ...buildSecurityMetadata(scan, securityAction),
+      ...spamFields.metadata,
+      ...modeMetadata,
+      ...threadMetadata,
+      execution_time_ms: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    },
+    options.redaction
+  );
+}
+
+/**
+ * Classifies a batch of raw messages
+ * Every item is validated, redacted and run through heuristics; only inconclusive
+ * items are sent to the LLM, with at most `concurrency` calls in flight.
+ * A failing item is reported in its slot and never fails the whole batch.
+ * @param {Array} messages - Raw (unsanitized) messages
+ * @param {Object} provider - LLM provider (see src/providers)
+ * @param {Object} options - { concurrency, cache, confidenceThreshold, multiLabel, localizeReason, referenceTime, timezone,
+ *   promptVersion, experiment, clientId, outcomes, repair, injection, spam, redaction, heuristicOnly, tokenBudget } (see classifyMessage)
+ *   redaction: { types, restoreEntities } to redact PII from every item (see getRedactionOptions
+ *     in src/redaction.js), or null
+ *   tokenBudget: { remaining, overLimit } for a tenant with a daily token budget, or null. Once the
+ *     items so far have used `remaining` tokens, the rest skip the LLM: overLimit 'heuristic' serves
+ *     them degraded, 'reject' fails them with code 'token_budget_exceeded'. Items already in flight
+ *     finish, so a batch can end up to `concurrency` items over the budget.
+ * @returns {Promise<Object>} - { results, metadata } with results in input order
+ */
+async function classifyBatch(messages, provider, options = {}) {
+  const startTime = Date.now();
+  const concurrency = options.concurrency || DEFAULT_BATCH_CONCURRENCY;
+  const multiLabel = Boolean(options.multiLabel);
+  const referenceTime = new Date(options.referenceTime || Date.now()).toISOString();
+  const injection = { ...DEFAULT_INJECTION_OPTIONS, ...options.injection };
+  const spam = options.spam === null ? null : { ...DEFAULT_SPAM_OPTIONS, ...options.spam };
+  const results = new Array(messages.length);
+  const redactions = new Array(messages.length).fill(null);
+  const pending = [];
+
+  // Step 1: Validate, redact, run heuristics and scan for prompt injection and spam on every item
+  messages.forEach((rawMessage, index) => {
+    const validation = validateMessage(rawMessage);
+    if (!validation.valid) {
+      results[index] = { index, success: false, error: validation.error };
+      return;
+    }
+
+    let message = validation.sanitized;
+    if (options.redaction) {
+      const redacted = redactMessage(message, { types: options.redaction.types });
+      message = redacted.message;
+      redactions[index] = { replacements: redacted.replacements, restoreEntities: options.redaction.restoreEntities };
+    }
+
+    const scan = scanForInjection(message, [], injection);
+    const { heuristic, entities, isConclusive, confidence } = (scan.detected ? runFlaggedHeuristicStage : runHeuristicStage)(message, {
+      threshold: options.confidenceThreshold,
+      multiLabel,
+      referenceTime,
+      timezone: options.timezone
+    });
+    const spamScan = scanForSpam(message, spam, redactions[index]);
+    const spamFields = buildSpamFields(spamScan);
+    // Flags and spam score for the classification, spam signals for its metadata
+    const flags = { security_flags: buildSecurityFlags(scan), ...spamFields.classification };
+    const spamMetadata = spamFields.metadata;
+    if (spamScan && spamScan.detected) {
+      const result = buildSpamResult(heuristic, spamScan, { multiLabel, entities });
+      results[index] = {
+        index,
+        success: true,
+        classification: { ...result.classification, ...flags },
+        metadata: {
+          ...result.metadata,
+          confidence,
+          prompt_version: null,
+          experiment: null,
+          ...buildSecurityMetadata(scan, 'none'),
+          ...spamMetadata
+        }
+      };
+      return;
+    }
+    if (scan.detected && injection.policy === 'quarantine') {
+      const result = buildQuarantinedResult(heuristic, { multiLabel, entities });
+      results[index] = {
+        index,
+        success: true,
+        classification: { ...result.classification, ...flags },
+        metadata: {
+          ...result.metadata,
+          confidence,
+          prompt_version: null,
+          experiment: null,
+          ...buildSecurityMetadata(scan, 'quarantined'),
+          ...spamMetadata
+        }
+      };
+      return;
+    }
+    if (isConclusive && !scan.detected) {
+      results[index] = {
+        index,
+        success: true,
+        classification: { ...buildHeuristicClassification(heuristic, { multiLabel, entities }), ...flags },
+        metadata: { method: 'heuristic', confidence, prompt_version: null, experiment: null, ...buildSecurityMetadata(scan, 'none'), ...spamMetadata }
+      };
+      return;
+    }
+
+    pending.push({ index, message, heuristic, confidence, entities, scan, flags, spamMetadata });
+  });
+
+  console.log(`\n📦 Batch of ${messages.length}: ${pending.length} sent to LLM (concurrency ${concurrency})`);
+
+  // Serves an item from its heuristic result, flagged degraded
+  const degrade = (item, reason, securityAction = 'none') => {
+    const result = buildUnavailableResult(item.heuristic, reason, { multiLabel, entities: item.entities });
+    results[item.index] = {
+      index: item.index,
+      success: true,
+      classification: { ...result.classification, ...item.flags },
+      metadata: {
+        ...result.metadata,
+        confidence: item.confidence,
+        prompt_version: null,
+        experiment: null,
+        ...buildSecurityMetadata(item.scan, securityAction),
+        ...item.spamMetadata
+      }
+    };
+  };
+
+  // Step 2: Send inconclusive items to the LLM with bounded concurrency, within the token budget
+  const budget = options.tokenBudget || null;
+  let spent = 0;
+  await mapWithConcurrency(pending, concurrency, async (item) => {
+    if (item.scan.detected && injection.policy === 'heuristic') {
+      degrade(item, INJECTION_REASON, 'heuristic');
+      return;
+    }
+    if (options.heuristicOnly) {
+      degrade(item, tenantLimitReason(options.heuristicOnly));
+      return;
+    }
+    if (budget && spent >= budget.remaining) {
+      if (budget.overLimit === 'heuristic') {
+        degrade(item, tenantLimitReason('token_budget_exceeded'));
+      } else {
+        results[item.index] = { index: item.index, success: false, error: 'Daily LLM token budget exhausted', code: 'token_budget_exceeded' };
+      }
+      return;
+    }
+    const itemStart = Date.now();
+    const assignment = assignPromptVersion(item.message, {
+      experiment: options.experiment,
+      clientId: options.clientId,
+      defaultVersion: options.promptVersion
+    });
+    try {
+      const result = await runCachedLLMStage(item.message, item.heuristic, provider, options.cache, {
+        multiLabel,
+        localizeReason: options.localizeReason,
+        entities: item.entities,
+        referenceTime,
+        timezone: options.timezone,
+        promptVersion: assignment.prompt_version,
+        repair: options.repair,
+        hardened: item.scan.detected
+      });
+      spent += result.metadata.tokens_used || 0;
+      recordOutcome(options.outcomes, item.message, assignment, { result, latencyMs: Date.now() - itemStart });
+      results[item.index] = {
+        index: item.index,
+        success: true,
+        classification: { ...result.classification, ...item.flags },
+        metadata: {
+          ...result.metadata,
+          confidence: item.confidence,
+          ...assignment,
+          ...buildSecurityMetadata(item.scan, item.scan.detected ? 'hardened' : 'none'),
+          ...item.spamMetadata
+        }
+      };
+    } catch (error) {
+      spent += error.tokens_used || 0;
+      if (isProviderUnavailable(error)) {
+        degrade(item, error);
+        return;
+      }
+      recordOutcome(options.outcomes, item.message, assignment, { error });
+      console.error(`❌ Batch item ${item.index} failed:`, error.message);
+      results[item.index] = {
+        index: item.index,
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details }),
+        ...(error.tokens_used && { tokens_used: error.tokens_used })
+      };
+    }
+  });
+
+  // Step 3: Restore redacted entities and aggregate metadata
+  results.forEach((result, index) => {
+    if (result.success) {
+      Object.assign(result, finishRedaction(result.classification, result.metadata, redactions[index]));
+    }
+  });
+  const succeeded = results.filter(r => r.success);
+
+  return {
+    results,
+    metadata: {
+      total: messages.length,
+      succeeded: succeeded.length,
+      failed: messages.length - succeeded.length,
+      heuristic_count: succeeded.filter(r => r.metadata.method === 'heuristic').length,
+      llm_count: succeeded.filter(r => r.metadata.method === 'llm').length,
+      cache_hits: succeeded.filter(r => r.metadata.cache === 'hit').length,
+      degraded_count: succeeded.filter(r => r.metadata.degraded).length,
+      flagged_count: succeeded.filter(r => r.classification.security_flags.includes('prompt_injection')).length,
+      quarantined_count: succeeded.filter(r => r.metadata.quarantined).length,
+      spam_count: succeeded.filter(r => r.metadata.method === 'spam').length,
+      redacted_count: succeeded.filter(r => r.metadata.pii_redacted).length,
+      // Failed items can have spent tokens on answers that never validated
+      tokens_used: results.reduce((sum, r) => sum + ((r.success ? r.metadata.tokens_used : r.tokens_used) || 0), 0),
+      concurrency,
+      execution_time_ms: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+module.exports = {
+  classifyMessage,
+  classifyBatch,
+  runHeuristicStage,
+  runLLMStage,
+  runCachedLLMStage,
+  buildHeuristicClassification,
+  buildDegradedClassification,
+  buildQuarantinedResult,
+  buildSpamResult,
+  MAX_BATCH_SIZE,
+  DEFAULT_BATCH_CONCURRENCY
+};
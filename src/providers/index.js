@@ -0,0 +1,52 @@
+/**
+ * LLM provider selection
+ * A provider exposes:
+ *   - name, chatModel, embeddingModel
+ *   - complete({ messages, temperature, json, signal, onDelta }) -> { content, model, usage }
+ *     (onDelta(delta, content) is called as the answer streams in, when given)
+ *   - embed(input, { signal }) -> { embeddings, model, usage }
+ *
+ * createResilientProvider (resilient.js) wraps any provider with timeouts,
+ * retries and a circuit breaker.
+ */
+
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+const { createResilientProvider, getResilienceOptions, isProviderUnavailable } = require('./resilient');
+
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  mock: createMockProvider
+};
+
+/**
+ * Creates the provider named in configuration
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @param {Object} options - { maxRetries } passed to the provider factory
+ * @returns {Object} - Provider instance
+ * @throws {Error} if the provider name is unknown
+ */
+function createProvider(env = process.env, options = {}) {
+  const name = (env.LLM_PROVIDER || 'openai').toLowerCase();
+  const factory = PROVIDERS[name];
+
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return factory({
+    apiKey: env.OPENAI_API_KEY,
+    chatModel: env.CHAT_MODEL,
+    embeddingModel: env.EMBEDDING_MODEL,
+    maxRetries: options.maxRetries
+  });
+}
+
+module.exports = {
+  createProvider,
+  createOpenAIProvider,
+  createMockProvider,
+  createResilientProvider,
+  getResilienceOptions,
+  isProviderUnavailable
+};
@@ -0,0 +1,234 @@
+/**
+ * Mock provider
+ * Deterministic, offline stand-in for the LLM and embeddings APIs.
+ * Lets the full pipeline run without network access or an API key.
+ * Given onDelta, complete() streams its answer in small chunks like the real API.
+ * Reply drafts sent for polishing are returned unchanged.
+ */
+
+const { heuristicClassify } = require('../heuristics/classifier');
+
+const MOCK_MODEL = 'mock-classifier';
+const MOCK_EMBEDDING_MODEL = 'mock-hash-embedding';
+const DEFAULT_DIMENSIONS = 1536;
+// Characters per streamed chunk
+const STREAM_CHUNK_SIZE = 8;
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} str - Input string
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Builds a deterministic bag-of-words embedding using feature hashing
+ * Texts sharing words get similar vectors; the result is unit length.
+ * @param {string} text - Text to embed
+ * @param {number} dimensions - Vector size
+ * @returns {number[]} - Embedding vector
+ */
+function hashEmbedding(text, dimensions = DEFAULT_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const tokens = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+  for (const token of tokens) {
+    const hash = fnv1a(token);
+    const sign = hash & 1 ? 1 : -1;
+    vector[hash % dimensions] += sign;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+  return norm === 0 ? vector : vector.map(x => x / norm);
+}
+
+/**
+ * Extracts the message being classified from a user prompt
+ * Prompts wrap the message in <<<...>>>; falls back to the whole prompt.
+ * @param {string} prompt - User prompt
+ * @returns {string} - The message text
+ */
+function extractMessage(prompt) {
+  const matches = [...prompt.matchAll(/<<<([\s\S]*?)>>>/g)];
+  return matches.length > 0 ? matches[matches.length - 1][1] : prompt;
+}
+
+/**
+ * Parses "Suggested <field>: <value>" hint lines from a user prompt
+ * @param {string} prompt - User prompt
+ * @returns {Object} - Map of field -> parsed value
+ */
+function parseHints(prompt) {
+  const hints = {};
+
+  for (const [, field, raw] of prompt.matchAll(/^Suggested (\w+): (.+)$/gm)) {
+    if (raw === 'true' || raw === 'false') {
+      hints[field] = raw === 'true';
+    } else if (!Number.isNaN(Number(raw))) {
+      hints[field] = Number(raw);
+    } else {
+      hints[field] = raw;
+    }
+  }
+
+  return hints;
+}
+
+/**
+ * Rule-based classification used when no canned response matches
+ * Follows the prompt's hints, then the heuristics, then neutral defaults
+ * @param {string} message - Message to classify
+ * @param {Object} hints - Parsed prompt hints (see parseHints)
+ * @returns {Object} - Classification object
+ */
+function ruleBasedClassification(message, hints = {}) {
+  const heuristic = { ...heuristicClassify(message) };
+  for (const [field, value] of Object.entries(hints)) {
+    if (field in heuristic) {
+      heuristic[field] = value;
+    }
+  }
+  const focusType = heuristic.focus_summary_type || 'General';
+
+  return {
+    needs_reply: heuristic.needs_reply !== null ? heuristic.needs_reply : /\?/.test(message),
+    time_sensitive_score: heuristic.time_sensitive_score !== null ? heuristic.time_sensitive_score : 0.0,
+    business_value_score: heuristic.business_value_score !== null ? heuristic.business_value_score : 0.4,
+    focus_summary_type: focusType,
+    reason: `Mock classification as ${focusType.toLowerCase()}`,
+    sentiment: typeof hints.sentiment === 'number' ? hints.sentiment : 0,
+    escalation_risk: typeof hints.escalation_risk === 'number' ? hints.escalation_risk : 0
+  };
+}
+
+/**
+ * Adds multi-label output to a rule-based classification
+ * Uses the heuristic labels, making sure the primary category is listed first
+ * @param {string} message - Message to classify
+ * @param {Object} classification - Single-label classification
+ * @returns {Object} - Classification with labels
+ */
+function withLabels(message, classification) {
+  const primary = {
+    focus_summary_type: classification.focus_summary_type,
+    business_value_score: classification.business_value_score,
+    time_sensitive_score: classification.time_sensitive_score
+  };
+  const others = (heuristicClassify(message, { multiLabel: true }).labels || [])
+    .filter(label => label.focus_summary_type !== primary.focus_summary_type)
+    .map(label => ({
+      ...label,
+      time_sensitive_score: label.time_sensitive_score !== null
+        ? label.time_sensitive_score
+        : classification.time_sensitive_score
+    }));
+
+  return { ...classification, labels: [primary, ...others] };
+}
+
+/**
+ * Rough token estimate (~4 characters per token)
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated token count
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Streams content to onDelta in small chunks, yielding to the event loop between them
+ * Stops with an AbortError, like the OpenAI SDK, when the signal aborts.
+ * @param {string} content - Full completion content
+ * @param {Function} onDelta - Called as onDelta(delta, content so far)
+ * @param {AbortSignal} [signal] - Cancels the stream (optional)
+ */
+async function streamContent(content, onDelta, signal) {
+  let streamed = '';
+  for (let i = 0; i < content.length; i += STREAM_CHUNK_SIZE) {
+    await new Promise(resolve => setImmediate(resolve));
+    if (signal && signal.aborted) {
+      const error = new Error('Request was aborted.');
+      error.name = 'AbortError';
+      throw error;
+    }
+    const delta = content.slice(i, i + STREAM_CHUNK_SIZE);
+    streamed += delta;
+    onDelta(delta, streamed);
+  }
+}
+
+/**
+ * Creates a deterministic mock provider
+ * @param {Object} options - { responses, dimensions }
+ *   responses: map of message text -> classification object (or raw string content)
+ * @returns {Object} - Provider implementing complete() and embed()
+ */
+function createMockProvider(options = {}) {
+  const responses = options.responses || {};
+  const dimensions = options.dimensions || DEFAULT_DIMENSIONS;
+
+  return {
+    name: 'mock',
+    chatModel: MOCK_MODEL,
+    embeddingModel: MOCK_EMBEDDING_MODEL,
+
+    async complete({ messages, signal, onDelta }) {
+      const userPrompt = messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+      const message = extractMessage(userPrompt);
+      const canned = responses[message];
+
+      const systemPrompt = messages.filter(m => m.role === 'system').map(m => m.content).join('\n');
+      const multiLabel = systemPrompt.includes('Multi-label mode');
+
+      let content;
+      if (typeof canned === 'string') {
+        content = canned;
+      } else if (canned) {
+        content = JSON.stringify(canned);
+      } else if (systemPrompt.includes('You polish reply drafts')) {
+        // Drafts come back as they are (see src/drafts)
+        content = JSON.stringify({ text: message });
+      } else {
+        const classification = ruleBasedClassification(message, parseHints(userPrompt));
+        content = JSON.stringify(multiLabel ? withLabels(message, classification) : classification);
+      }
+
+      if (onDelta) {
+        await streamContent(content, onDelta, signal);
+      }
+
+      const promptText = messages.map(m => m.content).join('\n');
+      return {
+        content,
+        model: MOCK_MODEL,
+        usage: { total_tokens: estimateTokens(promptText) + estimateTokens(content) }
+      };
+    },
+
+    async embed(input) {
+      const texts = Array.isArray(input) ? input : [input];
+
+      return {
+        embeddings: texts.map(text => hashEmbedding(text, dimensions)),
+        model: MOCK_EMBEDDING_MODEL,
+        usage: { total_tokens: texts.reduce((sum, text) => sum + estimateTokens(text), 0) }
+      };
+    }
+  };
+}
+
+module.exports = {
+  createMockProvider,
+  hashEmbedding,
+  extractMessage,
+  parseHints,
+  MOCK_MODEL,
+  MOCK_EMBEDDING_MODEL
+};
@@ -0,0 +1,111 @@
+/**
+ * OpenAI provider
+ * Chat completion and embeddings backed by the OpenAI API
+ */
+
+const OpenAI = require('openai');
+
+const DEFAULT_CHAT_MODEL = 'gpt-4o-mini';
+// Use text-embedding-3-small for cost efficiency
+const DEFAULT_EMBEDDING_MODEL = 'text-embedding-3-small';
+
+/**
+ * Creates an OpenAI-backed provider
+ * @param {Object} options - { apiKey, chatModel, embeddingModel, client, maxRetries }
+ *   maxRetries: SDK-level retries (default: the SDK's); 0 when a resilient wrapper retries instead
+ * @returns {Object} - Provider implementing complete() and embed()
+ */
+function createOpenAIProvider(options = {}) {
+  const client = options.client || new OpenAI({
+    apiKey: options.apiKey,
+    ...(options.maxRetries !== undefined && { maxRetries: options.maxRetries })
+  });
+  const chatModel = options.chatModel || DEFAULT_CHAT_MODEL;
+  const embeddingModel = options.embeddingModel || DEFAULT_EMBEDDING_MODEL;
+
+  return {
+    name: 'openai',
+    chatModel,
+    embeddingModel,
+
+    /**
+     * Runs a chat completion
+     * @param {Object} request - { messages, temperature, json, signal, onDelta }
+     *   signal: AbortSignal that cancels the request
+     *   onDelta: called as onDelta(delta, content) while the answer streams in;
+     *     the completion is streamed only when it is given
+     * @returns {Promise<Object>} - { content, model, usage: { total_tokens } }
+     */
+    async complete({ messages, temperature = 0.3, json = true, signal, onDelta }) {
+      const body = {
+        model: chatModel,
+        messages,
+        ...(json && { response_format: { type: 'json_object' } }),
+        temperature,
+      };
+
+      if (!onDelta) {
+        const completion = await client.chat.completions.create(body, { signal });
+
+        return {
+          content: completion.choices[0].message.content,
+          model: completion.model,
+          usage: { total_tokens: completion.usage.total_tokens }
+        };
+      }
+
+      const stream = await client.chat.completions.create({
+        ...body,
+        stream: true,
+        stream_options: { include_usage: true }
+      }, { signal });
+      let content = '';
+      let model = chatModel;
+      let usage = null;
+
+      for await (const chunk of stream) {
+        model = chunk.model || model;
+        // The last chunk carries usage and no choices
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+        const delta = chunk.choices[0] && chunk.choices[0].delta.content;
+        if (delta) {
+          content += delta;
+          onDelta(delta, content);
+        }
+      }
+
+      return {
+        content,
+        model,
+        usage: { total_tokens: usage ? usage.total_tokens : 0 }
+      };
+    },
+
+    /**
+     * Embeds one or more texts
+     * @param {string|string[]} input - Text or texts to embed
+     * @param {Object} options - { signal } (AbortSignal that cancels the request)
+     * @returns {Promise<Object>} - { embeddings, model, usage: { total_tokens } }
+     */
+    async embed(input, options = {}) {
+      const response = await client.embeddings.create({
+        model: embeddingModel,
+        input,
+      }, { signal: options.signal });
+
+      return {
+        embeddings: response.data.map(item => item.embedding),
+        model: embeddingModel,
+        usage: { total_tokens: response.usage ? response.usage.total_tokens : 0 }
+      };
+    }
+  };
+}
+
+module.exports = {
+  createOpenAIProvider,
+  DEFAULT_CHAT_MODEL,
+  DEFAULT_EMBEDDING_MODEL
+};
@@ -0,0 +1,205 @@
+/**
+ * Resilient provider
+ * Wraps a provider so every chat completion and embedding call has a timeout,
+ * is retried with exponential backoff on rate limits (429), server errors (5xx),
+ * network errors and timeouts, and goes through a circuit breaker.
+ *
+ * Errors thrown by the wrapper:
+ *   - circuit_open: the breaker is open; the provider was not called
+ *   - llm_unavailable: every attempt failed with a transient error (status and cause attached)
+ *   - request_cancelled: the caller's signal aborted the call (see src/utils/cancel.js);
+ *     never retried and not counted against the provider
+ * Other errors (e.g. a 401 for a bad key) pass through unchanged and are not retried.
+ */
+
+const { retryWithBackoff, isRetryableError } = require('../utils/retry');
+const { createCircuitBreaker, DEFAULT_FAILURE_THRESHOLD, DEFAULT_RESET_TIMEOUT_MS } = require('../utils/breaker');
+const { createCancelledError, isCancelledError, throwIfCancelled } = require('../utils/cancel');
+
+const DEFAULT_RESILIENCE = {
+  chatTimeoutMs: 15000,
+  embeddingTimeoutMs: 5000,
+  retries: 2,
+  baseDelayMs: 500,
+  failureThreshold: DEFAULT_FAILURE_THRESHOLD,
+  resetTimeoutMs: DEFAULT_RESET_TIMEOUT_MS
+};
+// Error codes meaning the provider can't be reached right now
+const UNAVAILABLE_CODES = ['circuit_open', 'llm_unavailable'];
+
+/**
+ * Parses a positive integer from configuration
+ * @returns {number|undefined} - Parsed value, or undefined when unset
+ * @throws {Error} if the value is set but not an integer in range
+ */
+function parseSetting(env, name, min) {
+  if (env[name] === undefined || env[name] === '') {
+    return undefined;
+  }
+  const value = Number(env[name]);
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`Invalid ${name} "${env[name]}". Expected an integer >= ${min}`);
+  }
+  return value;
+}
+
+/**
+ * Reads resilience options from configuration
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} - { chatTimeoutMs, embeddingTimeoutMs, retries, baseDelayMs, failureThreshold, resetTimeoutMs }
+ * @throws {Error} if a setting is invalid
+ */
+function getResilienceOptions(env = process.env) {
+  const settings = {
+    chatTimeoutMs: parseSetting(env, 'LLM_TIMEOUT_MS', 1),
+    embeddingTimeoutMs: parseSetting(env, 'EMBEDDING_TIMEOUT_MS', 1),
+    retries: parseSetting(env, 'LLM_RETRIES', 0),
+    baseDelayMs: parseSetting(env, 'LLM_RETRY_BASE_DELAY_MS', 0),
+    failureThreshold: parseSetting(env, 'CIRCUIT_BREAKER_THRESHOLD', 1),
+    resetTimeoutMs: parseSetting(env, 'CIRCUIT_BREAKER_RESET_MS', 1)
+  };
+  return Object.fromEntries(Object.entries(DEFAULT_RESILIENCE).map(([key, value]) => [key, settings[key] ?? value]));
+}
+
+/**
+ * Whether an error means the provider is unavailable (rather than the request being wrong)
+ * @param {Error} error - Error thrown by a resilient provider
+ * @returns {boolean}
+ */
+function isProviderUnavailable(error) {
+  return UNAVAILABLE_CODES.includes(error.code);
+}
+
+/**
+ * Runs a call with a timeout, aborting it when the time is up or the caller cancels
+ * @param {Function} fn - Called with an AbortSignal
+ * @param {number} timeoutMs - Time limit
+ * @param {string} kind - Call kind, for the error message
+ * @param {AbortSignal} [callerSignal] - Caller's signal (optional)
+ * @returns {Promise<*>} - fn's result
+ * @throws {Error} with code 'llm_timeout' (so it is retried) if the time runs out,
+ *   or with code 'request_cancelled' if the caller's signal aborts
+ */
+async function withTimeout(fn, timeoutMs, kind, callerSignal) {
+  throwIfCancelled(callerSignal, `${kind} call`);
+  const controller = new AbortController();
+  let timer;
+  let onCancel;
+  const limits = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      const error = new Error(`${kind} call timed out after ${timeoutMs}ms`);
+      error.code = 'llm_timeout';
+      reject(error);
+    }, timeoutMs);
+    if (callerSignal) {
+      onCancel = () => {
+        controller.abort();
+        reject(createCancelledError(`${kind} call`));
+      };
+      callerSignal.addEventListener('abort', onCancel, { once: true });
+    }
+  });
+
+  try {
+    return await Promise.race([fn(controller.signal), limits]);
+  } finally {
+    clearTimeout(timer);
+    if (onCancel) {
+      callerSignal.removeEventListener('abort', onCancel);
+    }
+  }
+}
+
+/**
+ * Wraps a provider with timeouts, retries and a circuit breaker
+ * @param {Object} provider - Provider (see src/providers)
+ * @param {Object} options - Resilience options (see getResilienceOptions), plus { breaker, sleep }
+ *   breaker: circuit breaker to use (default: a new one from failureThreshold and resetTimeoutMs)
+ *   sleep: delay function for retries (for tests)
+ * @returns {Object} - Provider with the same interface, plus breaker and getStatus()
+ */
+function createResilientProvider(provider, options = {}) {
+  const settings = { ...DEFAULT_RESILIENCE, ...options };
+  const breaker = options.breaker || createCircuitBreaker({
+    failureThreshold: settings.failureThreshold,
+    resetTimeoutMs: settings.resetTimeoutMs
+  });
+
+  async function call(kind, timeoutMs, fn, callerSignal) {
+    throwIfCancelled(callerSignal, `${kind} call`);
+    if (!breaker.allowRequest()) {
+      const error = new Error(`${provider.name} is unavailable (circuit breaker open until ${breaker.getState().retry_at})`);
+      error.code = 'circuit_open';
+      throw error;
+    }
+
+    try {
+      const result = await retryWithBackoff(() => withTimeout(fn, timeoutMs, kind, callerSignal), {
+        retries: settings.retries,
+        baseDelayMs: settings.baseDelayMs,
+        shouldRetry: error => !isCancelledError(error) && isRetryableError(error),
+        sleep: options.sleep,
+        onRetry: (error, attempt, delayMs) => {
+          console.warn(`🔁 ${kind} call failed (${error.message}), retry ${attempt}/${settings.retries} in ${delayMs}ms`);
+        }
+      });
+      breaker.recordSuccess();
+      return result;
+    } catch (error) {
+      if (isCancelledError(error)) {
+        // Says nothing about the provider either way
+        breaker.releaseRequest();
+        throw error;
+      }
+      if (!isRetryableError(error)) {
+        if (error.status) {
+          // The provider answered, so it is up; the request itself was rejected
+          breaker.recordSuccess();
+        } else {
+          // A bug on our side says nothing about the provider
+          breaker.releaseRequest();
+        }
+        throw error;
+      }
+      breaker.recordFailure();
+      const unavailable = new Error(`${provider.name} ${kind} call failed after ${settings.retries + 1} attempts: ${error.message}`);
+      unavailable.code = 'llm_unavailable';
+      unavailable.status = error.status;
+      unavailable.cause = error;
+      throw unavailable;
+    }
+  }
+
+  return {
+    ...provider,
+    breaker,
+
+    async complete(request) {
+      return call('chat', settings.chatTimeoutMs, signal => provider.complete({ ...request, signal }), request.signal);
+    },
+
+    async embed(input, embedOptions = {}) {
+      return call('embedding', settings.embeddingTimeoutMs, signal => provider.embed(input, { signal }), embedOptions.signal);
+    },
+
+    /**
+     * Breaker state and settings, for /health
+     * @returns {Object} - { circuit_breaker, timeouts_ms, retries }
+     */
+    getStatus() {
+      return {
+        circuit_breaker: breaker.getState(),
+        timeouts_ms: { chat: settings.chatTimeoutMs, embedding: settings.embeddingTimeoutMs },
+        retries: settings.retries
+      };
+    }
+  };
+}
+
+module.exports = {
+  createResilientProvider,
+  getResilienceOptions,
+  isProviderUnavailable,
+  DEFAULT_RESILIENCE
+};
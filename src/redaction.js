@@ -0,0 +1,268 @@
+/**
+ * PII redaction
+ * Replaces emails, phone numbers, card numbers and street addresses with typed
+ * placeholders ([EMAIL_1], [PHONE_1], [CARD_1], [ADDRESS_1]) right after a
+ * message is sanitized. Everything downstream (heuristics, embeddings, the LLM
+ * prompt, logs, the cache and the outcome log) only sees the placeholders.
+ *
+ * The same value gets the same placeholder everywhere in a request, so a
+ * thread that repeats an email still reads naturally. Redacted emails and
+ * phones stay entities under their placeholders (see extractEntities); with
+ * restoreEntities on, the original values are put back into the entities of
+ * the response, and nowhere else.
+ *
+ * Matching is deliberately conservative for addresses: a house number and a
+ * capitalized street name with a street word ("221B Baker Street",
+ * "Hauptstraße 12", "Calle Mayor 5", "12 rue de Rivoli").
+ */
+
+const { findPhones, findReferences, EMAIL_PATTERN } = require('./heuristics/entities');
+
+// In matching order: where two matches cover the same span, the earlier type wins
+const PII_TYPES = ['email', 'card', 'phone', 'address'];
+
+// Street names: capitalized words, plus the particles inside them
+const NAME_WORD = String.raw`(?:\p{Lu}[\p{L}'’-]*|de|du|des|la|le|del|da|do|dos|das|di|della|von|der)`;
+const CAPITALIZED = String.raw`\p{Lu}[\p{L}'’-]*`;
+
+/**
+ * Matches a word with its first letter in either case
+ * @param {string[]} words - Lowercase words
+ * @returns {string} - Regex alternation
+ */
+function anyCase(words) {
+  return words.map(word => `[${word[0].toUpperCase()}${word[0]}]${word.slice(1).replace('.', '\\.')}`).join('|');
+}
+
+const ADDRESS_PATTERNS = [
+  // 221B Baker Street, 10 Downing St., 500 Oak Ave, Apt 4
+  new RegExp(String.raw`\b\d{1,6}[A-Za-z]?\s+(?:${NAME_WORD}\s+){0,3}${CAPITALIZED}\s+(?:${anyCase([
+    'street', 'st', 'avenue', 'ave', 'road', 'rd', 'boulevard', 'blvd', 'lane', 'ln', 'drive', 'dr', 'court', 'ct',
+    'way', 'place', 'pl', 'terrace', 'parkway', 'pkwy', 'highway', 'hwy', 'square', 'sq'
+  ])})\b\.?(?:,?\s*(?:${anyCase(['apt', 'apartment', 'suite', 'ste', 'unit'])}|#)\.?\s*[\w-]+)?`, 'gu'),
+  // Hauptstraße 12, Lindenweg 3a
+  new RegExp(String.raw`${CAPITALIZED}(?:straße|strasse|str\.|weg|platz|gasse|allee|ring|damm)\s+\d{1,5}[a-z]?\b`, 'gu'),
+  // Calle Mayor 5, Rua Augusta, 120, Via Roma 10
+  new RegExp(String.raw`\b(?:${anyCase(['calle', 'avenida', 'avda.', 'rua', 'travessa', 'via', 'piazza', 'plaza', 'paseo'])})\s+(?:${NAME_WORD}\s+){0,3}${CAPITALIZED},?\s+(?:n[º°o]\.?\s*)?\d{1,5}[a-z]?\b`, 'gu'),
+  // 12 rue de Rivoli, 8 avenue des Champs-Élysées
+  new RegExp(String.raw`\b\d{1,5}(?:\s?(?:bis|ter))?,?\s+(?:${anyCase(['rue', 'avenue', 'boulevard', 'place', 'allée', 'chemin', 'impasse', 'quai'])})\s+(?:${NAME_WORD}\s+){0,3}${CAPITALIZED}`, 'gu')
+];
+
+// Full card numbers: 13-19 digits, optionally grouped with spaces or dashes
+const CARD_NUMBER_PATTERN = /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g;
+// Card fragments: masked numbers ("**** 4242", "xxxx-xxxx-4242") and last digits after a card word
+const MASKED_CARD_PATTERN = /(?:[x*•]{4}[ -]?){1,3}\d{4}\b/gi;
+const CARD_ENDING_PATTERN = /\b(?:card|visa|mastercard|amex|debit|credit)\b[^.!?\d]{0,25}?(?:ending|ends|last (?:4|four)(?: digits)?)(?: in| with| are| is|:)?\s*(\d{4})\b/gdi;
+
+/**
+ * Reads redaction options from configuration
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object|null} - { types, restoreEntities }, or null when PII_REDACTION is false
+ *   types: PII types to redact (PII_REDACTION_TYPES, comma-separated, default all)
+ *   restoreEntities: put original values back into returned entities (PII_RESTORE_ENTITIES, default true)
+ * @throws {Error} if a setting is invalid
+ */
+function getRedactionOptions(env = process.env) {
+  const enabled = (env.PII_REDACTION || 'true').toLowerCase();
+  if (!['true', 'false'].includes(enabled)) {
+    throw new Error(`Invalid PII_REDACTION "${env.PII_REDACTION}". Expected true or false`);
+  }
+  if (enabled === 'false') {
+    return null;
+  }
+
+  const types = env.PII_REDACTION_TYPES
+    ? env.PII_REDACTION_TYPES.split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+    : PII_TYPES;
+  const unknown = types.filter(type => !PII_TYPES.includes(type));
+  if (unknown.length > 0 || types.length === 0) {
+    throw new Error(`Unknown PII_REDACTION_TYPES "${env.PII_REDACTION_TYPES}". Expected a comma-separated list of: ${PII_TYPES.join(', ')}`);
+  }
+
+  const restore = (env.PII_RESTORE_ENTITIES || 'true').toLowerCase();
+  if (!['true', 'false'].includes(restore)) {
+    throw new Error(`Invalid PII_RESTORE_ENTITIES "${env.PII_RESTORE_ENTITIES}". Expected true or false`);
+  }
+
+  return { types, restoreEntities: restore === 'true' };
+}
+
+/**
+ * Checks a card number with the Luhn checksum
+ * @param {string} digits - Card number digits
+ * @returns {boolean}
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Finds PII of one type in a text
+ * @param {string} text - Sanitized text
+ * @param {string} type - One of PII_TYPES
+ * @returns {Array} - [{ start, end, type, value }], value normalized as the matching entity would be
+ */
+function findPII(text, type) {
+  const spans = (regex, valueOf = match => match[0]) => [...text.matchAll(regex)]
+    .map(match => ({ start: match.index, end: match.index + match[0].length, type, value: valueOf(match) }));
+
+  switch (type) {
+    case 'email':
+      return spans(EMAIL_PATTERN, match => match[0].toLowerCase());
+    case 'phone': {
+      // Order and invoice numbers are not phones, as in extractEntities ("order #1234567890")
+      const references = findReferences(text).filter(reference => reference.type === 'order' || reference.type === 'invoice');
+      // Phone matches start at the first digit; "(415) 555-0100" takes its opening parenthesis along
+      return findPhones(text)
+        .filter(phone => !references.some(reference => phone.start < reference.end && reference.start < phone.end))
+        .map(({ start, end, value }) => ({
+          start: text[start - 1] === '(' && /^\d+\)/.test(text.slice(start, end)) ? start - 1 : start,
+          end,
+          type,
+          value
+        }));
+    }
+    case 'card':
+      return [
+        ...spans(CARD_NUMBER_PATTERN, match => match[0].replace(/\D/g, ''))
+          .filter(span => passesLuhn(span.value)),
+        ...spans(MASKED_CARD_PATTERN),
+        // Only the digits of "card ending in 4242" are redacted
+        ...[...text.matchAll(CARD_ENDING_PATTERN)].map(match => ({
+          start: match.indices[1][0],
+          end: match.indices[1][1],
+          type,
+          value: match[1]
+        }))
+      ];
+    case 'address':
+      return ADDRESS_PATTERNS.flatMap(pattern => spans(pattern));
+    default:
+      return [];
+  }
+}
+
+/**
+ * Replaces PII in a message and its thread with typed placeholders
+ * Where matches overlap the longest wins, then the earlier type in PII_TYPES
+ * (so a 15-digit card number is a card, not a phone).
+ * @param {string} message - Sanitized message
+ * @param {Object} options - { thread, types }
+ *   thread: sanitized thread turns (optional); every turn is redacted
+ *   types: PII types to redact (default: all)
+ * @returns {Object} - { message, thread, replacements }
+ *   replacements: [{ placeholder, type, text, value }] with the original text and the
+ *   value its entity would have (lowercase email, phone digits)
+ */
+function redactMessage(message, options = {}) {
+  const types = PII_TYPES.filter(type => (options.types || PII_TYPES).includes(type));
+  const replacements = [];
+  const byKey = new Map();
+  const counts = {};
+
+  const redact = text => {
+    const found = types.flatMap(type => findPII(text, type));
+    const ordered = found
+      .map((span, order) => ({ ...span, order }))
+      .sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.order - b.order);
+    const accepted = [];
+    for (const span of ordered) {
+      if (!accepted.some(other => span.start < other.end && other.start < span.end)) {
+        accepted.push(span);
+      }
+    }
+
+    // Placeholders are numbered in reading order
+    let result = '';
+    let position = 0;
+    for (const span of accepted.sort((a, b) => a.start - b.start)) {
+      const key = `${span.type}:${span.value.toLowerCase()}`;
+      let replacement = byKey.get(key);
+      if (!replacement) {
+        counts[span.type] = (counts[span.type] || 0) + 1;
+        replacement = {
+          placeholder: `[${span.type.toUpperCase()}_${counts[span.type]}]`,
+          type: span.type,
+          text: text.slice(span.start, span.end),
+          value: span.value
+        };
+        byKey.set(key, replacement);
+        replacements.push(replacement);
+      }
+      result += `${text.slice(position, span.start)}${replacement.placeholder}`;
+      position = span.end;
+    }
+    return result + text.slice(position);
+  };
+
+  // Turns first, so numbering follows the conversation; the message is usually
+  // one of the turns and gets the same placeholders again
+  const thread = options.thread
+    ? options.thread.map(turn => ({ ...turn, text: redact(turn.text) }))
+    : null;
+
+  return { message: redact(message), thread, replacements };
+}
+
+/**
+ * Counts replacements by type, for response metadata
+ * @param {Array} replacements - From redactMessage
+ * @returns {Object} - e.g. { email: 1, phone: 2 }
+ */
+function countRedactions(replacements) {
+  const counts = {};
+  for (const replacement of replacements) {
+    counts[replacement.type] = (counts[replacement.type] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Puts original values back into entities
+ * An entity that is just a placeholder gets the original text and its value;
+ * placeholders inside other entities are replaced with the original text.
+ * @param {Object} entities - Classification entities (not modified)
+ * @param {Array} replacements - From redactMessage
+ * @returns {Object} - Entities with the original values
+ */
+function restoreEntities(entities, replacements) {
+  if (!entities || replacements.length === 0) {
+    return entities;
+  }
+
+  const byPlaceholder = new Map(replacements.map(replacement => [replacement.placeholder, replacement]));
+  const restoreText = text => text.replace(/\[(?:EMAIL|PHONE|CARD|ADDRESS)_\d+\]/g, placeholder =>
+    (byPlaceholder.has(placeholder) ? byPlaceholder.get(placeholder).text : placeholder));
+
+  return Object.fromEntries(Object.entries(entities).map(([category, list]) => [
+    category,
+    list.map(entity => {
+      const replacement = byPlaceholder.get(entity.text);
+      if (replacement) {
+        return { ...entity, text: replacement.text, value: replacement.value };
+      }
+      return {
+        ...entity,
+        text: restoreText(entity.text),
+        ...(typeof entity.value === 'string' && { value: restoreText(entity.value) })
+      };
+    })
+  ]));
+}
+
+module.exports = {
+  PII_TYPES,
+  getRedactionOptions,
+  redactMessage,
+  countRedactions,
+  restoreEntities
+};
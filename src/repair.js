@@ -0,0 +1,197 @@
+/**
+ * Repair of schema-invalid LLM responses
+ * Fixes the mistakes models commonly make before a response is rejected:
+ *   - JSON wrapped in a code fence or surrounded by text
+ *   - numbers and booleans sent as strings ("0.7", "true")
+ *   - scores slightly out of range (up to SCORE_TOLERANCE past 0 or 1)
+ *   - focus types in the wrong case ("booking")
+ *   - a missing or empty reason
+ *
+ * Anything else fails validation, and the pipeline re-asks the model with the
+ * Zod errors (see runLLMStage). Every fix is reported as a repair step.
+ */
+
+const { ClassificationSchema, MultiLabelClassificationSchema, FocusSummaryTypes } = require('./schema');
+
+const DEFAULT_REPAIR_RETRIES = 1;
+const MAX_REPAIR_RETRIES = 3;
+// How far past 0 or 1 a score may be and still be clamped rather than rejected
+const SCORE_TOLERANCE = 0.1;
+const SCORE_FIELDS = ['time_sensitive_score', 'business_value_score'];
+
+/**
+ * Reads repair options from configuration
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} - { retries, fallback }
+ *   retries: re-asks after an invalid response (LLM_REPAIR_RETRIES, default 1)
+ *   fallback: answer with the heuristic result, flagged degraded, when every attempt fails
+ *     (LLM_DEGRADED_FALLBACK, default true; false returns the validation error instead)
+ * @throws {Error} if a setting is invalid
+ */
+function getRepairOptions(env = process.env) {
+  let retries = DEFAULT_REPAIR_RETRIES;
+  if (env.LLM_REPAIR_RETRIES !== undefined && env.LLM_REPAIR_RETRIES !== '') {
+    retries = Number(env.LLM_REPAIR_RETRIES);
+    if (!Number.isInteger(retries) || retries < 0 || retries > MAX_REPAIR_RETRIES) {
+      throw new Error(`Invalid LLM_REPAIR_RETRIES "${env.LLM_REPAIR_RETRIES}". Expected an integer between 0 and ${MAX_REPAIR_RETRIES}`);
+    }
+  }
+
+  const fallback = (env.LLM_DEGRADED_FALLBACK || 'true').toLowerCase();
+  if (!['true', 'false'].includes(fallback)) {
+    throw new Error(`Invalid LLM_DEGRADED_FALLBACK "${env.LLM_DEGRADED_FALLBACK}". Expected true or false`);
+  }
+
+  return { retries, fallback: fallback === 'true' };
+}
+
+/**
+ * Finds a JSON object inside text (a code fence, or the outermost braces)
+ * @param {string} content - Raw LLM output
+ * @returns {string|null} - Candidate JSON, or null if there are no braces
+ */
+function extractJsonObject(content) {
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const text = fenced ? fenced[1] : content;
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  return start !== -1 && end > start ? text.slice(start, end + 1) : null;
+}
+
+function coerceScore(value, field, repairs, min = 0) {
+  let score = value;
+  if (typeof score === 'string' && score.trim() !== '' && !Number.isNaN(Number(score))) {
+    score = Number(score);
+    repairs.push({ action: 'parsed_number', field, from: value, to: score });
+  }
+  if (typeof score === 'number' && (score < min || score > 1) &&
+      score >= min - SCORE_TOLERANCE && score <= 1 + SCORE_TOLERANCE) {
+    const clamped = Math.min(1, Math.max(min, score));
+    repairs.push({ action: 'clamped', field, from: score, to: clamped });
+    score = clamped;
+  }
+  return score;
+}
+
+function coerceFocusType(value, field, repairs) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const match = FocusSummaryTypes.find(type => type.toLowerCase() === value.trim().toLowerCase());
+  if (match && match !== value) {
+    repairs.push({ action: 'normalized_focus_type', field, from: value, to: match });
+    return match;
+  }
+  return value;
+}
+
+/**
+ * Fixes common, unambiguous mistakes in a parsed classification
+ * Never guesses: values that are far off are left for validation to reject.
+ * @param {*} raw - Parsed LLM output
+ * @param {Object} options - { multiLabel }
+ * @returns {Object} - { data, repairs } (data is a copy; repairs lists { action, field, from, to })
+ */
+function coerceClassification(raw, options = {}) {
+  const repairs = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { data: raw, repairs };
+  }
+
+  const data = { ...raw };
+  if (typeof data.needs_reply === 'string' && ['true', 'false'].includes(data.needs_reply.trim().toLowerCase())) {
+    const value = data.needs_reply.trim().toLowerCase() === 'true';
+    repairs.push({ action: 'parsed_boolean', field: 'needs_reply', from: data.needs_reply, to: value });
+    data.needs_reply = value;
+  }
+  SCORE_FIELDS.forEach(field => {
+    data[field] = coerceScore(data[field], field, repairs);
+  });
+  data.focus_summary_type = coerceFocusType(data.focus_summary_type, 'focus_summary_type', repairs);
+  if (data.sentiment !== undefined) {
+    data.sentiment = coerceScore(data.sentiment, 'sentiment', repairs, -1);
+  }
+  if (data.escalation_risk !== undefined) {
+    data.escalation_risk = coerceScore(data.escalation_risk, 'escalation_risk', repairs);
+  }
+
+  if ((data.reason === undefined || data.reason === null || (typeof data.reason === 'string' && data.reason.trim() === '')) &&
+      FocusSummaryTypes.includes(data.focus_summary_type)) {
+    data.reason = `Classified as ${data.focus_summary_type.toLowerCase()}`;
+    repairs.push({ action: 'filled_reason', field: 'reason', from: raw.reason ?? null, to: data.reason });
+  }
+
+  if (options.multiLabel && Array.isArray(data.labels)) {
+    data.labels = data.labels.map((label, index) => {
+      if (!label || typeof label !== 'object') {
+        return label;
+      }
+      const fixed = { ...label };
+      SCORE_FIELDS.forEach(field => {
+        fixed[field] = coerceScore(fixed[field], `labels.${index}.${field}`, repairs);
+      });
+      fixed.focus_summary_type = coerceFocusType(fixed.focus_summary_type, `labels.${index}.focus_summary_type`, repairs);
+      return fixed;
+    });
+  }
+
+  return { data, repairs };
+}
+
+/**
+ * Formats Zod issues for logs and the re-ask prompt
+ * @param {Object} error - ZodError
+ * @returns {string} - "field: message; ..." list
+ */
+function formatValidationError(error) {
+  return error.issues
+    .map(issue => (issue.path.length > 0 ? `${issue.path.join('.')}: ${issue.message}` : issue.message))
+    .join('; ');
+}
+
+/**
+ * Parses, repairs and validates one LLM response
+ * @param {string} content - Raw LLM output
+ * @param {Object} options - { multiLabel }
+ * @returns {Object} - { success, classification, raw, repairs, error }
+ *   classification: validated classification (on success)
+ *   raw: the repaired object, including fields the schema strips (e.g. entities)
+ *   error: why the response was rejected (on failure)
+ */
+function parseClassificationResponse(content, options = {}) {
+  const repairs = [];
+  let raw;
+  try {
+    raw = JSON.parse(content);
+  } catch (parseError) {
+    const extracted = typeof content === 'string' ? extractJsonObject(content) : null;
+    try {
+      if (extracted === null) throw parseError;
+      raw = JSON.parse(extracted);
+    } catch (error) {
+      return { success: false, repairs, error: `Response is not valid JSON (${parseError.message})` };
+    }
+    repairs.push({ action: 'extracted_json' });
+  }
+
+  const coerced = coerceClassification(raw, options);
+  repairs.push(...coerced.repairs);
+
+  const schema = options.multiLabel ? MultiLabelClassificationSchema : ClassificationSchema;
+  const parsed = schema.safeParse(coerced.data);
+  if (!parsed.success) {
+    return { success: false, raw: coerced.data, repairs, error: formatValidationError(parsed.error) };
+  }
+
+  return { success: true, classification: parsed.data, raw: coerced.data, repairs };
+}
+
+module.exports = {
+  DEFAULT_REPAIR_RETRIES,
+  SCORE_TOLERANCE,
+  getRepairOptions,
+  extractJsonObject,
+  coerceClassification,
+  formatValidationError,
+  parseClassificationResponse
+};
@@ -5,6 +5,12 @@
 
 const { z } = require('zod');
 
+/**
+ * Category for spam, scams and bot messages
+ * Set by the spam detector (src/heuristics/spam.js), never by pattern rules
+ */
+const SPAM_FOCUS_TYPE = 'Spam';
+
 /**
  * Valid focus/category types for messages
  */
@@ -16,9 +22,15 @@ const FocusSummaryTypes = [
   'Invoice',
   'Refund',
   'Affiliate',
-  'General'
+  'General',
+  SPAM_FOCUS_TYPE
 ];
 
+/**
+ * Focus types heuristic pattern rules can score
+ */
+const PatternFocusTypes = FocusSummaryTypes.filter(type => type !== SPAM_FOCUS_TYPE);
+
 /**
  * Schema for the classification response from LLM
  */
@@ -51,9 +63,170 @@ const ClassificationSchema = z.object({
     required_error: 'reason is required',
     invalid_type_error: 'reason must be a string'
   })
-    .min(1, 'reason cannot be empty')
+    .min(1, 'reason cannot be empty'),
+
+  // Optional: local scoring wins when it finds anything (see src/heuristics/sentiment.js)
+  sentiment: z.number({
+    invalid_type_error: 'sentiment must be a number'
+  })
+    .min(-1, 'sentiment must be >= -1')
+    .max(1, 'sentiment must be <= 1')
+    .nullable()
+    .optional(),
+
+  escalation_risk: z.number({
+    invalid_type_error: 'escalation_risk must be a number'
+  })
+    .min(0, 'escalation_risk must be >= 0')
+    .max(1, 'escalation_risk must be <= 1')
+    .nullable()
+    .optional()
 });
 
+/**
+ * Schema for one category in a multi-label classification
+ */
+const FocusLabelSchema = z.object({
+  focus_summary_type: z.enum(FocusSummaryTypes, {
+    required_error: 'label focus_summary_type is required',
+    invalid_type_error: `label focus_summary_type must be one of: ${FocusSummaryTypes.join(', ')}`
+  }),
+
+  business_value_score: z.number({
+    required_error: 'label business_value_score is required',
+    invalid_type_error: 'label business_value_score must be a number'
+  })
+    .min(0, 'label business_value_score must be >= 0')
+    .max(1, 'label business_value_score must be <= 1'),
+
+  time_sensitive_score: z.number({
+    required_error: 'label time_sensitive_score is required',
+    invalid_type_error: 'label time_sensitive_score must be a number'
+  })
+    .min(0, 'label time_sensitive_score must be >= 0')
+    .max(1, 'label time_sensitive_score must be <= 1')
+});
+
+/**
+ * Schema for a multi-label classification
+ * The top-level fields describe the primary category, which must be one of the labels
+ */
+const MultiLabelClassificationSchema = ClassificationSchema.extend({
+  labels: z.array(FocusLabelSchema)
+    .min(1, 'labels must contain at least one category')
+}).refine(
+  data => data.labels.some(label => label.focus_summary_type === data.focus_summary_type),
+  { message: 'labels must include the primary focus_summary_type', path: ['labels'] }
+).refine(
+  data => new Set(data.labels.map(label => label.focus_summary_type)).size === data.labels.length,
+  { message: 'labels must not repeat a focus_summary_type', path: ['labels'] }
+);
+
+/**
+ * Schemas for entities the LLM adds to the locally extracted ones
+ * Mirrors the output of src/heuristics/entities.js (without source)
+ */
+const DateEntitySchema = z.object({
+  text: z.string().min(1, 'date text cannot be empty'),
+  value: z.string().regex(/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2})?$/, 'date value must be YYYY-MM-DD or YYYY-MM-DDTHH:MM'),
+  type: z.enum(['date', 'deadline'])
+});
+
+const AmountEntitySchema = z.object({
+  text: z.string().min(1, 'amount text cannot be empty'),
+  value: z.number().nonnegative('amount value must be >= 0'),
+  currency: z.string().regex(/^[A-Z]{3}$/, 'currency must be an ISO 4217 code'),
+  type: z.enum(['budget', 'amount'])
+});
+
+const ReferenceEntitySchema = z.object({
+  text: z.string().min(1, 'reference text cannot be empty'),
+  value: z.string().min(1, 'reference value cannot be empty'),
+  type: z.enum(['order', 'invoice', 'reference'])
+});
+
+const ContactEntitySchema = z.object({
+  text: z.string().min(1, 'contact text cannot be empty'),
+  value: z.string().min(1, 'contact value cannot be empty')
+});
+
+const EntitiesSchema = z.object({
+  dates: z.array(DateEntitySchema).default([]),
+  amounts: z.array(AmountEntitySchema).default([]),
+  references: z.array(ReferenceEntitySchema).default([]),
+  emails: z.array(ContactEntitySchema.extend({
+    value: z.string().email('email value must be an email address')
+  })).default([]),
+  phones: z.array(ContactEntitySchema.extend({
+    value: z.string().regex(/^\+?\d{7,15}$/, 'phone value must be digits with an optional leading +')
+  })).default([])
+});
+
+/**
+ * Reply draft tones, entity slots and length limit (see src/drafts)
+ */
+const DRAFT_TONES = ['casual', 'neutral', 'formal'];
+const DRAFT_SLOTS = ['date', 'amount', 'order_id', 'invoice_id'];
+const MAX_DRAFT_LENGTH = 2000;
+
+/**
+ * Finds the banned phrases a text uses
+ * Case-insensitive, on whole words ("asap" does not match "asaps").
+ * @param {string} text - Draft text
+ * @param {string[]} phrases - Banned phrases
+ * @returns {string[]} - Phrases found, as listed
+ */
+function findBannedPhrases(text, phrases) {
+  const lower = text.toLowerCase();
+  return phrases.filter(phrase => {
+    const escaped = phrase.toLowerCase().trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'u').test(lower);
+  });
+}
+
+/**
+ * Schema for the polished draft the LLM returns
+ */
+const PolishedDraftSchema = z.object({
+  text: z.string({
+    required_error: 'text is required',
+    invalid_type_error: 'text must be a string'
+  })
+    .trim()
+    .min(1, 'text cannot be empty')
+    .max(MAX_DRAFT_LENGTH, `text must be at most ${MAX_DRAFT_LENGTH} characters`)
+});
+
+/**
+ * Builds the schema for a reply draft
+ * Drafts are checked against the banned phrases of the profile they were written for.
+ * @param {string[]} bannedPhrases - Phrases neither text may use
+ * @returns {Object} - Zod schema
+ */
+function createDraftSchema(bannedPhrases = []) {
+  const draftText = z.string().min(1, 'draft text cannot be empty').max(MAX_DRAFT_LENGTH, `draft text must be at most ${MAX_DRAFT_LENGTH} characters`);
+  const slot = z.string().min(1).nullable();
+
+  return z.object({
+    category: z.enum(PatternFocusTypes),
+    profile: z.string().min(1),
+    tone: z.enum(DRAFT_TONES),
+    text: draftText,
+    polished: draftText.nullable(),
+    slots: z.object(Object.fromEntries(DRAFT_SLOTS.map(name => [name, slot]))),
+    missing_slots: z.array(z.enum(DRAFT_SLOTS))
+  }).superRefine((draft, ctx) => {
+    for (const field of ['text', 'polished']) {
+      if (typeof draft[field] !== 'string') {
+        continue;
+      }
+      for (const phrase of findBannedPhrases(draft[field], bannedPhrases)) {
+        ctx.addIssue({ code: 'custom', path: [field], message: `${field} uses the banned phrase "${phrase}"` });
+      }
+    }
+  });
+}
+
 /**
  * Validates and parses a classification object
  * @param {unknown} data - Raw data to validate
@@ -73,10 +246,42 @@ function safeValidateClassification(data) {
   return ClassificationSchema.safeParse(data);
 }
 
+/**
+ * Validates and parses a multi-label classification object
+ * @param {unknown} data - Raw data to validate
+ * @returns {object} Validated multi-label classification object
+ * @throws {ZodError} if validation fails
+ */
+function validateMultiLabelClassification(data) {
+  return MultiLabelClassificationSchema.parse(data);
+}
+
+/**
+ * Safely validates LLM-provided entities, returning result object
+ * @param {unknown} data - Raw entities object
+ * @returns {object} Success or error result
+ */
+function safeValidateEntities(data) {
+  return EntitiesSchema.safeParse(data);
+}
+
 module.exports = {
   ClassificationSchema,
+  FocusLabelSchema,
+  MultiLabelClassificationSchema,
+  EntitiesSchema,
   FocusSummaryTypes,
+  PatternFocusTypes,
+  SPAM_FOCUS_TYPE,
   validateClassification,
-  safeValidateClassification
+  validateMultiLabelClassification,
+  safeValidateClassification,
+  safeValidateEntities,
+  DRAFT_TONES,
+  DRAFT_SLOTS,
+  MAX_DRAFT_LENGTH,
+  PolishedDraftSchema,
+  createDraftSchema,
+  findBannedPhrases
 };
 
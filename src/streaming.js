@@ -0,0 +1,170 @@
+/**
+ * Streaming classification
+ * Reads classification fields out of an LLM answer that is still streaming in,
+ * and writes Server-Sent Events for GET/POST /classify/stream.
+ *
+ * Events, in order:
+ *   - heuristic: the heuristic result and confidence
+ *   - examples: the similar examples put in the prompt (LLM path only)
+ *   - partial: fields parsed so far from the streaming LLM answer (LLM path only)
+ *   - classification: the final, validated classification and metadata
+ *   - error: the classification failed
+ */
+
+const STREAM_EVENTS = ['heuristic', 'examples', 'partial', 'classification', 'error'];
+
+/**
+ * Reads the top-level fields of a JSON object that may be cut off mid-way
+ * Numbers, booleans and null count once a delimiter follows them; a string
+ * still being written is returned as far as it goes. Nested objects and arrays
+ * (labels, entities) are skipped: they arrive with the final classification.
+ * @param {string} content - Streamed content so far
+ * @returns {Object} - { fields, complete } where complete lists the finished field names
+ */
+function parsePartialFields(content) {
+  const fields = {};
+  const complete = [];
+  let i = content.indexOf('{') + 1;
+
+  if (i === 0) {
+    return { fields, complete };
+  }
+
+  const skipWhitespace = () => {
+    while (i < content.length && /\s/.test(content[i])) {
+      i++;
+    }
+  };
+
+  // Reads the string starting at content[i]; returns { value, closed }
+  const readString = () => {
+    let end = i + 1;
+    while (end < content.length && content[end] !== '"') {
+      end += content[end] === '\\' ? 2 : 1;
+    }
+    const closed = end < content.length;
+    const raw = content.slice(i + 1, Math.min(end, content.length));
+    i = closed ? end + 1 : content.length;
+    return { value: decodeString(raw, closed), closed };
+  };
+
+  // Skips the object or array starting at content[i]; returns false if it is cut off
+  const skipNested = () => {
+    let depth = 0;
+    for (; i < content.length; i++) {
+      const char = content[i];
+      if (char === '"') {
+        readString();
+        i--;
+      } else if (char === '{' || char === '[') {
+        depth++;
+      } else if (char === '}' || char === ']') {
+        depth--;
+        if (depth === 0) {
+          i++;
+          return true;
+        }
+      }
+    }
+    return false;
+  };
+
+  while (i < content.length) {
+    skipWhitespace();
+    if (content[i] === ',') {
+      i++;
+      skipWhitespace();
+    }
+    if (content[i] !== '"') {
+      break;
+    }
+
+    const key = readString();
+    skipWhitespace();
+    if (!key.closed || content[i] !== ':') {
+      break;
+    }
+    i++;
+    skipWhitespace();
+    if (i >= content.length) {
+      break;
+    }
+
+    if (content[i] === '"') {
+      const value = readString();
+      fields[key.value] = value.value;
+      if (!value.closed) {
+        break;
+      }
+      complete.push(key.value);
+    } else if (content[i] === '{' || content[i] === '[') {
+      if (!skipNested()) {
+        break;
+      }
+    } else {
+      const literal = content.slice(i).match(/^(true|false|null|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)(?=\s*[,}])/);
+      if (!literal) {
+        break;
+      }
+      fields[key.value] = JSON.parse(literal[1]);
+      complete.push(key.value);
+      i += literal[1].length;
+    }
+  }
+
+  return { fields, complete };
+}
+
+/**
+ * Decodes the raw text of a JSON string, dropping an escape sequence cut off at the end
+ * @param {string} raw - Text between the quotes
+ * @param {boolean} closed - Whether the closing quote has arrived
+ * @returns {string} - Decoded text (raw text if it can't be decoded)
+ */
+function decodeString(raw, closed) {
+  // An odd run of trailing backslashes means the last escape is unfinished
+  const text = closed ? raw : raw.replace(/((?:^|[^\\])(?:\\\\)*)\\(u[0-9a-fA-F]{0,3})?$/, '$1');
+  try {
+    return JSON.parse(`"${text}"`);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Starts a Server-Sent Events response
+ * @param {Object} res - Express response
+ * @returns {Object} - { send(event, data), end() }; both do nothing once the client is gone
+ */
+function createEventStream(res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stops proxies (nginx) from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const open = () => !res.writableEnded && !res.destroyed;
+
+  return {
+    send(event, data) {
+      if (open()) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    },
+
+    end() {
+      if (open()) {
+        res.end();
+      }
+    }
+  };
+}
+
+module.exports = {
+  parsePartialFields,
+  createEventStream,
+  STREAM_EVENTS
+};
@@ -0,0 +1,205 @@
+/**
+ * Tenants and API keys
+ * Maps API keys to tenants, each with its own request rate limit, daily
+ * LLM-token budget and over-limit policy (see limits.js).
+ *
+ * Tenants file (TENANTS_FILE):
+ *   {
+ *     "tenants": [
+ *       {
+ *         "id": "acme",
+ *         "api_keys": ["sha256:<hex digest of the key>"],
+ *         "requests_per_minute": 60,
+ *         "daily_token_budget": 200000,
+ *         "over_limit": "reject" | "heuristic",
+ *         "reviewer": true
+ *       }
+ *     ]
+ *   }
+ *
+ * Only key digests are stored; `yarn keys:create <tenant>` makes a key and
+ * prints its digest. requests_per_minute and daily_token_budget are optional
+ * (no limit when omitted). over_limit defaults to reject (429). reviewer
+ * tenants may approve, reject and roll back few-shot examples (default false);
+ * other tenants can only submit feedback and see their own pending submissions.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const OVER_LIMIT_POLICIES = ['reject', 'heuristic'];
+const DEFAULT_OVER_LIMIT = 'reject';
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+const KEY_DIGEST_PATTERN = /^sha256:[0-9a-f]{64}$/;
+const API_KEY_PREFIX = 'mc_';
+
+/**
+ * Creates a random API key
+ * @returns {string} - Key like mc_<32 url-safe characters>
+ */
+function generateApiKey() {
+  return `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Digests an API key the way the tenants file stores it
+ * @param {string} key - API key
+ * @returns {string} - "sha256:<hex>"
+ */
+function hashApiKey(key) {
+  return `sha256:${crypto.createHash('sha256').update(key).digest('hex')}`;
+}
+
+/**
+ * Validates a tenants config
+ * @param {Object} config - Parsed tenants file
+ * @returns {Object} - { valid, errors }
+ */
+function validateTenants(config) {
+  if (!config || typeof config !== 'object' || !Array.isArray(config.tenants)) {
+    return { valid: false, errors: ['tenants must be an array'] };
+  }
+
+  const errors = [];
+  const ids = new Set();
+  const digests = new Set();
+
+  config.tenants.forEach((tenant, index) => {
+    const at = `tenants[${index}]`;
+    if (!tenant || typeof tenant !== 'object' || Array.isArray(tenant)) {
+      errors.push(`${at}: must be an object`);
+      return;
+    }
+    if (typeof tenant.id !== 'string' || !TENANT_ID_PATTERN.test(tenant.id)) {
+      errors.push(`${at}.id: must be 1-64 letters, digits, - or _`);
+    } else if (ids.has(tenant.id)) {
+      errors.push(`${at}.id: duplicate tenant "${tenant.id}"`);
+    } else {
+      ids.add(tenant.id);
+    }
+
+    if (!Array.isArray(tenant.api_keys) || tenant.api_keys.length === 0) {
+      errors.push(`${at}.api_keys: must be a non-empty array of key digests`);
+    } else {
+      tenant.api_keys.forEach((digest, keyIndex) => {
+        if (typeof digest !== 'string' || !KEY_DIGEST_PATTERN.test(digest)) {
+          errors.push(`${at}.api_keys[${keyIndex}]: must be "sha256:<64 hex characters>" (see yarn keys:create)`);
+        } else if (digests.has(digest)) {
+          errors.push(`${at}.api_keys[${keyIndex}]: key is already used`);
+        } else {
+          digests.add(digest);
+        }
+      });
+    }
+
+    for (const field of ['requests_per_minute', 'daily_token_budget']) {
+      const value = tenant[field];
+      if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 1)) {
+        errors.push(`${at}.${field}: must be a positive integer`);
+      }
+    }
+    if (tenant.over_limit !== undefined && !OVER_LIMIT_POLICIES.includes(tenant.over_limit)) {
+      errors.push(`${at}.over_limit: must be one of: ${OVER_LIMIT_POLICIES.join(', ')}`);
+    }
+    if (tenant.reviewer !== undefined && typeof tenant.reviewer !== 'boolean') {
+      errors.push(`${at}.reviewer: must be true or false`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Loads and validates a tenants file
+ * @param {string} filePath - Path to the tenants JSON
+ * @returns {Array} - Tenants { id, api_keys, requests_per_minute, daily_token_budget, over_limit, reviewer }
+ *   with missing limits as null
+ * @throws {Error} with code 'invalid_tenants' and details if it can't be used
+ */
+function loadTenants(filePath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    const invalid = new Error(`Could not load tenants ${filePath}`);
+    invalid.code = 'invalid_tenants';
+    invalid.details = error.message;
+    throw invalid;
+  }
+
+  const { valid, errors } = validateTenants(config);
+  if (!valid) {
+    const invalid = new Error(`Invalid tenants ${filePath}`);
+    invalid.code = 'invalid_tenants';
+    invalid.details = errors.join('; ');
+    throw invalid;
+  }
+
+  return config.tenants.map(tenant => ({
+    id: tenant.id,
+    api_keys: tenant.api_keys,
+    requests_per_minute: tenant.requests_per_minute ?? null,
+    daily_token_budget: tenant.daily_token_budget ?? null,
+    over_limit: tenant.over_limit || DEFAULT_OVER_LIMIT,
+    reviewer: tenant.reviewer === true
+  }));
+}
+
+/**
+ * Creates a lookup from API keys to tenants
+ * @param {Array} tenants - Tenants from loadTenants
+ * @returns {Object} - { authenticate(key) -> tenant or null, size }
+ */
+function createTenantRegistry(tenants) {
+  const byDigest = new Map();
+  for (const tenant of tenants) {
+    for (const digest of tenant.api_keys) {
+      byDigest.set(digest, tenant);
+    }
+  }
+
+  return {
+    size: tenants.length,
+
+    authenticate(key) {
+      if (typeof key !== 'string' || key === '') {
+        return null;
+      }
+      return byDigest.get(hashApiKey(key)) || null;
+    }
+  };
+}
+
+/**
+ * Reads the API key from a request
+ * Accepts "Authorization: Bearer <key>" or "X-API-Key: <key>". GET requests may
+ * also pass ?api_key=<key>, for EventSource clients that can't set headers.
+ * An Authorization header that isn't a bearer token (e.g. Basic auth added by a
+ * proxy) is skipped, so the other two still work.
+ * @param {Object} req - Express request
+ * @returns {string|null} - API key, or null if none was sent
+ */
+function extractApiKey(req) {
+  const bearer = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  if (bearer) {
+    return bearer[1];
+  }
+  if (req.get('x-api-key')) {
+    return req.get('x-api-key');
+  }
+  if (req.method === 'GET' && typeof req.query.api_key === 'string') {
+    return req.query.api_key;
+  }
+  return null;
+}
+
+module.exports = {
+  OVER_LIMIT_POLICIES,
+  DEFAULT_OVER_LIMIT,
+  generateApiKey,
+  hashApiKey,
+  validateTenants,
+  loadTenants,
+  createTenantRegistry,
+  extractApiKey
+};
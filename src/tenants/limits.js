@@ -0,0 +1,209 @@
+/**
+ * Tenant limits
+ * Per-tenant request rate limits (token bucket) and daily LLM-token budgets.
+ *
+ * A tenant over either limit is handled by its over_limit policy:
+ *   - reject: the request gets a 429 with Retry-After
+ *   - heuristic: the request is served from the heuristics only, flagged degraded
+ *
+ * Token usage comes from the LLM's usage.total_tokens (metadata.tokens_used)
+ * and resets at midnight UTC. The budget is checked before each request, so a
+ * request that starts under budget may finish over it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_USAGE_FILE = path.join(__dirname, '../../.cache/tenant-usage.json');
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * UTC day of a timestamp
+ * @param {number} ms - Epoch milliseconds
+ * @returns {string} - YYYY-MM-DD
+ */
+function utcDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+/**
+ * Milliseconds until the next midnight UTC, when token budgets reset
+ * @param {number} ms - Epoch milliseconds
+ * @returns {number}
+ */
+function msUntilBudgetReset(ms) {
+  const midnight = new Date(ms);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return midnight.getTime() - ms;
+}
+
+/**
+ * Creates a per-tenant token bucket rate limiter
+ * Each tenant can burst up to requests_per_minute requests; the bucket refills
+ * evenly over a minute. Tenants without requests_per_minute are never limited.
+ * @param {Object} options - { now } (clock function, for tests)
+ * @returns {Object} - { take(tenant) -> { allowed, limit, remaining, retry_after_ms } }
+ */
+function createRateLimiter(options = {}) {
+  const now = options.now || Date.now;
+  const buckets = new Map();
+
+  return {
+    /**
+     * Takes one request from the tenant's bucket
+     * @param {Object} tenant - Tenant (see src/tenants)
+     * @returns {Object} - { allowed, limit, remaining, retry_after_ms } (limit null when unlimited)
+     */
+    take(tenant) {
+      const limit = tenant.requests_per_minute;
+      if (!limit) {
+        return { allowed: true, limit: null, remaining: null, retry_after_ms: 0 };
+      }
+
+      const time = now();
+      const refillPerMs = limit / MINUTE_MS;
+      const bucket = buckets.get(tenant.id) || { tokens: limit, updated: time };
+      bucket.tokens = Math.min(limit, bucket.tokens + (time - bucket.updated) * refillPerMs);
+      bucket.updated = time;
+      buckets.set(tenant.id, bucket);
+
+      if (bucket.tokens < 1) {
+        return {
+          allowed: false,
+          limit,
+          remaining: 0,
+          retry_after_ms: Math.ceil((1 - bucket.tokens) / refillPerMs)
+        };
+      }
+      bucket.tokens -= 1;
+      return { allowed: true, limit, remaining: Math.floor(bucket.tokens), retry_after_ms: 0 };
+    }
+  };
+}
+
+/**
+ * Creates a tracker of each tenant's requests and LLM tokens for the current UTC day
+ * With a filePath, usage is saved after every update (queued, like the outcome
+ * log) and today's usage is loaded back on start, so restarts don't reset budgets.
+ * @param {Object} options - { filePath, now }
+ *   filePath: JSON file to persist usage in (optional; memory only without it)
+ * @returns {Object} - { filePath, get(tenantId), record(tenantId, tokens) -> Promise }
+ */
+function createUsageTracker(options = {}) {
+  const filePath = options.filePath || null;
+  const now = options.now || Date.now;
+  let day = utcDay(now());
+  let usage = {};
+  let queue = Promise.resolve();
+
+  if (filePath) {
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (data.day === day && data.tenants && typeof data.tenants === 'object') {
+        usage = data.tenants;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️  Could not read tenant usage file ${filePath}:`, error.message);
+      }
+    }
+  }
+
+  // Budgets reset at midnight UTC
+  function rollOver() {
+    const today = utcDay(now());
+    if (today !== day) {
+      day = today;
+      usage = {};
+    }
+  }
+
+  function persist() {
+    const snapshot = JSON.stringify({ day, tenants: usage });
+    const tmpPath = `${filePath}.tmp`;
+    queue = queue
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, snapshot, 'utf8');
+        await fs.promises.rename(tmpPath, filePath);
+      })
+      .catch(error => console.warn('⚠️  Failed to save tenant usage:', error.message));
+    return queue;
+  }
+
+  return {
+    filePath,
+
+    /**
+     * Today's usage for a tenant
+     * @param {string} tenantId - Tenant id
+     * @returns {Object} - { day, requests, tokens_used }
+     */
+    get(tenantId) {
+      rollOver();
+      const entry = usage[tenantId] || { requests: 0, tokens_used: 0 };
+      return { day, requests: entry.requests, tokens_used: entry.tokens_used };
+    },
+
+    /**
+     * Counts a classification request and the LLM tokens it used
+     * @param {string} tenantId - Tenant id
+     * @param {number} tokens - LLM tokens used (metadata.tokens_used)
+     * @returns {Promise<void>} - Resolves once saved (immediately without a file)
+     */
+    record(tenantId, tokens = 0) {
+      rollOver();
+      const entry = usage[tenantId] || { requests: 0, tokens_used: 0 };
+      usage[tenantId] = { requests: entry.requests + 1, tokens_used: entry.tokens_used + (tokens || 0) };
+      return filePath ? persist() : Promise.resolve();
+    }
+  };
+}
+
+/**
+ * Decides how to serve a tenant's request
+ * Takes a request from the rate limiter, then checks the daily token budget.
+ * @param {Object} tenant - Tenant (see src/tenants)
+ * @param {Object} limits - { rateLimiter, usage, now }
+ * @returns {Object} - { action, reason, retry_after_ms, rate, budget }
+ *   action: 'allow', 'heuristic' (serve heuristics only) or 'reject' (429)
+ *   reason: null, 'rate_limit_exceeded' or 'token_budget_exceeded'
+ *   rate: { limit, remaining }; budget: { limit, remaining } (null limits when unlimited)
+ */
+function checkTenantLimits(tenant, limits) {
+  const now = limits.now || Date.now;
+  const rate = limits.rateLimiter.take(tenant);
+  const used = limits.usage.get(tenant.id).tokens_used;
+  const budgetLimit = tenant.daily_token_budget;
+  const budget = {
+    limit: budgetLimit,
+    remaining: budgetLimit ? Math.max(0, budgetLimit - used) : null
+  };
+  const overBudget = budgetLimit !== null && used >= budgetLimit;
+
+  let reason = null;
+  let retryAfterMs = 0;
+  if (!rate.allowed) {
+    reason = 'rate_limit_exceeded';
+    retryAfterMs = rate.retry_after_ms;
+  } else if (overBudget) {
+    reason = 'token_budget_exceeded';
+    retryAfterMs = msUntilBudgetReset(now());
+  }
+
+  return {
+    action: reason === null ? 'allow' : tenant.over_limit === 'heuristic' ? 'heuristic' : 'reject',
+    reason,
+    retry_after_ms: retryAfterMs,
+    rate: { limit: rate.limit, remaining: rate.remaining },
+    budget
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+  createUsageTracker,
+  checkTenantLimits,
+  msUntilBudgetReset,
+  DEFAULT_USAGE_FILE
+};
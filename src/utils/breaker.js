@@ -0,0 +1,117 @@
+/**
+ * Circuit breaker
+ * Stops calling a failing dependency for a while instead of making every
+ * request wait for it to time out.
+ *
+ * States:
+ *   - closed: calls go through; consecutive failures are counted
+ *   - open: calls are refused until resetTimeoutMs has passed since opening
+ *   - half_open: one trial call goes through; success closes the breaker,
+ *     failure opens it again
+ */
+
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_RESET_TIMEOUT_MS = 30000;
+
+/**
+ * Creates a circuit breaker
+ * @param {Object} options - { failureThreshold, resetTimeoutMs, now }
+ *   failureThreshold: consecutive failures that open the breaker (default 5)
+ *   resetTimeoutMs: how long it stays open before a trial call (default 30s)
+ *   now: clock function (for tests)
+ * @returns {Object} - Breaker with allowRequest(), recordSuccess(), recordFailure(), releaseRequest(), getState()
+ */
+function createCircuitBreaker(options = {}) {
+  const failureThreshold = options.failureThreshold || DEFAULT_FAILURE_THRESHOLD;
+  const resetTimeoutMs = options.resetTimeoutMs || DEFAULT_RESET_TIMEOUT_MS;
+  const now = options.now || Date.now;
+
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  function open() {
+    state = 'open';
+    openedAt = now();
+    trialInFlight = false;
+    console.warn(`🔌 Circuit breaker opened after ${failures} consecutive failures (retry in ${resetTimeoutMs}ms)`);
+  }
+
+  return {
+    /**
+     * Whether a call may go through now
+     * In half_open, only the first caller gets the trial call.
+     * @returns {boolean}
+     */
+    allowRequest() {
+      if (state === 'open' && now() - openedAt >= resetTimeoutMs) {
+        state = 'half_open';
+      }
+      if (state === 'closed') {
+        return true;
+      }
+      if (state === 'half_open' && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+      return false;
+    },
+
+    /**
+     * Records a call that reached the dependency
+     */
+    recordSuccess() {
+      if (state !== 'closed') {
+        console.log('🔌 Circuit breaker closed');
+      }
+      state = 'closed';
+      failures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+
+    /**
+     * Releases a call that ended without reaching a verdict (cancelled by the
+     * caller), so a half-open breaker lets the next call make the trial
+     */
+    releaseRequest() {
+      if (state === 'half_open') {
+        trialInFlight = false;
+      }
+    },
+
+    /**
+     * Records a call that failed because the dependency is unavailable
+     */
+    recordFailure() {
+      failures++;
+      if (state === 'half_open' || (state === 'closed' && failures >= failureThreshold)) {
+        open();
+      }
+    },
+
+    /**
+     * Current state, for /health
+     * @returns {Object} - { state, failures, failure_threshold, opened_at, retry_at }
+     */
+    getState() {
+      if (state === 'open' && now() - openedAt >= resetTimeoutMs) {
+        state = 'half_open';
+      }
+      return {
+        state,
+        failures,
+        failure_threshold: failureThreshold,
+        opened_at: openedAt !== null ? new Date(openedAt).toISOString() : null,
+        retry_at: openedAt !== null ? new Date(openedAt + resetTimeoutMs).toISOString() : null
+      };
+    }
+  };
+}
+
+module.exports = {
+  createCircuitBreaker,
+  DEFAULT_FAILURE_THRESHOLD,
+  DEFAULT_RESET_TIMEOUT_MS
+};
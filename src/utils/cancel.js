@@ -0,0 +1,43 @@
+/**
+ * Cancellation utilities
+ * Work started for a caller who has gone away (e.g. a closed stream) is
+ * cancelled through an AbortSignal and fails with code 'request_cancelled'.
+ */
+
+/**
+ * Creates the error thrown when the caller cancels
+ * @param {string} what - What was cancelled, for the message
+ * @returns {Error} - Error with code 'request_cancelled'
+ */
+function createCancelledError(what = 'Request') {
+  const error = new Error(`${what} was cancelled by the caller`);
+  error.code = 'request_cancelled';
+  return error;
+}
+
+/**
+ * Whether an error means the caller cancelled
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+function isCancelledError(error) {
+  return Boolean(error) && error.code === 'request_cancelled';
+}
+
+/**
+ * Throws if the signal has been aborted
+ * @param {AbortSignal} [signal] - Caller's signal (optional)
+ * @param {string} what - What is being cancelled, for the message
+ * @throws {Error} with code 'request_cancelled'
+ */
+function throwIfCancelled(signal, what) {
+  if (signal && signal.aborted) {
+    throw createCancelledError(what);
+  }
+}
+
+module.exports = {
+  createCancelledError,
+  isCancelledError,
+  throwIfCancelled
+};
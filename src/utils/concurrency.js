@@ -0,0 +1,33 @@
+/**
+ * Concurrency utilities
+ * Helpers for running async work with a bounded number of in-flight tasks
+ */
+
+/**
+ * Maps over items with an async function, running at most `limit` at once
+ * Results are returned in input order regardless of completion order
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent tasks (>= 1)
+ * @param {Function} fn - Async mapper called as fn(item, index)
+ * @returns {Promise<Array>} - Mapped results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
@@ -5,13 +5,31 @@
 
 const fs = require('fs');
 const path = require('path');
+const { createVectorIndex, resolveIndexType } = require('../vector');
+const { DEFAULT_SELECTION, candidatePoolSize, selectExamples } = require('./selection');
+const { buildExampleId } = require('../feedback/ids');
 
 // Load examples with embeddings on module initialization
+// The example store (src/feedback/store.js) replaces them via setExamples
 let examplesWithEmbeddings = [];
+let examplesVersion = 1;
+let indexOptions = { type: 'auto' };
+let selectionOptions = DEFAULT_SELECTION;
+let index = createVectorIndex([]);
+
+/**
+ * Rebuilds the vector index over the loaded examples
+ */
+function buildIndex() {
+  index = createVectorIndex(examplesWithEmbeddings.map(example => example.embedding), indexOptions);
+}
+
 try {
   const embeddingsPath = path.join(__dirname, '../examples_with_embeddings.json');
   const data = JSON.parse(fs.readFileSync(embeddingsPath, 'utf8'));
   examplesWithEmbeddings = data.examples;
+  examplesVersion = data.version || 1;
+  buildIndex();
   console.log(`✓ Loaded ${examplesWithEmbeddings.length} examples with embeddings`);
 } catch (error) {
   console.warn('⚠️  Warning: Could not load examples_with_embeddings.json');
@@ -42,44 +60,126 @@ function cosine(a, b) {
 }
 
 /**
- * Get embedding vector for a text using OpenAI API
+ * Get embedding vector for a text using the configured provider
  * @param {string} text - Text to embed
- * @param {Object} openai - OpenAI client instance
+ * @param {Object} provider - LLM provider (see src/providers)
+ * @param {Object} options - { signal } (AbortSignal that cancels the call)
  * @returns {Promise<number[]>} - Embedding vector
  */
-async function getEmbedding(text, openai) {
-  const response = await openai.embeddings.create({
-    model: 'text-embedding-3-small',
-    input: text,
-  });
+async function getEmbedding(text, provider, options = {}) {
+  const response = await provider.embed(text, { signal: options.signal });
 
-  return response.data[0].embedding;
+  return response.embeddings[0];
 }
 
 /**
- * Find k most similar examples to the given message
+ * Find up to k similar examples to the given message
+ * Searches the vector index (see src/vector) instead of scoring and sorting
+ * every example, then applies the selection strategy (see selection.js).
  * @param {string} message - The message to find similar examples for
  * @param {number[]} messageEmbedding - Pre-computed embedding of the message
  * @param {number} k - Number of similar examples to return (default: 3)
- * @returns {Array} - Array of k most similar examples with similarity scores
+ * @param {Object} options - Selection options (default: the configured selection)
+ * @returns {Array} - Up to k examples with id, message, classification and similarity
  */
-function findSimilarExamples(message, messageEmbedding, k = 3) {
+function findSimilarExamples(message, messageEmbedding, k = 3, options = selectionOptions) {
   if (examplesWithEmbeddings.length === 0) {
     console.warn('⚠️  No examples loaded, returning empty array');
     return [];
   }
 
-  // Calculate similarity scores for all examples
-  const similarities = examplesWithEmbeddings.map(example => ({
-    message: example.message,
-    classification: example.classification,
-    similarity: cosine(example.embedding, messageEmbedding)
-  }));
-
-  // Sort by similarity (highest first) and return top k
-  return similarities
-    .sort((a, b) => b.similarity - a.similarity)
-    .slice(0, k);
+  const candidates = index.search(messageEmbedding, candidatePoolSize(k, options)).map(({ index: row, similarity }) => {
+    const example = examplesWithEmbeddings[row];
+    return {
+      id: example.id || buildExampleId(example.message),
+      message: example.message,
+      classification: example.classification,
+      similarity,
+      embedding: example.embedding
+    };
+  });
+
+  return selectExamples(candidates, k, options).map(({ embedding, ...example }) => example);
+}
+
+/**
+ * Checks whether a list begins with the examples already in the index
+ * @param {Array} examples - Examples passed to setExamples
+ * @returns {boolean} - True when every indexed example is at the same position
+ */
+function startsWithIndexed(examples) {
+  for (let i = 0; i < index.size; i++) {
+    if (examples[i] !== examplesWithEmbeddings[i]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Replace the examples used for similarity search
+ * @param {Array} examples - Examples with message, classification and embedding
+ * @param {number} version - Example store version (part of the cache key)
+ */
+function setExamples(examples, version = 1) {
+  // Approvals hand over a new array that starts with the indexed examples; index only the new ones
+  const appended = index.size > 0 && examples.length > index.size && startsWithIndexed(examples) &&
+    resolveIndexType(examples.length, indexOptions.type) === index.type;
+
+  if (appended) {
+    index.add(examples.slice(index.size).map(example => example.embedding));
+    examplesWithEmbeddings = examples;
+  } else {
+    examplesWithEmbeddings = examples;
+    buildIndex();
+  }
+  examplesVersion = version;
+}
+
+/**
+ * Set the vector index type and rebuild the index
+ * @param {Object} options - { type, lists, probes } (see src/vector)
+ */
+function configureIndex(options = {}) {
+  indexOptions = { type: 'auto', ...options };
+  buildIndex();
+}
+
+/**
+ * Set the few-shot example selection strategy
+ * @param {Object} options - { strategy, lambda, maxPerCategory, minSimilarity } (see selection.js)
+ */
+function configureSelection(options = {}) {
+  selectionOptions = { ...DEFAULT_SELECTION, ...options };
+}
+
+/**
+ * Get the active few-shot example selection options
+ * @returns {Object} - Selection options
+ */
+function getSelectionConfig() {
+  return selectionOptions;
+}
+
+/**
+ * Describe the active vector index for /health
+ * @returns {Object} - { type, size, lists, probes } (lists and probes for ivf only)
+ */
+function getIndexStatus() {
+  return {
+    type: index.type,
+    size: index.size,
+    ...(index.type === 'ivf' && { lists: index.lists, probes: index.probes })
+  };
+}
+
+/**
+ * Get the version of the loaded examples
+ * Changes whenever the few-shot examples change
+ * @returns {number} - Example store version
+ */
+function getExamplesVersion() {
+  return examplesVersion;
 }
 
 /**
@@ -103,6 +203,12 @@ module.exports = {
   getEmbedding,
   findSimilarExamples,
   getExamplesCount,
+  getExamplesVersion,
+  setExamples,
+  configureIndex,
+  getIndexStatus,
+  configureSelection,
+  getSelectionConfig,
   areEmbeddingsAvailable
 };
 
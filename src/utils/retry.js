@@ -0,0 +1,107 @@
+/**
+ * Retry utilities
+ * Retries failed async calls with exponential backoff
+ */
+
+const { APIConnectionError } = require('openai');
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BASE_DELAY_MS = 500;
+
+// Codes of network failures and timeouts: Node socket and DNS errors, undici
+// (fetch) errors, and the LLM call timeout from src/providers/resilient.js
+const TRANSIENT_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT',
+  'UND_ERR_BODY_TIMEOUT',
+  'llm_timeout'
+];
+
+/**
+ * Waits for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Whether an error is a network failure or timeout
+ * Checks the error and its cause, since fetch and the OpenAI SDK wrap the socket error.
+ * @param {Error} error - Error thrown by the call
+ * @returns {boolean}
+ */
+function isNetworkError(error) {
+  if (!error) {
+    return false;
+  }
+  return error instanceof APIConnectionError || TRANSIENT_ERROR_CODES.includes(error.code) || isNetworkError(error.cause);
+}
+
+/**
+ * Whether a failed API call is worth retrying
+ * Rate limits (429), server errors (5xx), network failures and timeouts are
+ * transient. Other client errors will fail the same way again, and anything
+ * else (a TypeError, a bug) fails fast.
+ * @param {Error} error - Error thrown by the call
+ * @returns {boolean} - True if a retry may succeed
+ */
+function isRetryableError(error) {
+  if (error.status) {
+    return error.status === 429 || error.status >= 500;
+  }
+  return isNetworkError(error);
+}
+
+/**
+ * Calls an async function, retrying with exponential backoff when it throws
+ * The delay doubles after every failed attempt (500ms, 1s, 2s, ... by default).
+ * @param {Function} fn - Async function called as fn(attempt), attempt starting at 1
+ * @param {Object} options - { retries, baseDelayMs, shouldRetry, onRetry, sleep }
+ *   retries: retries after the first attempt (default 3)
+ *   baseDelayMs: delay before the first retry (default 500)
+ *   shouldRetry: called with the error; return false to fail immediately
+ *   onRetry: called with (error, attempt, delayMs) before each retry
+ *   sleep: delay function (for tests)
+ * @returns {Promise<*>} - fn's result
+ * @throws {Error} the last error once retries are exhausted
+ */
+async function retryWithBackoff(fn, options = {}) {
+  const retries = options.retries ?? DEFAULT_RETRIES;
+  const baseDelayMs = options.baseDelayMs ?? DEFAULT_BASE_DELAY_MS;
+  const shouldRetry = options.shouldRetry || (() => true);
+  const onRetry = options.onRetry || (() => {});
+  const wait = options.sleep || sleep;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt > retries || !shouldRetry(error)) {
+        throw error;
+      }
+      const delayMs = baseDelayMs * 2 ** (attempt - 1);
+      onRetry(error, attempt, delayMs);
+      await wait(delayMs);
+    }
+  }
+}
+
+module.exports = {
+  retryWithBackoff,
+  isRetryableError,
+  isNetworkError,
+  sleep,
+  DEFAULT_RETRIES,
+  DEFAULT_BASE_DELAY_MS
+};
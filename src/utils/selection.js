@@ -0,0 +1,152 @@
+/**
+ * Few-shot example selection
+ * Picks which of the retrieved similar examples go into the prompt.
+ *
+ * Strategies:
+ *   - similarity: the most similar examples (the original behavior)
+ *   - mmr: maximal marginal relevance; trades similarity to the message
+ *     against similarity to the examples already picked, so near-duplicates
+ *     of one example don't fill every slot
+ *
+ * Both honor a per-category cap (at most N examples per focus type) and a
+ * minimum similarity, below which an example is not used at all.
+ */
+
+const { normalizeVector } = require('../vector/flat');
+
+const SELECTION_STRATEGIES = ['similarity', 'mmr'];
+const DEFAULT_SELECTION = {
+  strategy: 'similarity',
+  lambda: 0.7,
+  maxPerCategory: null,
+  minSimilarity: null
+};
+// Candidates retrieved per selected example when the selection can skip some
+const CANDIDATE_POOL_FACTOR = 5;
+
+/**
+ * Parses a number from configuration
+ * @returns {number|null} - Parsed value, or null when unset
+ * @throws {Error} if the value is set but not a number in range
+ */
+function parseSetting(env, name, min, max, integer = false) {
+  if (env[name] === undefined || env[name] === '') {
+    return null;
+  }
+  const value = Number(env[name]);
+  if (Number.isNaN(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+    throw new Error(`Invalid ${name} "${env[name]}". Expected ${integer ? 'an integer' : 'a number'} between ${min} and ${max}`);
+  }
+  return value;
+}
+
+/**
+ * Reads selection options from configuration
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} - { strategy, lambda, maxPerCategory, minSimilarity }
+ * @throws {Error} if a setting is invalid
+ */
+function getSelectionOptions(env = process.env) {
+  const strategy = (env.EXAMPLE_SELECTION || DEFAULT_SELECTION.strategy).toLowerCase();
+  if (!SELECTION_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown EXAMPLE_SELECTION "${strategy}". Expected one of: ${SELECTION_STRATEGIES.join(', ')}`);
+  }
+
+  return {
+    strategy,
+    lambda: parseSetting(env, 'EXAMPLE_MMR_LAMBDA', 0, 1) ?? DEFAULT_SELECTION.lambda,
+    maxPerCategory: parseSetting(env, 'EXAMPLE_MAX_PER_CATEGORY', 1, Infinity, true),
+    minSimilarity: parseSetting(env, 'EXAMPLE_MIN_SIMILARITY', -1, 1)
+  };
+}
+
+/**
+ * Describes selection options as a short string (for cache namespaces and logs)
+ * @param {Object} options - Selection options
+ * @returns {string} - e.g. "mmr(0.7),cap=1,min=0.3"
+ */
+function describeSelection(options) {
+  let description = options.strategy === 'mmr' ? `mmr(${options.lambda})` : options.strategy;
+  if (options.maxPerCategory) description += `,cap=${options.maxPerCategory}`;
+  if (options.minSimilarity !== null && options.minSimilarity !== undefined) description += `,min=${options.minSimilarity}`;
+  return description;
+}
+
+/**
+ * Number of candidates to retrieve so the selection has enough to choose from
+ * @param {number} k - Examples wanted
+ * @param {Object} options - Selection options
+ * @returns {number} - Candidate count
+ */
+function candidatePoolSize(k, options) {
+  const filters = options.strategy !== 'similarity' || options.maxPerCategory;
+  return filters ? k * CANDIDATE_POOL_FACTOR : k;
+}
+
+/**
+ * Selects up to k examples from candidates
+ * @param {Array} candidates - Examples with similarity and embedding, most similar first
+ * @param {number} k - Maximum number of examples
+ * @param {Object} options - Selection options (see getSelectionOptions)
+ * @returns {Array} - Selected candidates, in the order they were picked
+ */
+function selectExamples(candidates, k, options = DEFAULT_SELECTION) {
+  const settings = { ...DEFAULT_SELECTION, ...options };
+  const counts = new Map();
+  const selected = [];
+  const normalized = new Map();
+
+  // Cosine similarity between two candidates, normalizing each embedding once
+  function similarityBetween(a, b) {
+    [a, b].forEach(candidate => {
+      if (!normalized.has(candidate)) normalized.set(candidate, normalizeVector(candidate.embedding));
+    });
+    const x = normalized.get(a);
+    const y = normalized.get(b);
+    let sum = 0;
+    for (let i = 0; i < x.length; i++) {
+      sum += x[i] * y[i];
+    }
+    return sum;
+  }
+
+  let remaining = candidates.filter(candidate =>
+    settings.minSimilarity === null || candidate.similarity >= settings.minSimilarity
+  );
+
+  while (selected.length < k) {
+    remaining = remaining.filter(candidate =>
+      !settings.maxPerCategory || (counts.get(candidate.classification.focus_summary_type) || 0) < settings.maxPerCategory
+    );
+    if (remaining.length === 0) break;
+
+    let best = remaining[0];
+    if (settings.strategy === 'mmr' && selected.length > 0) {
+      let bestScore = -Infinity;
+      for (const candidate of remaining) {
+        const redundancy = Math.max(...selected.map(picked => similarityBetween(candidate, picked)));
+        const score = settings.lambda * candidate.similarity - (1 - settings.lambda) * redundancy;
+        if (score > bestScore) {
+          best = candidate;
+          bestScore = score;
+        }
+      }
+    }
+
+    selected.push(best);
+    remaining = remaining.filter(candidate => candidate !== best);
+    const type = best.classification.focus_summary_type;
+    counts.set(type, (counts.get(type) || 0) + 1);
+  }
+
+  return selected;
+}
+
+module.exports = {
+  SELECTION_STRATEGIES,
+  DEFAULT_SELECTION,
+  getSelectionOptions,
+  describeSelection,
+  candidatePoolSize,
+  selectExamples
+};
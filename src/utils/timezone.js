@@ -0,0 +1,88 @@
+/**
+ * Timezone utilities
+ * Converts between instants and local calendar days/times in IANA timezones
+ * using the built-in Intl API (no timezone database dependency)
+ */
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+/**
+ * Checks whether a timezone name is known to the runtime
+ * @param {*} timezone - IANA timezone name (e.g. "America/New_York")
+ * @returns {boolean} - True if Intl accepts the timezone
+ */
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || timezone.length === 0) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Gets the UTC offset of a timezone at an instant
+ * @param {number} instantMs - Milliseconds since epoch
+ * @param {string} timezone - IANA timezone name
+ * @returns {number} - Offset in milliseconds (local time minus UTC)
+ */
+function getTimezoneOffsetMs(instantMs, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(new Date(instantMs)).map(part => [part.type, part.value])
+  );
+
+  const localAsUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return localAsUtc - Math.floor(instantMs / 1000) * 1000;
+}
+
+/**
+ * Gets the local calendar day of an instant
+ * @param {Date|string|number} instant - Instant to convert
+ * @param {string} timezone - IANA timezone name (default: UTC)
+ * @returns {number} - The local day as milliseconds at UTC midnight
+ */
+function getZonedDay(instant, timezone = DEFAULT_TIMEZONE) {
+  const instantMs = new Date(instant).getTime();
+  const local = new Date(instantMs + getTimezoneOffsetMs(instantMs, timezone));
+  return Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+}
+
+/**
+ * Converts a local date and time in a timezone to an instant
+ * Local times skipped by a DST change resolve to a nearby valid instant.
+ * @param {string} day - Local date as YYYY-MM-DD
+ * @param {string} time - Local time as HH:MM or HH:MM:SS
+ * @param {string} timezone - IANA timezone name (default: UTC)
+ * @returns {Date} - The instant
+ */
+function zonedTimeToDate(day, time, timezone = DEFAULT_TIMEZONE) {
+  const [year, month, date] = day.split('-').map(Number);
+  const [hours, minutes, seconds = 0] = time.split(':').map(Number);
+  const localAsUtc = Date.UTC(year, month - 1, date, hours, minutes, seconds);
+
+  // The offset at the guessed instant can differ from the final one around DST changes
+  const firstGuess = localAsUtc - getTimezoneOffsetMs(localAsUtc, timezone);
+  const offset = getTimezoneOffsetMs(firstGuess, timezone);
+  return new Date(localAsUtc - offset);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getTimezoneOffsetMs,
+  getZonedDay,
+  zonedTimeToDate
+};
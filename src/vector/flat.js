@@ -0,0 +1,134 @@
+/**
+ * Exact (brute-force) vector index
+ * Vectors are normalized once and packed into a single Float32Array, so a
+ * search is one dot product per vector with no per-query allocation.
+ */
+
+const { createTopK } = require('./heap');
+
+/**
+ * Writes a unit-length copy of a vector into a buffer
+ * Zero vectors stay zero (similarity 0 to everything, like cosine()).
+ * @param {number[]} vector - Source vector
+ * @param {Float32Array} target - Destination buffer
+ * @param {number} offset - Position in the destination
+ */
+function writeNormalized(vector, target, offset) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) {
+    norm += vector[i] * vector[i];
+  }
+  norm = Math.sqrt(norm);
+  for (let i = 0; i < vector.length; i++) {
+    target[offset + i] = norm === 0 ? 0 : vector[i] / norm;
+  }
+}
+
+/**
+ * Returns a unit-length Float32Array copy of a vector
+ * @param {number[]} vector - Vector to normalize
+ * @returns {Float32Array} - Normalized copy
+ */
+function normalizeVector(vector) {
+  const normalized = new Float32Array(vector.length);
+  writeNormalized(vector, normalized, 0);
+  return normalized;
+}
+
+/**
+ * Creates an exact index over vectors
+ * @param {Array<number[]>} vectors - Vectors of equal length
+ * @returns {Object} - Index with search(query, k) and add(vectors)
+ */
+function createFlatIndex(vectors) {
+  const dimensions = vectors.length > 0 ? vectors[0].length : 0;
+  let size = 0;
+  let data = new Float32Array(0);
+
+  /**
+   * Dot product between a stored row and a normalized query
+   */
+  function dot(row, query) {
+    const offset = row * dimensions;
+    let sum = 0;
+    for (let i = 0; i < dimensions; i++) {
+      sum += data[offset + i] * query[i];
+    }
+    return sum;
+  }
+
+  /**
+   * Normalizes a query vector for dot-product search
+   * @throws {Error} if the query length does not match the index
+   */
+  function normalize(query) {
+    if (query.length !== dimensions) {
+      throw new Error('Vectors must have the same length');
+    }
+    return normalizeVector(query);
+  }
+
+  /**
+   * Appends vectors, growing the buffer by doubling
+   * @returns {number} - Row number of the first added vector
+   */
+  function add(added) {
+    const first = size;
+    if (size + added.length > data.length / (dimensions || 1)) {
+      const grown = new Float32Array(Math.max(size + added.length, size * 2) * dimensions);
+      grown.set(data.subarray(0, size * dimensions));
+      data = grown;
+    }
+    added.forEach((vector, i) => {
+      if (vector.length !== dimensions) {
+        throw new Error(`Vector ${first + i} has ${vector.length} dimensions, expected ${dimensions}`);
+      }
+      writeNormalized(vector, data, (first + i) * dimensions);
+    });
+    size += added.length;
+    return first;
+  }
+
+  add(vectors);
+
+  return {
+    type: 'flat',
+    dimensions,
+    get size() {
+      return size;
+    },
+    dot,
+    normalize,
+    add,
+
+    /**
+     * Gets a stored (normalized) vector
+     * @param {number} row - Row number
+     * @returns {Float32Array} - View into the index buffer
+     */
+    row(row) {
+      return data.subarray(row * dimensions, (row + 1) * dimensions);
+    },
+
+    /**
+     * Finds the k most similar vectors by cosine similarity
+     * @param {number[]} query - Query vector
+     * @param {number} k - Number of results
+     * @returns {Array} - [{ index, similarity }], most similar first
+     */
+    search(query, k) {
+      if (size === 0) return [];
+      const normalized = normalize(query);
+      const top = createTopK(k);
+      for (let row = 0; row < size; row++) {
+        top.push(row, dot(row, normalized));
+      }
+      return top.results().map(({ index, score }) => ({ index, similarity: score }));
+    }
+  };
+}
+
+module.exports = {
+  createFlatIndex,
+  normalizeVector
+};
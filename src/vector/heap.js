@@ -0,0 +1,84 @@
+/**
+ * Bounded top-k selection
+ * Keeps the k best-scoring items in a min-heap, so selecting from n items
+ * costs O(n log k) instead of sorting all n.
+ */
+
+/**
+ * Whether item a ranks below item b
+ * Ties go to the lower index, matching a stable sort over insertion order.
+ */
+function ranksBelow(a, b) {
+  return a.score < b.score || (a.score === b.score && a.index > b.index);
+}
+
+/**
+ * Creates a top-k collector
+ * @param {number} k - Number of items to keep
+ * @returns {Object} - { push(index, score), results(), size() }
+ */
+function createTopK(k) {
+  // heap[0] is the worst item kept so far
+  const heap = [];
+
+  function swap(i, j) {
+    [heap[i], heap[j]] = [heap[j], heap[i]];
+  }
+
+  function siftUp(i) {
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!ranksBelow(heap[i], heap[parent])) break;
+      swap(i, parent);
+      i = parent;
+    }
+  }
+
+  function siftDown(i) {
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let lowest = i;
+      if (left < heap.length && ranksBelow(heap[left], heap[lowest])) lowest = left;
+      if (right < heap.length && ranksBelow(heap[right], heap[lowest])) lowest = right;
+      if (lowest === i) break;
+      swap(i, lowest);
+      i = lowest;
+    }
+  }
+
+  return {
+    /**
+     * Offers an item; it is kept if it ranks among the best k so far
+     * @param {number} index - Item index
+     * @param {number} score - Item score (higher is better)
+     */
+    push(index, score) {
+      if (k <= 0) return;
+      const item = { index, score };
+      if (heap.length < k) {
+        heap.push(item);
+        siftUp(heap.length - 1);
+      } else if (ranksBelow(heap[0], item)) {
+        heap[0] = item;
+        siftDown(0);
+      }
+    },
+
+    /**
+     * Gets the kept items, best first
+     * @returns {Array} - [{ index, score }]
+     */
+    results() {
+      return [...heap].sort((a, b) => (ranksBelow(a, b) ? 1 : -1));
+    },
+
+    size() {
+      return heap.length;
+    }
+  };
+}
+
+module.exports = {
+  createTopK
+};
@@ -0,0 +1,73 @@
+/**
+ * In-process vector index for similar-example retrieval
+ *
+ * An index exposes:
+ *   - type ('flat' | 'ivf'), size, dimensions
+ *   - search(query, k) -> [{ index, similarity }], most similar first
+ *   - add(vectors) to append vectors without a rebuild
+ *
+ * 'flat' is exact. 'ivf' is approximate and much faster on large example
+ * sets. 'auto' (the default) uses flat below IVF_MIN_SIZE vectors, where a
+ * brute-force scan is already fast and exact.
+ */
+
+const { createFlatIndex } = require('./flat');
+const { createIvfIndex } = require('./ivf');
+const { createTopK } = require('./heap');
+
+const VECTOR_INDEX_TYPES = ['auto', 'flat', 'ivf'];
+const IVF_MIN_SIZE = 10000;
+
+/**
+ * Reads index options from configuration
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} - { type, probes }
+ * @throws {Error} if VECTOR_INDEX is unknown
+ */
+function getIndexOptions(env = process.env) {
+  const type = (env.VECTOR_INDEX || 'auto').toLowerCase();
+  if (!VECTOR_INDEX_TYPES.includes(type)) {
+    throw new Error(`Unknown VECTOR_INDEX "${type}". Expected one of: ${VECTOR_INDEX_TYPES.join(', ')}`);
+  }
+  return {
+    type,
+    probes: parseInt(env.VECTOR_INDEX_PROBES, 10) || undefined
+  };
+}
+
+/**
+ * Resolves the index type to build for a number of vectors
+ * @param {number} size - Number of vectors
+ * @param {string} type - 'auto', 'flat' or 'ivf'
+ * @returns {string} - 'flat' or 'ivf'
+ */
+function resolveIndexType(size, type = 'auto') {
+  if (type === 'auto') {
+    return size >= IVF_MIN_SIZE ? 'ivf' : 'flat';
+  }
+  return type;
+}
+
+/**
+ * Builds an index over vectors
+ * @param {Array<number[]>} vectors - Vectors of equal length
+ * @param {Object} options - { type, lists, probes } (see ivf.js for lists and probes)
+ * @returns {Object} - Vector index
+ */
+function createVectorIndex(vectors, options = {}) {
+  if (resolveIndexType(vectors.length, options.type) === 'ivf') {
+    return createIvfIndex(vectors, options);
+  }
+  return createFlatIndex(vectors);
+}
+
+module.exports = {
+  createVectorIndex,
+  createFlatIndex,
+  createIvfIndex,
+  createTopK,
+  getIndexOptions,
+  resolveIndexType,
+  VECTOR_INDEX_TYPES,
+  IVF_MIN_SIZE
+};
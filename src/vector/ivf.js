@@ -0,0 +1,154 @@
+/**
+ * Approximate vector index (IVF: inverted file)
+ * Vectors are clustered around `lists` centroids with spherical k-means.
+ * A search scores the centroids, then scans only the vectors in the `probes`
+ * closest clusters. More probes trade speed for recall.
+ *
+ * When the probed clusters hold fewer than k vectors, the search falls back
+ * to the exact index.
+ *
+ * Vectors added after the build join their nearest cluster without
+ * retraining, so adding a few examples doesn't cost a full rebuild.
+ */
+
+const { createFlatIndex, normalizeVector } = require('./flat');
+const { createTopK } = require('./heap');
+
+const DEFAULT_ITERATIONS = 6;
+// k-means trains on a sample of about this many vectors per list
+const TRAINING_VECTORS_PER_LIST = 32;
+
+/**
+ * Picks `count` evenly spaced rows out of `size` (deterministic sampling)
+ * @returns {number[]} - Row numbers
+ */
+function strideSample(size, count) {
+  if (count >= size) {
+    return Array.from({ length: size }, (_, i) => i);
+  }
+  const step = size / count;
+  return Array.from({ length: count }, (_, i) => Math.floor(i * step));
+}
+
+/**
+ * Creates an IVF index over vectors
+ * @param {Array<number[]>} vectors - Vectors of equal length
+ * @param {Object} options - { lists, probes, iterations }
+ *   lists: number of clusters (default: sqrt of the vector count)
+ *   probes: clusters scanned per search (default: sqrt of lists)
+ *   iterations: k-means iterations (default 6)
+ * @returns {Object} - Index with search(query, k) and add(vectors)
+ */
+function createIvfIndex(vectors, options = {}) {
+  const flat = createFlatIndex(vectors);
+  const { size, dimensions } = flat;
+  const listCount = Math.max(1, Math.min(size, options.lists || Math.round(Math.sqrt(size))));
+  const probes = Math.max(1, Math.min(listCount, options.probes || Math.ceil(Math.sqrt(listCount))));
+  const iterations = options.iterations || DEFAULT_ITERATIONS;
+
+  const training = strideSample(size, listCount * TRAINING_VECTORS_PER_LIST);
+  const centroids = new Float32Array(listCount * dimensions);
+  strideSample(training.length, listCount).forEach((sample, list) => {
+    centroids.set(flat.row(training[sample]), list * dimensions);
+  });
+
+  function centroidScore(list, vector) {
+    const offset = list * dimensions;
+    let sum = 0;
+    for (let i = 0; i < dimensions; i++) {
+      sum += centroids[offset + i] * vector[i];
+    }
+    return sum;
+  }
+
+  function nearestList(row) {
+    const vector = flat.row(row);
+    let best = 0;
+    let bestScore = -Infinity;
+    for (let list = 0; list < listCount; list++) {
+      const score = centroidScore(list, vector);
+      if (score > bestScore) {
+        best = list;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  // Spherical k-means on the training sample
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const sums = new Float64Array(listCount * dimensions);
+    const counts = new Uint32Array(listCount);
+    for (const row of training) {
+      const list = nearestList(row);
+      const vector = flat.row(row);
+      counts[list]++;
+      for (let i = 0; i < dimensions; i++) {
+        sums[list * dimensions + i] += vector[i];
+      }
+    }
+    for (let list = 0; list < listCount; list++) {
+      // An empty cluster keeps its previous centroid
+      if (counts[list] === 0) continue;
+      centroids.set(normalizeVector(sums.subarray(list * dimensions, (list + 1) * dimensions)), list * dimensions);
+    }
+  }
+
+  const lists = Array.from({ length: listCount }, () => []);
+  for (let row = 0; row < size; row++) {
+    lists[nearestList(row)].push(row);
+  }
+
+  return {
+    type: 'ivf',
+    dimensions,
+    get size() {
+      return flat.size;
+    },
+    lists: listCount,
+    probes,
+
+    /**
+     * Appends vectors to their nearest clusters (centroids are not retrained)
+     * @param {Array<number[]>} vectors - Vectors to add
+     */
+    add(vectors) {
+      const first = flat.add(vectors);
+      for (let row = first; row < flat.size; row++) {
+        lists[nearestList(row)].push(row);
+      }
+    },
+
+    /**
+     * Finds approximately the k most similar vectors by cosine similarity
+     * @param {number[]} query - Query vector
+     * @param {number} k - Number of results
+     * @returns {Array} - [{ index, similarity }], most similar first
+     */
+    search(query, k) {
+      if (flat.size === 0) return [];
+      const normalized = flat.normalize(query);
+
+      const nearest = createTopK(probes);
+      for (let list = 0; list < listCount; list++) {
+        nearest.push(list, centroidScore(list, normalized));
+      }
+      const probed = nearest.results().map(({ index }) => lists[index]);
+      if (probed.reduce((count, rows) => count + rows.length, 0) < k) {
+        return flat.search(query, k);
+      }
+
+      const top = createTopK(k);
+      for (const rows of probed) {
+        for (const row of rows) {
+          top.push(row, flat.dot(row, normalized));
+        }
+      }
+      return top.results().map(({ index, score }) => ({ index, similarity: score }));
+    }
+  };
+}
+
+module.exports = {
+  createIvfIndex
+};
@@ -0,0 +1,129 @@
+/**
+ * Tests for the classification cache
+ * Run with: node tests/cache.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createCache,
+  createMemoryCache,
+  createFileCache,
+  buildCacheKey,
+  buildCacheNamespace
+} = require('../src/cache');
+const { classifyMessage } = require('../src/pipeline');
+const { createMockProvider } = require('../src/providers');
+
+// Simple test framework
+let passedTests = 0;
+let failedTests = 0;
+
+function assertEqual(actual, expected, testName) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    console.log(`  Expected:`, expected);
+    console.log(`  Got:`, actual);
+    failedTests++;
+  }
+}
+
+function assertTrue(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    failedTests++;
+  }
+}
+
+async function run() {
+  console.log('\n🧪 Running Cache Tests\n');
+
+  // Test: Keys
+  console.log('--- Cache Keys ---');
+  assertEqual(buildCacheKey('hi', 'v1'), buildCacheKey('hi', 'v1'), 'Same message and namespace give same key');
+  assertTrue(buildCacheKey('hi', 'v1') !== buildCacheKey('hi', 'v2'), 'Namespace change gives a new key');
+  assertTrue(buildCacheKey('hi', 'v1') !== buildCacheKey('hey', 'v1'), 'Different messages give different keys');
+  assertTrue(buildCacheNamespace(createMockProvider()).includes('mock'), 'Namespace includes the provider');
+
+  // Test: Memory backend TTL and eviction
+  console.log('\n--- Memory Backend ---');
+  let clock = 1000;
+  const memory = createMemoryCache({ ttlMs: 100, maxEntries: 2, now: () => clock });
+  await memory.set('a', 1);
+  await memory.set('b', 2);
+  assertEqual(await memory.get('a'), 1, 'Stored value is returned');
+  await memory.set('c', 3);
+  assertEqual(await memory.get('b'), undefined, 'Least recently used entry is evicted');
+  assertEqual(await memory.get('a'), 1, 'Recently used entry survives eviction');
+  assertEqual(memory.size(), 2, 'Size is capped at maxEntries');
+  clock += 101;
+  assertEqual(await memory.get('a'), undefined, 'Expired entry is not returned');
+
+  // Test: File backend persistence and namespace invalidation
+  console.log('\n--- File Backend ---');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'classifier-cache-'));
+  const filePath = path.join(tmpDir, 'cache.json');
+  const options = { filePath, ttlMs: 60000, maxEntries: 10 };
+
+  const first = createFileCache({ ...options, namespace: 'v1' });
+  await first.set('key', { classification: 'x' });
+  await first.set('other', { classification: 'y' });
+  assertEqual(fs.existsSync(filePath), false, 'Writes are deferred off the request path');
+  await first.flush();
+  assertEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).entries.length, 2, 'flush saves coalesced changes in one write');
+  const reloaded = createFileCache({ ...options, namespace: 'v1' });
+  assertEqual(await reloaded.get('key'), { classification: 'x' }, 'Entries survive reload');
+
+  const changed = createFileCache({ ...options, namespace: 'v2' });
+  assertEqual(await changed.get('key'), undefined, 'Namespace change discards old entries');
+
+  const delayed = createFileCache({ ...options, namespace: 'v1', writeDelayMs: 10 });
+  await delayed.delete('other');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assertEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).entries.length, 1, 'Pending changes are written after the delay');
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // Test: Backend selection
+  console.log('\n--- Backend Selection ---');
+  assertEqual(createCache('ns', {}).backend, 'memory', 'Memory is the default backend');
+  assertEqual(createCache('ns', { CACHE_BACKEND: 'none' }), null, 'CACHE_BACKEND=none disables the cache');
+
+  // Test: Pipeline integration
+  console.log('\n--- Pipeline Integration ---');
+  const provider = createMockProvider();
+  let completions = 0;
+  const complete = provider.complete;
+  provider.complete = (request) => {
+    completions++;
+    return complete(request);
+  };
+  const cache = createMemoryCache({ ttlMs: 60000, maxEntries: 10 });
+  const message = 'Do you have an affiliate program';
+
+  const miss = await classifyMessage(message, provider, { cache });
+  const hit = await classifyMessage(message, provider, { cache });
+  assertEqual(miss.metadata.cache, 'miss', 'First call is a cache miss');
+  assertEqual(hit.metadata.cache, 'hit', 'Second call is a cache hit');
+  assertEqual(hit.classification, miss.classification, 'Cached classification is returned');
+  assertEqual(hit.metadata.tokens_used, 0, 'Cache hit uses no tokens');
+  assertEqual(completions, 1, 'Cache hit skips the LLM call');
+
+  const heuristic = await classifyMessage('Need to book you for Friday ASAP please!', provider, { cache });
+  assertEqual(heuristic.metadata.cache, undefined, 'Heuristic results bypass the cache');
+
+  console.log(`\n📊 Test Results: ${passedTests} passed, ${failedTests} failed\n`);
+
+  if (failedTests > 0) {
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,143 @@
+/**
+ * Tests for deadline resolution and deadline-aware time sensitivity
+ * Run with: node tests/deadline.test.js
+ */
+
+const { isValidTimezone, getZonedDay, zonedTimeToDate } = require('../src/utils/timezone');
+const { resolveDeadline, scoreTimeRemaining } = require('../src/heuristics/deadline');
+const { extractEntities } = require('../src/heuristics/entities');
+const { validateTimezone } = require('../src/heuristics/validator');
+const { runHeuristicStage, classifyMessage } = require('../src/pipeline');
+const { runEvaluation } = require('../src/evaluation');
+const { createMockProvider } = require('../src/providers');
+
+// Simple test framework
+let passedTests = 0;
+let failedTests = 0;
+
+function assertEqual(actual, expected, testName) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    console.log(`  Expected:`, expected);
+    console.log(`  Got:`, actual);
+    failedTests++;
+  }
+}
+
+function assertTrue(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    failedTests++;
+  }
+}
+
+// Monday afternoon, UTC
+const MONDAY = '2026-10-19T15:00:00.000Z';
+const THURSDAY = '2026-10-22T15:00:00.000Z';
+
+function heuristicAt(message, referenceTime, options = {}) {
+  return runHeuristicStage(message, { referenceTime, ...options }).heuristic;
+}
+
+async function run() {
+  console.log('\n🧪 Running Deadline Tests\n');
+
+  // Test: Timezones
+  console.log('--- Timezones ---');
+  assertTrue(isValidTimezone('America/New_York'), 'IANA timezone is valid');
+  assertTrue(!isValidTimezone('Mars/Olympus'), 'Unknown timezone is invalid');
+  assertTrue(!isValidTimezone(''), 'Empty timezone is invalid');
+  assertEqual(
+    new Date(getZonedDay('2026-10-20T02:00:00Z', 'America/New_York')).toISOString().slice(0, 10),
+    '2026-10-19',
+    'Local day can differ from the UTC day'
+  );
+  assertEqual(zonedTimeToDate('2026-10-23', '19:00', 'Europe/Berlin').toISOString(), '2026-10-23T17:00:00.000Z', 'Local time to instant (summer time)');
+  assertEqual(zonedTimeToDate('2026-12-23', '19:00', 'Europe/Berlin').toISOString(), '2026-12-23T18:00:00.000Z', 'Local time to instant (winter time)');
+  assertEqual(validateTimezone(undefined), { valid: true, sanitized: 'UTC' }, 'Omitted timezone defaults to UTC');
+  assertEqual(validateTimezone('Nowhere').valid, false, 'Invalid timezone fails validation');
+
+  // Test: Time remaining
+  console.log('\n--- Time Remaining ---');
+  const hoursFromMonday = hours => new Date(Date.parse(MONDAY) + hours * 60 * 60 * 1000);
+  assertEqual(scoreTimeRemaining(hoursFromMonday(-5), MONDAY), 1.0, 'Overdue scores 1.0');
+  assertEqual(scoreTimeRemaining(hoursFromMonday(12), MONDAY), 1.0, 'Under a day scores 1.0');
+  assertEqual(scoreTimeRemaining(hoursFromMonday(48), MONDAY), 0.85, 'Two days left decays toward 0.7');
+  assertEqual(scoreTimeRemaining(hoursFromMonday(72), MONDAY), 0.7, 'Three days left scores 0.7');
+  assertEqual(scoreTimeRemaining(hoursFromMonday(24 * 60), MONDAY), 0.4, 'Months away scores as planning');
+  assertTrue(
+    scoreTimeRemaining(hoursFromMonday(100), MONDAY) > scoreTimeRemaining(hoursFromMonday(200), MONDAY),
+    'Score decays as the deadline moves away'
+  );
+
+  // Test: Deadline resolution
+  console.log('\n--- Deadline Resolution ---');
+  const dates = extractEntities('Gig on Saturday, but send the invoice by Friday', { referenceTime: MONDAY }).dates;
+  assertEqual(resolveDeadline(dates, { referenceTime: MONDAY }).deadline_at, '2026-10-23T23:59:59.000Z', 'Explicit deadline wins over a sooner or later plain date');
+  assertEqual(
+    resolveDeadline(extractEntities('Gig on 11/14 at 7pm', { referenceTime: MONDAY }).dates, { referenceTime: MONDAY, timezone: 'America/New_York' }).deadline_at,
+    '2026-11-15T00:00:00.000Z',
+    'Date with a time is due at that local time'
+  );
+  const overdue = resolveDeadline([{ text: '10/16', value: '2026-10-16', type: 'deadline' }], { referenceTime: MONDAY });
+  assertEqual([overdue.deadline_at, overdue.overdue], ['2026-10-16T23:59:59.000Z', true], 'Past deadline is kept as overdue');
+  assertEqual(resolveDeadline([{ text: '10/16', value: '2026-10-16', type: 'date' }], { referenceTime: MONDAY }), null, 'Past plain date is ignored');
+  assertEqual(resolveDeadline([], { referenceTime: MONDAY }), null, 'No dates, no deadline');
+
+  // Test: Deadline-aware heuristics
+  console.log('\n--- Deadline-Aware Heuristics ---');
+  const message = 'Can you send the invoice by Friday?';
+  assertEqual(heuristicAt(message, MONDAY).time_sensitive_score, 0.66, '"by Friday" on Monday is not urgent yet');
+  assertEqual(heuristicAt(message, THURSDAY).time_sensitive_score, 0.94, '"by Friday" on Thursday is urgent');
+  assertEqual(heuristicAt(message, MONDAY).deadline_at, '2026-10-23T23:59:59.000Z', 'deadline_at is the end of Friday');
+  assertEqual(heuristicAt('Can I book you for 3/14?', MONDAY).time_sensitive_score, 0.4, 'Date months away scores as planning');
+  assertEqual(heuristicAt('Book you for Friday ASAP', MONDAY).time_sensitive_score, 1.0, 'Urgency words still count');
+  assertEqual(heuristicAt('Invoice was due by 10/16, please pay', MONDAY).time_sensitive_score, 1.0, 'Overdue deadline is urgent');
+  assertEqual(heuristicAt('Can you confirm availability?', MONDAY).deadline_at, null, 'No dates, no deadline_at');
+  assertEqual(heuristicAt('Can you confirm availability?', MONDAY).time_sensitive_score, 0.7, 'No dates keeps the pattern score');
+
+  const lateNight = '2026-10-20T02:00:00.000Z';
+  assertEqual(
+    heuristicAt('Send the invoice by tomorrow', lateNight, { timezone: 'America/New_York' }).deadline_at,
+    '2026-10-21T03:59:59.000Z',
+    'Relative dates use the sender\'s calendar day'
+  );
+  assertEqual(
+    heuristicAt('Send the invoice by tomorrow', lateNight).deadline_at,
+    '2026-10-21T23:59:59.000Z',
+    'Without a timezone, calendar days are UTC'
+  );
+
+  const multi = heuristicAt('Loved the show! Also the refund for my ticket is overdue, please send it by 12/20', MONDAY, { multiLabel: true });
+  assertTrue(multi.labels.every(label => label.time_sensitive_score <= multi.time_sensitive_score), 'Labels are re-scored against the deadline');
+
+  // Test: Pipeline and evaluation
+  console.log('\n--- Pipeline and Evaluation ---');
+  const heuristicResult = await classifyMessage('Need the invoice by Friday please', createMockProvider(), { referenceTime: MONDAY });
+  assertEqual(heuristicResult.classification.deadline_at, '2026-10-23T23:59:59.000Z', 'Heuristic classification includes deadline_at');
+
+  const llmResult = await classifyMessage('Quick question about your work for Friday', createMockProvider(), { referenceTime: MONDAY });
+  assertEqual(llmResult.metadata.method, 'llm', 'Inconclusive message goes to the LLM');
+  assertEqual(llmResult.classification.deadline_at, '2026-10-23T23:59:59.000Z', 'LLM classification includes deadline_at');
+
+  const undated = await classifyMessage('Love your work!', createMockProvider(), { referenceTime: MONDAY });
+  assertEqual(undated.classification.deadline_at, null, 'Undated message has a null deadline_at');
+
+  const dataset = [{ id: 'friday', message, expected: { time_sensitive_score: 1.0 }, received_at: THURSDAY }];
+  const report = await runEvaluation(dataset, { mode: 'heuristic' });
+  assertEqual(report.mean_absolute_error.time_sensitive_score.mae, 0.06, 'Evaluation uses the item\'s received_at');
+
+  console.log(`\n📊 Test Results: ${passedTests} passed, ${failedTests} failed\n`);
+
+  if (failedTests > 0) {
+    process.exit(1);
+  }
+}
+
+run();
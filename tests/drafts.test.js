@@ -0,0 +1,240 @@
+/**
+ * Tests for reply drafts: templates, slots, creator profiles and polishing
+ * Run with: node tests/drafts.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_PROFILE,
+  validateDraftProfiles,
+  loadDraftProfiles,
+  createProfileRegistry,
+  getDraftSlots,
+  renderDraft,
+  polishDraft,
+  getDraftSkipReason,
+  generateDraft
+} = require('../src/drafts');
+const { createDraftSchema, findBannedPhrases } = require('../src/schema');
+const { extractEntities } = require('../src/heuristics/entities');
+const { classifyMessage } = require('../src/pipeline');
+const { redactMessage } = require('../src/redaction');
+const { createMockProvider } = require('../src/providers');
+
+// Simple test framework
+let passedTests = 0;
+let failedTests = 0;
+
+function assertEqual(actual, expected, testName) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    console.log(`  Expected:`, expected);
+    console.log(`  Got:`, actual);
+    failedTests++;
+  }
+}
+
+function assertTrue(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    failedTests++;
+  }
+}
+
+async function assertRejects(fn, code, testName) {
+  try {
+    await fn();
+    console.log(`❌ FAIL: ${testName} (did not throw)`);
+    failedTests++;
+  } catch (error) {
+    assertEqual(error.code, code, testName);
+  }
+}
+
+/**
+ * Mock provider that records the prompts it is sent
+ * @param {Object} responses - Canned responses (see createMockProvider)
+ */
+function createRecordingProvider(responses) {
+  const provider = createMockProvider({ responses });
+  const sent = [];
+  return {
+    sent,
+    provider: {
+      ...provider,
+      complete: async request => {
+        sent.push(...request.messages.map(message => message.content));
+        return provider.complete(request);
+      }
+    }
+  };
+}
+
+const REFERENCE_TIME = '2026-10-19T12:00:00.000Z';
+const REFUND = 'Hi, can I get a refund of $450 for order #48213 by Friday?';
+const SAM = { ...DEFAULT_PROFILE, id: 'sam', tone: 'casual', signature: 'Sam', banned_phrases: ['as soon as'] };
+const slotsOf = message => getDraftSlots(extractEntities(message, { referenceTime: REFERENCE_TIME }));
+
+async function run() {
+  console.log('\n🧪 Running Reply Draft Tests\n');
+
+  // Test: Profiles
+  console.log('--- Profiles ---');
+  const valid = {
+    profiles: [
+      { id: 'default', tone: 'formal' },
+      { id: 'acme', tone: 'casual', signature: 'Acme', banned_phrases: ['ASAP'], templates: { Booking: ['See you {date}!', 'See you soon!'] } }
+    ]
+  };
+  assertTrue(validateDraftProfiles(valid).valid, 'Accepts a valid profiles file');
+  const invalid = validateDraftProfiles({
+    profiles: [
+      { id: 'a', tone: 'grumpy' },
+      { id: 'a', banned_phrases: [''] },
+      { id: 'b', banned_phrases: ['asap'], templates: { Spam: ['x'], Booking: ['Reply asap', 'On {when}'] } }
+    ]
+  });
+  assertEqual(invalid.errors, [
+    'profiles[0].tone: must be one of: casual, neutral, formal',
+    'profiles[1].id: duplicate profile "a"',
+    'profiles[1].banned_phrases: must be an array of non-empty strings',
+    'profiles[2].templates.Spam: unknown category (expected one of: Booking, Collab, Brand reaching, Feature, Invoice, Refund, Affiliate, General)',
+    'profiles[2].templates.Booking[0]: uses the banned phrase "asap"',
+    'profiles[2].templates.Booking[1]: unknown slot {when} (expected: {date}, {amount}, {order_id}, {invoice_id})',
+    'profiles[2].templates.Booking: the last template is the fallback and must not use slots'
+  ], 'Reports every problem');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drafts-'));
+  const file = path.join(dir, 'profiles.json');
+  fs.writeFileSync(file, JSON.stringify(valid));
+  const profiles = loadDraftProfiles(file);
+  assertEqual(profiles[1], { id: 'acme', tone: 'casual', greeting: null, sign_off: null, signature: 'Acme', banned_phrases: ['ASAP'], templates: { Booking: ['See you {date}!', 'See you soon!'] } }, 'Loads profiles with defaults');
+  fs.writeFileSync(file, '{"profiles": [{"tone": "casual"}]}');
+  await assertRejects(() => loadDraftProfiles(file), 'invalid_draft_profiles', 'Invalid files throw');
+  await assertRejects(() => loadDraftProfiles(path.join(dir, 'missing.json')), 'invalid_draft_profiles', 'Missing files throw');
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  const registry = createProfileRegistry(profiles);
+  assertEqual([registry.select('acme').id, registry.select('nobody'), registry.select(undefined, 'acme').id, registry.select(undefined, 'other').tone], ['acme', null, 'acme', 'formal'], 'Selects the creator, then the tenant, then the default');
+  assertEqual(createProfileRegistry().select().tone, 'neutral', 'Without a file the bundled neutral profile is used');
+
+  // Test: Slots and templates
+  console.log('\n--- Templates ---');
+  assertEqual(slotsOf(REFUND), { date: 'Friday', amount: '$450', order_id: '48213', invoice_id: null }, 'Fills slots from entities');
+  assertEqual(getDraftSlots(null), { date: null, amount: null, order_id: null, invoice_id: null }, 'No entities, no slots');
+
+  const refund = renderDraft('Refund', { slots: slotsOf(REFUND) });
+  assertEqual(refund.text, 'Hi,\n\nThanks for getting in touch about order #48213. I\'m looking into the refund of $450 now and will confirm as soon as it\'s processed.\n\nBest', 'Uses the first template the slots fill');
+  const partial = renderDraft('Refund', { slots: slotsOf('Refund for order #48213 please') });
+  assertTrue(partial.text.includes('order #48213. I\'m looking into your refund now'), 'Falls back to a template with fewer slots');
+  assertEqual(partial.missing_slots, ['amount'], 'Lists slots the preferred template wanted');
+  assertTrue(renderDraft('Refund').text.includes('Could you send me your order number'), 'Without slots the draft asks for them');
+  assertTrue(renderDraft('Refund', { apologize: true }).text.includes('\n\nSorry for the trouble, and thanks for your patience. Thanks for getting in touch'), 'Upset customers get an apology first');
+
+  const offer = 'Can you play our launch party? Our budget is $2000.';
+  const offerBooking = renderDraft('Booking', { slots: slotsOf(offer) });
+  assertTrue(offerBooking.text.includes('the offer of $2000! Which date do you have in mind?') && !offerBooking.text.includes('budget'), 'A quoted amount is not asked for again');
+  const datedBooking = renderDraft('Booking', { slots: slotsOf(`${offer} It's on Friday.`) });
+  assertTrue(datedBooking.text.includes('for Friday, and for the offer of $2000!') && !datedBooking.text.includes('budget'), 'Uses both the date and the amount');
+  assertTrue(renderDraft('Booking', { slots: slotsOf('Can you play our party on Friday?') }).text.includes('the set length and your budget'), 'Asks for the budget when none was quoted');
+  const brand = renderDraft('Brand reaching', { slots: slotsOf('We would like to sponsor your channel for $2000') });
+  assertTrue(brand.text.includes('the offer of $2000!') && !brand.text.includes('budget'), 'Brand offers with an amount are not asked for a budget');
+
+  const casual = renderDraft('General', { profile: SAM });
+  assertEqual(casual.text, 'Hey!\n\nThanks for your message! I\'ll get back to you soon.\n\nCheers,\nSam', 'Uses the profile tone and signature');
+  assertEqual(renderDraft('General', { profile: { ...SAM, greeting: 'Yo!', sign_off: 'Later' } }).text.split('\n\n').map(part => part.split('\n')[0]), ['Yo!', 'Thanks for your message! I\'ll get back to you soon.', 'Later,'], 'Profile greeting and sign-off win over the tone');
+  assertEqual(renderDraft('Booking', { profile: profiles[1], slots: { ...getDraftSlots(null), date: 'Saturday' } }).text, 'Hey!\n\nSee you Saturday!\n\nCheers,\nAcme', 'Profile templates replace the bundled ones');
+
+  const banned = renderDraft('Refund', { profile: SAM, slots: slotsOf(REFUND) });
+  assertTrue(!/as soon as/i.test(banned.text) && banned.text.includes('order #48213.'), 'Sentences with banned phrases are left out');
+  assertEqual(renderDraft('General', { profile: { ...SAM, banned_phrases: ['thanks', 'get back'] } }).text, null, 'No draft when every sentence is banned');
+
+  // Test: Schema
+  console.log('\n--- Schema ---');
+  assertEqual(findBannedPhrases('Reply ASAP, no worries!', ['asap', 'No Worries', 'worry']), ['asap', 'No Worries'], 'Banned phrases match case-insensitively on whole words');
+  const draft = { category: 'General', profile: 'sam', tone: 'casual', text: 'Hey!', polished: null, slots: getDraftSlots(null), missing_slots: [] };
+  assertTrue(createDraftSchema(['asap']).safeParse(draft).success, 'Accepts a valid draft');
+  const rejected = createDraftSchema(['hey']).safeParse({ ...draft, polished: 'Hey there' });
+  assertEqual(rejected.error.issues.map(issue => issue.message), ['text uses the banned phrase "hey"', 'polished uses the banned phrase "hey"'], 'Rejects banned phrases in either text');
+  assertTrue(!createDraftSchema().safeParse({ ...draft, category: 'Spam' }).success, 'Spam gets no draft');
+  assertTrue(!createDraftSchema().safeParse({ ...draft, tone: 'grumpy', missing_slots: ['when'] }).success, 'Rejects unknown tones and slots');
+
+  // Test: Polishing
+  console.log('\n--- Polishing ---');
+  const template = renderDraft('Refund', { profile: SAM, slots: slotsOf(REFUND) }).text;
+  const polishing = createRecordingProvider();
+  const polished = await polishDraft(template, polishing.provider, { profile: SAM, slots: slotsOf(REFUND) });
+  assertEqual([polished.status, polished.text], ['polished', template], 'Polishes with the provider');
+  assertTrue(polished.tokens_used > 0, 'Counts the tokens');
+  assertTrue(polishing.sent[0].includes('You polish reply drafts') && polishing.sent[1].includes('Tone: casual') && polishing.sent[1].includes('"as soon as"'), 'The prompt gives the tone and banned phrases');
+
+  const canned = text => createMockProvider({ responses: { [template]: { text } } });
+  const bannedPolish = await polishDraft(template, canned(`${template} I'll refund you as soon as I can.`), { profile: SAM, slots: slotsOf(REFUND) });
+  assertEqual([bannedPolish.status, bannedPolish.reason], ['rejected', 'uses the banned phrase "as soon as"'], 'Rejects banned phrases');
+  const changed = await polishDraft(template, canned(template.replace('48213', '48231')), { profile: SAM, slots: slotsOf(REFUND) });
+  assertEqual([changed.status, changed.reason], ['rejected', 'dropped "48213"'], 'Rejects changed details');
+  const unsigned = await polishDraft(template, canned(template.replace('Sam', '')), { profile: SAM, slots: slotsOf(REFUND) });
+  assertEqual(unsigned.reason, 'dropped "Sam"', 'Rejects a dropped signature');
+  const garbage = await polishDraft(template, createMockProvider({ responses: { [template]: 'not json' } }), { profile: SAM });
+  assertEqual(garbage.status, 'rejected', 'Rejects responses without a draft');
+
+  const failing = { ...createMockProvider(), complete: async () => { throw new Error('LLM provider unavailable'); } };
+  assertEqual(await polishDraft(template, failing, { profile: SAM }), { status: 'failed', text: null, reason: 'LLM provider unavailable', tokens_used: 0 }, 'Provider errors fail the polish, not the draft');
+
+  const controller = new AbortController();
+  controller.abort();
+  await assertRejects(() => polishDraft(template, createMockProvider(), { profile: SAM, signal: controller.signal }), 'request_cancelled', 'Cancellation is passed on');
+
+  // Test: Drafting classified messages
+  console.log('\n--- Drafting ---');
+  const classified = await classifyMessage(REFUND, createMockProvider(), { referenceTime: REFERENCE_TIME });
+  const result = await generateDraft(classified.classification, { profile: SAM });
+  assertEqual([result.draft.category, result.draft.profile, result.draft.tone, result.draft.polished, result.metadata], ['Refund', 'sam', 'casual', null, { polish: 'off', tokens_used: 0 }], 'Drafts from the classification without polishing');
+  assertEqual(result.draft.slots.order_id, '48213', 'Slots come from the classification entities');
+
+  const withPolish = await generateDraft(classified.classification, { profile: SAM, polish: 'llm', provider: createMockProvider() });
+  assertEqual([withPolish.metadata.polish, withPolish.draft.polished === withPolish.draft.text], ['polished', true], 'Adds the polished version');
+  const fallback = await generateDraft(classified.classification, { profile: SAM, polish: 'llm', provider: canned('Refund coming as soon as possible!') });
+  assertEqual([fallback.draft.polished, fallback.metadata.polish, fallback.metadata.polish_reason], [null, 'rejected', 'uses the banned phrase "as soon as"'], 'A rejected polish keeps the template draft');
+  const unavailable = await generateDraft(classified.classification, { polish: 'unavailable' });
+  assertEqual([unavailable.draft.polished, unavailable.metadata.polish], [null, 'unavailable'], 'Polishing can be unavailable');
+
+  const booking = await generateDraft(classified.classification, { category: 'Booking' });
+  assertTrue(booking.draft.category === 'Booking' && booking.draft.text.includes('for Friday'), 'The category can be overridden');
+  const angry = await generateDraft({ ...classified.classification, escalation_risk: 0.7 });
+  assertTrue(angry.draft.text.includes('Sorry for the trouble'), 'Escalated messages get an apology');
+  const allBanned = await generateDraft(classified.classification, { profile: { ...SAM, banned_phrases: ['thanks', 'refund', 'order'] } });
+  assertEqual(allBanned, { draft: null, metadata: { skipped: 'banned_phrases', tokens_used: 0 } }, 'Reports drafts the banned phrases left empty');
+
+  assertEqual(getDraftSkipReason({ focus_summary_type: 'Spam', needs_reply: false }, {}), 'spam', 'Spam gets no draft');
+  assertEqual(getDraftSkipReason({ focus_summary_type: 'General', needs_reply: true }, { quarantined: true }), 'quarantined', 'Quarantined messages get no draft');
+  assertEqual(getDraftSkipReason({ focus_summary_type: 'General', needs_reply: false }, {}, { requireReply: true }), 'no_reply_needed', 'Messages needing no reply can be skipped');
+  assertEqual(getDraftSkipReason({ focus_summary_type: 'General', needs_reply: false }, {}), null, 'Or drafted anyway');
+
+  const pii = redactMessage('Refund order #48213 please, I paid $450. Reach me at jo@example.com?');
+  const redacted = await classifyMessage(pii.message, createMockProvider(), { redaction: { replacements: pii.replacements, restoreEntities: true } });
+  const recorder = createRecordingProvider();
+  const redactedDraft = await generateDraft(redacted.classification, { polish: 'llm', provider: recorder.provider });
+  assertTrue(redactedDraft.draft.polished !== null && recorder.sent.every(text => !/jo@example|\[EMAIL/.test(text)), 'Polishing never sends the message or its PII');
+
+  const longOrder = redactMessage('Hi, can I get a refund for order #1234567890?');
+  const longOrderResult = await classifyMessage(longOrder.message, createMockProvider(), { redaction: { replacements: longOrder.replacements, restoreEntities: true } });
+  const longOrderDraft = await generateDraft(longOrderResult.classification, {});
+  assertEqual(longOrderDraft.draft.slots.order_id, '1234567890', 'Long order numbers survive redaction into the draft');
+
+  console.log(`\n📊 Test Results: ${passedTests} passed, ${failedTests} failed\n`);
+
+  if (failedTests > 0) {
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,203 @@
+/**
+ * Tests for structured entity extraction
+ * Run with: node tests/entities.test.js
+ */
+
+const { extractEntities, mergeEntities, parseAmount } = require('../src/heuristics/entities');
+const { safeValidateEntities } = require('../src/schema');
+const { buildEntityHints } = require('../src/prompts');
+const { classifyMessage, classifyBatch } = require('../src/pipeline');
+const { createMockProvider } = require('../src/providers');
+
+// Simple test framework
+let passedTests = 0;
+let failedTests = 0;
+
+function assertEqual(actual, expected, testName) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    console.log(`  Expected:`, expected);
+    console.log(`  Got:`, actual);
+    failedTests++;
+  }
+}
+
+function assertTrue(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    failedTests++;
+  }
+}
+
+// Monday afternoon, UTC
+const REFERENCE_TIME = '2026-10-19T15:00:00.000Z';
+
+function extract(text, language = 'en') {
+  return extractEntities(text, { referenceTime: REFERENCE_TIME, language });
+}
+
+function dateValues(text, language) {
+  return extract(text, language).dates.map(date => [date.value, date.type]);
+}
+
+/**
+ * Builds a fake provider that returns entities the local extractor cannot find
+ * Captures the user prompts it receives
+ */
+function createEntityProvider(entities) {
+  const prompts = [];
+
+  const provider = {
+    name: 'fake',
+    chatModel: 'fake-model',
+    embeddingModel: 'fake-embedding',
+    embed: async () => ({ embeddings: [new Array(1536).fill(0)], usage: { total_tokens: 0 } }),
+    complete: async ({ messages }) => {
+      prompts.push(messages[1].content);
+      return {
+        model: 'fake-model',
+        usage: { total_tokens: 100 },
+        content: JSON.stringify({
+          needs_reply: true,
+          time_sensitive_score: 0.4,
+          business_value_score: 0.4,
+          focus_summary_type: 'General',
+          reason: 'Fake classification',
+          entities
+        })
+      };
+    }
+  };
+
+  return { provider, prompts };
+}
+
+async function run() {
+  console.log('\n🧪 Running Entity Tests\n');
+
+  // Test: Dates
+  console.log('--- Dates ---');
+  assertEqual(dateValues('Can we do 2026-11-14?'), [['2026-11-14', 'date']], 'ISO date');
+  assertEqual(dateValues('Gig on 11/14'), [['2026-11-14', 'date']], 'US numeric date is month first');
+  assertEqual(dateValues('Show am 14.11.', 'de'), [['2026-11-14', 'date']], 'German numeric date is day first');
+  assertEqual(dateValues('Is March 3rd free?'), [['2027-03-03', 'date']], 'Past yearless date rolls to next year');
+  assertEqual(dateValues('What about October 15?'), [['2026-10-15', 'date']], 'Recent yearless date stays in this year');
+  assertEqual(dateValues('Send it tomorrow'), [['2026-10-20', 'date']], 'Tomorrow');
+  assertEqual(dateValues('Can you confirm by Friday?'), [['2026-10-23', 'deadline']], 'Deadline weekday');
+  assertEqual(dateValues('How about next Tuesday?'), [['2026-10-27', 'date']], '"next" skips this week\'s day');
+  assertEqual(dateValues('Need it by end of month'), [['2026-10-31', 'deadline']], 'End of month');
+  assertEqual(dateValues('Need it EOW'), [['2026-10-23', 'date']], 'End of week is Friday');
+  assertEqual(dateValues('Gig on 11/14 at 7pm'), [['2026-11-14T19:00', 'date']], 'Following time is attached');
+  assertEqual(dateValues('See you tomorrow at 19:30'), [['2026-10-20T19:30', 'date']], '24-hour time is attached');
+  assertEqual(dateValues('Necesito la factura antes del viernes', 'es'), [['2026-10-23', 'deadline']], 'Spanish deadline weekday');
+  assertEqual(dateValues('Concert le 5 novembre à 20h', 'fr'), [['2026-11-05T20:00', 'date']], 'French month name and time');
+  assertEqual(dateValues('Boda el 3 de marzo de 2027', 'es'), [['2027-03-03', 'date']], 'Spanish month name with year');
+  assertEqual(dateValues('Rechnung bitte bis 31.10.', 'de'), [['2026-10-31', 'deadline']], 'German deadline');
+  assertEqual(dateValues('Show on 2/30'), [], 'Impossible dates are dropped');
+  assertEqual(dateValues('Love your work!'), [], 'No dates');
+
+  // Test: Amounts
+  console.log('\n--- Amounts ---');
+  const budget = extract('Our budget is $2,500 for the night').amounts;
+  assertEqual(budget.map(a => [a.value, a.currency, a.type]), [[2500, 'USD', 'budget']], 'Budget with symbol');
+  assertEqual(
+    extract('I paid €1.200,50 last week').amounts.map(a => [a.value, a.currency, a.type]),
+    [[1200.5, 'EUR', 'amount']],
+    'European separators'
+  );
+  assertEqual(extract('Presupuesto de 3k euros', 'es').amounts.map(a => [a.value, a.currency, a.type]), [[3000, 'EUR', 'budget']], 'k suffix and currency word');
+  assertEqual(extract('Invoice total 450 USD').amounts.map(a => [a.value, a.currency]), [[450, 'USD']], 'Currency code after the number');
+  assertEqual(extract('We have 3 kids').amounts, [], 'Plain numbers are not amounts');
+  assertEqual([parseAmount('1,234.56'), parseAmount('1.234,56'), parseAmount('12,5')], [1234.56, 1234.56, 12.5], 'parseAmount handles both separator styles');
+
+  // Test: References and contacts
+  console.log('\n--- References and Contacts ---');
+  assertEqual(
+    extract('Refund for order #48213 please').references.map(r => [r.value, r.type]),
+    [['48213', 'order']],
+    'Order number'
+  );
+  assertEqual(
+    extract('Rechnung RE-2026-0042 ist falsch', 'de').references.map(r => [r.value, r.type]),
+    [['RE-2026-0042', 'invoice']],
+    'Invoice number is not read as a date'
+  );
+  const contacts = extract('Email Jane.Doe@Example.com or call +1 (555) 123-4567');
+  assertEqual(contacts.emails.map(e => e.value), ['jane.doe@example.com'], 'Email is lowercased');
+  assertEqual(contacts.phones.map(p => p.value), ['+15551234567'], 'Phone is normalized to digits');
+  assertTrue(Object.values(contacts).flat().every(entity => entity.source === 'local'), 'Local entities are marked local');
+
+  // Test: Schema and merge
+  console.log('\n--- Schema and Merge ---');
+  assertTrue(safeValidateEntities(extract('Order #123 due by Friday, $50, a@b.co, +15551234567')).success, 'Local entities pass the schema');
+  assertEqual(safeValidateEntities({}).data, { dates: [], amounts: [], references: [], emails: [], phones: [] }, 'Missing categories default to empty');
+  assertTrue(!safeValidateEntities({ dates: [{ text: 'soon', value: 'soon', type: 'date' }] }).success, 'Unresolved date is rejected');
+  assertTrue(!safeValidateEntities({ amounts: [{ text: '5 bucks', value: 5, currency: 'usd', type: 'amount' }] }).success, 'Lowercase currency is rejected');
+
+  const local = extract('Order #123, call +1 555 123 4567');
+  const merged = mergeEntities(local, {
+    dates: [{ text: 'the day after my birthday', value: '2026-11-08', type: 'date' }],
+    amounts: [],
+    references: [{ text: 'order 123', value: '123', type: 'order' }],
+    emails: [],
+    phones: []
+  });
+  assertEqual(merged.dates.map(d => [d.value, d.source]), [['2026-11-08', 'llm']], 'LLM fills gaps');
+  assertEqual(merged.references.map(r => r.source), ['local'], 'Local entity wins over a duplicate LLM one');
+  assertTrue(mergeEntities(local, null) === local, 'No LLM entities keeps local ones');
+
+  // Test: Prompt hints
+  console.log('\n--- Prompt Hints ---');
+  const hints = buildEntityHints(extract('Refund order #48213 by Friday'), REFERENCE_TIME);
+  assertEqual(hints[0], `Reference time: ${REFERENCE_TIME}`, 'Hints give the reference time');
+  assertEqual(hints[1], 'Entities already extracted (do not repeat): dates: Friday; references: order #48213', 'Hints list local entities');
+  assertEqual(buildEntityHints(extract('hello'), REFERENCE_TIME).length, 1, 'No entity hint when nothing was found');
+
+  // Test: Pipeline
+  console.log('\n--- Pipeline ---');
+  const heuristicResult = await classifyMessage('Can you send the invoice by Friday? Budget is $2,500', createMockProvider(), {
+    referenceTime: REFERENCE_TIME
+  });
+  assertEqual(heuristicResult.metadata.method, 'heuristic', 'Conclusive message skips the LLM');
+  assertEqual(heuristicResult.classification.entities.dates.map(d => d.value), ['2026-10-23'], 'Heuristic result includes dates');
+  assertEqual(heuristicResult.classification.entities.amounts.map(a => a.value), [2500], 'Heuristic result includes amounts');
+
+  const { provider, prompts } = createEntityProvider({
+    dates: [{ text: 'the day after my birthday', value: '2026-11-08', type: 'date' }]
+  });
+  const llmResult = await classifyMessage('Hey, question about your work, my email is fan@example.com', provider, {
+    referenceTime: REFERENCE_TIME
+  });
+  assertEqual(llmResult.metadata.method, 'llm', 'Inconclusive message goes to the LLM');
+  assertTrue(prompts[0].includes(`Reference time: ${REFERENCE_TIME}`), 'LLM prompt includes the reference time');
+  assertTrue(prompts[0].includes('emails: fan@example.com'), 'LLM prompt lists local entities');
+  assertEqual(
+    [llmResult.classification.entities.emails[0].source, llmResult.classification.entities.dates[0].source],
+    ['local', 'llm'],
+    'LLM result merges local and LLM entities'
+  );
+
+  const invalid = createEntityProvider({ dates: [{ text: 'soon', value: 'soon', type: 'date' }] });
+  const invalidResult = await classifyMessage('Hey, question about your work', invalid.provider, { referenceTime: REFERENCE_TIME });
+  assertEqual(invalidResult.classification.entities.dates, [], 'Invalid LLM entities are dropped without failing');
+
+  const batch = await classifyBatch(['Refund order #48213 by Friday please', 'Hey, question about your work'], provider, {
+    referenceTime: REFERENCE_TIME
+  });
+  assertEqual(batch.results[0].classification.entities.references.map(r => r.value), ['48213'], 'Batch heuristic items include entities');
+  assertTrue(Array.isArray(batch.results[1].classification.entities.dates), 'Batch LLM items include entities');
+
+  console.log(`\n📊 Test Results: ${passedTests} passed, ${failedTests} failed\n`);
+
+  if (failedTests > 0) {
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,109 @@
+/**
+ * Tests for the offline evaluation harness
+ * Run with: node tests/evaluation.test.js
+ */
+
+const { runEvaluation, formatMarkdownReport } = require('../src/evaluation');
+const { createMockProvider } = require('../src/providers');
+
+// Simple test framework
+let passedTests = 0;
+let failedTests = 0;
+
+function assertEqual(actual, expected, testName) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    console.log(`  Expected:`, expected);
+    console.log(`  Got:`, actual);
+    failedTests++;
+  }
+}
+
+function assertTrue(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    failedTests++;
+  }
+}
+
+const dataset = [
+  {
+    id: 'booking',
+    message: 'Need to book you for Friday ASAP please!',
+    expected: { needs_reply: true, time_sensitive_score: 1.0, business_value_score: 1.0, focus_summary_type: 'Booking' }
+  },
+  {
+    id: 'affiliate',
+    message: 'Do you have an affiliate program',
+    expected: { needs_reply: true, time_sensitive_score: 0.0, business_value_score: 0.7, focus_summary_type: 'Affiliate' }
+  },
+  {
+    id: 'mislabeled',
+    message: 'I need a refund',
+    expected: { needs_reply: false, business_value_score: 0.5, focus_summary_type: 'Invoice' }
+  },
+  {
+    id: 'empty',
+    message: '   ',
+    expected: { focus_summary_type: 'General' }
+  }
+];
+
+async function run() {
+  console.log('\n🧪 Running Evaluation Tests\n');
+
+  // Test: Heuristic mode
+  console.log('--- Heuristic Mode ---');
+  const heuristic = await runEvaluation(dataset, { mode: 'heuristic' });
+  assertEqual(heuristic.summary.evaluated, 3, 'Valid items are evaluated');
+  assertEqual(heuristic.summary.skipped, 1, 'Invalid items are skipped');
+  assertEqual(heuristic.errors[0].id, 'empty', 'Skipped items are listed with errors');
+  assertEqual(heuristic.summary.llm_count, 0, 'Heuristic mode never calls the LLM');
+  assertEqual(heuristic.heuristic_coverage.conclusive, 1, 'Coverage counts conclusive heuristics');
+  assertEqual(heuristic.heuristic_coverage.total, 3, 'Coverage is over valid items');
+  assertEqual(heuristic.accuracy.focus_summary_type, { correct: 2, total: 3, accuracy: 0.6667 }, 'Focus type accuracy is computed');
+  assertEqual(heuristic.mean_absolute_error.business_value_score.mae, 0.1667, 'Business value MAE is computed');
+  assertEqual(heuristic.confusion_matrix.matrix.Invoice.Refund, 1, 'Confusion matrix records misclassification');
+  assertEqual(heuristic.confusion_matrix.matrix.Booking.Booking, 1, 'Confusion matrix records correct classification');
+
+  // Test: LLM and hybrid modes with the mock provider
+  console.log('\n--- LLM and Hybrid Modes ---');
+  const provider = createMockProvider();
+  const llm = await runEvaluation(dataset, { mode: 'llm', provider });
+  assertEqual(llm.summary.llm_count, 3, 'LLM mode sends every valid item to the LLM');
+  assertEqual(llm.provider, 'mock', 'Report records the provider');
+
+  const hybrid = await runEvaluation(dataset, { mode: 'hybrid', provider });
+  assertEqual(hybrid.summary.heuristic_count, 1, 'Hybrid mode uses heuristics when conclusive');
+  assertEqual(hybrid.summary.llm_count, 2, 'Hybrid mode falls back to the LLM');
+  assertEqual(hybrid.mean_absolute_error.time_sensitive_score.missing, 0, 'Hybrid mode fills all scores');
+
+  // Test: Errors and formatting
+  console.log('\n--- Errors and Formatting ---');
+  let threw = false;
+  try {
+    await runEvaluation(dataset, { mode: 'llm' });
+  } catch (error) {
+    threw = true;
+  }
+  assertTrue(threw, 'LLM mode without a provider throws');
+
+  const markdown = formatMarkdownReport(heuristic);
+  assertTrue(markdown.includes('## Confusion Matrix'), 'Markdown report includes confusion matrix');
+  assertTrue(markdown.includes('| focus_summary_type | 2 | 3 | 66.7% |'), 'Markdown report includes accuracy table');
+  assertEqual(formatMarkdownReport(heuristic), markdown, 'Markdown report is deterministic');
+
+  console.log(`\n📊 Test Results: ${passedTests} passed, ${failedTests} failed\n`);
+
+  if (failedTests > 0) {
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,204 @@
+/**
+ * Tests for prompt versions, experiments and outcome logs
+ * Run with: node tests/experiments.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PROMPT_VERSIONS, PROMPT_VERSION, buildSystemPrompt, getPromptHash } = require('../src/prompts');
+const {
+  validateExperiment,
+  loadExperiment,
+  getDefaultPromptVersion,
+  assignPromptVersion,
+  hashMessage
+} = require('../src/experiments');
+const { createOutcomeLog, readOutcomes, summarizeOutcomes, formatOutcomeReport } = require('../src/experiments/outcomes');
+const { classifyMessage, classifyBatch } = require('../src/pipeline');
+const { runEvaluation } = require('../src/evaluation');
+const { createMockProvider } = require('../src/providers');
+const { createMemoryCache } = require('../src/cache');
+const { validateClientId } = require('../src/heuristics/validator');
+
+// Simple test framework
+let passedTests = 0;
+let failedTests = 0;
+
+function assertEqual(actual, expected, testName) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    console.log(`  Expected:`, expected);
+    console.log(`  Got:`, actual);
+    failedTests++;
+  }
+}
+
+function assertTrue(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    failedTests++;
+  }
+}
+
+function assertThrowsCode(fn, code, testName) {
+  try {
+    fn();
+    console.log(`❌ FAIL: ${testName} (did not throw)`);
+    failedTests++;
+  } catch (error) {
+    assertEqual(error.code, code, testName);
+  }
+}
+
+/**
+ * Mock provider that remembers the system prompts it was sent
+ */
+function createRecordingProvider() {
+  const provider = createMockProvider();
+  const systemPrompts = [];
+  return {
+    ...provider,
+    systemPrompts,
+    complete: request => {
+      systemPrompts.push(request.messages[0].content);
+      return provider.complete(request);
+    }
+  };
+}
+
+const INCONCLUSIVE = 'Quick question about your work for Friday';
+const CONCLUSIVE = 'Need to book you for Friday ASAP please!';
+
+async function run() {
+  console.log('\n🧪 Running Prompt Experiment Tests\n');
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'experiments-test-'));
+
+  // Test: Prompt versions
+  console.log('--- Prompt Versions ---');
+  assertEqual(Object.keys(PROMPT_VERSIONS), ['v1', 'v2'], 'Ships v1 and v2');
+  assertEqual(buildSystemPrompt(), buildSystemPrompt({ promptVersion: 'v1' }), 'v1 is the default');
+  assertTrue(buildSystemPrompt({ promptVersion: 'v2' }).includes('due within 24 hours'), 'v2 uses the deadline rubric');
+  assertTrue(!buildSystemPrompt({ promptVersion: 'v1' }).includes('due within 24 hours'), 'v1 keeps the original rubric');
+  assertTrue(getPromptHash('v1') !== getPromptHash('v2') && !['v1', 'v2'].map(getPromptHash).includes(PROMPT_VERSION), 'Each version has its own hash');
+  assertThrowsCode(() => buildSystemPrompt({ promptVersion: 'v9' }), 'unknown_prompt_version', 'Unknown version is rejected');
+  assertEqual(getDefaultPromptVersion({ CLASSIFICATION_PROMPT_VERSION: 'v2' }), 'v2', 'Reads CLASSIFICATION_PROMPT_VERSION');
+  assertTrue((() => {
+    try {
+      getDefaultPromptVersion({ CLASSIFICATION_PROMPT_VERSION: 'toString' });
+      return false;
+    } catch (error) {
+      return true;
+    }
+  })(), 'Unknown CLASSIFICATION_PROMPT_VERSION is rejected');
+
+  // Test: Experiment config
+  console.log('\n--- Experiment Config ---');
+  assertEqual(validateExperiment({ name: 'rubric', variants: { v1: 50, v2: 50 } }), { valid: true, errors: [] }, 'Valid experiment passes');
+  assertEqual(validateExperiment({ name: 'rubric', variants: { v1: 50, v2: 40 } }).errors, ['variants must add up to 100 (got 90)'], 'Percentages must add up to 100');
+  assertEqual(validateExperiment({ name: 'rubric', variants: { v1: 50, v3: 50 } }).errors, ['variants.v3: unknown prompt version'], 'Variants must be known versions');
+  assertEqual(validateExperiment({ name: 'rubric', assign_by: 'ip', variants: { v1: 100 } }).valid, false, 'assign_by must be message or client');
+
+  const experimentPath = path.join(tempDir, 'experiment.json');
+  fs.writeFileSync(experimentPath, JSON.stringify({ name: 'rubric', variants: { v1: 50, v2: 50 } }));
+  assertEqual(loadExperiment(experimentPath), { name: 'rubric', assign_by: 'message', variants: { v1: 50, v2: 50 } }, 'Loads with message assignment by default');
+  fs.writeFileSync(experimentPath, '{ not json');
+  assertThrowsCode(() => loadExperiment(experimentPath), 'invalid_experiment', 'Unreadable file is rejected');
+
+  // Test: Assignment
+  console.log('\n--- Assignment ---');
+  const experiment = { name: 'rubric', assign_by: 'message', variants: { v1: 50, v2: 50 } };
+  const messages = Array.from({ length: 200 }, (_, i) => `Message number ${i} about the shoot`);
+  const assigned = messages.map(message => assignPromptVersion(message, { experiment }).prompt_version);
+  assertEqual(messages.map(message => assignPromptVersion(message, { experiment }).prompt_version), assigned, 'Assignment is sticky per message');
+  const v2Share = assigned.filter(version => version === 'v2').length / assigned.length;
+  assertTrue(v2Share > 0.35 && v2Share < 0.65, `Traffic splits by percentage (${Math.round(v2Share * 100)}% v2)`);
+  assertTrue(messages.every(message => assignPromptVersion(message, { experiment: { ...experiment, variants: { v1: 0, v2: 100 } } }).prompt_version === 'v2'), '100% sends all traffic to one version');
+  assertEqual(assignPromptVersion(INCONCLUSIVE, { defaultVersion: 'v2' }), { prompt_version: 'v2', experiment: null }, 'No experiment uses the default version');
+
+  const byClient = { ...experiment, assign_by: 'client' };
+  const clientVersions = messages.map(message => assignPromptVersion(message, { experiment: byClient, clientId: 'acme' }).prompt_version);
+  assertEqual(new Set(clientVersions).size, 1, 'Client assignment gives one version per client');
+  assertEqual(
+    assignPromptVersion(INCONCLUSIVE, { experiment: byClient }),
+    assignPromptVersion(INCONCLUSIVE, { experiment }),
+    'Requests without a client id fall back to the message hash'
+  );
+  assertEqual(validateClientId(undefined), { valid: true, sanitized: null }, 'client_id is optional');
+  assertEqual(validateClientId(42).valid, false, 'client_id must be a string');
+
+  // Test: Pipeline
+  console.log('\n--- Pipeline ---');
+  const provider = createRecordingProvider();
+  const cache = createMemoryCache({ ttlMs: 60000, maxEntries: 10 });
+  const forced = { name: 'all-v2', assign_by: 'message', variants: { v2: 100 } };
+  const outcomesPath = path.join(tempDir, 'nested', 'outcomes.jsonl');
+  const outcomes = createOutcomeLog({ filePath: outcomesPath });
+
+  const v1 = await classifyMessage(INCONCLUSIVE, provider, { cache, outcomes });
+  assertEqual([v1.metadata.prompt_version, v1.metadata.experiment], ['v1', null], 'Response is tagged with the prompt version');
+  const v2 = await classifyMessage(INCONCLUSIVE, provider, { cache, experiment: forced, outcomes });
+  assertEqual([v2.metadata.prompt_version, v2.metadata.experiment], ['v2', 'all-v2'], 'Response is tagged with the experiment');
+  assertEqual(v2.metadata.cache, 'miss', 'Each prompt version has its own cache entries');
+  assertTrue(provider.systemPrompts[1].includes('due within 24 hours'), 'The assigned version is sent to the LLM');
+  const retried = await classifyMessage(INCONCLUSIVE, provider, { cache, experiment: forced, outcomes });
+  assertEqual([retried.metadata.prompt_version, retried.metadata.cache], ['v2', 'hit'], 'A retry gets the same version and its cached answer');
+
+  const heuristic = await classifyMessage(CONCLUSIVE, provider, { experiment: forced, outcomes });
+  assertEqual([heuristic.metadata.prompt_version, heuristic.metadata.experiment], [null, null], 'Heuristic results use no prompt');
+
+  const batch = await classifyBatch([INCONCLUSIVE, CONCLUSIVE], provider, { experiment: forced, outcomes });
+  assertEqual(batch.results.map(result => result.metadata.prompt_version), ['v2', null], 'Batch items are tagged with the prompt version');
+
+  // Test: Outcomes
+  console.log('\n--- Outcomes ---');
+  await outcomes.record({ type: 'correction', message_hash: hashMessage(INCONCLUSIVE), focus_summary_type: 'Booking' });
+  fs.appendFileSync(outcomesPath, 'not json\n');
+  const records = readOutcomes(outcomesPath);
+  assertEqual(records.map(record => record.type), ['classification', 'classification', 'classification', 'classification', 'correction'], 'LLM results and corrections are recorded in order, bad lines skipped');
+  assertEqual(records[0].message_hash, hashMessage(INCONCLUSIVE), 'Records carry the message hash, not the message');
+  assertTrue(records.every(record => !JSON.stringify(record).includes(INCONCLUSIVE)), 'Messages are never written to the log');
+
+  const summary = summarizeOutcomes(records);
+  assertEqual(Object.keys(summary.versions), ['v1', 'v2'], 'Outcomes are grouped by version');
+  assertEqual([summary.versions.v1.classifications, summary.versions.v2.classifications], [1, 3], 'Counts classifications per version');
+  assertEqual(summary.versions.v2.cache_hits, 1, 'Counts cache hits');
+  assertEqual([summary.versions.v1.corrections, summary.versions.v2.corrections], [0, 1], 'Corrections count against the last version to classify the message');
+
+  const errorSummary = summarizeOutcomes([
+    { type: 'classification', prompt_version: 'v1', message_hash: 'a', focus_summary_type: 'General', tokens_used: 100 },
+    { type: 'error', prompt_version: 'v1', message_hash: 'b', code: 'invalid_llm_response' },
+    { type: 'correction', message_hash: 'a', focus_summary_type: 'Booking' }
+  ]);
+  assertEqual(
+    [errorSummary.versions.v1.error_rate, errorSummary.versions.v1.focus_corrections, errorSummary.versions.v1.mean_tokens],
+    [0.5, 1, 100],
+    'Reports error rate, focus corrections and mean tokens'
+  );
+  assertTrue(formatOutcomeReport(summary, 'outcomes.jsonl').includes('| v2 | 3 |'), 'Formats a markdown comparison');
+
+  // Test: Evaluation
+  console.log('\n--- Evaluation ---');
+  const report = await runEvaluation([{ id: 'q', message: INCONCLUSIVE, expected: { needs_reply: true } }], {
+    mode: 'llm',
+    provider,
+    promptVersion: 'v2'
+  });
+  assertEqual([report.prompt_version, report.prompt_hash], ['v2', getPromptHash('v2')], 'Evaluation reports the prompt version and hash');
+
+  fs.rmSync(tempDir, { recursive: true, force: true });
+
+  console.log(`\n📊 Test Results: ${passedTests} passed, ${failedTests} failed\n`);
+
+  if (failedTests > 0) {
+    process.exit(1);
+  }
+}
+
+run();
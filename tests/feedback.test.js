@@ -0,0 +1,256 @@
+/**
+ * Tests for the feedback example store
+ * Run with: node tests/feedback.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Count index builds to tell a rebuild from an append (wrapped before embeddings.js loads it)
+const vector = require('../src/vector');
+const createVectorIndex = vector.createVectorIndex;
+let indexBuilds = 0;
+vector.createVectorIndex = (...args) => {
+  indexBuilds++;
+  return createVectorIndex(...args);
+};
+
+const { createExampleStore, normalizeMessage, buildExampleId } = require('../src/feedback/store');
+const { createMockProvider } = require('../src/providers');
+const { setExamples, findSimilarExamples, getExamplesVersion, getIndexStatus } = require('../src/utils/embeddings');
+const { safeValidateClassification } = require('../src/schema');
+
+// Simple test framework
+let passedTests = 0;
+let failedTests = 0;
+
+function assertEqual(actual, expected, testName) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    console.log(`  Expected:`, expected);
+    console.log(`  Got:`, actual);
+    failedTests++;
+  }
+}
+
+function assertTrue(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    failedTests++;
+  }
+}
+
+function assertThrowsCode(fn, code, testName) {
+  try {
+    fn();
+    console.log(`❌ FAIL: ${testName} (did not throw)`);
+    failedTests++;
+  } catch (error) {
+    assertEqual(error.code, code, testName);
+  }
+}
+
+const provider = createMockProvider();
+
+async function embed(text) {
+  return (await provider.embed(text)).embeddings[0];
+}
+
+function classification(focus, overrides = {}) {
+  return {
+    needs_reply: true,
+    time_sensitive_score: 0.4,
+    business_value_score: 1.0,
+    focus_summary_type: focus,
+    reason: `Corrected to ${focus}`,
+    ...overrides
+  };
+}
+
+async function run() {
+  console.log('\n🧪 Running Feedback Tests\n');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feedback-test-'));
+  const seedFile = path.join(tmpDir, 'examples.json');
+  const filePath = path.join(tmpDir, 'store.json');
+
+  // An older generated file: no version, ids or pending queue
+  fs.writeFileSync(seedFile, JSON.stringify({
+    examples: [
+      { message: 'Can I book you for my wedding in June?', classification: classification('Booking'), embedding: await embed('Can I book you for my wedding in June?') },
+      { message: 'Where is my refund?', classification: classification('Refund'), embedding: await embed('Where is my refund?') }
+    ]
+  }));
+
+  const changes = [];
+  let clock = Date.parse('2026-10-19T15:00:00Z');
+  const seedContents = fs.readFileSync(seedFile, 'utf8');
+  const options = {
+    filePath,
+    seedFile,
+    now: () => clock,
+    onChange: (examples, version) => {
+      changes.push(version);
+      setExamples(examples, version);
+    }
+  };
+  const store = createExampleStore(options);
+
+  try {
+    // Test: Loading
+    console.log('--- Loading ---');
+    store.load();
+    assertEqual(store.getStatus().version, 1, 'Older file loads as version 1');
+    assertEqual(store.getExamples()[0].id, buildExampleId('Can I book you for my wedding in June?'), 'Examples get stable ids');
+    assertEqual(store.getExamples().map(example => example.source), ['seed', 'seed'], 'Existing examples are seeds');
+    assertEqual(changes, [1], 'onChange runs after load');
+    assertEqual(normalizeMessage('  Where is  my REFUND?! '), 'where is my refund', 'Normalization ignores case, punctuation and spacing');
+
+    // Test: Submitting
+    console.log('\n--- Submitting ---');
+    const message = 'Hey, can you feature my song on your channel?';
+    const submitted = store.submit({
+      message,
+      classification: classification('Feature', { business_value_score: 0.7 }),
+      embedding: await embed(message),
+      model: provider.embeddingModel,
+      note: 'Was classified as General',
+      tenant: 'acme'
+    });
+    assertTrue(submitted.id.startsWith('fb_'), 'Feedback gets an id');
+    assertTrue(submitted.embedding === undefined, 'Responses omit the embedding');
+    assertEqual(submitted.note, 'Was classified as General', 'Note is kept');
+    assertEqual(store.getStatus().pending, 1, 'Feedback waits in the pending queue');
+    assertEqual(store.getExamples().length, 2, 'Pending feedback is not used as an example');
+    assertEqual(submitted.tenant, 'acme', 'Feedback records the submitting tenant');
+
+    const refundEmbedding = await embed('where is my REFUND');
+    assertThrowsCode(
+      () => store.submit({ message: 'where is my REFUND', classification: classification('Refund'), embedding: refundEmbedding, model: provider.embeddingModel }),
+      'duplicate_example',
+      'Exact duplicate of an example is rejected'
+    );
+    assertThrowsCode(
+      () => store.submit({ message: `${message}!!`, classification: classification('Feature'), embedding: refundEmbedding, model: provider.embeddingModel }),
+      'duplicate_example',
+      'Exact duplicate of pending feedback is rejected'
+    );
+
+    const conflicting = 'Book you for my wedding in June, can I?';
+    const conflict = store.submit({
+      message: conflicting,
+      classification: classification('General'),
+      embedding: await embed(conflicting),
+      model: provider.embeddingModel
+    });
+    assertEqual(conflict.similar_examples.map(match => match.id), [buildExampleId('Can I book you for my wedding in June?')], 'Near-duplicates are reported');
+    assertEqual(conflict.conflicts.length, 1, 'Near-duplicate with another focus type is a conflict');
+    assertEqual(store.listPending({ tenant: 'acme' }).map(item => item.id), [submitted.id], 'Tenants list only their own submissions');
+    assertEqual(store.listPending().length, 2, 'Reviewers list every submission');
+
+    const mismatchStore = createExampleStore({ filePath: path.join(tmpDir, 'mismatch.json') });
+    fs.writeFileSync(mismatchStore.filePath, JSON.stringify({ model: 'text-embedding-3-small', examples: [] }));
+    mismatchStore.load();
+    assertThrowsCode(
+      () => mismatchStore.submit({ message: 'hi there', classification: classification('General'), embedding: [1], model: 'other-model' }),
+      'embedding_model_mismatch',
+      'Embeddings from another model are rejected'
+    );
+    assertThrowsCode(
+      () => store.submit({ message: 'a new message', classification: classification('General'), embedding: [1, 0], model: provider.embeddingModel }),
+      'embedding_model_mismatch',
+      'Embeddings with another dimension are rejected'
+    );
+
+    // Test: Review
+    console.log('\n--- Review ---');
+    clock += 60000;
+    const buildsBeforeApproval = indexBuilds;
+    const approved = store.approve(submitted.id);
+    assertEqual(approved.version, 2, 'Approval bumps the version');
+    assertEqual([approved.example.source, approved.example.version], ['feedback', 2], 'Approved example records its source and version');
+    assertEqual(store.getExamples().length, 3, 'Approved feedback becomes an example');
+    assertEqual(changes, [1, 2], 'onChange runs after approval');
+    assertEqual(getExamplesVersion(), 2, 'Similarity search sees the new version');
+    assertEqual([indexBuilds - buildsBeforeApproval, getIndexStatus().size], [0, 3], 'Approval appends to the index instead of rebuilding it');
+    const similar = findSimilarExamples(message, await embed(message), 1);
+    assertEqual(similar[0].classification.focus_summary_type, 'Feature', 'Approved example is used for few-shot prompts');
+
+    const rejected = store.reject(conflict.id, 'Clearly a booking');
+    assertEqual(rejected.id, conflict.id, 'Rejection returns the item');
+    assertEqual(store.getStatus(), { file: filePath, seed_file: seedFile, version: 2, examples: 3, pending: 0 }, 'Rejection does not change the examples');
+    assertThrowsCode(() => store.approve(conflict.id), 'feedback_not_found', 'Rejected feedback cannot be approved');
+    assertThrowsCode(() => store.reject('fb_missing'), 'feedback_not_found', 'Unknown feedback id is not found');
+
+    // Test: Persistence and versioning
+    console.log('\n--- Versioning ---');
+    assertEqual(fs.readFileSync(seedFile, 'utf8'), seedContents, 'The seed file is never written');
+    const reloaded = createExampleStore({ filePath, seedFile });
+    reloaded.load();
+    assertEqual(reloaded.getStatus(), store.getStatus(), 'Store state survives a reload');
+    assertEqual(reloaded.getHistory().map(entry => entry.action), ['approve', 'reject'], 'History records approvals and rejections');
+    assertEqual(reloaded.getHistory()[1].reason, 'Clearly a booking', 'History records the rejection reason');
+
+    assertThrowsCode(() => store.rollback(7), 'invalid_version', 'Rollback to an unknown version fails');
+    assertThrowsCode(() => store.rollback('1'), 'invalid_version', 'Rollback version must be an integer');
+    const rollback = store.rollback(1);
+    assertEqual(rollback, { version: 3, removed: [submitted.id] }, 'Rollback removes later examples as a new version');
+    assertEqual(store.getExamples().map(example => example.source), ['seed', 'seed'], 'Seed examples remain');
+    assertEqual(getIndexStatus().size, 2, 'Rollback rebuilds the index without the removed examples');
+    assertEqual(store.getHistory()[2].removed[0].message, message, 'History keeps the removed messages');
+
+    const seeds = JSON.parse(seedContents);
+    fs.writeFileSync(seedFile, JSON.stringify({ ...seeds, version: 2 }));
+    const regenerated = createExampleStore({ filePath, seedFile });
+    regenerated.load();
+    assertEqual(
+      [regenerated.getStatus().version, regenerated.getHistory().slice(-1)[0].action, regenerated.getHistory().slice(-1)[0].seed_version],
+      [4, 'regenerate', 2],
+      'A new seed file bumps the store version'
+    );
+
+    // Older seed files held the feedback too
+    const legacySeedFile = path.join(tmpDir, 'legacy.json');
+    fs.writeFileSync(legacySeedFile, JSON.stringify({
+      version: 3,
+      examples: [...seeds.examples, { id: 'fb_old', message: 'Old feedback', classification: classification('General'), embedding: seeds.examples[0].embedding, source: 'feedback', version: 3 }],
+      pending: [{ id: 'fb_waiting', message: 'Waiting', classification: classification('General'), embedding: seeds.examples[0].embedding }],
+      history: [{ version: 3, action: 'approve', id: 'fb_old' }]
+    }));
+    const legacy = createExampleStore({ filePath: path.join(tmpDir, 'legacy-store.json'), seedFile: legacySeedFile });
+    legacy.load();
+    legacy.reject('fb_waiting');
+    assertEqual(
+      [legacy.getStatus().version, legacy.getExamples().map(example => example.source), legacy.getHistory().length],
+      [3, ['seed', 'seed', 'feedback'], 2],
+      'Feedback in an older seed file moves to the data file'
+    );
+
+    // Test: Errors
+    console.log('\n--- Errors ---');
+    const brokenPath = path.join(tmpDir, 'broken.json');
+    fs.writeFileSync(brokenPath, '{ not json');
+    assertThrowsCode(() => createExampleStore({ filePath: brokenPath }).load(), 'invalid_example_store', 'Invalid store file fails to load');
+    const emptyStore = createExampleStore({ filePath: path.join(tmpDir, 'missing.json'), seedFile: path.join(tmpDir, 'missing-seeds.json') });
+    emptyStore.load();
+    assertEqual(emptyStore.getStatus().examples, 0, 'Missing store and seed files start empty');
+    assertTrue(!safeValidateClassification({ focus_summary_type: 'Booking' }).success, 'Incomplete classifications fail ClassificationSchema');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Test Results: ${passedTests} passed, ${failedTests} failed\n`);
+
+  if (failedTests > 0) {
+    process.exit(1);
+  }
+}
+
+run();
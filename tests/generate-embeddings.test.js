@@ -0,0 +1,260 @@
+/**
+ * Tests for incremental embedding generation
+ * Run with: node tests/generate-embeddings.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generateEmbeddings, parseArgs } = require('../scripts/generate-embeddings');
+const { createMockProvider } = require('../src/providers');
+const { createExampleStore, buildExampleId, buildContentHash } = require('../src/feedback/store');
+const { retryWithBackoff } = require('../src/utils/retry');
+
+// Simple test framework
+let passedTests = 0;
+let failedTests = 0;
+
+function assertEqual(actual, expected, testName) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    console.log(`  Expected:`, expected);
+    console.log(`  Got:`, actual);
+    failedTests++;
+  }
+}
+
+function assertTrue(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    failedTests++;
+  }
+}
+
+/**
+ * Wraps the mock provider to count embedding requests and inject failures
+ * @param {Object} options - { failOnCall, failures, status, embeddingModel }
+ */
+function createCountingProvider(options = {}) {
+  const mock = createMockProvider();
+  const provider = {
+    ...mock,
+    embeddingModel: options.embeddingModel || mock.embeddingModel,
+    calls: [],
+    async embed(input) {
+      provider.calls.push(input);
+      if (provider.calls.length === options.failOnCall && provider.failuresLeft > 0) {
+        provider.failuresLeft--;
+        provider.calls.pop();
+        const error = new Error('Service unavailable');
+        error.status = options.status || 503;
+        throw error;
+      }
+      return mock.embed(input);
+    },
+    failuresLeft: options.failures || 0
+  };
+  return provider;
+}
+
+function classification(focus) {
+  return {
+    needs_reply: true,
+    time_sensitive_score: 0.4,
+    business_value_score: 1.0,
+    focus_summary_type: focus,
+    reason: focus
+  };
+}
+
+const noSleep = async () => {};
+
+async function run() {
+  console.log('\n🧪 Running Embedding Generation Tests\n');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'embeddings-test-'));
+  const examplesPath = path.join(tmpDir, 'examples.json');
+  const outputPath = path.join(tmpDir, 'seeds.json');
+  const storePath = path.join(tmpDir, 'store.json');
+  const checkpointPath = `${outputPath}.checkpoint.json`;
+  const writeExamples = messages => fs.writeFileSync(examplesPath, JSON.stringify({
+    examples: messages.map(([message, focus]) => ({ message, classification: classification(focus) }))
+  }));
+  const readStore = () => JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+  const readDataFile = () => JSON.parse(fs.readFileSync(storePath, 'utf8'));
+  const options = { examplesPath, outputPath, storePath, batchSize: 2, sleep: noSleep };
+  const log = console.log;
+  const originalWrite = process.stdout.write.bind(process.stdout);
+  const quietly = async fn => {
+    console.log = () => {};
+    process.stdout.write = () => true;
+    try {
+      return await fn();
+    } finally {
+      console.log = log;
+      process.stdout.write = originalWrite;
+    }
+  };
+
+  try {
+    // Test: Arguments
+    console.log('--- Arguments ---');
+    assertEqual(parseArgs([]), { batchSize: 100, force: false }, 'Defaults');
+    assertEqual(parseArgs(['--batch-size', '10', '--force']), { batchSize: 10, force: true }, 'Flags are parsed');
+    let argError = null;
+    try {
+      parseArgs(['--batch-size', '0']);
+    } catch (error) {
+      argError = error;
+    }
+    assertTrue(argError !== null, 'Invalid batch size is rejected');
+
+    // Test: First run
+    console.log('\n--- First Run ---');
+    writeExamples([['Can I book you for June?', 'Booking'], ['Where is my refund?', 'Refund'], ['Love your work', 'General']]);
+    const provider = createCountingProvider();
+    const first = await quietly(() => generateEmbeddings(provider, options));
+    assertEqual(provider.calls.map(input => input.length), [2, 1], 'Messages are embedded in batches');
+    assertEqual([first.embedded, first.reused, first.added.length], [3, 0, 3], 'Every example is new');
+    const store = readStore();
+    assertEqual(store.model, provider.embeddingModel, 'Store records the model');
+    assertEqual(store.examples[0].content_hash, buildContentHash('Can I book you for June?', provider.embeddingModel), 'Examples carry a content hash');
+    assertEqual(store.examples[0].embedding.length, 1536, 'Examples carry their vector');
+    assertTrue(!fs.existsSync(checkpointPath), 'Checkpoint is removed after a successful run');
+
+    // Test: Incremental runs
+    console.log('\n--- Incremental Runs ---');
+    const unchanged = createCountingProvider();
+    const rerun = await quietly(() => generateEmbeddings(unchanged, options));
+    assertEqual(unchanged.calls.length, 0, 'Unchanged examples are not re-embedded');
+    assertEqual([rerun.written, rerun.version], [false, store.version], 'Unchanged store is not rewritten');
+
+    writeExamples([['Can I book you for June?', 'Booking'], ['Where is my refund?', 'Invoice'], ['Love your work!!', 'General'], ['Feature my song?', 'Feature']]);
+    const incremental = createCountingProvider();
+    const update = await quietly(() => generateEmbeddings(incremental, options));
+    assertEqual(incremental.calls, [['Love your work!!', 'Feature my song?']], 'Only new or edited messages are embedded');
+    assertEqual(update.added, [buildExampleId('Feature my song?')], 'Report lists added examples');
+    assertEqual(
+      update.changed,
+      [buildExampleId('Where is my refund?'), buildExampleId('Love your work!!')],
+      'Report lists examples with a new classification or message'
+    );
+    assertEqual(update.unchanged, 1, 'Report counts unchanged examples');
+    assertEqual(update.version, store.version + 1, 'Changes bump the store version');
+    assertEqual(readStore().history.slice(-1)[0].added, update.added, 'History records the change report');
+
+    writeExamples([['Can I book you for June?', 'Booking'], ['Feature my song?', 'Feature']]);
+    const removal = await quietly(() => generateEmbeddings(createCountingProvider(), options));
+    assertEqual(removal.removed, [buildExampleId('Where is my refund?'), buildExampleId('Love your work!!')], 'Report lists removed examples');
+    assertEqual(readStore().examples.length, 2, 'Removed examples leave the store');
+
+    // Test: Model changes
+    console.log('\n--- Model Changes ---');
+    const otherModel = createCountingProvider({ embeddingModel: 'other-embedding' });
+    const switched = await quietly(() => generateEmbeddings(otherModel, options));
+    assertEqual([switched.embedded, switched.changed.length], [2, 2], 'Switching models re-embeds everything');
+    const forced = createCountingProvider({ embeddingModel: 'other-embedding' });
+    await quietly(() => generateEmbeddings(forced, { ...options, force: true }));
+    assertEqual(forced.calls.length, 1, '--force re-embeds stored vectors');
+
+    // Test: Feedback in the store
+    console.log('\n--- Feedback ---');
+    await quietly(() => generateEmbeddings(createCountingProvider(), options));
+    const feedbackProvider = createCountingProvider();
+    const exampleStore = createExampleStore({ filePath: storePath, seedFile: outputPath });
+    await quietly(async () => {
+      exampleStore.load();
+      const message = 'Would you promote our brand?';
+      const embedding = (await feedbackProvider.embed(message)).embeddings[0];
+      const item = exampleStore.submit({ message, classification: classification('Brand reaching'), embedding, model: feedbackProvider.embeddingModel });
+      exampleStore.approve(item.id);
+    });
+    const afterFeedback = createCountingProvider();
+    await quietly(() => generateEmbeddings(afterFeedback, options));
+    assertEqual(afterFeedback.calls.length, 0, 'Approved feedback vectors are reused');
+    assertEqual(readDataFile().examples.filter(example => example.source === 'feedback').length, 1, 'Approved feedback is kept in the data file');
+    assertEqual(readStore().examples.filter(example => example.source !== 'seed').length, 0, 'The seed file holds only seeds');
+
+    const reembed = createCountingProvider({ embeddingModel: 'other-embedding' });
+    const reembedded = await quietly(() => generateEmbeddings(reembed, options));
+    assertEqual([reembedded.store_written, readDataFile().model], [true, 'other-embedding'], 'Switching models re-embeds feedback in the data file');
+
+    const seedsOnly = readStore();
+    fs.rmSync(storePath);
+    fs.writeFileSync(outputPath, JSON.stringify({
+      ...seedsOnly,
+      examples: [...seedsOnly.examples, { ...readStore().examples[0], id: 'fb_old', message: 'Old feedback', source: 'feedback' }]
+    }));
+    const migrated = await quietly(() => generateEmbeddings(createCountingProvider({ embeddingModel: 'other-embedding' }), options));
+    assertEqual(
+      [migrated.store_written, readDataFile().examples.map(example => example.id), readStore().examples.length],
+      [true, ['fb_old'], seedsOnly.examples.length],
+      'Feedback in an older seed file moves to the data file'
+    );
+    fs.rmSync(storePath);
+
+    // Test: Retries and checkpoints
+    console.log('\n--- Retries and Checkpoints ---');
+    const delays = [];
+    let attempts = 0;
+    const value = await retryWithBackoff(async () => {
+      attempts++;
+      if (attempts < 3) throw new Error('flaky');
+      return 'ok';
+    }, { sleep: async ms => delays.push(ms) });
+    assertEqual([value, delays], ['ok', [500, 1000]], 'Retries back off exponentially');
+
+    let permanent = null;
+    attempts = 0;
+    try {
+      await retryWithBackoff(async () => {
+        attempts++;
+        throw new Error('bad request');
+      }, { shouldRetry: () => false, sleep: noSleep });
+    } catch (error) {
+      permanent = error;
+    }
+    assertEqual([permanent && permanent.message, attempts], ['bad request', 1], 'Non-retryable errors fail immediately');
+
+    fs.rmSync(outputPath);
+    writeExamples([['one', 'General'], ['two', 'General'], ['three', 'General'], ['four', 'General'], ['five', 'General']]);
+    const transient = createCountingProvider({ failOnCall: 2, failures: 2 });
+    const recovered = await quietly(() => generateEmbeddings(transient, options));
+    assertEqual(recovered.embedded, 5, 'Transient failures are retried');
+
+    fs.rmSync(outputPath);
+    const broken = createCountingProvider({ failOnCall: 2, failures: 10 });
+    let failure = null;
+    try {
+      await quietly(() => generateEmbeddings(broken, options));
+    } catch (error) {
+      failure = error;
+    }
+    assertEqual(failure && failure.code, 'embedding_failed', 'Exhausted retries fail the run');
+    assertTrue(!fs.existsSync(outputPath), 'A failed run does not write the store');
+    assertEqual(Object.keys(JSON.parse(fs.readFileSync(checkpointPath, 'utf8')).vectors).length, 2, 'Finished batches are checkpointed');
+
+    const resumed = createCountingProvider();
+    const resume = await quietly(() => generateEmbeddings(resumed, options));
+    assertEqual(resumed.calls, [['three', 'four'], ['five']], 'A re-run resumes from the checkpoint');
+    assertEqual([resume.embedded, resume.reused], [3, 2], 'Checkpointed vectors are reused');
+    assertTrue(!fs.existsSync(checkpointPath), 'Checkpoint is removed once the run finishes');
+  } finally {
+    console.log = log;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Test Results: ${passedTests} passed, ${failedTests} failed\n`);
+
+  if (failedTests > 0) {
+    process.exit(1);
+  }
+}
+
+run();
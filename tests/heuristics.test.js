@@ -7,10 +7,11 @@ const {
   heuristicClassify, 
   isHeuristicConclusive,
   getHeuristicConfidence,
-  classifyBusinessValue,
-  classifyFocusType,
   classifyTimeSensitivity,
-  classifyReplyNeeded
+  classifyReplyNeeded,
+  scoreFocusTypes,
+  classifyFocusLabels,
+  DEFAULT_CONFIDENCE_THRESHOLD
 } = require('../src/heuristics/classifier');
 
 // Simple test framework
@@ -172,6 +173,54 @@ assertEqual(getHeuristicConfidence(halfResult), 0.5, 'Half result (2/4) has 50%
 const emptyResult = { business_value_score: null, time_sensitive_score: null, needs_reply: null, focus_summary_type: null };
 assertEqual(getHeuristicConfidence(emptyResult), 0.0, 'Empty result has 0% confidence');
 
+// Test: Focus type distribution
+console.log('\n--- Focus Distribution Tests ---');
+const singleHit = heuristicClassify('Need to book you for Friday ASAP please!');
+const distributionTotal = Object.values(singleHit.focus_distribution).reduce((sum, p) => sum + p, 0);
+assertTrue(Math.abs(distributionTotal - 1) < 0.001, 'Distribution sums to 1');
+assertEqual(Object.keys(singleHit.focus_distribution).length, 8, 'Distribution covers every focus type');
+assertEqual(singleHit.focus_confidence, singleHit.focus_distribution.Booking, 'Confidence is the chosen type probability');
+assertTrue(singleHit.focus_confidence < 1, 'A single hit is never certain');
+
+const multiHit = heuristicClassify('Can I book you for a gig at our event? Need to confirm the booking ASAP.');
+assertTrue(multiHit.focus_confidence > singleHit.focus_confidence, 'Multiple hits raise confidence');
+
+const conflicting = heuristicClassify('I need a refund. Love the merch though.');
+const refundOnly = heuristicClassify('I need a refund.');
+assertEqual(conflicting.focus_summary_type, 'Refund', 'Stronger evidence wins a conflict');
+assertTrue(conflicting.focus_confidence < refundOnly.focus_confidence, 'Conflicting hits lower confidence');
+assertTrue(conflicting.focus_distribution.General > refundOnly.focus_distribution.General, 'Conflicting type gains probability');
+
+const outweighed = scoreFocusTypes('partner collab partnership collaborate with our brand', 'partner collab partnership collaborate with our brand');
+assertEqual(outweighed.type, 'Collab', 'Type with most weighted evidence is chosen');
+assertEqual(outweighed.business_value_score, 0.7, 'Business value follows the chosen type');
+
+const noHits = heuristicClassify('sdkfjhsdkfjh');
+assertEqual(noHits.focus_confidence, 0, 'No hits gives zero confidence');
+assertEqual(noHits.focus_distribution.Booking, 0.125, 'No hits gives a uniform distribution');
+
+// Test: Confidence threshold
+console.log('\n--- Confidence Threshold Tests ---');
+assertTrue(isHeuristicConclusive(singleHit), 'Single strong hit passes the default threshold');
+assertTrue(!isHeuristicConclusive(singleHit, 0.95), 'Strict threshold sends the message to the LLM');
+assertTrue(isHeuristicConclusive(singleHit, 0), 'Zero threshold only requires complete fields');
+assertEqual(getHeuristicConfidence(singleHit), singleHit.focus_confidence, 'Complete result confidence is the focus confidence');
+assertTrue(DEFAULT_CONFIDENCE_THRESHOLD > 0 && DEFAULT_CONFIDENCE_THRESHOLD < 1, 'Default threshold is a probability');
+
+// Test: Multi-label detection
+console.log('\n--- Multi-Label Tests ---');
+const mixedTopics = 'Loved the gig — also my invoice is wrong and I want a refund';
+const mixedLabels = heuristicClassify(mixedTopics, { multiLabel: true }).labels;
+assertEqual(mixedLabels.map(l => l.focus_summary_type).join(','), 'Booking,Invoice,Refund', 'Every category is detected');
+assertEqual(mixedLabels[0].focus_summary_type, heuristicClassify(mixedTopics).focus_summary_type, 'Primary category is listed first');
+assertTrue(heuristicClassify(mixedTopics).labels === undefined, 'Labels are only computed in multi-label mode');
+
+const clauseTimes = classifyFocusLabels('Need the invoice today. Also can we collab next week?', 'need the invoice today. also can we collab next week?');
+assertEqual(clauseTimes[0].time_sensitive_score, 1.0, 'Label time comes from its own clause');
+assertEqual(clauseTimes[1].time_sensitive_score, 0.7, 'Each label gets its own time score');
+assertEqual(clauseTimes[1].business_value_score, 0.7, 'Each label gets its own business value');
+assertEqual(classifyFocusLabels('sdkfjhsdkfjh', 'sdkfjhsdkfjh').length, 0, 'No categories gives no labels');
+
 // Test: Edge cases
 console.log('\n--- Edge Cases ---');
 const emptyMsg = '';
@@ -0,0 +1,146 @@
+/**
+ * Tests for language detection and multilingual heuristics
+ * Run with: node tests/language.test.js
+ */
+
+const { detectLanguage, scoreLanguages } = require('../src/heuristics/language');
+const { heuristicClassify } = require('../src/heuristics/classifier');
+const { heuristicClassifyThread } = require('../src/heuristics/thread');
+const { getPatternSet, getActiveRules } = require('../src/heuristics/rules');
+const { buildHintsFromHeuristic } = require('../src/prompts');
+const { classifyMessage } = require('../src/pipeline');
+const { createMockProvider } = require('../src/providers');
+
+// Simple test framework
+let passedTests = 0;
+let failedTests = 0;
+
+function assertEqual(actual, expected, testName) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    console.log(`  Expected:`, expected);
+    console.log(`  Got:`, actual);
+    failedTests++;
+  }
+}
+
+function assertTrue(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    failedTests++;
+  }
+}
+
+async function run() {
+  console.log('\n🧪 Running Language Tests\n');
+
+  // Test: Detection
+  console.log('--- Detection ---');
+  assertEqual(detectLanguage('Need to book you for Friday ASAP please!'), 'en', 'English detected');
+  assertEqual(detectLanguage('Hola! Necesito reservar para el viernes, ¿tienes disponibilidad?'), 'es', 'Spanish detected');
+  assertEqual(detectLanguage('Oi! Você pode fazer um show no nosso casamento?'), 'pt', 'Portuguese detected');
+  assertEqual(detectLanguage('Bonjour, je voudrais réserver un concert pour samedi'), 'fr', 'French detected');
+  assertEqual(detectLanguage('Hallo, kannst du bitte die Rechnung schicken?'), 'de', 'German detected');
+  assertEqual(detectLanguage('Me encanta tu trabajo'), 'es', 'Short Spanish praise detected');
+  assertEqual(detectLanguage('ok'), null, 'No signal gives null');
+  assertEqual(detectLanguage('12345 !!!'), null, 'Non-words give null');
+  assertTrue(scoreLanguages('¿Qué tal?').es > scoreLanguages('¿Qué tal?').pt, 'Distinctive characters add weight');
+
+  // Test: Pattern sets
+  console.log('\n--- Pattern Sets ---');
+  assertEqual(Object.keys(getActiveRules().LANGUAGES), ['es', 'pt', 'fr', 'de'], 'Bundled rules include four language sets');
+  assertTrue(getPatternSet('es') === getActiveRules().LANGUAGES.es, 'Known language uses its own set');
+  assertTrue(getPatternSet('en') === getActiveRules(), 'English uses the default set');
+  assertTrue(getPatternSet('nl') === getActiveRules(), 'Unknown language falls back to the default set');
+  assertTrue(getPatternSet(null) === getActiveRules(), 'Undetected language falls back to the default set');
+
+  // Test: Multilingual heuristics
+  console.log('\n--- Multilingual Heuristics ---');
+  const cases = [
+    ['Hola! Necesito reservar para el viernes, ¿tienes disponibilidad?', 'es', 'Booking', 1.0, true],
+    ['Quiero un reembolso urgente por favor', 'es', 'Refund', 1.0, true],
+    ['Olá, quero um reembolso hoje', 'pt', 'Refund', 1.0, true],
+    ['La facture est fausse, pouvez-vous la corriger aujourd\'hui?', 'fr', 'Invoice', 1.0, true],
+    ['Hallo, kannst du bitte die Rechnung bis Freitag schicken?', 'de', 'Invoice', 1.0, true],
+    ['Me encanta tu trabajo', 'es', 'General', 0.0, false],
+    ['Ich liebe deine Arbeit', 'de', 'General', 0.0, false]
+  ];
+  for (const [text, language, type, time, needsReply] of cases) {
+    const result = heuristicClassify(text);
+    assertEqual(
+      [result.detected_language, result.focus_summary_type, result.time_sensitive_score, result.needs_reply],
+      [language, type, time, needsReply],
+      `${language}: "${text}"`
+    );
+  }
+
+  assertEqual(heuristicClassify('Need to book you for Friday ASAP please!').detected_language, 'en', 'English results report their language');
+  assertEqual(heuristicClassify('sdkfjhsdkfjh').detected_language, null, 'Gibberish reports no language');
+  assertEqual(
+    heuristicClassify('Nous organisons un événement la semaine prochaine, êtes-vous disponible?').focus_summary_type,
+    'Booking',
+    'Accented word at a word boundary matches'
+  );
+
+  // Test: Threads
+  console.log('\n--- Threads ---');
+  const spanishThread = [
+    { role: 'customer', text: 'Hola, quiero reservar para mi boda' },
+    { role: 'owner', text: 'Claro! Qué fecha?' },
+    { role: 'customer', text: 'ok' }
+  ];
+  assertEqual(heuristicClassifyThread(spanishThread).detected_language, 'es', 'Short reply inherits the thread language');
+  assertEqual(heuristicClassifyThread(spanishThread).focus_summary_type, 'Booking', 'Short reply inherits the thread topic');
+
+  // Test: Prompt hints
+  console.log('\n--- Prompt Hints ---');
+  const spanish = heuristicClassify('Hola, tengo una pregunta sobre tu trabajo');
+  const hints = buildHintsFromHeuristic(spanish);
+  assertTrue(hints.includes('Detected language: Spanish (es)'), 'Hints name the detected language');
+  assertTrue(!hints.some(hint => hint.startsWith('Write the reason')), 'Reason stays in English by default');
+  assertTrue(
+    buildHintsFromHeuristic(spanish, { localizeReason: true }).includes('Write the reason in Spanish'),
+    'localizeReason asks for the reason in the detected language'
+  );
+  assertTrue(
+    !buildHintsFromHeuristic(heuristicClassify('Can you help me?'), { localizeReason: true }).some(hint => hint.startsWith('Write the reason')),
+    'localizeReason adds nothing for English'
+  );
+  assertTrue(
+    !buildHintsFromHeuristic(heuristicClassify('ok')).some(hint => hint.startsWith('Detected language')),
+    'No language hint when undetected'
+  );
+
+  // Test: Pipeline
+  console.log('\n--- Pipeline ---');
+  const provider = createMockProvider();
+  const prompts = [];
+  const complete = provider.complete;
+  provider.complete = (request) => {
+    prompts.push(request.messages[1].content);
+    return complete(request);
+  };
+
+  const conclusive = await classifyMessage('Quiero un reembolso urgente por favor', provider);
+  assertEqual(conclusive.metadata.method, 'heuristic', 'Spanish message resolved without the LLM');
+  assertEqual(conclusive.classification.detected_language, 'es', 'Heuristic classification reports the language');
+
+  const viaLLM = await classifyMessage('Hola, tengo una pregunta sobre tu trabajo', provider, { localizeReason: true });
+  assertEqual(viaLLM.metadata.method, 'llm', 'Inconclusive message goes to the LLM');
+  assertEqual(viaLLM.classification.detected_language, 'es', 'LLM classification reports the language');
+  assertTrue(prompts[0].includes('Write the reason in Spanish'), 'LLM prompt asks for a localized reason');
+
+  console.log(`\n📊 Test Results: ${passedTests} passed, ${failedTests} failed\n`);
+
+  if (failedTests > 0) {
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,197 @@
+/**
+ * Tests for the classification pipeline (batch flow)
+ * Run with: node tests/pipeline.test.js
+ */
+
+const { classifyMessage, classifyBatch } = require('../src/pipeline');
+const { createMockProvider } = require('../src/providers');
+const { mapWithConcurrency } = require('../src/utils/concurrency');
+
+// Simple test framework
+let passedTests = 0;
+let failedTests = 0;
+
+function assertEqual(actual, expected, testName) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    console.log(`  Expected:`, expected);
+    console.log(`  Got:`, actual);
+    failedTests++;
+  }
+}
+
+function assertTrue(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    failedTests++;
+  }
+}
+
+/**
+ * Builds a fake provider that records peak concurrency
+ * Messages containing "broken" get an unrepairable classification back
+ */
+function createFakeProvider() {
+  const stats = { inFlight: 0, peak: 0, calls: 0 };
+
+  const provider = {
+    name: 'fake',
+    chatModel: 'fake-model',
+    embeddingModel: 'fake-embedding',
+    embed: async () => ({ embeddings: [new Array(1536).fill(0)], usage: { total_tokens: 0 } }),
+    complete: async ({ messages }) => {
+      stats.calls++;
+      stats.inFlight++;
+      stats.peak = Math.max(stats.peak, stats.inFlight);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      stats.inFlight--;
+
+      const broken = messages[1].content.includes('broken');
+      return {
+        model: 'fake-model',
+        usage: { total_tokens: 100 },
+        content: JSON.stringify({
+          needs_reply: true,
+          time_sensitive_score: broken ? 5 : 0.4,
+          business_value_score: 0.4,
+          focus_summary_type: 'General',
+          reason: 'Fake classification'
+        })
+      };
+    }
+  };
+
+  return { provider, stats };
+}
+
+async function run() {
+  console.log('\n🧪 Running Pipeline Tests\n');
+
+  // Test: mapWithConcurrency keeps input order and bounds concurrency
+  console.log('--- mapWithConcurrency ---');
+  let inFlight = 0;
+  let peak = 0;
+  const mapped = await mapWithConcurrency([30, 10, 20, 5], 2, async (delay, index) => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    inFlight--;
+    return index;
+  });
+  assertEqual(mapped, [0, 1, 2, 3], 'Results are returned in input order');
+  assertTrue(peak <= 2, 'No more than limit tasks run at once');
+
+  const empty = await mapWithConcurrency([], 3, async () => 1);
+  assertEqual(empty, [], 'Empty input returns empty array');
+
+  // Test: Batch classification
+  console.log('\n--- Batch Classification ---');
+  const { provider, stats } = createFakeProvider();
+  const messages = [
+    'Need to book you for Friday ASAP please!',
+    'sdkfjhsdkfjh one',
+    123,
+    'sdkfjhsdkfjh two',
+    'this one is broken',
+    'sdkfjhsdkfjh three',
+    '   '
+  ];
+  const { results, metadata } = await classifyBatch(messages, provider, { concurrency: 2 });
+
+  assertEqual(results.map(r => r.index), [0, 1, 2, 3, 4, 5, 6], 'Results are in input order');
+  assertEqual(results[0].metadata.method, 'heuristic', 'Conclusive item uses heuristic');
+  assertEqual(results[1].metadata.method, 'llm', 'Inconclusive item uses LLM');
+  assertEqual(results[2].success, false, 'Non-string item fails on its own');
+  assertTrue(results[2].error.includes('string'), 'Non-string item reports validation error');
+  assertEqual([results[4].success, results[4].metadata.degraded], [true, true], 'Unrepairable LLM output degrades only that item');
+  assertEqual(results[4].metadata.repairs.map(r => r.action), ['reasked', 'heuristic_fallback'], 'Degraded item reports its repair steps');
+  assertEqual(results[6].success, false, 'Whitespace-only item fails validation');
+  assertEqual(stats.calls, 5, 'Only inconclusive items are sent to the LLM (plus one re-ask)');
+  assertTrue(stats.peak <= 2, 'LLM calls respect the concurrency limit');
+
+  assertEqual(metadata.total, 7, 'Metadata counts all items');
+  assertEqual(metadata.succeeded, 5, 'Metadata counts succeeded items');
+  assertEqual(metadata.failed, 2, 'Metadata counts failed items');
+  assertEqual(metadata.heuristic_count, 2, 'Metadata counts heuristic items (including degraded)');
+  assertEqual(metadata.llm_count, 3, 'Metadata counts LLM items');
+  assertEqual(metadata.degraded_count, 1, 'Metadata counts degraded items');
+  assertEqual(metadata.tokens_used, 500, 'Metadata sums tokens from successful LLM items and re-asks');
+
+  const noFallback = await classifyBatch(['this one is broken'], provider, { repair: { retries: 0, fallback: false } });
+  assertEqual(noFallback.results[0].success, false, 'Without fallback, invalid LLM output fails only that item');
+  assertTrue(noFallback.results[0].details !== undefined, 'Invalid LLM output includes details');
+
+  // Test: End-to-end with the offline mock provider
+  console.log('\n--- Mock Provider End-to-End ---');
+  const mock = createMockProvider();
+  const llmResult = await classifyMessage('Do you have an affiliate program', mock);
+  assertEqual(llmResult.metadata.method, 'llm', 'Inconclusive message goes through the LLM stage');
+  assertEqual(llmResult.metadata.provider, 'mock', 'Metadata reports the provider');
+  assertEqual(llmResult.classification.focus_summary_type, 'Affiliate', 'Mock provider classifies from rules');
+  assertTrue(llmResult.metadata.tokens_used > 0, 'Mock provider reports token usage');
+
+  const heuristicResult = await classifyMessage('Need to book you for Friday ASAP please!', mock);
+  assertEqual(heuristicResult.metadata.method, 'heuristic', 'Conclusive message skips the provider');
+  assertEqual(heuristicResult.metadata.confidence.conclusive, true, 'Metadata reports the threshold decision');
+  assertTrue(heuristicResult.metadata.confidence.focus_distribution.Booking > 0.5, 'Metadata includes the focus distribution');
+
+  const strict = await classifyMessage('Need to book you for Friday ASAP please!', mock, { confidenceThreshold: 0.99 });
+  assertEqual(strict.metadata.method, 'llm', 'Confidence below threshold falls back to the LLM');
+  assertEqual(strict.metadata.confidence.threshold, 0.99, 'Metadata reports the configured threshold');
+
+  // Test: Deadlines on the LLM path
+  console.log('\n--- LLM Deadline Scoring ---');
+  const farOff = 'Can I book you for my party on Friday?';
+  const urgentMock = createMockProvider({
+    responses: {
+      [farOff]: {
+        needs_reply: true,
+        time_sensitive_score: 1.0,
+        business_value_score: 0.8,
+        focus_summary_type: 'Booking',
+        reason: 'Booking request for Friday',
+        entities: { dates: [{ text: 'Friday', value: '2026-10-23', type: 'date' }] }
+      }
+    }
+  });
+  // Saturday, so Friday is six days out
+  const deadlineOptions = { confidenceThreshold: 0.99, referenceTime: '2026-10-17T12:00:00Z' };
+  const farOffResult = await classifyMessage(farOff, urgentMock, deadlineOptions);
+  assertEqual(farOffResult.metadata.method, 'llm', 'Deadline message goes through the LLM stage');
+  assertEqual(farOffResult.classification.deadline_at, '2026-10-23T23:59:59.000Z', 'LLM path resolves the deadline');
+  assertTrue(farOffResult.classification.time_sensitive_score < 0.7, 'A deadline six days out is not scored urgent by the LLM');
+  const dayBefore = await classifyMessage(farOff, urgentMock, { ...deadlineOptions, referenceTime: '2026-10-23T08:00:00Z' });
+  assertEqual(dayBefore.classification.time_sensitive_score, 1.0, 'The same deadline the day before is urgent');
+
+  // Test: Multi-label mode
+  console.log('\n--- Multi-Label Mode ---');
+  const multi = await classifyMessage('Loved the gig — also my invoice is wrong and I want a refund', mock, { multiLabel: true });
+  assertEqual(multi.metadata.multi_label, true, 'Metadata reports multi-label mode');
+  assertEqual(
+    multi.classification.labels.map(l => l.focus_summary_type).sort(),
+    ['Booking', 'Invoice', 'Refund'],
+    'Multi-label result includes every category'
+  );
+  assertEqual(multi.classification.labels[0].focus_summary_type, multi.classification.focus_summary_type, 'Primary label comes first');
+
+  const multiHeuristic = await classifyMessage('Need to book you for Friday ASAP please!', mock, { multiLabel: true });
+  assertEqual(multiHeuristic.metadata.method, 'heuristic', 'Multi-label mode still skips the LLM when conclusive');
+  assertEqual(multiHeuristic.classification.labels.length, 1, 'Heuristic multi-label result has labels');
+
+  const single = await classifyMessage('Loved the gig — also my invoice is wrong and I want a refund', mock);
+  assertTrue(single.classification.labels === undefined, 'Single-label mode returns no labels');
+
+  console.log(`\n📊 Test Results: ${passedTests} passed, ${failedTests} failed\n`);
+
+  if (failedTests > 0) {
+    process.exit(1);
+  }
+}
+
+run();
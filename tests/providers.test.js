@@ -0,0 +1,117 @@
+/**
+ * Tests for LLM providers
+ * Run with: node tests/providers.test.js
+ */
+
+const { createProvider, createMockProvider } = require('../src/providers');
+const { hashEmbedding, extractMessage, parseHints } = require('../src/providers/mock');
+const { cosine } = require('../src/utils/embeddings');
+
+// Simple test framework
+let passedTests = 0;
+let failedTests = 0;
+
+function assertEqual(actual, expected, testName) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    console.log(`  Expected:`, expected);
+    console.log(`  Got:`, actual);
+    failedTests++;
+  }
+}
+
+function assertTrue(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    failedTests++;
+  }
+}
+
+function assertThrows(fn, testName) {
+  try {
+    fn();
+    console.log(`❌ FAIL: ${testName} (should have thrown)`);
+    failedTests++;
+  } catch (error) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  }
+}
+
+async function run() {
+  console.log('\n🧪 Running Provider Tests\n');
+
+  // Test: Provider selection
+  console.log('--- Provider Selection ---');
+  assertEqual(createProvider({ LLM_PROVIDER: 'mock' }).name, 'mock', 'LLM_PROVIDER=mock selects mock provider');
+  assertEqual(createProvider({ LLM_PROVIDER: 'MOCK' }).name, 'mock', 'Provider name is case-insensitive');
+  assertEqual(createProvider({ OPENAI_API_KEY: 'sk-test' }).name, 'openai', 'OpenAI is the default provider');
+  assertEqual(
+    createProvider({ OPENAI_API_KEY: 'sk-test', CHAT_MODEL: 'gpt-4o' }).chatModel,
+    'gpt-4o',
+    'CHAT_MODEL overrides the chat model'
+  );
+  assertThrows(() => createProvider({ LLM_PROVIDER: 'nope' }), 'Unknown provider throws');
+
+  // Test: Hash embeddings
+  console.log('\n--- Hash Embeddings ---');
+  const a = hashEmbedding('Can I book you for Friday?');
+  const b = hashEmbedding('Can I book you for Friday?');
+  const c = hashEmbedding('Can I book you for Saturday?');
+  const d = hashEmbedding('Loved the new video');
+  assertEqual(a.length, 1536, 'Embedding has default dimension');
+  assertEqual(a, b, 'Same text gives the same embedding');
+  assertTrue(Math.abs(cosine(a, a) - 1) < 1e-9, 'Embedding is unit length');
+  assertTrue(cosine(a, c) > cosine(a, d), 'Overlapping texts are more similar');
+  assertEqual(hashEmbedding('', 8), new Array(8).fill(0), 'Empty text gives zero vector');
+
+  // Test: Mock completions
+  console.log('\n--- Mock Completions ---');
+  assertEqual(extractMessage('Now classify this message:\nMessage: <<<hello>>>'), 'hello', 'Extracts message from prompt');
+  assertEqual(extractMessage('plain text'), 'plain text', 'Falls back to whole prompt');
+
+  const mock = createMockProvider();
+  const completion = await mock.complete({
+    messages: [
+      { role: 'system', content: 'system prompt' },
+      { role: 'user', content: 'Message: <<<I need a refund>>>' }
+    ]
+  });
+  const parsed = JSON.parse(completion.content);
+  assertEqual(parsed.focus_summary_type, 'Refund', 'Rule-based mock uses heuristics');
+  assertEqual(typeof parsed.time_sensitive_score, 'number', 'Rule-based mock fills missing fields');
+
+  assertEqual(
+    parseHints('Hints:\nSuggested needs_reply: false\nSuggested business_value_score: 0.7\nSuggested focus_summary_type: Brand reaching'),
+    { needs_reply: false, business_value_score: 0.7, focus_summary_type: 'Brand reaching' },
+    'Parses typed hint values'
+  );
+  const hinted = await mock.complete({
+    messages: [{ role: 'user', content: 'Message: <<<I need a refund>>>\n\nHints:\nSuggested needs_reply: false' }]
+  });
+  assertEqual(JSON.parse(hinted.content).needs_reply, false, 'Rule-based mock follows prompt hints');
+
+  const canned = { needs_reply: false, time_sensitive_score: 0, business_value_score: 0, focus_summary_type: 'General', reason: 'Canned' };
+  const cannedMock = createMockProvider({ responses: { 'what are your rates?': canned } });
+  const cannedCompletion = await cannedMock.complete({
+    messages: [{ role: 'user', content: 'Message: <<<what are your rates?>>>' }]
+  });
+  assertEqual(JSON.parse(cannedCompletion.content), canned, 'Canned response is returned for matching message');
+
+  const embedded = await mock.embed(['one', 'two']);
+  assertEqual(embedded.embeddings.length, 2, 'Mock embeds arrays of inputs');
+
+  console.log(`\n📊 Test Results: ${passedTests} passed, ${failedTests} failed\n`);
+
+  if (failedTests > 0) {
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,185 @@
+/**
+ * Tests for PII redaction and entity restoration
+ * Run with: node tests/redaction.test.js
+ */
+
+const { getRedactionOptions, redactMessage, countRedactions, restoreEntities } = require('../src/redaction');
+const { extractEntities } = require('../src/heuristics/entities');
+const { classifyMessage, classifyBatch } = require('../src/pipeline');
+const { createCache } = require('../src/cache');
+const { createMockProvider } = require('../src/providers');
+
+// Simple test framework
+let passedTests = 0;
+let failedTests = 0;
+
+function assertEqual(actual, expected, testName) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    console.log(`  Expected:`, expected);
+    console.log(`  Got:`, actual);
+    failedTests++;
+  }
+}
+
+function assertTrue(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    failedTests++;
+  }
+}
+
+function assertThrows(fn, testName) {
+  try {
+    fn();
+    console.log(`❌ FAIL: ${testName} (did not throw)`);
+    failedTests++;
+  } catch (error) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  }
+}
+
+/**
+ * Mock provider that records everything sent to it
+ */
+function createRecordingProvider() {
+  const provider = createMockProvider();
+  const sent = [];
+  return {
+    sent,
+    provider: {
+      ...provider,
+      complete: async request => {
+        sent.push(...request.messages.map(message => message.content));
+        return provider.complete(request);
+      },
+      embed: async (input, options) => {
+        sent.push(input);
+        return provider.embed(input, options);
+      }
+    }
+  };
+}
+
+const REDACT_ALL = { types: ['email', 'card', 'phone', 'address'], restoreEntities: true };
+const PII_MESSAGE = 'Quick question about your work for Friday, reach me at Jo.Doe@example.com or +1 (415) 555-0100';
+
+/**
+ * Redacts a message the way the server does before classifying it
+ */
+function redactForClassify(message, restoreEntities = true) {
+  const redacted = redactMessage(message);
+  return { message: redacted.message, redaction: { replacements: redacted.replacements, restoreEntities } };
+}
+
+async function run() {
+  console.log('\n🧪 Running PII Redaction Tests\n');
+
+  // Test: Configuration
+  console.log('--- Configuration ---');
+  assertEqual(getRedactionOptions({}), REDACT_ALL, 'Redacts every type and restores entities by default');
+  assertEqual(getRedactionOptions({ PII_REDACTION: 'false' }), null, 'PII_REDACTION=false disables redaction');
+  assertEqual(getRedactionOptions({ PII_REDACTION_TYPES: 'Email, phone', PII_RESTORE_ENTITIES: 'false' }), { types: ['email', 'phone'], restoreEntities: false }, 'Reads types and restore setting');
+  assertThrows(() => getRedactionOptions({ PII_REDACTION_TYPES: 'email,ssn' }), 'Unknown type throws');
+  assertThrows(() => getRedactionOptions({ PII_REDACTION: 'yes' }), 'Invalid switch throws');
+
+  // Test: Matching
+  console.log('\n--- Matching ---');
+  assertEqual(redactMessage('Mail me at jo@example.com').message, 'Mail me at [EMAIL_1]', 'Redacts emails');
+  assertEqual(redactMessage('Call +44 20 7946 0958 or (415) 555-0100').message, 'Call [PHONE_1] or [PHONE_2]', 'Redacts phones, numbered in reading order');
+  assertEqual(redactMessage('Card 4111 1111 1111 1111 and amex 378282246310005').message, 'Card [CARD_1] and amex [CARD_2]', 'Redacts full card numbers, not as phones');
+  assertEqual(redactMessage('Invoice 4111111111111112 is late').message, 'Invoice 4111111111111112 is late', 'Numbers failing the Luhn check stay');
+  assertEqual(redactMessage('My visa ending in 4242 and **** **** 1881').message, 'My visa ending in [CARD_1] and [CARD_2]', 'Redacts card fragments');
+  assertEqual(redactMessage('Ship to 221B Baker Street, Apt 2 please').message, 'Ship to [ADDRESS_1] please', 'Redacts street addresses with units');
+  assertEqual(
+    redactMessage('Hauptstraße 12, Calle Mayor 5 or 12 rue de Rivoli. Thanks').message,
+    '[ADDRESS_1], [ADDRESS_2] or [ADDRESS_3]. Thanks',
+    'Redacts German, Spanish and French addresses'
+  );
+  const untouched = 'We need 2 more days to drive there. Order #48213 for $450 by Friday, 2 way street';
+  assertEqual(redactMessage(untouched).message, untouched, 'Leaves amounts, order numbers and look-alikes alone');
+  assertEqual(
+    redactMessage('Refund order #1234567890 and invoice INV-4155550100 please, or call 415-555-0100').message,
+    'Refund order #1234567890 and invoice INV-4155550100 please, or call [PHONE_1]',
+    'Long order and invoice numbers are not phones'
+  );
+  assertEqual(redactMessage('a@b.co, then A@B.co').message, '[EMAIL_1], then [EMAIL_1]', 'The same value gets the same placeholder');
+  assertEqual(redactMessage('a@b.co, +44 20 7946 0958', { types: ['phone'] }).message, 'a@b.co, [PHONE_1]', 'Only configured types are redacted');
+
+  const thread = [
+    { role: 'customer', text: 'reach me at a@b.co', timestamp: '2025-11-03T09:00:00.000Z' },
+    { role: 'owner', text: 'sure, a@b.co noted' },
+    { role: 'customer', text: 'or c@d.co' }
+  ];
+  const redactedThread = redactMessage('or c@d.co', { thread });
+  assertEqual(redactedThread.thread.map(turn => turn.text), ['reach me at [EMAIL_1]', 'sure, [EMAIL_1] noted', 'or [EMAIL_2]'], 'Redacts every thread turn with shared numbering');
+  assertEqual([redactedThread.message, redactedThread.thread[0].timestamp], ['or [EMAIL_2]', '2025-11-03T09:00:00.000Z'], 'The message matches its turn; other fields are kept');
+  assertEqual(thread[0].text, 'reach me at a@b.co', 'The input thread is not modified');
+
+  const { replacements } = redactMessage('Jo.Doe@Example.com or +1 (415) 555-0100 or +1 415 555 0100');
+  assertEqual(replacements, [
+    { placeholder: '[EMAIL_1]', type: 'email', text: 'Jo.Doe@Example.com', value: 'jo.doe@example.com' },
+    { placeholder: '[PHONE_1]', type: 'phone', text: '+1 (415) 555-0100', value: '+14155550100' }
+  ], 'Replacements keep the original text and the entity value');
+  assertEqual(countRedactions(redactMessage('a@b.co c@d.co 4111 1111 1111 1111').replacements), { email: 2, card: 1 }, 'Counts replacements by type');
+
+  // Test: Entities
+  console.log('\n--- Entities ---');
+  const entities = extractEntities('Mail [EMAIL_1], call [PHONE_1] about order #48213');
+  assertEqual([entities.emails, entities.phones.map(phone => phone.value)], [[{ text: '[EMAIL_1]', value: '[EMAIL_1]', source: 'local' }], ['[PHONE_1]']], 'Placeholders stay email and phone entities');
+  assertEqual(extractEntities('card [CARD_1] at [ADDRESS_12]').references, [], 'Placeholder digits are not read as other entities');
+  const restored = restoreEntities({ ...entities, references: [{ text: 'ref for [EMAIL_1]', value: '[EMAIL_1]-9', type: 'reference', source: 'llm' }] }, replacements);
+  assertEqual(restored.emails[0], { text: 'Jo.Doe@Example.com', value: 'jo.doe@example.com', source: 'local' }, 'Restores a placeholder entity with its value');
+  assertEqual(restored.references[0].text, 'ref for Jo.Doe@Example.com', 'Restores placeholders inside other entities');
+  assertEqual(entities.emails[0].text, '[EMAIL_1]', 'Restoring does not modify the input');
+  assertEqual(restoreEntities({ emails: [{ text: '[EMAIL_7]', value: '[EMAIL_7]' }] }, replacements).emails[0].text, '[EMAIL_7]', 'Unknown placeholders are left as they are');
+
+  // Test: Pipeline
+  console.log('\n--- Pipeline ---');
+  const recorder = createRecordingProvider();
+  const request = redactForClassify(PII_MESSAGE);
+  const result = await classifyMessage(request.message, recorder.provider, { redaction: request.redaction });
+  assertEqual(result.metadata.method, 'llm', 'The message reaches the LLM');
+  assertTrue(recorder.sent.length > 1 && recorder.sent.every(text => !/jo\.doe|555-0100/i.test(text)), 'No PII is sent to the provider');
+  assertTrue(recorder.sent.some(text => text.includes('[EMAIL_1]')), 'The provider sees the placeholders');
+  assertEqual(result.classification.entities.emails.map(email => email.text), ['Jo.Doe@example.com'], 'Entities are restored in the response');
+  assertEqual(result.classification.entities.phones.map(phone => phone.value), ['+14155550100'], 'Restored phones have normalized values');
+  assertEqual(result.metadata.pii_redacted, { email: 1, phone: 1 }, 'Metadata counts what was redacted');
+
+  const kept = redactForClassify(PII_MESSAGE, false);
+  const unrestored = await classifyMessage(kept.message, createMockProvider(), { redaction: kept.redaction });
+  assertEqual(unrestored.classification.entities.emails.map(email => email.text), ['[EMAIL_1]'], 'Without restoring, entities keep placeholders');
+
+  const clean = await classifyMessage('Need to book you for Friday ASAP please!', createMockProvider(), { redaction: redactForClassify('Need to book you for Friday ASAP please!').redaction });
+  assertEqual(clean.metadata.pii_redacted, undefined, 'Messages without PII have no redaction metadata');
+
+  const cache = createCache('redaction-test', { CACHE_BACKEND: 'memory' });
+  const first = redactForClassify('Quick question about your work for Friday, reach me at ann@example.com');
+  const second = redactForClassify('Quick question about your work for Friday, reach me at bob@example.com');
+  await classifyMessage(first.message, createMockProvider(), { cache, redaction: first.redaction });
+  const hit = await classifyMessage(second.message, createMockProvider(), { cache, redaction: second.redaction });
+  assertEqual([hit.metadata.cache, hit.classification.entities.emails[0].text], ['hit', 'bob@example.com'], 'Messages differing only in PII share a cache entry, each restored with its own values');
+
+  // Test: Batch
+  console.log('\n--- Batch ---');
+  const batchRecorder = createRecordingProvider();
+  const batch = await classifyBatch([PII_MESSAGE, 'Need to book you for Friday ASAP please! Call 415-555-0100', 'Love your work'], batchRecorder.provider, { redaction: REDACT_ALL });
+  assertTrue(batchRecorder.sent.every(text => !/jo\.doe|555-0100/i.test(text)), 'Batch sends no PII to the provider');
+  assertEqual(batch.results[1].classification.entities.phones.map(phone => phone.text), ['415-555-0100'], 'Batch restores entities, including conclusive items');
+  assertEqual(batch.metadata.redacted_count, 2, 'Batch counts redacted items');
+
+  console.log(`\n📊 Test Results: ${passedTests} passed, ${failedTests} failed\n`);
+
+  if (failedTests > 0) {
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,187 @@
+/**
+ * Tests for repairing schema-invalid LLM responses
+ * Run with: node tests/repair.test.js
+ */
+
+const {
+  getRepairOptions,
+  extractJsonObject,
+  coerceClassification,
+  parseClassificationResponse
+} = require('../src/repair');
+const { classifyMessage, runLLMStage } = require('../src/pipeline');
+const { createMemoryCache } = require('../src/cache');
+
+// Simple test framework
+let passedTests = 0;
+let failedTests = 0;
+
+function assertEqual(actual, expected, testName) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    console.log(`  Expected:`, expected);
+    console.log(`  Got:`, actual);
+    failedTests++;
+  }
+}
+
+function assertTrue(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    failedTests++;
+  }
+}
+
+function assertThrows(fn, testName) {
+  try {
+    fn();
+    console.log(`❌ FAIL: ${testName} (did not throw)`);
+    failedTests++;
+  } catch (error) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  }
+}
+
+/**
+ * Builds a fake provider that answers with the given contents in order
+ * (repeating the last one) and remembers each request
+ */
+function createScriptedProvider(contents) {
+  const requests = [];
+  const provider = {
+    name: 'fake',
+    chatModel: 'fake-model',
+    embeddingModel: 'fake-embedding',
+    embed: async () => ({ embeddings: [new Array(1536).fill(0)], usage: { total_tokens: 0 } }),
+    complete: async ({ messages }) => {
+      requests.push(messages.map(message => ({ ...message })));
+      const content = contents[Math.min(requests.length - 1, contents.length - 1)];
+      return {
+        model: 'fake-model',
+        usage: { total_tokens: 100 },
+        content: typeof content === 'string' ? content : JSON.stringify(content)
+      };
+    }
+  };
+  return { provider, requests };
+}
+
+const VALID = {
+  needs_reply: true,
+  time_sensitive_score: 0.4,
+  business_value_score: 0.7,
+  focus_summary_type: 'Collab',
+  reason: 'Collaboration question'
+};
+const INCONCLUSIVE = 'Quick question about your work for Friday';
+const actions = metadata => metadata.repairs.map(repair => repair.action);
+
+async function run() {
+  console.log('\n🧪 Running LLM Response Repair Tests\n');
+
+  // Test: Configuration
+  console.log('--- Configuration ---');
+  assertEqual(getRepairOptions({}), { retries: 1, fallback: true }, 'Defaults to one re-ask, then the heuristic fallback');
+  assertEqual(getRepairOptions({ LLM_REPAIR_RETRIES: '0', LLM_DEGRADED_FALLBACK: 'false' }), { retries: 0, fallback: false }, 'Reads LLM_REPAIR_RETRIES and LLM_DEGRADED_FALLBACK');
+  assertThrows(() => getRepairOptions({ LLM_REPAIR_RETRIES: '5' }), 'Too many retries are rejected');
+  assertThrows(() => getRepairOptions({ LLM_DEGRADED_FALLBACK: 'maybe' }), 'Non-boolean fallback is rejected');
+
+  // Test: Coercion
+  console.log('\n--- Coercion ---');
+  const coerced = coerceClassification({
+    needs_reply: 'TRUE',
+    time_sensitive_score: '0.7',
+    business_value_score: 1.05,
+    focus_summary_type: 'booking'
+  });
+  assertEqual(coerced.data, {
+    needs_reply: true,
+    time_sensitive_score: 0.7,
+    business_value_score: 1,
+    focus_summary_type: 'Booking',
+    reason: 'Classified as booking'
+  }, 'Fixes strings, slightly out-of-range scores, focus case and a missing reason');
+  assertEqual(coerced.repairs.map(repair => `${repair.action}:${repair.field}`), [
+    'parsed_boolean:needs_reply',
+    'parsed_number:time_sensitive_score',
+    'clamped:business_value_score',
+    'normalized_focus_type:focus_summary_type',
+    'filled_reason:reason'
+  ], 'Reports every fix with its field');
+  assertEqual(coerced.repairs[1], { action: 'parsed_number', field: 'time_sensitive_score', from: '0.7', to: 0.7 }, 'Repairs record the original and fixed values');
+  assertEqual(coerceClassification({ ...VALID, time_sensitive_score: 1.5 }).data.time_sensitive_score, 1.5, 'Scores far out of range are left for validation');
+  assertEqual(coerceClassification({ ...VALID, focus_summary_type: 'Sponsorship', reason: '' }).repairs, [], 'Unknown focus types are not guessed');
+  assertEqual(coerceClassification(VALID).repairs, [], 'Valid responses need no repairs');
+  const labels = coerceClassification({ ...VALID, labels: [{ focus_summary_type: 'collab', business_value_score: '0.7', time_sensitive_score: -0.05 }] }, { multiLabel: true });
+  assertEqual(labels.data.labels[0], { focus_summary_type: 'Collab', business_value_score: 0.7, time_sensitive_score: 0 }, 'Fixes multi-label labels');
+
+  // Test: Parsing
+  console.log('\n--- Parsing ---');
+  assertEqual(extractJsonObject('Sure!\n```json\n{"a": 1}\n```'), '{"a": 1}', 'Finds JSON in a code fence');
+  assertEqual(extractJsonObject('no braces here'), null, 'No JSON without braces');
+  const fenced = parseClassificationResponse(`Here you go:\n\`\`\`json\n${JSON.stringify(VALID)}\n\`\`\``);
+  assertEqual([fenced.success, fenced.repairs], [true, [{ action: 'extracted_json' }]], 'JSON wrapped in text is extracted');
+  const prose = parseClassificationResponse('I think this is a booking');
+  assertTrue(!prose.success && prose.error.startsWith('Response is not valid JSON'), 'Prose fails with a parse error');
+  const outOfRange = parseClassificationResponse(JSON.stringify({ ...VALID, time_sensitive_score: 3 }));
+  assertTrue(!outOfRange.success && outOfRange.error.startsWith('time_sensitive_score:'), 'Validation errors name the field');
+
+  // Test: Pipeline
+  console.log('\n--- Pipeline ---');
+  const fixable = createScriptedProvider([{ ...VALID, time_sensitive_score: '0.4', focus_summary_type: 'collab' }]);
+  const repaired = await classifyMessage(INCONCLUSIVE, fixable.provider);
+  assertEqual([repaired.metadata.method, repaired.metadata.degraded, repaired.metadata.llm_attempts], ['llm', false, 1], 'Coercible response is used without a re-ask');
+  assertEqual(actions(repaired.metadata), ['parsed_number', 'normalized_focus_type'], 'Coercions are reported in metadata');
+  assertEqual(repaired.classification.focus_summary_type, 'Collab', 'Repaired values are returned');
+
+  const reasked = createScriptedProvider([{ ...VALID, business_value_score: 7 }, VALID]);
+  const second = await classifyMessage(INCONCLUSIVE, reasked.provider);
+  assertEqual([second.metadata.llm_attempts, second.metadata.tokens_used], [2, 200], 'Re-ask counts attempts and tokens');
+  assertEqual(second.metadata.repairs, [{ attempt: 1, action: 'reasked', error: 'business_value_score: business_value_score must be <= 1' }], 'Re-ask is reported with the Zod error');
+  const retry = reasked.requests[1];
+  assertEqual(retry.slice(2).map(message => message.role), ['assistant', 'user'], 'Re-ask replays the invalid answer');
+  assertTrue(retry[3].content.includes('business_value_score must be <= 1'), 'Re-ask prompt includes the Zod error');
+
+  const hopeless = createScriptedProvider(['not json']);
+  const degraded = await classifyMessage(INCONCLUSIVE, hopeless.provider);
+  assertEqual([degraded.metadata.method, degraded.metadata.degraded], ['heuristic', true], 'Falls back to the heuristic result, flagged as degraded');
+  assertEqual(actions(degraded.metadata), ['reasked', 'heuristic_fallback'], 'Fallback is reported as the last repair step');
+  assertTrue(degraded.classification.reason.startsWith('Heuristic fallback'), 'Degraded reason says it is a fallback');
+  assertTrue(typeof degraded.classification.needs_reply === 'boolean' && degraded.classification.focus_summary_type !== null, 'Degraded result fills fields the heuristics left open');
+
+  const cache = createMemoryCache({ ttlMs: 60000, maxEntries: 10 });
+  await classifyMessage(INCONCLUSIVE, hopeless.provider, { cache });
+  const again = await classifyMessage(INCONCLUSIVE, hopeless.provider, { cache });
+  assertEqual(again.metadata.cache, 'miss', 'Degraded results are not cached');
+
+  const once = createScriptedProvider(['not json']);
+  await classifyMessage(INCONCLUSIVE, once.provider, { repair: { retries: 0 } });
+  assertEqual(once.requests.length, 1, 'Zero retries skips the re-ask');
+
+  let thrown = null;
+  try {
+    await runLLMStage(INCONCLUSIVE, {}, createScriptedProvider(['not json']).provider, { repair: { fallback: false } });
+  } catch (error) {
+    thrown = error;
+  }
+  assertEqual(thrown && thrown.code, 'invalid_llm_response', 'Without fallback the validation error is thrown');
+
+  const outcomes = [];
+  await classifyMessage(INCONCLUSIVE, hopeless.provider, { outcomes: { record: entry => outcomes.push(entry) } });
+  assertEqual([outcomes[0].type, outcomes[0].code], ['error', 'degraded'], 'Degraded results are recorded as prompt errors');
+
+  console.log(`\n📊 Test Results: ${passedTests} passed, ${failedTests} failed\n`);
+
+  if (failedTests > 0) {
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,242 @@
+/**
+ * Tests for provider timeouts, retries and the circuit breaker
+ * Run with: node tests/resilience.test.js
+ */
+
+const { createCircuitBreaker } = require('../src/utils/breaker');
+const { isRetryableError } = require('../src/utils/retry');
+const { APIConnectionError, APIConnectionTimeoutError } = require('openai');
+const { createResilientProvider, getResilienceOptions, isProviderUnavailable, createMockProvider } = require('../src/providers');
+const { classifyMessage, classifyBatch } = require('../src/pipeline');
+const { createMemoryCache } = require('../src/cache');
+
+// Simple test framework
+let passedTests = 0;
+let failedTests = 0;
+
+function assertEqual(actual, expected, testName) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    console.log(`  Expected:`, expected);
+    console.log(`  Got:`, actual);
+    failedTests++;
+  }
+}
+
+function assertTrue(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    failedTests++;
+  }
+}
+
+function assertThrows(fn, testName) {
+  try {
+    fn();
+    console.log(`❌ FAIL: ${testName} (did not throw)`);
+    failedTests++;
+  } catch (error) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  }
+}
+
+async function captureError(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+function apiError(status, message = `HTTP ${status}`) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Builds a mock provider whose calls fail with the given errors, in order,
+ * before answering normally (null means answer normally)
+ */
+function createFlakyProvider(failures = []) {
+  const mock = createMockProvider();
+  const calls = { complete: 0, embed: 0 };
+  const queue = [...failures];
+  const state = { down: false, signals: [] };
+
+  const next = () => {
+    if (state.down) throw apiError(503, 'Service unavailable');
+    const failure = queue.shift();
+    if (failure) throw failure;
+  };
+
+  return {
+    calls,
+    state,
+    provider: {
+      ...mock,
+      async complete(request) {
+        calls.complete++;
+        state.signals.push(request.signal);
+        next();
+        return mock.complete(request);
+      },
+      async embed(input) {
+        calls.embed++;
+        next();
+        return mock.embed(input);
+      }
+    }
+  };
+}
+
+const INCONCLUSIVE = 'Quick question about your work for Friday';
+const CONCLUSIVE = 'Need to book you for Friday ASAP please!';
+
+async function run() {
+  console.log('\n🧪 Running Resilience Tests\n');
+
+  // Test: Configuration
+  console.log('--- Configuration ---');
+  assertEqual(getResilienceOptions({}), {
+    chatTimeoutMs: 15000,
+    embeddingTimeoutMs: 5000,
+    retries: 2,
+    baseDelayMs: 500,
+    failureThreshold: 5,
+    resetTimeoutMs: 30000
+  }, 'Defaults');
+  const configured = getResilienceOptions({ LLM_TIMEOUT_MS: '2000', LLM_RETRIES: '0', CIRCUIT_BREAKER_THRESHOLD: '3' });
+  assertEqual(
+    [configured.chatTimeoutMs, configured.retries, configured.failureThreshold],
+    [2000, 0, 3],
+    'Reads timeout, retry and breaker settings'
+  );
+  assertThrows(() => getResilienceOptions({ LLM_TIMEOUT_MS: '0' }), 'Zero timeout is rejected');
+  assertThrows(() => getResilienceOptions({ CIRCUIT_BREAKER_RESET_MS: 'soon' }), 'Non-numeric setting is rejected');
+  assertEqual([429, 500, 503, 400, 401].map(status => isRetryableError({ status })), [true, true, true, false, false], 'Retries 429 and 5xx only');
+  const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+  const fetchFailed = new TypeError('fetch failed', { cause: reset });
+  assertEqual(
+    [reset, fetchFailed, new APIConnectionError({ cause: reset }), new APIConnectionTimeoutError(), Object.assign(new Error('timed out'), { code: 'llm_timeout' })].map(isRetryableError),
+    [true, true, true, true, true],
+    'Retries network failures and timeouts, also when wrapped'
+  );
+  assertEqual(
+    [new TypeError('Cannot read properties of undefined'), new ReferenceError('x is not defined'), new Error('unexpected')].map(isRetryableError),
+    [false, false, false],
+    'Programming errors are not retried'
+  );
+
+  // Test: Circuit breaker
+  console.log('\n--- Circuit Breaker ---');
+  let clock = 0;
+  const breaker = createCircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 1000, now: () => clock });
+  breaker.recordFailure();
+  assertEqual([breaker.getState().state, breaker.allowRequest()], ['closed', true], 'Stays closed below the threshold');
+  breaker.recordFailure();
+  assertEqual([breaker.getState().state, breaker.allowRequest()], ['open', false], 'Opens at the threshold and refuses calls');
+  assertEqual(breaker.getState().retry_at, new Date(1000).toISOString(), 'Reports when it will try again');
+  clock = 1000;
+  assertEqual([breaker.allowRequest(), breaker.allowRequest()], [true, false], 'Half-open allows a single trial call');
+  breaker.recordFailure();
+  assertEqual(breaker.getState().state, 'open', 'A failed trial opens it again');
+  clock = 2000;
+  breaker.allowRequest();
+  breaker.recordSuccess();
+  assertEqual([breaker.getState().state, breaker.getState().failures], ['closed', 0], 'A successful trial closes it');
+
+  // Test: Retries and timeouts
+  console.log('\n--- Retries and Timeouts ---');
+  const delays = [];
+  const sleep = async ms => { delays.push(ms); };
+  const flaky = createFlakyProvider([apiError(429), apiError(502)]);
+  const resilient = createResilientProvider(flaky.provider, { retries: 2, baseDelayMs: 100, sleep });
+  const completion = await resilient.complete({ messages: [{ role: 'user', content: 'Message: <<<hi>>>' }] });
+  assertTrue(completion.content.length > 0, 'Succeeds after transient failures');
+  assertEqual([flaky.calls.complete, delays], [3, [100, 200]], 'Retries 429 and 5xx with exponential backoff');
+  assertTrue(flaky.state.signals.every(signal => signal instanceof AbortSignal), 'Each attempt gets an abort signal');
+  assertEqual([resilient.name, resilient.chatModel], ['mock', 'mock-classifier'], 'Keeps the provider name and models');
+
+  const badKey = createFlakyProvider([Object.assign(apiError(401), { code: 'invalid_api_key' })]);
+  const keyError = await captureError(createResilientProvider(badKey.provider, { sleep }).complete({ messages: [] }));
+  assertEqual([keyError.code, badKey.calls.complete], ['invalid_api_key', 1], 'A bad key is not retried and passes through');
+
+  const embedFlaky = createFlakyProvider([apiError(503)]);
+  const embedded = await createResilientProvider(embedFlaky.provider, { sleep }).embed('hello');
+  assertEqual([embedded.embeddings.length, embedFlaky.calls.embed], [1, 2], 'Embedding calls are retried too');
+
+  const buggy = createFlakyProvider([new TypeError('Cannot read properties of undefined')]);
+  const buggyProvider = createResilientProvider(buggy.provider, { failureThreshold: 1, sleep });
+  const bugError = await captureError(buggyProvider.complete({ messages: [] }));
+  assertEqual([bugError.name, buggy.calls.complete, buggyProvider.getStatus().circuit_breaker.state], ['TypeError', 1, 'closed'], 'A bug fails fast, unwrapped, without opening the breaker');
+
+  const dropped = createFlakyProvider([Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })]);
+  await createResilientProvider(dropped.provider, { sleep }).complete({ messages: [{ role: 'user', content: 'Message: <<<hi>>>' }] });
+  assertEqual(dropped.calls.complete, 2, 'A dropped connection is retried');
+
+  let aborted = null;
+  const hanging = {
+    ...createMockProvider(),
+    complete: ({ signal }) => new Promise(() => {
+      signal.addEventListener('abort', () => { aborted = true; });
+    })
+  };
+  const timeoutError = await captureError(createResilientProvider(hanging, { chatTimeoutMs: 20, retries: 0 }).complete({ messages: [] }));
+  assertEqual([timeoutError.code, timeoutError.cause.code, aborted], ['llm_unavailable', 'llm_timeout', true], 'Slow calls time out and are aborted');
+  assertTrue(isProviderUnavailable(timeoutError), 'Timeouts count as unavailable');
+
+  const down = createFlakyProvider();
+  down.state.down = true;
+  const guarded = createResilientProvider(down.provider, { retries: 1, failureThreshold: 2, resetTimeoutMs: 60000, sleep });
+  await captureError(guarded.complete({ messages: [] }));
+  await captureError(guarded.complete({ messages: [] }));
+  const callsWhenOpened = down.calls.complete;
+  const openError = await captureError(guarded.complete({ messages: [] }));
+  assertEqual([openError.code, down.calls.complete], ['circuit_open', callsWhenOpened], 'Open breaker refuses calls without reaching the provider');
+  assertEqual(guarded.getStatus().circuit_breaker.state, 'open', 'Status reports the breaker state');
+
+  // Test: Graceful degradation
+  console.log('\n--- Graceful Degradation ---');
+  const outage = createFlakyProvider();
+  const provider = createResilientProvider(outage.provider, { retries: 0, failureThreshold: 2, resetTimeoutMs: 60000, sleep });
+  const cache = createMemoryCache({ ttlMs: 60000, maxEntries: 10 });
+  const healthy = await classifyMessage(INCONCLUSIVE, provider, { cache });
+  assertEqual([healthy.metadata.method, healthy.metadata.degraded], ['llm', false], 'Healthy provider uses the LLM');
+
+  outage.state.down = true;
+  const first = await classifyMessage('Any news about the thing we discussed', provider, { cache });
+  assertEqual([first.metadata.method, first.metadata.degraded, first.metadata.degraded_reason], ['heuristic', true, 'llm_unavailable'], 'Failed calls serve the heuristic result, degraded');
+  assertEqual(provider.getStatus().circuit_breaker.state, 'open', 'Embedding and chat failures open the breaker');
+
+  const callsBefore = outage.calls.complete;
+  const open = await classifyMessage('Another vague question for you', provider, { cache });
+  assertEqual([open.metadata.degraded, open.metadata.degraded_reason, open.metadata.prompt_version], [true, 'circuit_open', null], 'Open breaker serves heuristic-only results');
+  assertEqual(outage.calls.complete, callsBefore, 'Open breaker skips the provider');
+  assertTrue(typeof open.classification.needs_reply === 'boolean', 'Degraded result is a full classification');
+
+  const cached = await classifyMessage(INCONCLUSIVE, provider, { cache });
+  assertEqual([cached.metadata.cache, cached.metadata.degraded], ['hit', false], 'Cached classifications are still served while open');
+  const conclusive = await classifyMessage(CONCLUSIVE, provider);
+  assertEqual([conclusive.metadata.method, conclusive.metadata.degraded], ['heuristic', undefined], 'Conclusive heuristics are unaffected');
+
+  const batch = await classifyBatch([INCONCLUSIVE, 'Some other open question'], provider);
+  assertEqual(batch.results.map(result => [result.success, result.metadata.degraded]), [[true, true], [true, true]], 'Batch items degrade instead of failing');
+  assertEqual(batch.metadata.degraded_count, 2, 'Batch metadata counts degraded items');
+
+  console.log(`\n📊 Test Results: ${passedTests} passed, ${failedTests} failed\n`);
+
+  if (failedTests > 0) {
+    process.exit(1);
+  }
+}
+
+run();
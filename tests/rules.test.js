@@ -0,0 +1,183 @@
+/**
+ * Tests for data-driven heuristic rules
+ * Run with: node tests/rules.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_RULES_FILE,
+  compileRuleset,
+  readRulesFile,
+  loadRules,
+  watchRules,
+  getActiveRules,
+  getRulesStatus
+} = require('../src/heuristics/rules');
+const { heuristicClassify } = require('../src/heuristics/classifier');
+
+// Simple test framework
+let passedTests = 0;
+let failedTests = 0;
+
+function assertEqual(actual, expected, testName) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    console.log(`  Expected:`, expected);
+    console.log(`  Got:`, actual);
+    failedTests++;
+  }
+}
+
+function assertTrue(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    failedTests++;
+  }
+}
+
+function assertRejected(data, expectedDetail, testName) {
+  try {
+    compileRuleset(data);
+    console.log(`❌ FAIL: ${testName} (no error thrown)`);
+    failedTests++;
+  } catch (error) {
+    assertTrue(error.code === 'invalid_rules' && error.details.includes(expectedDetail), testName);
+  }
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+const defaultData = JSON.parse(fs.readFileSync(DEFAULT_RULES_FILE, 'utf8'));
+
+// Builds a ruleset from the bundled rules with one business tier replaced
+function withHighValue(patterns, version = 2) {
+  return {
+    ...defaultData,
+    version,
+    business_patterns: {
+      ...defaultData.business_patterns,
+      HIGH_VALUE: { score: 1.0, weight: 3, patterns }
+    }
+  };
+}
+
+async function run() {
+  console.log('\n🧪 Running Heuristic Rules Tests\n');
+
+  // Test: Bundled rules
+  console.log('--- Bundled Rules ---');
+  const bundled = getActiveRules();
+  assertEqual(bundled.source, DEFAULT_RULES_FILE, 'Bundled rules are active by default');
+  assertEqual(Object.keys(bundled.BUSINESS_PATTERNS), ['HIGH_VALUE', 'MEDIUM_HIGH_VALUE', 'MEDIUM_VALUE', 'LOW_VALUE'], 'Business tiers keep file order');
+  assertTrue(bundled.TIME_PATTERNS.URGENT.regex instanceof RegExp, 'Regex sources compile to RegExp');
+  assertTrue(bundled.TIME_PATTERNS.URGENT.regex.flags.includes('i'), 'Compiled regexes are case-insensitive');
+  assertEqual(typeof bundled.REPLY_PATTERNS.NO_REPLY.condition, 'function', 'when blocks compile to conditions');
+  assertEqual(bundled.hash.length, 12, 'Ruleset has a short content hash');
+
+  // Test: Condition language
+  console.log('\n--- Conditions ---');
+  const conditionRules = compileRuleset(withHighValue([
+    { type: 'Booking', regex: 'gig', when: { not_contains: '?' } },
+    { type: 'Invoice', regex: 'bill', when: { requires_any: ['wrong', 'missing'] } },
+    { type: 'Refund', regex: 'money', when: { contains: ['back', 'want'], min_length: 10, max_length: 40 } }
+  ])).BUSINESS_PATTERNS.HIGH_VALUE.patterns;
+  const [gig, bill, money] = conditionRules;
+  assertTrue(gig.condition('Great gig!'), 'not_contains passes without the string');
+  assertTrue(!gig.condition('Great gig?'), 'not_contains fails with the string');
+  assertTrue(bill.condition('The bill is WRONG'), 'requires_any matches case-insensitively');
+  assertTrue(!bill.condition('Here is the bill'), 'requires_any fails with none present');
+  assertTrue(money.condition('I want my money back'), 'contains passes when every string appears');
+  assertTrue(!money.condition('I want my money'), 'contains fails when one string is missing');
+  assertTrue(!money.condition('want back'), 'min_length rejects short messages');
+  assertTrue(!money.condition(`I want my money back ${'please '.repeat(5)}`), 'max_length rejects long messages');
+  assertTrue(!('when' in gig), 'Compiled rules drop the raw when block');
+
+  // Test: Validation
+  console.log('\n--- Validation ---');
+  assertRejected(withHighValue([{ type: 'Party', regex: 'gig' }]), 'type', 'Unknown focus type is rejected');
+  assertRejected(withHighValue([{ type: 'Booking', regex: '(gig' }]), 'valid regular expression', 'Invalid regex is rejected');
+  assertRejected(withHighValue([{ type: 'Booking', regex: 'gig', when: { not_contain: '?' } }]), 'not_contain', 'Unknown condition is rejected');
+  assertRejected(withHighValue([]), 'at least one pattern', 'Empty tier is rejected');
+  assertRejected({ ...defaultData, time_patterns: { URGENT: { score: 2, regex: 'asap' } } }, 'score must be <= 1', 'Out-of-range score is rejected');
+  assertRejected({ ...defaultData, reply_patterns: {} }, 'at least one reply rule', 'Missing reply rules are rejected');
+  assertRejected({ ...defaultData, version: undefined }, 'version', 'Missing version is rejected');
+
+  // Test: Loading files
+  console.log('\n--- Loading ---');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'classifier-rules-'));
+  const rulesFile = path.join(tmpDir, 'rules.json');
+
+  fs.writeFileSync(rulesFile, JSON.stringify(withHighValue([{ type: 'Booking', regex: '\\bappointment\\b' }])));
+  const loaded = loadRules(rulesFile);
+  assertEqual(getActiveRules(), loaded, 'Loaded rules become active');
+  assertEqual(heuristicClassify('Can I get an appointment?').focus_summary_type, 'Booking', 'Classifier uses the loaded rules');
+  assertEqual(heuristicClassify('Can I book you?').focus_summary_type, null, 'Removed patterns no longer match');
+
+  fs.writeFileSync(rulesFile, '{ "version": 3, ');
+  try {
+    loadRules(rulesFile);
+    assertTrue(false, 'Malformed JSON is rejected');
+  } catch (error) {
+    assertEqual(error.code, 'invalid_rules', 'Malformed JSON is rejected');
+  }
+  assertEqual(getActiveRules(), loaded, 'Last good rules stay active after a rejected file');
+  assertTrue(getRulesStatus().last_error.message.includes(rulesFile), 'Status reports the rejected file');
+
+  try {
+    readRulesFile(path.join(tmpDir, 'missing.json'));
+    assertTrue(false, 'Missing file is rejected');
+  } catch (error) {
+    assertEqual(error.code, 'invalid_rules', 'Missing file is rejected');
+  }
+
+  // Test: Hot reload
+  console.log('\n--- Hot Reload ---');
+  fs.writeFileSync(rulesFile, JSON.stringify(withHighValue([{ type: 'Booking', regex: '\\bappointment\\b' }], 4)));
+  loadRules(rulesFile);
+  const reloads = [];
+  const rejections = [];
+  const watcher = watchRules(rulesFile, {
+    intervalMs: 20,
+    onReload: rules => reloads.push(rules.version),
+    onError: error => rejections.push(error.code)
+  });
+
+  await wait(100);
+  fs.writeFileSync(rulesFile, JSON.stringify(withHighValue([{ type: 'Booking', regex: '\\bsession\\b' }], 5)));
+  await wait(200);
+  assertEqual(reloads, [5], 'Changed file is reloaded');
+  assertEqual(heuristicClassify('Can I book a session?').focus_summary_type, 'Booking', 'Reloaded rules apply without a restart');
+
+  fs.writeFileSync(rulesFile, JSON.stringify(withHighValue([{ type: 'Booking', regex: '[session' }], 6)));
+  await wait(200);
+  assertEqual(rejections, ['invalid_rules'], 'Invalid change is rejected');
+  assertEqual(getActiveRules().version, 5, 'Last good rules stay active after an invalid change');
+
+  fs.rmSync(rulesFile);
+  await wait(200);
+  assertEqual(getActiveRules().version, 5, 'Deleting the file keeps the last good rules');
+
+  watcher.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  loadRules(DEFAULT_RULES_FILE);
+  assertEqual(getRulesStatus().last_error, null, 'Successful load clears the last error');
+
+  console.log(`\n📊 Test Results: ${passedTests} passed, ${failedTests} failed\n`);
+
+  if (failedTests > 0) {
+    process.exit(1);
+  }
+}
+
+run();
@@ -3,7 +3,12 @@
  * Run with: node tests/schema.test.js
  */
 
-const { validateClassification, safeValidateClassification, FocusSummaryTypes } = require('../src/schema');
+const {
+  validateClassification,
+  validateMultiLabelClassification,
+  safeValidateClassification,
+  FocusSummaryTypes
+} = require('../src/schema');
 
 // Simple test framework
 let passedTests = 0;
@@ -207,6 +212,58 @@ try {
   assertTrue(false, 'Extra fields are allowed (stripped)');
 }
 
+// Test: Multi-label classifications
+console.log('\n--- Multi-Label ---');
+const multiLabel = {
+  ...validClassification,
+  focus_summary_type: 'Refund',
+  labels: [
+    { focus_summary_type: 'Refund', business_value_score: 1.0, time_sensitive_score: 0.7 },
+    { focus_summary_type: 'Invoice', business_value_score: 1.0, time_sensitive_score: 0.4 },
+    { focus_summary_type: 'Booking', business_value_score: 1.0, time_sensitive_score: 0.0 }
+  ]
+};
+
+try {
+  const result = validateMultiLabelClassification(multiLabel);
+  assertTrue(result.labels.length === 3, 'Valid multi-label classification passes');
+} catch (e) {
+  assertTrue(false, 'Valid multi-label classification passes');
+}
+
+assertThrows(
+  () => validateMultiLabelClassification(validClassification),
+  'Missing labels throws error'
+);
+
+assertThrows(
+  () => validateMultiLabelClassification({ ...multiLabel, labels: [] }),
+  'Empty labels throws error'
+);
+
+assertThrows(
+  () => validateMultiLabelClassification({ ...multiLabel, focus_summary_type: 'Collab' }),
+  'Primary category missing from labels throws error'
+);
+
+assertThrows(
+  () => validateMultiLabelClassification({ ...multiLabel, labels: [multiLabel.labels[0], multiLabel.labels[0]] }),
+  'Repeated label throws error'
+);
+
+assertThrows(
+  () => validateMultiLabelClassification({
+    ...multiLabel,
+    labels: [{ focus_summary_type: 'Refund', business_value_score: 1.5, time_sensitive_score: 0 }]
+  }),
+  'Out-of-range label score throws error'
+);
+
+assertTrue(
+  !('labels' in validateClassification(multiLabel)),
+  'Single-label validation strips labels'
+);
+
 console.log(`\n📊 Test Results: ${passedTests} passed, ${failedTests} failed\n`);
 
 if (failedTests > 0) {
@@ -0,0 +1,129 @@
+/**
+ * Tests for few-shot example selection
+ * Run with: node tests/selection.test.js
+ */
+
+const { getSelectionOptions, describeSelection, candidatePoolSize, selectExamples } = require('../src/utils/selection');
+const { configureSelection, findSimilarExamples, getExamplesCount } = require('../src/utils/embeddings');
+const { classifyMessage } = require('../src/pipeline');
+const { createMockProvider } = require('../src/providers');
+const { createMemoryCache } = require('../src/cache');
+
+// Simple test framework
+let passedTests = 0;
+let failedTests = 0;
+
+function assertEqual(actual, expected, testName) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    console.log(`  Expected:`, expected);
+    console.log(`  Got:`, actual);
+    failedTests++;
+  }
+}
+
+function assertTrue(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    failedTests++;
+  }
+}
+
+function assertThrows(fn, testName) {
+  try {
+    fn();
+    console.log(`❌ FAIL: ${testName} (did not throw)`);
+    failedTests++;
+  } catch (error) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  }
+}
+
+function candidate(id, focus, similarity, embedding) {
+  return { id, message: id, classification: { focus_summary_type: focus }, similarity, embedding };
+}
+
+// Two near-duplicate bookings, then a refund and a collab in other directions
+const candidates = [
+  candidate('booking-1', 'Booking', 0.95, [1, 0, 0]),
+  candidate('booking-2', 'Booking', 0.94, [0.99, 0.05, 0]),
+  candidate('refund', 'Refund', 0.80, [0.6, 0.8, 0]),
+  candidate('collab', 'Collab', 0.40, [0.5, 0, 0.87])
+];
+const ids = selected => selected.map(example => example.id);
+
+async function run() {
+  console.log('\n🧪 Running Example Selection Tests\n');
+
+  // Test: Configuration
+  console.log('--- Configuration ---');
+  assertEqual(
+    getSelectionOptions({}),
+    { strategy: 'similarity', lambda: 0.7, maxPerCategory: null, minSimilarity: null },
+    'Defaults to plain similarity'
+  );
+  assertEqual(
+    getSelectionOptions({ EXAMPLE_SELECTION: 'MMR', EXAMPLE_MMR_LAMBDA: '0.5', EXAMPLE_MAX_PER_CATEGORY: '1', EXAMPLE_MIN_SIMILARITY: '0.3' }),
+    { strategy: 'mmr', lambda: 0.5, maxPerCategory: 1, minSimilarity: 0.3 },
+    'Reads every setting'
+  );
+  assertThrows(() => getSelectionOptions({ EXAMPLE_SELECTION: 'random' }), 'Unknown strategy is rejected');
+  assertThrows(() => getSelectionOptions({ EXAMPLE_MMR_LAMBDA: '2' }), 'Lambda outside 0-1 is rejected');
+  assertThrows(() => getSelectionOptions({ EXAMPLE_MAX_PER_CATEGORY: '1.5' }), 'Fractional cap is rejected');
+  assertEqual(describeSelection({ strategy: 'mmr', lambda: 0.5, maxPerCategory: 1, minSimilarity: 0.3 }), 'mmr(0.5),cap=1,min=0.3', 'Describes the settings');
+  assertEqual(candidatePoolSize(3, { strategy: 'similarity' }), 3, 'Plain similarity retrieves only k');
+  assertEqual(candidatePoolSize(3, { strategy: 'mmr' }), 15, 'MMR retrieves a larger candidate pool');
+
+  // Test: Strategies
+  console.log('\n--- Strategies ---');
+  assertEqual(ids(selectExamples(candidates, 2)), ['booking-1', 'booking-2'], 'Similarity takes the top k, near-duplicates included');
+  assertEqual(ids(selectExamples(candidates, 2, { strategy: 'mmr', lambda: 0.5 })), ['booking-1', 'refund'], 'MMR skips the near-duplicate');
+  assertEqual(ids(selectExamples(candidates, 2, { strategy: 'mmr', lambda: 1 })), ['booking-1', 'booking-2'], 'MMR with lambda 1 is plain similarity');
+  assertEqual(ids(selectExamples(candidates, 3, { maxPerCategory: 1 })), ['booking-1', 'refund', 'collab'], 'Per-category cap limits each focus type');
+  assertEqual(ids(selectExamples(candidates, 3, { minSimilarity: 0.9 })), ['booking-1', 'booking-2'], 'Examples below the minimum similarity are dropped');
+  assertEqual(selectExamples(candidates, 3, { minSimilarity: 0.99 }), [], 'No examples when none are similar enough');
+  assertEqual(ids(selectExamples(candidates, 10)), ids(candidates), 'Never returns more than the candidates');
+
+  // Test: Retrieval and metadata
+  console.log('\n--- Retrieval and Metadata ---');
+  const provider = createMockProvider();
+  const message = 'Quick question about your work for Friday';
+  const embedding = (await provider.embed(message)).embeddings[0];
+  assertTrue(getExamplesCount() > 0, 'Bundled examples are loaded');
+
+  const similar = findSimilarExamples(message, embedding, 3);
+  assertTrue(similar.every(example => /^ex_[0-9a-f]{12}$/.test(example.id)), 'Similar examples carry ids');
+  assertTrue(similar.every(example => example.embedding === undefined), 'Similar examples omit embeddings');
+  const capped = findSimilarExamples(message, embedding, 3, { strategy: 'mmr', lambda: 0.7, maxPerCategory: 1, minSimilarity: null });
+  const types = capped.map(example => example.classification.focus_summary_type);
+  assertEqual(new Set(types).size, types.length, 'Configured cap applies to retrieval');
+
+  const cache = createMemoryCache({ ttlMs: 60000, maxEntries: 10 });
+  const result = await classifyMessage(message, provider, { cache });
+  assertEqual(result.metadata.example_selection, { strategy: 'similarity', example_ids: similar.map(example => example.id) }, 'Metadata records the strategy and example ids');
+
+  configureSelection({ strategy: 'mmr', minSimilarity: 0.99 });
+  const strict = await classifyMessage(message, provider, { cache });
+  assertEqual(strict.metadata.cache, 'miss', 'Changing the selection invalidates cached classifications');
+  assertEqual(strict.metadata.example_selection, { strategy: 'mmr(0.7),min=0.99', example_ids: [] }, 'No examples are used below the minimum similarity');
+  assertEqual(strict.metadata.similar_examples_count, 0, 'Example count reflects the selection');
+  configureSelection();
+
+  const heuristic = await classifyMessage('Need to book you for Friday ASAP please!', provider);
+  assertEqual(heuristic.metadata.example_selection, undefined, 'Heuristic results have no example selection');
+
+  console.log(`\n📊 Test Results: ${passedTests} passed, ${failedTests} failed\n`);
+
+  if (failedTests > 0) {
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,193 @@
+/**
+ * Tests for sentiment scoring and escalation risk
+ * Run with: node tests/sentiment.test.js
+ */
+
+const {
+  scoreSentiment,
+  detectEscalation,
+  foldEscalation,
+  applyEscalation
+} = require('../src/heuristics/sentiment');
+const { heuristicClassify } = require('../src/heuristics/classifier');
+const { classifyMessage, runHeuristicStage } = require('../src/pipeline');
+const { buildSystemPrompt, buildHintsFromHeuristic } = require('../src/prompts');
+const { parseClassificationResponse } = require('../src/repair');
+const { validateClassification } = require('../src/schema');
+const { createMockProvider } = require('../src/providers');
+
+// Simple test framework
+let passedTests = 0;
+let failedTests = 0;
+
+function assertEqual(actual, expected, testName) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    console.log(`  Expected:`, expected);
+    console.log(`  Got:`, actual);
+    failedTests++;
+  }
+}
+
+function assertTrue(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    failedTests++;
+  }
+}
+
+/**
+ * Builds a fake provider that answers with fixed sentiment and escalation
+ * Captures the system prompts it receives
+ */
+function createSentimentProvider(fields) {
+  const prompts = [];
+
+  const provider = {
+    name: 'fake',
+    chatModel: 'fake-model',
+    embeddingModel: 'fake-embedding',
+    embed: async () => ({ embeddings: [new Array(1536).fill(0)], usage: { total_tokens: 0 } }),
+    complete: async ({ messages }) => {
+      prompts.push(messages[0].content);
+      return {
+        model: 'fake-model',
+        usage: { total_tokens: 100 },
+        content: JSON.stringify({
+          needs_reply: true,
+          time_sensitive_score: 0.2,
+          business_value_score: 0.4,
+          focus_summary_type: 'General',
+          reason: 'Fake classification',
+          ...fields
+        })
+      };
+    }
+  };
+
+  return { provider, prompts };
+}
+
+const POLITE_REFUND = 'Hi, could I get a refund for order #4821? The size was wrong, thanks!';
+const FURIOUS_REFUND = 'This is RIDICULOUS!!! I want my refund NOW or I am filing a chargeback with my bank.';
+const NEUTRAL = 'Quick question about your work for Friday';
+const ids = scan => scan.signals.map(signal => signal.id);
+
+async function run() {
+  console.log('\n🧪 Running Sentiment and Escalation Tests\n');
+
+  // Test: Sentiment
+  console.log('--- Sentiment ---');
+  assertEqual(scoreSentiment(NEUTRAL), null, 'No sentiment words scores null');
+  assertEqual(scoreSentiment('Love your work! Amazing video'), 0.5, 'Praise scores positive');
+  assertEqual(scoreSentiment('Really disappointed, the print arrived broken'), -0.5, 'Complaints score negative');
+  assertEqual(scoreSentiment('Not happy with the delivery at all'), -0.33, 'Negation flips a word');
+  assertEqual(scoreSentiment('I am furious, this is a scam'), -0.67, 'Strong words weigh more');
+  assertTrue(scoreSentiment('This is unacceptable!!') < scoreSentiment('This is unacceptable.'), 'Exclamations make anger stronger');
+  assertEqual(scoreSentiment('Thanks for nothing'), -0.5, '"Thanks for nothing" is not thanks');
+  assertTrue(scoreSentiment('Estoy muy decepcionado') < 0 && scoreSentiment('Merci, c\'est parfait') > 0, 'Scores Spanish and French');
+
+  // Test: Escalation
+  console.log('\n--- Escalation ---');
+  assertEqual(detectEscalation(NEUTRAL), { score: null, signals: [] }, 'No signal scores null');
+  assertEqual(ids(detectEscalation('Refund me or I will dispute the charge')), ['chargeback'], 'Flags chargeback threats');
+  assertEqual(ids(detectEscalation('My lawyer will be in touch')), ['legal_action'], 'Flags legal threats');
+  assertEqual(ids(detectEscalation('Voy a contactar a mi abogado')), ['legal_action'], 'Flags legal threats in Spanish');
+  assertEqual(ids(detectEscalation('Meet me at the basketball court')), [], 'A court is not always a lawsuit');
+  assertEqual(ids(detectEscalation('Fix this or I leave a 1-star review')), ['public_complaint'], 'Flags public complaint threats');
+  assertEqual(ids(detectEscalation('Third time asking about my order')), ['repeated_follow_up'], 'Flags repeated follow-ups');
+  assertEqual(ids(detectEscalation('Still no reply about my invoice')), ['repeated_follow_up'], 'Flags unanswered follow-ups');
+  assertEqual(ids(detectEscalation('WHERE IS MY ORDER, I PAID WEEKS AGO')), ['all_caps'], 'Flags shouting');
+  assertEqual(ids(detectEscalation('I LOVE YOUR VIDEOS SO MUCH')), [], 'Shouted praise is not an escalation');
+  assertEqual(ids(detectEscalation('[EMAIL_1] [PHONE_1] [ADDRESS_1] where is it')), [], 'Redaction placeholders are not shouting');
+  assertEqual(ids(detectEscalation('I am furious, this is a scam')), ['negative_sentiment'], 'Strong negative sentiment is a signal');
+
+  const furious = detectEscalation(FURIOUS_REFUND);
+  assertEqual([ids(furious), furious.score], [['chargeback'], 0.7], 'Scores the furious refund demand');
+  const stacked = detectEscalation('Third time asking. Refund me or I call my bank and my lawyer');
+  assertEqual([ids(stacked), stacked.score], [['legal_action', 'chargeback', 'repeated_follow_up'], 0.97], 'Signals combine as independent evidence');
+
+  const history = [
+    { role: 'customer', text: 'Where is my order?' },
+    { role: 'customer', text: 'Any update?' }
+  ];
+  assertEqual(detectEscalation('Hello?', { history }).signals, [{ id: 'repeated_follow_up', match: '3 messages without a reply' }], 'Unanswered thread turns are repeated follow-ups');
+  assertEqual(ids(detectEscalation('Hello?', { history: [...history, { role: 'owner', text: 'Checking!' }] })), [], 'An owner reply resets the count');
+  assertEqual(ids(detectEscalation('Hello?', { history: history.slice(1) })), [], 'One earlier turn is not enough');
+
+  // Test: Time sensitivity
+  console.log('\n--- Time Sensitivity ---');
+  assertEqual([foldEscalation(0.2, 0.7), foldEscalation(null, 0.5), foldEscalation(0.9, 0.5)], [1, 0.7, 0.9], 'Escalation raises time sensitivity, never lowers it');
+  assertEqual([foldEscalation(0.2, 0.3), foldEscalation(null, null)], [0.2, null], 'Low or no risk leaves it alone');
+
+  const polite = runHeuristicStage(POLITE_REFUND).heuristic;
+  const angry = runHeuristicStage(FURIOUS_REFUND).heuristic;
+  assertEqual([polite.focus_summary_type, angry.focus_summary_type], ['Refund', 'Refund'], 'Both refund messages match the Refund pattern');
+  assertEqual([polite.escalation_risk, polite.time_sensitive_score], [null, null], 'The polite question has no escalation');
+  assertEqual([angry.escalation_risk, angry.time_sensitive_score], [0.7, 1], 'The furious demand is escalated and urgent');
+  assertTrue(angry.sentiment < polite.sentiment, 'The furious demand is more negative');
+
+  const multi = applyEscalation(heuristicClassify('Love the gig! But refund me or I file a chargeback', { multiLabel: true }), 'Love the gig! But refund me or I file a chargeback');
+  assertEqual(multi.labels[0].time_sensitive_score, 1, 'Escalation raises the primary label in multi-label mode');
+
+  // Test: Prompt
+  console.log('\n--- Prompt ---');
+  assertTrue(buildSystemPrompt().includes('"escalation_risk": 0.0-1.0') && buildSystemPrompt({ promptVersion: 'v2' }).includes('"sentiment": -1.0-1.0'), 'Every prompt version asks for sentiment and escalation');
+  assertEqual(
+    buildHintsFromHeuristic(angry).filter(hint => /sentiment|escalation/i.test(hint)),
+    ['Suggested sentiment: -0.43', 'Suggested escalation_risk: 0.7', 'Escalation signals: chargeback'],
+    'Local scores are passed as hints'
+  );
+  assertEqual(buildHintsFromHeuristic(runHeuristicStage(NEUTRAL).heuristic).filter(hint => /sentiment|escalation/i.test(hint)), [], 'No hints when nothing was found');
+
+  // Test: Schema
+  console.log('\n--- Schema ---');
+  const response = fields => JSON.stringify({ needs_reply: true, time_sensitive_score: 0.2, business_value_score: 0.4, focus_summary_type: 'General', reason: 'ok', ...fields });
+  assertEqual(parseClassificationResponse(response({ sentiment: -0.6, escalation_risk: 0.7 })).classification.escalation_risk, 0.7, 'Accepts sentiment and escalation_risk');
+  assertTrue(parseClassificationResponse(response({})).success, 'Both fields are optional');
+  assertEqual(parseClassificationResponse(response({ sentiment: '-1.05' })).classification.sentiment, -1, 'Repairs near-miss sentiment');
+  assertTrue(!parseClassificationResponse(response({ escalation_risk: 3 })).success, 'Rejects escalation_risk out of range');
+
+  // Test: Pipeline
+  console.log('\n--- Pipeline ---');
+  const conclusive = await classifyMessage('Love your work! Amazing video', createMockProvider());
+  assertEqual([conclusive.metadata.method, conclusive.classification.sentiment, conclusive.classification.escalation_risk], ['heuristic', 0.5, 0], 'Conclusive results carry local scores');
+  assertTrue(validateClassification(conclusive.classification), 'Results match the classification schema');
+
+  const mocked = await classifyMessage(FURIOUS_REFUND, createMockProvider());
+  assertEqual([mocked.classification.sentiment, mocked.classification.escalation_risk, mocked.classification.time_sensitive_score], [-0.43, 0.7, 1], 'The LLM path keeps local scores');
+
+  const filled = createSentimentProvider({ sentiment: -0.8, escalation_risk: 0.7 });
+  const llm = await classifyMessage(NEUTRAL, filled.provider);
+  assertEqual([llm.classification.sentiment, llm.classification.escalation_risk], [-0.8, 0.7], 'The LLM fills in what the heuristics missed');
+  assertEqual(llm.classification.time_sensitive_score, 1, 'LLM escalation also raises time sensitivity');
+  assertTrue(filled.prompts[0].includes('Sentiment and escalation:'), 'The system prompt asks for both');
+
+  const overridden = await classifyMessage(FURIOUS_REFUND, createSentimentProvider({ sentiment: 0.9, escalation_risk: 0 }).provider);
+  assertEqual([overridden.classification.sentiment, overridden.classification.escalation_risk], [-0.43, 0.7], 'Local scores win over the LLM');
+
+  const silent = await classifyMessage(NEUTRAL, createSentimentProvider({}).provider);
+  assertEqual([silent.classification.sentiment, silent.classification.escalation_risk], [0, 0], 'Missing values default to 0');
+
+  const thread = [
+    { role: 'customer', text: 'Hi, when will my print ship?' },
+    { role: 'customer', text: 'Any news on the shipping?' },
+    { role: 'customer', text: 'Hello? When does it ship?' }
+  ];
+  const threaded = await classifyMessage(thread[2].text, createMockProvider(), { thread });
+  assertEqual([threaded.classification.escalation_risk, threaded.classification.time_sensitive_score], [0.5, 0.7], 'Unanswered thread turns escalate the latest message');
+
+  console.log(`\n📊 Test Results: ${passedTests} passed, ${failedTests} failed\n`);
+
+  if (failedTests > 0) {
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,181 @@
+/**
+ * Tests for spam, scam and bot-message detection
+ * Run with: node tests/spam.test.js
+ */
+
+const { getSpamOptions, findLinks, detectSpam } = require('../src/heuristics/spam');
+const { heuristicClassify } = require('../src/heuristics/classifier');
+const { classifyMessage, classifyBatch } = require('../src/pipeline');
+const { redactMessage } = require('../src/redaction');
+const { runEvaluation } = require('../src/evaluation');
+const { validateClassification } = require('../src/schema');
+const { createMockProvider } = require('../src/providers');
+const corpus = require('./fixtures/spam-corpus.json');
+
+// Simple test framework
+let passedTests = 0;
+let failedTests = 0;
+
+function assertEqual(actual, expected, testName) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    console.log(`  Expected:`, expected);
+    console.log(`  Got:`, actual);
+    failedTests++;
+  }
+}
+
+function assertTrue(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    failedTests++;
+  }
+}
+
+function assertThrows(fn, testName) {
+  try {
+    fn();
+    console.log(`❌ FAIL: ${testName} (did not throw)`);
+    failedTests++;
+  } catch (error) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  }
+}
+
+/**
+ * Mock provider that counts completions
+ */
+function createCountingProvider() {
+  const provider = createMockProvider();
+  const calls = { complete: 0 };
+  return {
+    calls,
+    provider: {
+      ...provider,
+      complete: async request => {
+        calls.complete++;
+        return provider.complete(request);
+      }
+    }
+  };
+}
+
+const SPAM = 'DM me to collab 💰 crypto';
+const COLLAB_SPAM = 'Brand collab and sponsorship! DM me to collab 💰 crypto';
+const CLEAN = 'Quick question about your work for Friday';
+const ids = scan => scan.signals.map(signal => signal.id);
+
+async function run() {
+  console.log('\n🧪 Running Spam Detection Tests\n');
+
+  // Test: Configuration
+  console.log('--- Configuration ---');
+  assertEqual(getSpamOptions({}), { threshold: 0.7 }, 'Enabled at 0.7 by default');
+  assertEqual(getSpamOptions({ SPAM_THRESHOLD: '0.8' }), { threshold: 0.8 }, 'Reads the threshold');
+  assertEqual(getSpamOptions({ SPAM_DETECTION: 'False' }), null, 'SPAM_DETECTION=false disables it');
+  assertThrows(() => getSpamOptions({ SPAM_THRESHOLD: '1.5' }), 'Threshold above 1 throws');
+  assertThrows(() => getSpamOptions({ SPAM_DETECTION: 'maybe' }), 'Invalid switch throws');
+
+  // Test: Corpus
+  console.log('\n--- Corpus ---');
+  const missed = corpus.spam.filter(item => !detectSpam(item.message).detected);
+  assertEqual(missed.map(item => item.message), [], `Filters every spam message (${corpus.spam.length - missed.length}/${corpus.spam.length})`);
+  const falsePositives = corpus.legitimate.filter(item => detectSpam(item.message).detected);
+  assertEqual(falsePositives.map(item => item.message), [], `Filters no legitimate message (${falsePositives.length}/${corpus.legitimate.length})`);
+
+  // Test: Signals
+  console.log('\n--- Signals ---');
+  const scan = detectSpam(SPAM);
+  assertEqual(ids(scan), ['crypto_investment', 'dm_bait', 'money_emoji'], 'Reports each signal found');
+  assertEqual([scan.score, scan.detected], [0.79, true], 'Signals combine as independent evidence');
+  assertEqual(detectSpam('Can we collab? DM me for details').detected, false, 'One signal is not enough');
+  assertEqual(detectSpam('Can we collab? DM me for details', { threshold: 0.4 }).detected, true, 'Threshold is configurable');
+  assertEqual(detectSpam(CLEAN), { detected: false, score: 0, threshold: 0.7, signals: [] }, 'Clean messages score 0');
+
+  assertEqual(findLinks('see bit.ly/x, https://Example.com and www.site.org; done.Thanks, jo@mail.com').map(link => link.host), ['bit.ly', 'example.com', 'site.org'], 'Finds links, not sentence typos or email domains');
+  assertEqual(ids(detectSpam('read this bit.ly/abc')), ['link_shortener'], 'Flags link shorteners');
+  assertEqual(ids(detectSpam('go to http://10.0.0.1/x or xn--pple-43d.com')), ['suspicious_link'], 'Flags IPs and punycode');
+  assertEqual(ids(detectSpam('best deals at deals.xyz')), ['suspicious_link'], 'Flags throwaway domains');
+  assertEqual(ids(detectSpam('a.com/1 b.com/2 c.com/3')), ['excessive_links'], 'Flags link floods');
+  assertEqual(ids(detectSpam('WE HAVE THE BEST OFFER FOR YOUR CHANNEL')), ['excessive_caps'], 'Flags shouting');
+  assertEqual(ids(detectSpam('[EMAIL_1] [PHONE_1] [ADDRESS_1] ok')), [], 'Redaction placeholders are not shouting');
+  assertEqual(ids(detectSpam('wow 🔥🔥🔥🔥🔥')), ['excessive_emoji'], 'Flags emoji floods');
+
+  // Test: Brand mismatch
+  console.log('\n--- Brand Mismatch ---');
+  const fake = 'Hi, I am from Nike marketing, reach me at nike.team@gmail.com';
+  assertEqual(ids(detectSpam(fake)), ['brand_mismatch'], 'A brand claim from a free mailbox is a mismatch');
+  assertEqual(detectSpam(fake).signals[0].match, 'from nike (gmail.com)', 'Reports the claim and the foreign domain');
+  assertEqual(ids(detectSpam('Hi, I am from Nike marketing, reach me at jo@nike.com or eu.nike.com/creators')), [], 'Official domains and subdomains match the brand');
+  assertEqual(ids(detectSpam('Hi, I am from Nike marketing, call me back')), [], 'A claim without an email or link can\'t be checked');
+  assertEqual(ids(detectSpam('Love the Nike shoes in your video! bit.ly/x')), ['link_shortener'], 'Mentioning a brand is not a claim');
+  const redacted = redactMessage(fake);
+  assertEqual(ids(detectSpam(redacted.message)), [], 'Redacted addresses are not in the message');
+  assertEqual(ids(detectSpam(redacted.message, { emails: [redacted.replacements[0].value] })), ['brand_mismatch'], 'They are checked when passed in');
+
+  // Test: Pipeline
+  console.log('\n--- Pipeline ---');
+  assertEqual(heuristicClassify(COLLAB_SPAM).business_value_score, 0.7, 'The pattern rules alone score collab spam as valuable');
+  const counter = createCountingProvider();
+  const filtered = await classifyMessage(COLLAB_SPAM, counter.provider);
+  assertEqual(
+    [filtered.classification.needs_reply, filtered.classification.business_value_score, filtered.classification.time_sensitive_score, filtered.classification.focus_summary_type],
+    [false, 0, 0, 'Spam'],
+    'Spam is filtered: no reply, no value, Spam category'
+  );
+  assertEqual([filtered.metadata.method, filtered.metadata.tokens_used, counter.calls.complete], ['spam', 0, 0], 'Spam never reaches the LLM');
+  assertEqual(filtered.classification.spam_score, 0.79, 'The classification carries the spam score');
+  assertEqual(filtered.metadata.spam, { signals: detectSpam(COLLAB_SPAM).signals, filtered: true }, 'Metadata lists the signals');
+  assertEqual(filtered.classification.reason, 'Filtered as spam: crypto investment, dm bait, money emoji', 'The reason names the signals');
+  assertTrue(validateClassification(filtered.classification), 'Spam results match the classification schema');
+
+  const multi = await classifyMessage(SPAM, createMockProvider(), { multiLabel: true });
+  assertEqual(multi.classification.labels, [{ focus_summary_type: 'Spam', time_sensitive_score: 0, business_value_score: 0 }], 'Multi-label spam has one Spam label');
+
+  const clean = await classifyMessage(CLEAN, createMockProvider());
+  assertEqual([clean.classification.spam_score, clean.metadata.spam], [0, undefined], 'Clean messages score 0 with no spam metadata');
+  const weak = await classifyMessage('Can we collab? DM me for details', createMockProvider());
+  assertEqual([weak.metadata.method, weak.metadata.spam.filtered], ['llm', false], 'Below the threshold the message is classified as usual');
+
+  const disabled = await classifyMessage(COLLAB_SPAM, createMockProvider(), { spam: null });
+  assertEqual([disabled.metadata.method, disabled.classification.spam_score], ['llm', null], 'spam: null turns detection off');
+  const strict = await classifyMessage(COLLAB_SPAM, createMockProvider(), { spam: { threshold: 0.9 } });
+  assertEqual(strict.metadata.method, 'llm', 'The threshold is passed through');
+
+  const events = [];
+  await classifyMessage(SPAM, createMockProvider(), { onEvent: (type, data) => events.push([type, data]) });
+  assertEqual([events.length, events[0][1].spam_score], [1, 0.79], 'The heuristic event carries the score');
+
+  const fakeBrand = redactMessage('Hi, I am from Nike marketing, you have been selected for our ambassador program! Reply to nike.team@gmail.com');
+  const brand = await classifyMessage(fakeBrand.message, createMockProvider(), { redaction: { replacements: fakeBrand.replacements, restoreEntities: true } });
+  assertEqual([brand.metadata.method, brand.classification.entities.emails[0].text], ['spam', 'nike.team@gmail.com'], 'Redacted emails still reveal fake brands');
+
+  // Test: Batch
+  console.log('\n--- Batch ---');
+  const batchCounter = createCountingProvider();
+  const batch = await classifyBatch([SPAM, CLEAN, COLLAB_SPAM], batchCounter.provider);
+  assertEqual(batch.results.map(result => result.classification.focus_summary_type), ['Spam', 'General', 'Spam'], 'Batch filters spam items');
+  assertEqual(batch.results.map(result => result.classification.spam_score), [0.79, 0, 0.79], 'Every batch item carries its score');
+  assertEqual([batch.metadata.spam_count, batchCounter.calls.complete], [2, 1], 'Batch counts spam and only calls the LLM for the rest');
+
+  // Test: Evaluation
+  console.log('\n--- Evaluation ---');
+  const dataset = [{ id: 'spam', message: SPAM, expected: { needs_reply: false, focus_summary_type: 'Spam' } }];
+  const report = await runEvaluation(dataset, { mode: 'heuristic' });
+  assertEqual([report.summary.spam_count, report.accuracy.focus_summary_type.accuracy], [1, 1], 'Evaluation filters spam as the pipeline does');
+
+  console.log(`\n📊 Test Results: ${passedTests} passed, ${failedTests} failed\n`);
+
+  if (failedTests > 0) {
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,208 @@
+/**
+ * Tests for streaming classification and cancellation
+ * Run with: node tests/streaming.test.js
+ */
+
+const { parsePartialFields, createEventStream } = require('../src/streaming');
+const { createCancelledError, isCancelledError } = require('../src/utils/cancel');
+const { createCircuitBreaker } = require('../src/utils/breaker');
+const { createMockProvider, createResilientProvider } = require('../src/providers');
+const { classifyMessage } = require('../src/pipeline');
+
+// Simple test framework
+let passedTests = 0;
+let failedTests = 0;
+
+function assertEqual(actual, expected, testName) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    console.log(`  Expected:`, expected);
+    console.log(`  Got:`, actual);
+    failedTests++;
+  }
+}
+
+function assertTrue(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    failedTests++;
+  }
+}
+
+async function captureError(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Fake Express response that records what is written
+ */
+function createFakeResponse() {
+  return {
+    headers: {},
+    chunks: [],
+    flushed: false,
+    writableEnded: false,
+    destroyed: false,
+    set(headers) { Object.assign(this.headers, headers); },
+    flushHeaders() { this.flushed = true; },
+    write(chunk) { this.chunks.push(chunk); },
+    end() { this.writableEnded = true; }
+  };
+}
+
+/**
+ * Wraps the mock provider to count streamed deltas and optionally
+ * answer with scripted contents (the last one repeats)
+ */
+function createCountingProvider(contents) {
+  const mock = createMockProvider();
+  const counts = { complete: 0, deltas: 0 };
+  return {
+    counts,
+    provider: {
+      ...mock,
+      async complete(request) {
+        counts.complete++;
+        const onDelta = request.onDelta && ((delta, content) => {
+          counts.deltas++;
+          request.onDelta(delta, content);
+        });
+        if (!contents) {
+          return mock.complete({ ...request, onDelta });
+        }
+        const scripted = createMockProvider({
+          responses: { [INCONCLUSIVE]: contents[Math.min(counts.complete - 1, contents.length - 1)] }
+        });
+        return scripted.complete({ ...request, onDelta });
+      }
+    }
+  };
+}
+
+const INCONCLUSIVE = 'Quick question about your work for Friday';
+const CONCLUSIVE = 'Need to book you for Friday ASAP please!';
+const VALID = {
+  needs_reply: true,
+  time_sensitive_score: 0.4,
+  business_value_score: 0.7,
+  focus_summary_type: 'Collab',
+  reason: 'Collaboration question'
+};
+
+async function run() {
+  console.log('\n🧪 Running Streaming Tests\n');
+
+  // Test: Partial fields
+  console.log('--- Partial Fields ---');
+  const full = JSON.stringify({ needs_reply: true, time_sensitive_score: 0.4, labels: [{ focus_summary_type: 'A}"' }], reason: 'Says "hi"' });
+  assertEqual(parsePartialFields(''), { fields: {}, complete: [] }, 'Nothing before the object starts');
+  assertEqual(parsePartialFields('{"needs_reply": tr'), { fields: {}, complete: [] }, 'Unfinished literals are not reported');
+  assertEqual(parsePartialFields('{"needs_reply": true, "time_sensitive_score": 0.4'), { fields: { needs_reply: true }, complete: ['needs_reply'] }, 'Numbers count once a delimiter follows');
+  assertEqual(parsePartialFields(full.slice(0, full.indexOf('Says') + 4)).fields.reason, 'Says', 'Strings in progress are reported as far as they go');
+  assertEqual(parsePartialFields(full.slice(0, full.indexOf('Says') + 6)).fields.reason, 'Says ', 'A cut-off escape is left out');
+  assertEqual(parsePartialFields(full.slice(0, full.indexOf('Says') + 7)).fields.reason, 'Says "', 'Escapes are decoded');
+  assertEqual(parsePartialFields(full), { fields: { needs_reply: true, time_sensitive_score: 0.4, reason: 'Says "hi"' }, complete: ['needs_reply', 'time_sensitive_score', 'reason'] }, 'Nested values are skipped, including brackets in strings');
+  assertEqual(parsePartialFields('```json\n{"reason": "caf\\u00e').fields, { reason: 'caf' }, 'Cut-off unicode escapes are dropped');
+
+  // Test: Event stream
+  console.log('\n--- Event Stream ---');
+  const res = createFakeResponse();
+  const stream = createEventStream(res);
+  stream.send('heuristic', { a: 1 });
+  stream.end();
+  stream.send('partial', { b: 2 });
+  assertEqual([res.headers['Content-Type'], res.flushed], ['text/event-stream', true], 'Sends SSE headers right away');
+  assertEqual(res.chunks, ['event: heuristic\ndata: {"a":1}\n\n'], 'Writes named events and nothing after the end');
+
+  // Test: Provider streaming
+  console.log('\n--- Provider Streaming ---');
+  const mock = createMockProvider();
+  const deltas = [];
+  const streamed = await mock.complete({
+    messages: [{ role: 'user', content: `Message: <<<${INCONCLUSIVE}>>>` }],
+    onDelta: (delta, content) => deltas.push([delta, content])
+  });
+  assertTrue(deltas.length > 1, 'Mock streams in several chunks');
+  assertEqual(deltas.map(([delta]) => delta).join(''), streamed.content, 'Deltas add up to the content');
+  assertEqual(deltas[deltas.length - 1][1], streamed.content, 'onDelta gets the content so far');
+
+  // Test: Pipeline events
+  console.log('\n--- Pipeline Events ---');
+  const events = [];
+  const { provider } = createCountingProvider();
+  const result = await classifyMessage(INCONCLUSIVE, provider, { onEvent: (type, data) => events.push({ type, data }) });
+  const types = [...new Set(events.map(event => event.type))];
+  assertEqual(types, ['heuristic', 'examples', 'partial'], 'Heuristic, then examples, then partial fields');
+  assertEqual(events[0].data.confidence.conclusive, false, 'Heuristic event carries the confidence');
+  assertTrue(events[1].data.examples.every(example => example.id && example.similarity !== undefined && !example.embedding), 'Examples are sent without embeddings');
+  const lastPartial = events[events.length - 1].data;
+  assertEqual(lastPartial.fields.focus_summary_type, result.classification.focus_summary_type, 'Last partial matches the final classification');
+  assertTrue(events.filter(event => event.type === 'partial').every(event => Object.keys(event.data.fields).length > 0), 'Empty partials are not sent');
+
+  const conclusiveEvents = [];
+  await classifyMessage(CONCLUSIVE, provider, { onEvent: type => conclusiveEvents.push(type) });
+  assertEqual(conclusiveEvents, ['heuristic'], 'Conclusive heuristics emit only the heuristic event');
+
+  const reask = createCountingProvider([{ ...VALID, business_value_score: 7 }, VALID]);
+  const attempts = new Set();
+  await classifyMessage(INCONCLUSIVE, reask.provider, {
+    onEvent: (type, data) => type === 'partial' && attempts.add(data.attempt)
+  });
+  assertEqual([...attempts], [1, 2], 'Partials of a re-ask are numbered by attempt');
+
+  const silent = createCountingProvider();
+  await classifyMessage(INCONCLUSIVE, silent.provider);
+  assertEqual(silent.counts.deltas, 0, 'Without onEvent the completion is not streamed');
+
+  // Test: Cancellation
+  console.log('\n--- Cancellation ---');
+  assertTrue(isCancelledError(createCancelledError()), 'Cancelled errors are recognized');
+
+  const counting = createCountingProvider();
+  const breaker = createCircuitBreaker({ failureThreshold: 1 });
+  const resilient = createResilientProvider(counting.provider, { breaker, retries: 2, sleep: async () => {} });
+  const controller = new AbortController();
+  const recorded = [];
+  const cancelled = await captureError(classifyMessage(INCONCLUSIVE, resilient, {
+    signal: controller.signal,
+    outcomes: { record: entry => recorded.push(entry) },
+    onEvent: type => type === 'partial' && controller.abort()
+  }));
+  assertEqual(cancelled && cancelled.code, 'request_cancelled', 'Aborting mid-stream rejects with request_cancelled');
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assertTrue(counting.counts.deltas < deltas.length, 'The upstream stream stops');
+  assertEqual(counting.counts.complete, 1, 'Cancelled calls are not retried');
+  assertEqual([breaker.getState().state, breaker.getState().failures], ['closed', 0], 'Cancelling does not count against the provider');
+  assertEqual(recorded, [], 'Cancelled classifications are not recorded as outcomes');
+
+  const before = counting.counts.complete;
+  const early = await captureError(classifyMessage(INCONCLUSIVE, resilient, { signal: AbortSignal.abort() }));
+  assertEqual([early && early.code, counting.counts.complete], ['request_cancelled', before], 'An aborted signal skips the LLM');
+
+  let clock = 0;
+  const trial = createCircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 10, now: () => clock });
+  trial.recordFailure();
+  clock = 10;
+  trial.allowRequest();
+  trial.releaseRequest();
+  assertEqual(trial.allowRequest(), true, 'A cancelled trial call frees the half-open slot');
+
+  console.log(`\n📊 Test Results: ${passedTests} passed, ${failedTests} failed\n`);
+
+  if (failedTests > 0) {
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,216 @@
+/**
+ * Tests for API keys, tenant rate limits and token budgets
+ * Run with: node tests/tenants.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  generateApiKey,
+  hashApiKey,
+  validateTenants,
+  loadTenants,
+  createTenantRegistry,
+  extractApiKey
+} = require('../src/tenants');
+const { createRateLimiter, createUsageTracker, checkTenantLimits, msUntilBudgetReset } = require('../src/tenants/limits');
+const { classifyMessage, classifyBatch } = require('../src/pipeline');
+const { createMockProvider } = require('../src/providers');
+
+// Simple test framework
+let passedTests = 0;
+let failedTests = 0;
+
+function assertEqual(actual, expected, testName) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    console.log(`  Expected:`, expected);
+    console.log(`  Got:`, actual);
+    failedTests++;
+  }
+}
+
+function assertTrue(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    failedTests++;
+  }
+}
+
+function assertThrows(fn, testName) {
+  try {
+    fn();
+    console.log(`❌ FAIL: ${testName} (did not throw)`);
+    failedTests++;
+  } catch (error) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  }
+}
+
+/**
+ * Fake Express request with headers and query parameters
+ */
+function fakeRequest(headers = {}, query = {}, method = 'POST') {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { method, query, get: name => lower[name.toLowerCase()] };
+}
+
+const KEY = generateApiKey();
+const OTHER_KEY = generateApiKey();
+const INCONCLUSIVE = 'Quick question about your work for Friday';
+const DAY = Date.parse('2025-11-03T10:00:00.000Z');
+
+async function run() {
+  console.log('\n🧪 Running Tenant Tests\n');
+
+  // Test: Keys and config
+  console.log('--- Keys and Config ---');
+  assertTrue(/^mc_[A-Za-z0-9_-]{32}$/.test(KEY) && KEY !== OTHER_KEY, 'Generates random prefixed keys');
+  assertTrue(/^sha256:[0-9a-f]{64}$/.test(hashApiKey(KEY)), 'Digests keys with sha256');
+
+  const config = {
+    tenants: [
+      { id: 'acme', api_keys: [hashApiKey(KEY)], requests_per_minute: 2, daily_token_budget: 1000, over_limit: 'heuristic' },
+      { id: 'globex', api_keys: [hashApiKey(OTHER_KEY)], reviewer: true }
+    ]
+  };
+  assertEqual(validateTenants(config), { valid: true, errors: [] }, 'Valid config passes');
+  const invalid = validateTenants({
+    tenants: [
+      { id: 'acme', api_keys: [KEY], requests_per_minute: 0 },
+      { id: 'acme', api_keys: [hashApiKey(OTHER_KEY), hashApiKey(OTHER_KEY)], over_limit: 'ignore', reviewer: 'yes' }
+    ]
+  });
+  assertEqual(invalid.errors, [
+    'tenants[0].api_keys[0]: must be "sha256:<64 hex characters>" (see yarn keys:create)',
+    'tenants[0].requests_per_minute: must be a positive integer',
+    'tenants[1].id: duplicate tenant "acme"',
+    'tenants[1].api_keys[1]: key is already used',
+    'tenants[1].over_limit: must be one of: reject, heuristic',
+    'tenants[1].reviewer: must be true or false'
+  ], 'Reports plain keys, bad limits, duplicates, unknown policies and roles');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tenants-'));
+  const file = path.join(dir, 'tenants.json');
+  fs.writeFileSync(file, JSON.stringify(config));
+  const loaded = loadTenants(file);
+  assertEqual(loaded[1], {
+    id: 'globex',
+    api_keys: [hashApiKey(OTHER_KEY)],
+    requests_per_minute: null,
+    daily_token_budget: null,
+    over_limit: 'reject',
+    reviewer: true
+  }, 'Missing limits load as unlimited, policy defaults to reject');
+  assertEqual(loaded[0].reviewer, false, 'Tenants are not reviewers by default');
+  fs.writeFileSync(file, '{"tenants": [{"id": "x"}]}');
+  assertThrows(() => loadTenants(file), 'Invalid file throws');
+  assertThrows(() => loadTenants(path.join(dir, 'missing.json')), 'Missing file throws');
+
+  // Test: Authentication
+  console.log('\n--- Authentication ---');
+  const registry = createTenantRegistry(loaded);
+  assertEqual([registry.authenticate(KEY).id, registry.authenticate(OTHER_KEY).id], ['acme', 'globex'], 'Keys map to their tenants');
+  assertEqual([registry.authenticate('mc_wrong'), registry.authenticate(null)], [null, null], 'Unknown or missing keys are rejected');
+  assertEqual(extractApiKey(fakeRequest({ Authorization: `Bearer ${KEY}` })), KEY, 'Reads a bearer token');
+  assertEqual(extractApiKey(fakeRequest({ 'X-API-Key': KEY })), KEY, 'Reads X-API-Key');
+  assertEqual(extractApiKey(fakeRequest({}, { api_key: KEY }, 'GET')), KEY, 'GET requests may pass api_key');
+  assertEqual(extractApiKey(fakeRequest({}, { api_key: KEY }, 'POST')), null, 'POST requests may not pass api_key');
+  assertEqual(extractApiKey(fakeRequest({ Authorization: 'Basic dXNlcjpwYXNz', 'X-API-Key': KEY })), KEY, 'Non-bearer Authorization falls through to X-API-Key');
+  assertEqual(extractApiKey(fakeRequest({ Authorization: 'Basic dXNlcjpwYXNz' }, { api_key: KEY }, 'GET')), KEY, 'Non-bearer Authorization falls through to api_key');
+  assertEqual(extractApiKey(fakeRequest({ Authorization: 'Basic dXNlcjpwYXNz' })), null, 'Non-bearer Authorization alone is no key');
+
+  // Test: Rate limits
+  console.log('\n--- Rate Limits ---');
+  let clock = DAY;
+  const now = () => clock;
+  const limiter = createRateLimiter({ now });
+  const [acme, globex] = loaded;
+  const takes = [limiter.take(acme), limiter.take(acme), limiter.take(acme)];
+  assertEqual(takes.map(take => [take.allowed, take.remaining]), [[true, 1], [true, 0], [false, 0]], 'Allows a burst of requests_per_minute');
+  assertEqual(takes[2].retry_after_ms, 30000, 'Reports when the next request is allowed');
+  clock += 30000;
+  assertEqual(limiter.take(acme).allowed, true, 'Refills evenly over the minute');
+  assertEqual(Array.from({ length: 50 }, () => limiter.take(globex).allowed).every(Boolean), true, 'Tenants without a limit are never limited');
+
+  // Test: Token budgets
+  console.log('\n--- Token Budgets ---');
+  const usageFile = path.join(dir, 'usage.json');
+  const usage = createUsageTracker({ filePath: usageFile, now });
+  await usage.record('acme', 600);
+  await usage.record('acme', 500);
+  assertEqual(usage.get('acme'), { day: '2025-11-03', requests: 2, tokens_used: 1100 }, 'Counts requests and tokens per tenant');
+  assertEqual(createUsageTracker({ filePath: usageFile, now }).get('acme').tokens_used, 1100, 'Usage survives a restart');
+  clock = Date.parse('2025-11-04T00:00:01.000Z');
+  assertEqual(usage.get('acme').tokens_used, 0, 'Budgets reset at midnight UTC');
+  assertEqual(createUsageTracker({ filePath: usageFile, now }).get('acme').tokens_used, 0, 'Yesterday\'s saved usage is not loaded');
+  assertEqual(msUntilBudgetReset(Date.parse('2025-11-03T23:00:00.000Z')), 3600000, 'Time until the budget resets');
+
+  // Test: Policies
+  console.log('\n--- Over-Limit Policies ---');
+  clock = DAY;
+  const budgets = createUsageTracker({ now });
+  const limits = { rateLimiter: createRateLimiter({ now }), usage: budgets, now };
+  assertEqual(checkTenantLimits(acme, limits), {
+    action: 'allow',
+    reason: null,
+    retry_after_ms: 0,
+    rate: { limit: 2, remaining: 1 },
+    budget: { limit: 1000, remaining: 1000 }
+  }, 'Under the limits the request is allowed');
+  await budgets.record('acme', 1000);
+  const overBudget = checkTenantLimits(acme, limits);
+  assertEqual([overBudget.action, overBudget.reason, overBudget.budget.remaining], ['heuristic', 'token_budget_exceeded', 0], 'Heuristic policy serves heuristics once the budget is spent');
+  assertEqual(overBudget.retry_after_ms, 14 * 3600000, 'Budget retry is at the next reset');
+  const rateLimited = checkTenantLimits(acme, limits);
+  assertEqual([rateLimited.action, rateLimited.reason], ['heuristic', 'rate_limit_exceeded'], 'Rate limit is checked first');
+  const strict = { ...globex, requests_per_minute: 1 };
+  checkTenantLimits(strict, limits);
+  assertEqual(checkTenantLimits(strict, limits).action, 'reject', 'Reject policy rejects');
+
+  // Test: Heuristic-only classification
+  console.log('\n--- Heuristic-Only Classification ---');
+  const provider = createMockProvider();
+  let calls = 0;
+  const counting = { ...provider, complete: async request => { calls++; return provider.complete(request); } };
+  const limited = await classifyMessage(INCONCLUSIVE, counting, { heuristicOnly: 'token_budget_exceeded' });
+  assertEqual([limited.metadata.method, limited.metadata.degraded, limited.metadata.degraded_reason, limited.metadata.tokens_used], ['heuristic', true, 'token_budget_exceeded', 0], 'Skips the LLM and flags the reason');
+  assertEqual(calls, 0, 'No LLM call is made');
+  const batch = await classifyBatch([INCONCLUSIVE, 'Need to book you for Friday ASAP please!'], counting, { heuristicOnly: 'rate_limit_exceeded' });
+  assertEqual(batch.results.map(result => result.metadata.degraded_reason), ['rate_limit_exceeded', undefined], 'Batch items that need the LLM are served from heuristics');
+  assertEqual([calls, batch.metadata.degraded_count], [0, 1], 'Batch makes no LLM calls');
+
+  const INCONCLUSIVE_ITEMS = [INCONCLUSIVE, 'Quick question about your art for Monday', 'Quick question about your music'];
+  const budgeted = await classifyBatch(INCONCLUSIVE_ITEMS, counting, { concurrency: 1, tokenBudget: { remaining: 1, overLimit: 'heuristic' } });
+  assertEqual(
+    [calls, budgeted.results.map(result => result.metadata.degraded_reason)],
+    [1, [undefined, 'token_budget_exceeded', 'token_budget_exceeded']],
+    'Batch items past the budget are served from heuristics'
+  );
+  const rejected = await classifyBatch(INCONCLUSIVE_ITEMS, counting, { concurrency: 1, tokenBudget: { remaining: 1, overLimit: 'reject' } });
+  assertEqual(
+    [calls, rejected.results.map(result => result.code || null), rejected.metadata.failed],
+    [2, [null, 'token_budget_exceeded', 'token_budget_exceeded'], 2],
+    'Reject policy fails batch items past the budget'
+  );
+  const roomy = await classifyBatch(INCONCLUSIVE_ITEMS, counting, { concurrency: 1, tokenBudget: { remaining: 1000000, overLimit: 'reject' } });
+  assertEqual([calls, roomy.metadata.llm_count], [5, 3], 'Items within the budget use the LLM');
+
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  console.log(`\n📊 Test Results: ${passedTests} passed, ${failedTests} failed\n`);
+
+  if (failedTests > 0) {
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,130 @@
+/**
+ * Tests for conversation thread classification
+ * Run with: node tests/thread.test.js
+ */
+
+const { validateThread, MAX_THREAD_TURNS } = require('../src/heuristics/validator');
+const { heuristicClassifyThread, splitThread } = require('../src/heuristics/thread');
+const { buildHistoryBlock, buildPromptWithExamples } = require('../src/prompts');
+const { classifyMessage } = require('../src/pipeline');
+const { createMockProvider } = require('../src/providers');
+const { createMemoryCache } = require('../src/cache');
+
+// Simple test framework
+let passedTests = 0;
+let failedTests = 0;
+
+function assertEqual(actual, expected, testName) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    console.log(`  Expected:`, expected);
+    console.log(`  Got:`, actual);
+    failedTests++;
+  }
+}
+
+function assertTrue(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    failedTests++;
+  }
+}
+
+async function run() {
+  console.log('\n🧪 Running Thread Tests\n');
+
+  // Test: Thread validation
+  console.log('--- Thread Validation ---');
+  const valid = validateThread([
+    { role: 'customer', text: '  Hi   there ', timestamp: '2025-11-02T10:00:00Z' },
+    { role: 'owner', text: 'Hello!' }
+  ]);
+  assertTrue(valid.valid, 'Valid thread passes validation');
+  assertEqual(valid.sanitized[0].text, 'Hi there', 'Turn text is sanitized');
+  assertEqual(valid.sanitized[0].timestamp, '2025-11-02T10:00:00.000Z', 'Timestamp is normalized to ISO');
+  assertEqual(validateThread('nope').valid, false, 'Non-array thread fails');
+  assertTrue(validateThread([{ role: 'admin', text: 'hi' }]).error.includes('role'), 'Unknown role fails');
+  assertTrue(validateThread([{ role: 'customer', text: '' }]).error.includes('turn 0'), 'Empty turn reports its index');
+  assertEqual(validateThread([{ role: 'owner', text: 'hi', timestamp: 'not a date' }]).valid, false, 'Invalid timestamp fails');
+  const tooLong = Array.from({ length: MAX_THREAD_TURNS + 1 }, () => ({ role: 'customer', text: 'hi' }));
+  assertEqual(validateThread(tooLong).valid, false, 'Thread over max turns fails');
+
+  // Test: Thread heuristics
+  console.log('\n--- Thread Heuristics ---');
+  const bookingThread = [
+    { role: 'customer', text: 'Can I book you for our launch party?' },
+    { role: 'owner', text: 'Sure, which date?' },
+    { role: 'customer', text: 'yes Friday works, send it over please' }
+  ];
+  const bookingResult = heuristicClassifyThread(bookingThread);
+  assertEqual(bookingResult.focus_summary_type, 'Booking', 'Topic is carried over from earlier customer turn');
+  assertEqual(bookingResult.business_value_score, 1.0, 'Business value is carried over with the topic');
+  assertEqual(bookingResult.needs_reply, true, 'Latest unanswered request needs reply');
+
+  const answeredThread = [
+    { role: 'customer', text: 'Can you send the invoice?' },
+    { role: 'owner', text: 'Just sent it!' }
+  ];
+  assertEqual(heuristicClassifyThread(answeredThread).needs_reply, false, 'Owner already answered the last question');
+  assertEqual(heuristicClassifyThread(answeredThread).focus_summary_type, 'Invoice', 'Answered turn is still classified');
+
+  const split = splitThread(bookingThread);
+  assertEqual(split.latest.text, 'yes Friday works, send it over please', 'Latest customer turn is found');
+  assertEqual(split.history.length, 2, 'History holds the turns before it');
+  assertEqual(split.ownerReplied, false, 'No owner reply after latest turn');
+
+  const refundThread = [
+    { role: 'customer', text: 'I want a refund' },
+    { role: 'customer', text: 'I love the merch though' }
+  ];
+  assertEqual(heuristicClassifyThread(refundThread).focus_summary_type, 'General', 'Latest turn wins when it has its own topic');
+
+  // Test: Prompt history
+  console.log('\n--- Prompt History ---');
+  assertEqual(buildHistoryBlock([]), '', 'No history gives empty block');
+  const longHistory = Array.from({ length: 10 }, (_, i) => ({ role: i % 2 ? 'owner' : 'customer', text: `turn ${i}` }));
+  const block = buildHistoryBlock(longHistory);
+  assertTrue(block.includes('4 earlier turns omitted'), 'History is trimmed to recent turns');
+  assertTrue(!block.includes('turn 3') && block.includes('turn 9'), 'Oldest turns are dropped');
+  assertTrue(block.includes('Owner: turn 9'), 'Turns are labeled by role');
+  assertTrue(buildHistoryBlock([{ role: 'customer', text: 'x'.repeat(500) }]).includes('...'), 'Long turns are truncated');
+  const prompt = buildPromptWithExamples('send it', [], [], bookingThread.slice(0, 2));
+  assertTrue(prompt.indexOf('Conversation so far') < prompt.indexOf('<<<send it>>>'), 'History precedes the message');
+
+  // Test: Pipeline
+  console.log('\n--- Pipeline ---');
+  const provider = createMockProvider();
+  let lastPrompt = '';
+  const complete = provider.complete;
+  provider.complete = (request) => {
+    lastPrompt = request.messages[1].content;
+    return complete(request);
+  };
+  const cache = createMemoryCache({ ttlMs: 60000, maxEntries: 10 });
+
+  const message = 'yes Friday works';
+  const threaded = await classifyMessage(message, provider, {
+    cache,
+    thread: [...bookingThread.slice(0, 2), { role: 'customer', text: message }]
+  });
+  assertEqual(threaded.metadata.thread_turns, 3, 'Metadata reports thread length');
+  assertEqual(threaded.metadata.owner_replied, false, 'Metadata reports owner reply status');
+  assertTrue(lastPrompt.includes('Customer: Can I book you'), 'LLM prompt includes thread history');
+
+  const single = await classifyMessage(message, provider, { cache });
+  assertEqual(single.metadata.cache, 'miss', 'Thread context is part of the cache key');
+
+  console.log(`\n📊 Test Results: ${passedTests} passed, ${failedTests} failed\n`);
+
+  if (failedTests > 0) {
+    process.exit(1);
+  }
+}
+
+run();
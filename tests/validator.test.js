@@ -3,7 +3,7 @@
  * Run with: node tests/validator.test.js
  */
 
-const { validateMessage, sanitizeMessage, containsSuspiciousContent, MAX_MESSAGE_LENGTH } = require('../src/heuristics/validator');
+const { validateMessage, validateTimestamp, sanitizeMessage, containsSuspiciousContent, MAX_MESSAGE_LENGTH } = require('../src/heuristics/validator');
 
 // Simple test framework
 let passedTests = 0;
@@ -123,6 +123,12 @@ const realResult = validateMessage(realMessage);
 assertTrue(realResult.valid, 'Real-world message passes validation');
 assertEqual(realResult.sanitized, 'Need to book you for Friday! ASAP please 🙏 Budget: $2000', 'Real-world message sanitized correctly');
 
+// Test: Timestamps
+assertEqual(validateTimestamp(undefined), { valid: true, sanitized: null }, 'Omitted timestamp is valid');
+assertEqual(validateTimestamp('2026-10-19T15:00:00+02:00').sanitized, '2026-10-19T13:00:00.000Z', 'Timestamp normalized to UTC ISO');
+assertEqual(validateTimestamp('next week', 'received_at').error, 'received_at is not a valid date', 'Invalid timestamp fails with field name');
+assertEqual(validateTimestamp(true).valid, false, 'Non-string timestamp fails');
+
 console.log(`\n📊 Test Results: ${passedTests} passed, ${failedTests} failed\n`);
 
 if (failedTests > 0) {
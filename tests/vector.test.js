@@ -0,0 +1,176 @@
+/**
+ * Tests for the vector index
+ * Run with: node tests/vector.test.js
+ */
+
+const {
+  createVectorIndex,
+  createFlatIndex,
+  createIvfIndex,
+  createTopK,
+  getIndexOptions,
+  resolveIndexType,
+  IVF_MIN_SIZE
+} = require('../src/vector');
+const { cosine, setExamples, findSimilarExamples, configureIndex, getIndexStatus } = require('../src/utils/embeddings');
+const { recall } = require('../scripts/benchmark-index');
+
+// Simple test framework
+let passedTests = 0;
+let failedTests = 0;
+
+function assertEqual(actual, expected, testName) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    console.log(`  Expected:`, expected);
+    console.log(`  Got:`, actual);
+    failedTests++;
+  }
+}
+
+function assertTrue(condition, testName) {
+  if (condition) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL: ${testName}`);
+    failedTests++;
+  }
+}
+
+function assertThrows(fn, testName) {
+  try {
+    fn();
+    console.log(`❌ FAIL: ${testName} (did not throw)`);
+    failedTests++;
+  } catch (error) {
+    console.log(`✅ PASS: ${testName}`);
+    passedTests++;
+  }
+}
+
+// Deterministic pseudo-random numbers
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+/**
+ * Vectors scattered around a few topic centers
+ */
+function clusteredVectors(count, dimensions, topics, random) {
+  const centers = Array.from({ length: topics }, () => Array.from({ length: dimensions }, () => random() - 0.5));
+  return Array.from({ length: count }, () => {
+    const center = centers[Math.floor(random() * topics)];
+    return center.map(value => value + (random() - 0.5) * 0.3);
+  });
+}
+
+/**
+ * The original findSimilarExamples: score everything, then sort
+ */
+function bruteForce(vectors, query, k) {
+  return vectors
+    .map((vector, index) => ({ index, similarity: cosine(vector, query) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, k);
+}
+
+async function run() {
+  console.log('\n🧪 Running Vector Index Tests\n');
+
+  // Test: Top-k selection
+  console.log('--- Top-K ---');
+  const top = createTopK(3);
+  [0.2, 0.9, 0.1, 0.5, 0.9, 0.7].forEach((score, index) => top.push(index, score));
+  assertEqual(top.results().map(item => item.index), [1, 4, 5], 'Keeps the best k, best first');
+  assertEqual(top.size(), 3, 'Never holds more than k');
+  const few = createTopK(5);
+  few.push(0, 0.3);
+  assertEqual(few.results().length, 1, 'Fewer items than k returns all of them');
+
+  // Test: Exact index
+  console.log('\n--- Flat Index ---');
+  const random = createRandom(42);
+  const vectors = clusteredVectors(500, 16, 10, random);
+  const queries = clusteredVectors(20, 16, 10, random);
+  const flat = createFlatIndex(vectors);
+  const matchesBruteForce = queries.every(query => {
+    const expected = bruteForce(vectors, query, 5);
+    const actual = flat.search(query, 5);
+    return expected.every((match, i) => match.index === actual[i].index &&
+      Math.abs(match.similarity - actual[i].similarity) < 1e-5);
+  });
+  assertTrue(matchesBruteForce, 'Flat index matches cosine + sort');
+  assertEqual([flat.size, flat.dimensions], [500, 16], 'Reports size and dimensions');
+  assertThrows(() => flat.search([1, 2, 3], 3), 'Query with other dimensions is rejected');
+  assertThrows(() => createFlatIndex([[1, 0], [1, 0, 0]]), 'Vectors with mixed dimensions are rejected');
+  assertEqual(createFlatIndex([[0, 0], [1, 0]]).search([1, 0], 2).map(match => match.similarity), [1, 0], 'Zero vectors score 0');
+  assertEqual(createFlatIndex([]).search([1, 0], 3), [], 'Empty index returns nothing');
+
+  const growing = createFlatIndex(vectors.slice(0, 10));
+  growing.add(vectors.slice(10));
+  assertEqual(growing.search(queries[0], 5), flat.search(queries[0], 5), 'Added vectors are searchable');
+
+  // Test: Approximate index
+  console.log('\n--- IVF Index ---');
+  const ivf = createIvfIndex(vectors, { lists: 10, probes: 3 });
+  assertEqual([ivf.type, ivf.lists, ivf.probes], ['ivf', 10, 3], 'Uses the given lists and probes');
+  const exact = queries.map(query => flat.search(query, 5));
+  const approximate = queries.map(query => ivf.search(query, 5));
+  assertTrue(recall(exact, approximate) >= 0.9, 'IVF recall@5 is at least 0.9 on clustered data');
+  const allProbes = createIvfIndex(vectors, { lists: 10, probes: 10 });
+  assertEqual(queries.map(query => allProbes.search(query, 5)), exact, 'Probing every list is exact');
+  const defaults = createIvfIndex(vectors);
+  assertEqual([defaults.lists, defaults.probes], [22, 5], 'Defaults to sqrt(n) lists and sqrt(lists) probes');
+
+  const tiny = createIvfIndex(vectors.slice(0, 20), { lists: 10, probes: 1 });
+  assertEqual(tiny.search(queries[0], 15).length, 15, 'Falls back to exact search when probed lists are too small');
+
+  const ivfGrowing = createIvfIndex(vectors.slice(0, 400), { lists: 10, probes: 10 });
+  ivfGrowing.add(vectors.slice(400));
+  assertEqual(ivfGrowing.size, 500, 'Added vectors join the index');
+  assertEqual(ivfGrowing.search(queries[0], 5), exact[0], 'Added vectors are assigned to clusters');
+
+  // Test: Index selection
+  console.log('\n--- Index Selection ---');
+  assertEqual(resolveIndexType(100), 'flat', 'auto uses flat for small example sets');
+  assertEqual(resolveIndexType(IVF_MIN_SIZE), 'ivf', 'auto uses ivf for large example sets');
+  assertEqual(createVectorIndex(vectors, { type: 'ivf' }).type, 'ivf', 'Type can be forced');
+  assertEqual(getIndexOptions({}), { type: 'auto', probes: undefined }, 'VECTOR_INDEX defaults to auto');
+  assertEqual(getIndexOptions({ VECTOR_INDEX: 'IVF', VECTOR_INDEX_PROBES: '4' }), { type: 'ivf', probes: 4 }, 'Reads VECTOR_INDEX and VECTOR_INDEX_PROBES');
+  assertThrows(() => getIndexOptions({ VECTOR_INDEX: 'hnsw' }), 'Unknown VECTOR_INDEX is rejected');
+
+  // Test: Similar examples
+  console.log('\n--- Similar Examples ---');
+  const examples = vectors.map((embedding, i) => ({ message: `example ${i}`, classification: { focus_summary_type: 'General' }, embedding }));
+  setExamples(examples, 1);
+  const similar = findSimilarExamples('query', queries[0], 3);
+  assertEqual(similar.map(example => example.message), exact[0].slice(0, 3).map(match => `example ${match.index}`), 'findSimilarExamples returns the nearest examples');
+  assertEqual(getIndexStatus(), { type: 'flat', size: 500 }, 'Index status for /health');
+
+  configureIndex({ type: 'ivf', lists: 10, probes: 10 });
+  assertEqual(getIndexStatus(), { type: 'ivf', size: 500, lists: 10, probes: 10 }, 'configureIndex rebuilds with the new type');
+  examples.push({ message: 'approved', classification: { focus_summary_type: 'Feature' }, embedding: queries[1] });
+  setExamples(examples, 2);
+  assertEqual(getIndexStatus().size, 501, 'Appended examples are added to the index');
+  assertEqual(findSimilarExamples('query', queries[1], 1)[0].message, 'approved', 'Appended examples are found');
+
+  setExamples(examples.slice(0, 100), 3);
+  assertEqual(getIndexStatus().size, 100, 'A replaced example list rebuilds the index');
+  configureIndex();
+
+  console.log(`\n📊 Test Results: ${passedTests} passed, ${failedTests} failed\n`);
+
+  if (failedTests > 0) {
+    process.exit(1);
+  }
+}
+
+run();